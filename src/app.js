@@ -17,10 +17,13 @@ const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/requestLogger');
 const { sessionManager } = require('./middleware/sessionManager');
+const WebSocketGateway = require('./services/webSocketGateway');
 
 // Import route modules
 const healthRoutes = require('./routes/health');
 const dataGolfRoutes = require('./routes/dataGolf');
+const preferenceRoutes = require('./routes/preferences');
+const watchlistRoutes = require('./routes/watchlists');
 
 /**
  * Create and configure Express application
@@ -35,6 +38,9 @@ function createApp() {
   // Trust proxy for accurate client IPs behind reverse proxy
   app.set('trust proxy', 1);
 
+  // Data Golf routes send ETags from cached payloads; body-hash ETags would also mark error responses
+  app.set('etag', false);
+
   // Security middleware
   app.use(helmet({
     contentSecurityPolicy: {
@@ -96,6 +102,8 @@ function createApp() {
   // API routes
   app.use('/health', healthRoutes);
   app.use('/api/data-golf', dataGolfRoutes);
+  app.use('/api/preferences', preferenceRoutes);
+  app.use('/api/watchlists', watchlistRoutes);
 
   // Serve static files in production
   if (config.isProduction) {
@@ -138,10 +146,24 @@ function startServer(app) {
     });
   });
 
+  // Live feed subscriptions over WebSocket, sharing the SSE routes' pollers
+  const gateway = new WebSocketGateway(server, dataGolfRoutes.liveFeedService, {
+    ...config.webSocket,
+    allowedOrigins: config.security.corsOrigins
+  });
+  server.webSocketGateway = gateway;
+
+  // Scheduled scans, cache warming, policy reloads, webhooks and watchlist alerts
+  dataGolfRoutes.startBackgroundServices();
+
   // Graceful shutdown handling
   const gracefulShutdown = (signal) => {
     logger.info(`Received ${signal}, starting graceful shutdown`);
 
+    // Timers and open sockets would otherwise keep server.close waiting
+    dataGolfRoutes.stopBackgroundServices();
+    gateway.close();
+
     server.close((err) => {
       if (err) {
         logger.error('Error during server shutdown', err);
@@ -22,20 +22,27 @@ const environments = {
       l1: {
         enabled: true,
         maxSize: 1000,
+        maxBytes: 32 * 1024 * 1024, // 32 MB
         ttl: 300 // 5 minutes
       },
       l2: {
         enabled: true,
         maxSize: 5000,
+        maxBytes: 64 * 1024 * 1024, // 64 MB
         ttl: 1800 // 30 minutes
       },
       l3: {
         enabled: false // Disabled in development
+      },
+      compression: {
+        algorithm: process.env.CACHE_COMPRESSION || 'gzip', // 'gzip', 'brotli' or 'none'
+        threshold: 16 * 1024 // Compress L2/L3 entries of 16 KB and over
       }
     },
     security: {
       encryptionKey: process.env.ENCRYPTION_KEY || 'dev-key-change-in-production',
       sessionSecret: process.env.SESSION_SECRET || 'dev-session-secret',
+      adminApiKey: process.env.ADMIN_API_KEY || 'dev-admin-key',
       corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:3000'],
       rateLimiting: {
         windowMs: 15 * 60 * 1000, // 15 minutes
@@ -56,6 +63,58 @@ const environments = {
       timeout: 30000, // 30 seconds
       retryAttempts: 3,
       retryDelay: 1000 // 1 second
+    },
+    arbitrage: {
+      scanInterval: parseInt(process.env.ARBITRAGE_SCAN_INTERVAL, 10) || 0, // Seconds, 0 disables scheduled scanning
+      markets: ['win', 'top_5', 'top_10', 'top_20'],
+      matchupTypes: ['tournament_matchups', 'round_matchups', '3_balls']
+    },
+    cacheWarming: {
+      enabled: process.env.CACHE_WARMING_ENABLED === 'true',
+      tickInterval: 60, // seconds
+      reserveRequests: 50 // Rate limit requests per window kept for user traffic
+    },
+    endpointPolicy: {
+      reloadInterval: 30 // Seconds between api_endpoints reloads, 0 disables polling
+    },
+    liveFeeds: {
+      pollInterval: 10, // Seconds between upstream polls per live scoring, odds or predictions feed
+      heartbeatInterval: 15, // seconds
+      historySize: 200, // Events kept per feed for Last-Event-ID resume
+      idleTimeout: 60 // Seconds a poller outlives its last subscriber
+    },
+    webSocket: {
+      path: '/api/live',
+      maxSubscriptions: 20, // Topics per connection
+      maxBufferedBytes: 1024 * 1024, // Unsent bytes before a slow connection is closed
+      maxPayload: 16 * 1024, // Largest client message in bytes
+      pingInterval: 30 // seconds
+    },
+    webhooks: {
+      enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+      queueInterval: 5, // Seconds between delivery queue runs
+      maxAttempts: 6, // Attempts before a delivery is marked failed
+      retryBaseDelay: 30, // Seconds before the first retry, doubled per attempt
+      maxRetryDelay: 3600, // seconds
+      timeout: 10, // Receiver request timeout in seconds
+      concurrency: 5, // Webhooks delivered to at once
+      oddsMoveThreshold: 10, // Default minimum odds move in percent
+      cutRank: 65, // Position that makes the projected cut
+      // Receiver hostnames that may resolve to loopback, link-local or private addresses
+      allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS ? process.env.WEBHOOK_ALLOWED_HOSTS.split(',') : [],
+      deliveryRetention: 30, // Days delivered and failed deliveries are kept
+      pruneInterval: 3600 // Seconds between delivery log prunes
+    },
+    watchlists: {
+      alertsEnabled: process.env.WATCHLIST_ALERTS_ENABLED !== 'false',
+      maxWatchlists: 20, // Per session
+      maxPlayers: 100, // Per watchlist
+      maxRules: 20 // Alert rules per watchlist
+    },
+    preferences: {
+      maxPreferences: 100, // Per session
+      maxValueBytes: 8192, // Largest serialized preference value
+      mirrorMaxBytes: 1024 // Largest serialized set of preferences mirrored into the session token
     }
   },
 
@@ -68,13 +127,15 @@ const environments = {
       options: {}
     },
     cache: {
-      l1: { enabled: true, maxSize: 100, ttl: 60 },
-      l2: { enabled: true, maxSize: 500, ttl: 300 },
-      l3: { enabled: false }
+      l1: { enabled: true, maxSize: 100, maxBytes: 4 * 1024 * 1024, ttl: 60 },
+      l2: { enabled: true, maxSize: 500, maxBytes: 16 * 1024 * 1024, ttl: 300 },
+      l3: { enabled: false },
+      compression: { algorithm: 'gzip', threshold: 16 * 1024 }
     },
     security: {
       encryptionKey: 'test-encryption-key-32-chars-long',
       sessionSecret: 'test-session-secret',
+      adminApiKey: 'test-admin-key',
       corsOrigins: ['http://localhost:3000'],
       rateLimiting: {
         windowMs: 1 * 60 * 1000, // 1 minute
@@ -95,6 +156,58 @@ const environments = {
       timeout: 10000, // 10 seconds for testing
       retryAttempts: 1,
       retryDelay: 500
+    },
+    arbitrage: {
+      scanInterval: 0, // Scheduled scanning disabled in tests
+      markets: ['win'],
+      matchupTypes: []
+    },
+    cacheWarming: {
+      enabled: false, // No background warming in tests
+      tickInterval: 60,
+      reserveRequests: 50
+    },
+    endpointPolicy: {
+      reloadInterval: 0 // Policies load once in tests
+    },
+    liveFeeds: {
+      pollInterval: 10,
+      heartbeatInterval: 15,
+      historySize: 200,
+      idleTimeout: 0 // Pollers stop with their last subscriber in tests
+    },
+    webSocket: {
+      path: '/api/live',
+      maxSubscriptions: 20, // Topics per connection
+      maxBufferedBytes: 1024 * 1024, // Unsent bytes before a slow connection is closed
+      maxPayload: 16 * 1024, // Largest client message in bytes
+      pingInterval: 30 // seconds
+    },
+    webhooks: {
+      enabled: false, // No webhook detection or deliveries in tests
+      queueInterval: 5, // Seconds between delivery queue runs
+      maxAttempts: 6, // Attempts before a delivery is marked failed
+      retryBaseDelay: 30, // Seconds before the first retry, doubled per attempt
+      maxRetryDelay: 3600, // seconds
+      timeout: 10, // Receiver request timeout in seconds
+      concurrency: 5, // Webhooks delivered to at once
+      oddsMoveThreshold: 10, // Default minimum odds move in percent
+      cutRank: 65, // Position that makes the projected cut
+      // Receiver hostnames that may resolve to loopback, link-local or private addresses
+      allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS ? process.env.WEBHOOK_ALLOWED_HOSTS.split(',') : [],
+      deliveryRetention: 30, // Days delivered and failed deliveries are kept
+      pruneInterval: 3600 // Seconds between delivery log prunes
+    },
+    watchlists: {
+      alertsEnabled: false, // No alert evaluation in tests
+      maxWatchlists: 20, // Per session
+      maxPlayers: 100, // Per watchlist
+      maxRules: 20 // Alert rules per watchlist
+    },
+    preferences: {
+      maxPreferences: 100, // Per session
+      maxValueBytes: 8192, // Largest serialized preference value
+      mirrorMaxBytes: 1024 // Largest serialized set of preferences mirrored into the session token
     }
   },
 
@@ -107,13 +220,15 @@ const environments = {
       options: {}
     },
     cache: {
-      l1: { enabled: true, maxSize: 100, ttl: 60 },
-      l2: { enabled: true, maxSize: 500, ttl: 300 },
-      l3: { enabled: false }
+      l1: { enabled: true, maxSize: 100, maxBytes: 4 * 1024 * 1024, ttl: 60 },
+      l2: { enabled: true, maxSize: 500, maxBytes: 16 * 1024 * 1024, ttl: 300 },
+      l3: { enabled: false },
+      compression: { algorithm: 'gzip', threshold: 16 * 1024 }
     },
     security: {
       encryptionKey: 'test-encryption-key-32-chars-long',
       sessionSecret: 'test-session-secret',
+      adminApiKey: 'test-admin-key',
       corsOrigins: ['http://localhost:3000'],
       rateLimiting: {
         windowMs: 1 * 60 * 1000, // 1 minute
@@ -134,6 +249,58 @@ const environments = {
       timeout: 10000, // 10 seconds for testing
       retryAttempts: 1,
       retryDelay: 500
+    },
+    arbitrage: {
+      scanInterval: 0, // Scheduled scanning disabled in tests
+      markets: ['win'],
+      matchupTypes: []
+    },
+    cacheWarming: {
+      enabled: false, // No background warming in tests
+      tickInterval: 60,
+      reserveRequests: 50
+    },
+    endpointPolicy: {
+      reloadInterval: 0 // Policies load once in tests
+    },
+    liveFeeds: {
+      pollInterval: 10,
+      heartbeatInterval: 15,
+      historySize: 200,
+      idleTimeout: 0 // Pollers stop with their last subscriber in tests
+    },
+    webSocket: {
+      path: '/api/live',
+      maxSubscriptions: 20, // Topics per connection
+      maxBufferedBytes: 1024 * 1024, // Unsent bytes before a slow connection is closed
+      maxPayload: 16 * 1024, // Largest client message in bytes
+      pingInterval: 30 // seconds
+    },
+    webhooks: {
+      enabled: false, // No webhook detection or deliveries in tests
+      queueInterval: 5, // Seconds between delivery queue runs
+      maxAttempts: 6, // Attempts before a delivery is marked failed
+      retryBaseDelay: 30, // Seconds before the first retry, doubled per attempt
+      maxRetryDelay: 3600, // seconds
+      timeout: 10, // Receiver request timeout in seconds
+      concurrency: 5, // Webhooks delivered to at once
+      oddsMoveThreshold: 10, // Default minimum odds move in percent
+      cutRank: 65, // Position that makes the projected cut
+      // Receiver hostnames that may resolve to loopback, link-local or private addresses
+      allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS ? process.env.WEBHOOK_ALLOWED_HOSTS.split(',') : [],
+      deliveryRetention: 30, // Days delivered and failed deliveries are kept
+      pruneInterval: 3600 // Seconds between delivery log prunes
+    },
+    watchlists: {
+      alertsEnabled: false, // No alert evaluation in tests
+      maxWatchlists: 20, // Per session
+      maxPlayers: 100, // Per watchlist
+      maxRules: 20 // Alert rules per watchlist
+    },
+    preferences: {
+      maxPreferences: 100, // Per session
+      maxValueBytes: 8192, // Largest serialized preference value
+      mirrorMaxBytes: 1024 // Largest serialized set of preferences mirrored into the session token
     }
   },
 
@@ -146,13 +313,15 @@ const environments = {
       options: {}
     },
     cache: {
-      l1: { enabled: true, maxSize: 2000, ttl: 600 },
-      l2: { enabled: true, maxSize: 10000, ttl: 3600 },
-      l3: { enabled: true, maxSize: 50000, ttl: 86400 }
+      l1: { enabled: true, maxSize: 2000, maxBytes: 64 * 1024 * 1024, ttl: 600 },
+      l2: { enabled: true, maxSize: 10000, maxBytes: 256 * 1024 * 1024, ttl: 3600 },
+      l3: { enabled: true, maxSize: 50000, maxBytes: 1024 * 1024 * 1024, ttl: 86400 },
+      compression: { algorithm: process.env.CACHE_COMPRESSION || 'brotli', threshold: 16 * 1024 }
     },
     security: {
       encryptionKey: process.env.ENCRYPTION_KEY,
       sessionSecret: process.env.SESSION_SECRET,
+      adminApiKey: process.env.ADMIN_API_KEY, // Admin routes are disabled when unset
       corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : [],
       rateLimiting: {
         windowMs: 15 * 60 * 1000,
@@ -173,6 +342,58 @@ const environments = {
       timeout: 30000, // 30 seconds
       retryAttempts: 3,
       retryDelay: 2000 // 2 seconds
+    },
+    arbitrage: {
+      scanInterval: parseInt(process.env.ARBITRAGE_SCAN_INTERVAL, 10) || 0, // Seconds, 0 disables scheduled scanning
+      markets: ['win', 'top_5', 'top_10', 'top_20'],
+      matchupTypes: ['tournament_matchups', 'round_matchups', '3_balls']
+    },
+    cacheWarming: {
+      enabled: process.env.CACHE_WARMING_ENABLED !== 'false',
+      tickInterval: 60, // seconds
+      reserveRequests: 50 // Rate limit requests per window kept for user traffic
+    },
+    endpointPolicy: {
+      reloadInterval: 30 // Seconds between api_endpoints reloads, 0 disables polling
+    },
+    liveFeeds: {
+      pollInterval: 10, // Seconds between upstream polls per live scoring, odds or predictions feed
+      heartbeatInterval: 15, // seconds
+      historySize: 200, // Events kept per feed for Last-Event-ID resume
+      idleTimeout: 60 // Seconds a poller outlives its last subscriber
+    },
+    webSocket: {
+      path: '/api/live',
+      maxSubscriptions: 20, // Topics per connection
+      maxBufferedBytes: 1024 * 1024, // Unsent bytes before a slow connection is closed
+      maxPayload: 16 * 1024, // Largest client message in bytes
+      pingInterval: 30 // seconds
+    },
+    webhooks: {
+      enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+      queueInterval: 5, // Seconds between delivery queue runs
+      maxAttempts: 6, // Attempts before a delivery is marked failed
+      retryBaseDelay: 30, // Seconds before the first retry, doubled per attempt
+      maxRetryDelay: 3600, // seconds
+      timeout: 10, // Receiver request timeout in seconds
+      concurrency: 5, // Webhooks delivered to at once
+      oddsMoveThreshold: 10, // Default minimum odds move in percent
+      cutRank: 65, // Position that makes the projected cut
+      // Receiver hostnames that may resolve to loopback, link-local or private addresses
+      allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS ? process.env.WEBHOOK_ALLOWED_HOSTS.split(',') : [],
+      deliveryRetention: 30, // Days delivered and failed deliveries are kept
+      pruneInterval: 3600 // Seconds between delivery log prunes
+    },
+    watchlists: {
+      alertsEnabled: process.env.WATCHLIST_ALERTS_ENABLED !== 'false',
+      maxWatchlists: 20, // Per session
+      maxPlayers: 100, // Per watchlist
+      maxRules: 20 // Alert rules per watchlist
+    },
+    preferences: {
+      maxPreferences: 100, // Per session
+      maxValueBytes: 8192, // Largest serialized preference value
+      mirrorMaxBytes: 1024 // Largest serialized set of preferences mirrored into the session token
     }
   },
 
@@ -185,13 +406,15 @@ const environments = {
       options: {}
     },
     cache: {
-      l1: { enabled: true, maxSize: 5000, ttl: 900 },
-      l2: { enabled: true, maxSize: 25000, ttl: 7200 },
-      l3: { enabled: true, maxSize: 100000, ttl: 86400 }
+      l1: { enabled: true, maxSize: 5000, maxBytes: 128 * 1024 * 1024, ttl: 900 },
+      l2: { enabled: true, maxSize: 25000, maxBytes: 512 * 1024 * 1024, ttl: 7200 },
+      l3: { enabled: true, maxSize: 100000, maxBytes: 2 * 1024 * 1024 * 1024, ttl: 86400 },
+      compression: { algorithm: process.env.CACHE_COMPRESSION || 'brotli', threshold: 16 * 1024 }
     },
     security: {
       encryptionKey: process.env.ENCRYPTION_KEY,
       sessionSecret: process.env.SESSION_SECRET,
+      adminApiKey: process.env.ADMIN_API_KEY, // Admin routes are disabled when unset
       corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : [],
       rateLimiting: {
         windowMs: 15 * 60 * 1000,
@@ -212,6 +435,58 @@ const environments = {
       timeout: 45000, // 45 seconds for production
       retryAttempts: 5,
       retryDelay: 3000 // 3 seconds
+    },
+    arbitrage: {
+      scanInterval: parseInt(process.env.ARBITRAGE_SCAN_INTERVAL, 10) || 0, // Seconds, 0 disables scheduled scanning
+      markets: ['win', 'top_5', 'top_10', 'top_20'],
+      matchupTypes: ['tournament_matchups', 'round_matchups', '3_balls']
+    },
+    cacheWarming: {
+      enabled: process.env.CACHE_WARMING_ENABLED !== 'false',
+      tickInterval: 60, // seconds
+      reserveRequests: 50 // Rate limit requests per window kept for user traffic
+    },
+    endpointPolicy: {
+      reloadInterval: 30 // Seconds between api_endpoints reloads, 0 disables polling
+    },
+    liveFeeds: {
+      pollInterval: 10, // Seconds between upstream polls per live scoring, odds or predictions feed
+      heartbeatInterval: 15, // seconds
+      historySize: 200, // Events kept per feed for Last-Event-ID resume
+      idleTimeout: 60 // Seconds a poller outlives its last subscriber
+    },
+    webSocket: {
+      path: '/api/live',
+      maxSubscriptions: 20, // Topics per connection
+      maxBufferedBytes: 1024 * 1024, // Unsent bytes before a slow connection is closed
+      maxPayload: 16 * 1024, // Largest client message in bytes
+      pingInterval: 30 // seconds
+    },
+    webhooks: {
+      enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+      queueInterval: 5, // Seconds between delivery queue runs
+      maxAttempts: 6, // Attempts before a delivery is marked failed
+      retryBaseDelay: 30, // Seconds before the first retry, doubled per attempt
+      maxRetryDelay: 3600, // seconds
+      timeout: 10, // Receiver request timeout in seconds
+      concurrency: 5, // Webhooks delivered to at once
+      oddsMoveThreshold: 10, // Default minimum odds move in percent
+      cutRank: 65, // Position that makes the projected cut
+      // Receiver hostnames that may resolve to loopback, link-local or private addresses
+      allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS ? process.env.WEBHOOK_ALLOWED_HOSTS.split(',') : [],
+      deliveryRetention: 30, // Days delivered and failed deliveries are kept
+      pruneInterval: 3600 // Seconds between delivery log prunes
+    },
+    watchlists: {
+      alertsEnabled: process.env.WATCHLIST_ALERTS_ENABLED !== 'false',
+      maxWatchlists: 20, // Per session
+      maxPlayers: 100, // Per watchlist
+      maxRules: 20 // Alert rules per watchlist
+    },
+    preferences: {
+      maxPreferences: 100, // Per session
+      maxValueBytes: 8192, // Largest serialized preference value
+      mirrorMaxBytes: 1024 // Largest serialized set of preferences mirrored into the session token
     }
   }
 };
@@ -17,16 +17,34 @@ class DatabaseManager {
   constructor() {
     this.db = null;
     this.config = getConfig();
-    this.dbPath = this.config.database.path;
+    this.dbPath = this.config.database.filename;
     this.isConnected = false;
     this.transactionCount = 0;
+    this.initPromise = null;
   }
 
   /**
    * Initialize database connection and run migrations
+   * Safe to call from several services; initialization only runs once
    * @returns {Promise<void>}
    */
   async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this._initialize().catch((error) => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+
+    return this.initPromise;
+  }
+
+  /**
+   * Connect and migrate the database
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _initialize() {
     try {
       await this.connect();
       await this.runMigrations();
@@ -98,6 +116,7 @@ class DatabaseManager {
 
         this.isConnected = false;
         this.db = null;
+        this.initPromise = null;
         logger.info('Database connection closed');
         resolve();
       });
@@ -293,11 +312,7 @@ class DatabaseManager {
     const sql = fs.readFileSync(migrationPath, 'utf8');
 
     await this.transaction(async (db) => {
-      // Split SQL into individual statements
-      const statements = sql
-        .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0);
+      const statements = this._splitStatements(sql);
 
       for (const statement of statements) {
         await db.execute(statement);
@@ -313,6 +328,35 @@ class DatabaseManager {
     logger.info('Migration executed', { filename });
   }
 
+  /**
+   * Split a migration script into individual statements
+   * Keeps trigger bodies intact, since they contain semicolons before their END
+   * @param {string} sql - Migration SQL
+   * @returns {Array<string>} SQL statements
+   * @private
+   */
+  _splitStatements(sql) {
+    const statements = [];
+    let current = '';
+
+    for (const part of sql.split(';')) {
+      current = current ? `${current};${part}` : part;
+
+      const statement = current.trim();
+      const isOpenTrigger = /CREATE\s+TRIGGER/i.test(statement) && !/\bEND$/i.test(statement);
+      if (isOpenTrigger) {
+        continue;
+      }
+
+      if (statement.length > 0) {
+        statements.push(statement);
+      }
+      current = '';
+    }
+
+    return statements;
+  }
+
   /**
    * Get database statistics
    * @returns {Promise<Object>} Database statistics
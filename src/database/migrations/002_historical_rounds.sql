@@ -0,0 +1,44 @@
+-- Historical Round Archive
+-- Stores round-level scoring and strokes-gained data for completed events
+-- Completed rounds never change, so archived events are served without hitting Data Golf
+
+-- Archived events, one row per tour/event/year
+CREATE TABLE historical_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tour TEXT NOT NULL DEFAULT 'pga',
+    event_id TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    event_name TEXT,
+    round_count INTEGER NOT NULL DEFAULT 0,
+    player_count INTEGER NOT NULL DEFAULT 0,
+    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tour, event_id, year)
+);
+
+-- Index for event lookups
+CREATE INDEX idx_historical_events_lookup ON historical_events(tour, event_id, year);
+
+-- Round-level scores and strokes-gained categories per player
+CREATE TABLE historical_rounds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tour TEXT NOT NULL DEFAULT 'pga',
+    event_id TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    player_id TEXT NOT NULL,
+    player_name TEXT,
+    course_name TEXT,
+    score INTEGER,
+    sg_ott REAL, -- Off the tee
+    sg_app REAL, -- Approach
+    sg_arg REAL, -- Around the green
+    sg_putt REAL, -- Putting
+    sg_t2g REAL, -- Tee to green
+    sg_total REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tour, event_id, year, round, player_id)
+);
+
+-- Indexes for round queries
+CREATE INDEX idx_historical_rounds_event ON historical_rounds(tour, event_id, year);
+CREATE INDEX idx_historical_rounds_player ON historical_rounds(player_id);
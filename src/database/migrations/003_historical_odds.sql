@@ -0,0 +1,42 @@
+-- Historical Odds Archive
+-- Stores opening and closing lines per sportsbook
+-- Opening lines are archived once an event starts and closing lines once it is over
+-- Used to grade past bets against the closing market
+
+-- Archived markets, one row per tour/event/year/market/sportsbook fetch
+CREATE TABLE historical_odds_markets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tour TEXT NOT NULL DEFAULT 'pga',
+    event_id TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    market TEXT NOT NULL, -- 'win', 'top_5', 'top_10', 'top_20', 'make_cut', 'mc'
+    sportsbook TEXT NOT NULL DEFAULT 'all', -- 'all' when every book was fetched
+    event_name TEXT,
+    line_count INTEGER NOT NULL DEFAULT 0,
+    closed BOOLEAN NOT NULL DEFAULT FALSE, -- Whether closing lines are archived, only closed markets are served from the archive
+    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tour, event_id, year, market, sportsbook)
+);
+
+-- Opening and closing decimal prices per player per sportsbook
+CREATE TABLE historical_odds_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tour TEXT NOT NULL DEFAULT 'pga',
+    event_id TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    market TEXT NOT NULL,
+    sportsbook TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    player_name TEXT,
+    open_odds REAL,
+    open_time DATETIME,
+    close_odds REAL,
+    close_time DATETIME,
+    outcome TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tour, event_id, year, market, sportsbook, player_id)
+);
+
+-- Indexes for line lookups
+CREATE INDEX idx_odds_lines_event ON historical_odds_lines(tour, event_id, year, market);
+CREATE INDEX idx_odds_lines_player ON historical_odds_lines(player_id);
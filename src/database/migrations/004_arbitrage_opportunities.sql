@@ -0,0 +1,22 @@
+-- Arbitrage Opportunities
+-- Records sure-bet combinations found by the scheduled cross-book scanner
+-- A combination seen on consecutive scans keeps one row and has its last-seen time refreshed
+
+CREATE TABLE arbitrage_opportunities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signature TEXT NOT NULL UNIQUE, -- kind, market and the player/book of every leg
+    kind TEXT NOT NULL, -- 'outright' or 'matchup'
+    tournament_id TEXT,
+    market TEXT NOT NULL, -- 'win', 'top_5', 'tournament_matchups', '3_balls', ...
+    market_id TEXT NOT NULL,
+    book_sum REAL NOT NULL,
+    margin REAL NOT NULL,
+    legs TEXT NOT NULL, -- JSON array of legs
+    times_seen INTEGER NOT NULL DEFAULT 1,
+    first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for history lookups
+CREATE INDEX idx_arbitrage_last_seen ON arbitrage_opportunities(last_seen_at);
+CREATE INDEX idx_arbitrage_kind ON arbitrage_opportunities(kind, market);
@@ -0,0 +1,4 @@
+-- Cache Soft Expiry
+-- Entries past stale_at are still served while a fresh copy is fetched, until expires_at
+
+ALTER TABLE cache_entries ADD COLUMN stale_at DATETIME;
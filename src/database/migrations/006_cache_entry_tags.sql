@@ -0,0 +1,12 @@
+-- Cache Entry Tags
+-- Tags such as 'dataType:field' or 'tournamentId:123' attached to persistent cache entries
+-- Lets invalidation find entries through an index instead of scanning every key
+
+CREATE TABLE cache_entry_tags (
+    cache_key TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (cache_key, tag)
+);
+
+-- Index for tag lookups during invalidation
+CREATE INDEX idx_cache_entry_tags_tag ON cache_entry_tags(tag);
@@ -0,0 +1,5 @@
+-- Cache Content Encoding
+-- Large entries are stored compressed in content_compressed, with the algorithm recorded here
+-- NULL means the entry is stored uncompressed in content
+
+ALTER TABLE cache_entries ADD COLUMN content_encoding TEXT;
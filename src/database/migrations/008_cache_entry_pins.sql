@@ -0,0 +1,4 @@
+-- Cache Entry Pins
+-- Pinned entries are skipped by eviction and still expire at expires_at
+
+ALTER TABLE cache_entries ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,18 @@
+-- Data Golf Endpoint Policies
+-- Cache TTL and upstream rate limit for each Data Golf route, read by the endpoint policy service
+-- cache_ttl_seconds is how long a response is served fresh, rate_limit_per_minute caps upstream calls
+
+INSERT INTO api_endpoints (endpoint_path, method, description, rate_limit_per_minute, cache_ttl_seconds) VALUES
+('/api/data-golf/tournaments', 'GET', 'Tournament schedule', 100, 300),
+('/api/data-golf/rankings', 'GET', 'Player rankings', 100, 300),
+('/api/data-golf/tournaments/:tournamentId/field', 'GET', 'Tournament field', 100, 1800),
+('/api/data-golf/tournaments/:tournamentId/tee-times', 'GET', 'Tee times', 100, 1800),
+('/api/data-golf/tournaments/:tournamentId/dfs-salaries', 'GET', 'DFS salaries', 100, 300),
+('/api/data-golf/tournaments/:tournamentId/scoring', 'GET', 'Live scoring', 100, 30),
+('/api/data-golf/tournaments/:tournamentId/live-predictions', 'GET', 'Live predictions while a round is in progress', 100, 30),
+('/api/data-golf/tournaments/:tournamentId/historical-rounds', 'GET', 'Historical round scoring and strokes gained', 100, 1800),
+('/api/data-golf/tournaments/:tournamentId/historical-odds', 'GET', 'Historical odds', 100, 1800),
+('/api/data-golf/players/:playerId/stats', 'GET', 'Player statistics', 100, 86400),
+('/api/data-golf/betting-odds', 'GET', 'Outright betting odds', 100, 300),
+('/api/data-golf/betting-odds/matchups', 'GET', 'Matchup betting odds', 100, 300),
+('/api/data-golf/predictions/pre-tournament', 'GET', 'Pre-tournament predictions', 100, 900);
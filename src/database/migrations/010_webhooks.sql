@@ -0,0 +1,44 @@
+-- Webhooks
+-- Registered callback URLs for tournament and odds events, and the log of every delivery
+-- Deliveries double as the retry queue: pending rows are sent once next_attempt_at has passed
+
+CREATE TABLE webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL, -- HMAC-SHA256 signing key shared with the receiver
+    events TEXT NOT NULL, -- JSON array of event types
+    tournament_id TEXT, -- NULL receives events for every tournament
+    odds_move_threshold REAL, -- Minimum odds move in percent, NULL uses the configured default
+    description TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhooks_active ON webhooks(is_active);
+
+CREATE TABLE webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL, -- JSON request body
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'delivered', 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME, -- ISO timestamp of the next attempt while pending
+    last_status_code INTEGER,
+    last_error TEXT,
+    last_response_time_ms INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME
+);
+
+-- Indexes for the delivery queue and log lookups
+CREATE INDEX idx_webhook_deliveries_queue ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+
+CREATE TRIGGER update_webhooks_timestamp
+    AFTER UPDATE ON webhooks
+    BEGIN
+        UPDATE webhooks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
@@ -0,0 +1,59 @@
+-- Watchlists and Alerts
+-- Per-session lists of player IDs, alert rules on each list, and the alerts those rules raised
+-- Rules are edge-triggered: player_states remembers whether each player met the condition last time
+
+CREATE TABLE watchlists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    player_ids TEXT NOT NULL DEFAULT '[]', -- JSON array of Data Golf player IDs
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, name)
+);
+
+CREATE INDEX idx_watchlists_session ON watchlists(session_id);
+
+CREATE TABLE alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    watchlist_id INTEGER NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+    session_id TEXT NOT NULL,
+    rule_type TEXT NOT NULL, -- 'position_within', 'odds_below', 'odds_above'
+    threshold REAL NOT NULL, -- Position for position rules, decimal odds for odds rules
+    market TEXT, -- Odds market for odds rules
+    is_active BOOLEAN DEFAULT TRUE,
+    player_states TEXT NOT NULL DEFAULT '{}', -- JSON map of tournament, then player ID, to whether the condition held
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_alert_rules_watchlist ON alert_rules(watchlist_id);
+CREATE INDEX idx_alert_rules_active ON alert_rules(is_active, rule_type);
+
+CREATE TABLE alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+    watchlist_id INTEGER REFERENCES watchlists(id) ON DELETE SET NULL,
+    rule_type TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    player_name TEXT,
+    message TEXT NOT NULL,
+    data TEXT, -- JSON details such as position, odds and bookmaker
+    triggered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    read_at DATETIME
+);
+
+CREATE INDEX idx_alerts_session ON alerts(session_id, triggered_at);
+
+CREATE TRIGGER update_watchlists_timestamp
+    AFTER UPDATE ON watchlists
+    BEGIN
+        UPDATE watchlists SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
+CREATE TRIGGER update_alert_rules_timestamp
+    AFTER UPDATE ON alert_rules
+    BEGIN
+        UPDATE alert_rules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
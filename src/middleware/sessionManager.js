@@ -12,6 +12,7 @@ const logger = require('../utils/logger');
 // Session configuration constants
 const SESSION_HEADER = 'X-Session-ID';
 const SESSION_COOKIE = 'golf_session';
+const ADMIN_KEY_HEADER = 'X-Admin-Key';
 const SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24 hours
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;
@@ -320,8 +321,88 @@ function sessionManager(req, res, next) {
   }
 }
 
+/**
+ * Resolve a session token presented outside the HTTP middleware, such as on a WebSocket upgrade
+ * The token is not rotated, since there is no response to carry a new one
+ * @param {string} token - Session token
+ * @returns {Object|null} Session data, or null when the token is missing, invalid or expired
+ */
+function authenticateSessionToken(token) {
+  const masterKey = getConfig().security.encryptionKey;
+  if (!token || !masterKey) {
+    return null;
+  }
+
+  try {
+    const sessionData = decryptSessionData(token, masterKey);
+    return isSessionValid(sessionData) ? sessionData : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} presented - Secret sent by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} Whether the secrets match
+ */
+function secretsMatch(presented, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(expected));
+}
+
+/**
+ * Fingerprint the admin API key so a session can record which key upgraded it
+ * @param {string} adminKey - Configured admin API key
+ * @returns {string} Key fingerprint
+ */
+function adminKeyFingerprint(adminKey) {
+  return crypto.createHash('sha256').update(`admin:${adminKey}`).digest('hex');
+}
+
+/**
+ * Admin guard middleware
+ * Sessions start anonymous; sending the admin API key once marks the session as admin,
+ * so later requests can authenticate with the session token alone. The session keeps the
+ * key's fingerprint, so rotating or removing the key revokes every admin session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = getConfig().security.adminApiKey;
+  if (!adminKey) {
+    return next(createError('forbidden', 'Admin access is not configured'));
+  }
+
+  const fingerprint = adminKeyFingerprint(adminKey);
+  if (req.session && req.session.role === 'admin' && req.session.adminKeyFingerprint &&
+    secretsMatch(req.session.adminKeyFingerprint, fingerprint)) {
+    return next();
+  }
+
+  const presented = req.get(ADMIN_KEY_HEADER);
+  if (!presented) {
+    return next(createError('unauthorized', 'Admin session required'));
+  }
+
+  if (!secretsMatch(presented, adminKey)) {
+    logger.warn('Invalid admin key presented', { sessionId: req.sessionId, clientIp: req.ip });
+    return next(createError('forbidden', 'Invalid admin key'));
+  }
+
+  if (req.updateSession) {
+    req.updateSession({ role: 'admin', adminKeyFingerprint: fingerprint });
+  }
+
+  next();
+}
+
 module.exports = {
   sessionManager,
+  requireAdmin,
+  authenticateSessionToken,
   encryptSessionData,
   decryptSessionData,
   createSessionData,
@@ -329,5 +410,6 @@ module.exports = {
   updateSessionAccess,
   SESSION_HEADER,
   SESSION_COOKIE,
-  SESSION_TIMEOUT
+  SESSION_TIMEOUT,
+  ADMIN_KEY_HEADER
 };
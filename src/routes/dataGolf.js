@@ -6,10 +6,43 @@
 
 const express = require('express');
 const DataGolfService = require('../services/dataGolfService');
+const ClosingLineValueService = require('../services/closingLineValueService');
+const BettingValueService = require('../services/bettingValueService');
+const ArbitrageService = require('../services/arbitrageService');
+const CacheWarmingService = require('../services/cacheWarmingService');
+const LiveFeedService = require('../services/liveFeedService');
+const WebhookService = require('../services/webhookService');
+const WatchlistService = require('../services/watchlistService');
+const { getConfig } = require('../config/environment');
 const logger = require('../utils/logger');
+const { isValidTimeZone } = require('../utils/time');
+const { requestContext, getCacheSummary, getCacheValidators } = require('../utils/requestContext');
+const { requireAdmin } = require('../middleware/sessionManager');
+const { VIG_METHODS, MARKET_WINNERS } = require('../utils/odds');
 
 const router = express.Router();
 const dataGolfService = new DataGolfService();
+const closingLineValueService = new ClosingLineValueService(dataGolfService);
+const bettingValueService = new BettingValueService(dataGolfService);
+const arbitrageService = new ArbitrageService(dataGolfService);
+const config = getConfig();
+const cacheWarmingService = new CacheWarmingService(dataGolfService, config.cacheWarming);
+const liveFeedService = new LiveFeedService(dataGolfService, config.liveFeeds);
+const webhookService = new WebhookService(dataGolfService, config.webhooks);
+const watchlistService = new WatchlistService(dataGolfService, config.watchlists);
+
+/**
+ * Split a comma-separated query value into a list
+ * @param {string} value - Comma-separated value
+ * @returns {Array<string>|undefined} List of values, or undefined when not provided
+ */
+function parseList(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
 
 /**
  * Input validation middleware
@@ -50,6 +83,10 @@ function validateInput(schema) {
           if (rules.enum && !rules.enum.includes(value)) {
             errors.push(`Parameter ${param} must be one of: ${rules.enum.join(', ')}`);
           }
+
+          if (rules.validate && !rules.validate(value)) {
+            errors.push(`Parameter ${param} has invalid value`);
+          }
         }
       }
     }
@@ -66,6 +103,29 @@ function validateInput(schema) {
   };
 }
 
+/**
+ * Check that a query value is a parseable timestamp
+ * @param {string} value - Query value
+ * @returns {boolean} Whether the value parses as a date
+ */
+function isTimestamp(value) {
+  return !isNaN(Date.parse(value));
+}
+
+/**
+ * Format a stream event as a Server-Sent Events frame
+ * Heartbeats are sent as comments so clients keep the connection without firing a handler
+ * @param {Object} event - { id, type, data }
+ * @returns {string} SSE frame
+ */
+function formatSseEvent(event) {
+  if (event.type === 'heartbeat') {
+    return `: heartbeat ${event.data.timestamp}\n\n`;
+  }
+
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
 /**
  * Response formatting middleware
  * @param {Object} req - Express request
@@ -87,13 +147,31 @@ function formatResponse(req, res, next) {
       }
     };
 
+    // Report how cached data was served, including the age of stale data
+    const cache = getCacheSummary();
+    if (cache) {
+      res.set('X-Cache-Status', cache.status);
+      response.meta.cache = cache;
+    }
+
+    // Validators from the cached payload let res.send answer matching conditional GETs with 304
+    // Query parameters select filtered, diffed or repriced views of it, so they are part of the ETag
+    const validators = res.statusCode === 200 ? getCacheValidators(req.query) : null;
+    if (validators) {
+      res.set('ETag', validators.etag);
+      if (validators.lastModified) {
+        res.set('Last-Modified', validators.lastModified);
+      }
+    }
+
     return originalJson.call(this, response);
   };
 
   next();
 }
 
-// Apply response formatting to all routes
+// Track per-request cache results, then apply response formatting to all routes
+router.use(requestContext);
 router.use(formatResponse);
 
 /**
@@ -242,16 +320,137 @@ router.get('/tournaments/:tournamentId/field',
   }
 );
 
+/**
+ * GET /tournaments/:tournamentId/tee-times
+ * Get tee times and pairings grouped by round, wave and starting hole
+ */
+router.get('/tournaments/:tournamentId/tee-times',
+  validateInput({
+    required: ['tournamentId'],
+    params: {
+      tournamentId: { type: 'string', pattern: /^[a-zA-Z0-9_-]+$/ },
+      tour: { type: 'string', enum: ['pga', 'euro', 'kft', 'opp', 'alt'] },
+      year: { type: 'number' },
+      timezone: { type: 'string', validate: isValidTimeZone }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+      const options = {
+        tour: req.query.tour,
+        year: req.query.year ? parseInt(req.query.year) : undefined,
+        timezone: req.query.timezone
+      };
+
+      Object.keys(options).forEach(key =>
+        options[key] === undefined && delete options[key]
+      );
+
+      const useCache = req.query.cache !== 'false';
+      const teeTimes = await dataGolfService.getTeeTimes(tournamentId, options, useCache);
+
+      logger.info('Tee times retrieved', {
+        tournamentId,
+        options,
+        count: teeTimes.players?.length || 0,
+        cached: useCache
+      });
+
+      res.json(teeTimes);
+    } catch (error) {
+      logger.error('Failed to get tee times', {
+        error: error.message,
+        tournamentId: req.params.tournamentId,
+        query: req.query
+      });
+
+      if (error.message.includes('Tournament ID is required')) {
+        res.status(400).json({
+          error: 'Invalid tournament ID',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to retrieve tee times',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /tournaments/:tournamentId/dfs-salaries
+ * Get DFS salaries and ownership projections flagged against the field
+ */
+router.get('/tournaments/:tournamentId/dfs-salaries',
+  validateInput({
+    required: ['tournamentId'],
+    params: {
+      tournamentId: { type: 'string', pattern: /^[a-zA-Z0-9_-]+$/ },
+      site: { type: 'string', enum: ['draftkings', 'fanduel', 'yahoo'] },
+      tour: { type: 'string', enum: ['pga', 'euro', 'kft', 'opp', 'alt'] },
+      year: { type: 'number' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+      const options = {
+        site: req.query.site || 'draftkings',
+        tour: req.query.tour,
+        year: req.query.year ? parseInt(req.query.year) : undefined
+      };
+
+      Object.keys(options).forEach(key =>
+        options[key] === undefined && delete options[key]
+      );
+
+      const useCache = req.query.cache !== 'false';
+      const salaries = await dataGolfService.getDfsSalaries(tournamentId, options, useCache);
+
+      logger.info('DFS salaries retrieved', {
+        tournamentId,
+        options,
+        count: salaries.salaries?.length || 0,
+        cached: useCache
+      });
+
+      res.json(salaries);
+    } catch (error) {
+      logger.error('Failed to get DFS salaries', {
+        error: error.message,
+        tournamentId: req.params.tournamentId,
+        query: req.query
+      });
+
+      if (error.message.includes('Tournament ID is required')) {
+        res.status(400).json({
+          error: 'Invalid tournament ID',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to retrieve DFS salaries',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
 /**
  * GET /tournaments/:tournamentId/scoring
- * Get live scoring data
+ * Get live scoring data, or with since= only the players whose position or score changed
  */
 router.get('/tournaments/:tournamentId/scoring',
   validateInput({
     required: ['tournamentId'],
     params: {
       tournamentId: { type: 'string', pattern: /^[a-zA-Z0-9_-]+$/ },
-      round: { type: 'number' }
+      round: { type: 'number' },
+      since: { type: 'string', validate: isTimestamp }
     }
   }),
   async (req, res) => {
@@ -267,6 +466,20 @@ router.get('/tournaments/:tournamentId/scoring',
       );
 
       const useCache = req.query.cache !== 'false';
+
+      if (req.query.since) {
+        const changes = await dataGolfService.getLiveScoringChanges(tournamentId, req.query.since, options, useCache);
+
+        logger.info('Live scoring changes retrieved', {
+          tournamentId,
+          since: req.query.since,
+          count: changes.changes.length,
+          complete: changes.complete
+        });
+
+        return res.json(changes);
+      }
+
       const scoring = await dataGolfService.getLiveScoring(tournamentId, options, useCache);
 
       logger.info('Live scoring retrieved', {
@@ -299,6 +512,133 @@ router.get('/tournaments/:tournamentId/scoring',
   }
 );
 
+/**
+ * GET /tournaments/:tournamentId/live-predictions
+ * Get live in-play win and finish position probabilities
+ */
+router.get('/tournaments/:tournamentId/live-predictions',
+  validateInput({
+    required: ['tournamentId'],
+    params: {
+      tournamentId: { type: 'string', pattern: /^[a-zA-Z0-9_-]+$/ },
+      tour: { type: 'string', enum: ['pga', 'euro', 'kft', 'opp', 'alt'] },
+      round: { type: 'number' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+      const options = {
+        tour: req.query.tour,
+        round: req.query.round ? parseInt(req.query.round) : undefined
+      };
+
+      Object.keys(options).forEach(key =>
+        options[key] === undefined && delete options[key]
+      );
+
+      const useCache = req.query.cache !== 'false';
+      const predictions = await dataGolfService.getLivePredictions(tournamentId, options, useCache);
+
+      logger.info('Live predictions retrieved', {
+        tournamentId,
+        options,
+        count: predictions.predictions?.length || 0,
+        roundState: predictions.event?.roundState,
+        cached: useCache
+      });
+
+      res.json(predictions);
+    } catch (error) {
+      logger.error('Failed to get live predictions', {
+        error: error.message,
+        tournamentId: req.params.tournamentId,
+        query: req.query
+      });
+
+      if (error.message.includes('Tournament ID is required')) {
+        res.status(400).json({
+          error: 'Invalid tournament ID',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to retrieve live predictions',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /tournaments/:tournamentId/historical-rounds
+ * Get archived round-level scoring and strokes-gained data for a completed event
+ */
+router.get('/tournaments/:tournamentId/historical-rounds',
+  validateInput({
+    required: ['tournamentId', 'year'],
+    params: {
+      tournamentId: { type: 'string', pattern: /^[a-zA-Z0-9_-]+$/ },
+      tour: { type: 'string', enum: ['pga', 'euro', 'kft', 'opp', 'alt'] },
+      year: { type: 'number' },
+      round: { type: 'number' },
+      playerId: { type: 'string', pattern: /^[a-zA-Z0-9_-]+$/ }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+      const options = {
+        tour: req.query.tour,
+        year: parseInt(req.query.year)
+      };
+
+      Object.keys(options).forEach(key =>
+        options[key] === undefined && delete options[key]
+      );
+
+      const useCache = req.query.cache !== 'false';
+      const history = await dataGolfService.getHistoricalRounds(tournamentId, options, useCache);
+
+      const round = req.query.round ? parseInt(req.query.round) : undefined;
+      const { playerId } = req.query;
+      const rounds = history.rounds.filter(row =>
+        (round === undefined || row.round === round) &&
+        (playerId === undefined || String(row.playerId) === playerId)
+      );
+
+      logger.info('Historical rounds retrieved', {
+        tournamentId,
+        options,
+        count: rounds.length,
+        source: history.metadata?.source,
+        cached: useCache
+      });
+
+      res.json({ ...history, rounds, metadata: { ...history.metadata, count: rounds.length } });
+    } catch (error) {
+      logger.error('Failed to get historical rounds', {
+        error: error.message,
+        tournamentId: req.params.tournamentId,
+        query: req.query
+      });
+
+      if (error.message.includes('is required')) {
+        res.status(400).json({
+          error: 'Invalid historical rounds request',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to retrieve historical rounds',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
 /**
  * GET /players/:playerId/stats
  * Get player statistics
@@ -355,15 +695,89 @@ router.get('/players/:playerId/stats',
   }
 );
 
+/**
+ * GET /tournaments/:tournamentId/scoring/stream
+ * Stream live scoring as Server-Sent Events: a snapshot on connect, then position and score deltas
+ * Reconnecting clients send Last-Event-ID to receive only the deltas they missed
+ */
+router.get('/tournaments/:tournamentId/scoring/stream',
+  validateInput({
+    required: ['tournamentId'],
+    params: {
+      tournamentId: { type: 'string', pattern: /^[a-zA-Z0-9_-]+$/ }
+    }
+  }),
+  async (req, res) => {
+    const { tournamentId } = req.params;
+    let unsubscribe = null;
+    let closed = false;
+
+    res.on('close', () => {
+      closed = true;
+      if (unsubscribe) {
+        unsubscribe();
+        logger.info('Live scoring stream closed', { tournamentId, sessionId: req.sessionId });
+      }
+    });
+
+    const send = (event) => {
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+      }
+
+      res.write(formatSseEvent(event));
+      // Push each event through the compression middleware instead of waiting for more output
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
+    };
+
+    try {
+      unsubscribe = await liveFeedService.subscribe(
+        'scoring',
+        { tournamentId },
+        send,
+        req.get('Last-Event-ID') || req.query.lastEventId
+      );
+
+      if (closed) {
+        unsubscribe();
+        return;
+      }
+
+      logger.info('Live scoring stream opened', { tournamentId, sessionId: req.sessionId });
+    } catch (error) {
+      logger.error('Failed to open live scoring stream', {
+        error: error.message,
+        tournamentId
+      });
+
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: 'Failed to open live scoring stream',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
 /**
  * GET /betting-odds
- * Get betting odds data
+ * Get betting odds data, or with since= only the prices that changed
  */
 router.get('/betting-odds',
   validateInput({
     params: {
       tournamentId: { type: 'string' },
-      bookmaker: { type: 'string' }
+      bookmaker: { type: 'string' },
+      vig_method: { type: 'string', enum: VIG_METHODS },
+      since: { type: 'string', validate: isTimestamp }
     }
   }),
   async (req, res) => {
@@ -371,7 +785,8 @@ router.get('/betting-odds',
       const options = {
         tournamentId: req.query.tournamentId,
         bookmaker: req.query.bookmaker,
-        market: req.query.market
+        market: req.query.market,
+        vigMethod: req.query.vig_method
       };
 
       Object.keys(options).forEach(key =>
@@ -379,6 +794,20 @@ router.get('/betting-odds',
       );
 
       const useCache = req.query.cache !== 'false';
+
+      if (req.query.since) {
+        const changes = await dataGolfService.getBettingOddsChanges(req.query.since, options, useCache);
+
+        logger.info('Betting odds changes retrieved', {
+          options,
+          since: req.query.since,
+          count: changes.changes.length,
+          complete: changes.complete
+        });
+
+        return res.json(changes);
+      }
+
       const odds = await dataGolfService.getBettingOdds(options, useCache);
 
       logger.info('Betting odds retrieved', {
@@ -398,6 +827,376 @@ router.get('/betting-odds',
   }
 );
 
+/**
+ * GET /betting-odds/matchups
+ * Get tournament matchup, round matchup and 3-ball odds
+ */
+router.get('/betting-odds/matchups',
+  validateInput({
+    params: {
+      tour: { type: 'string', enum: ['pga', 'euro', 'kft', 'opp', 'alt'] },
+      market_type: { type: 'string', enum: ['tournament_matchups', 'round_matchups', '3_balls'] },
+      odds_format: { type: 'string', enum: ['american', 'decimal', 'fraction'] },
+      vig_method: { type: 'string', enum: VIG_METHODS }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const options = {
+        tour: req.query.tour,
+        market_type: req.query.market_type || 'tournament_matchups',
+        odds_format: req.query.odds_format || 'decimal',
+        vigMethod: req.query.vig_method
+      };
+
+      Object.keys(options).forEach(key =>
+        options[key] === undefined && delete options[key]
+      );
+
+      const useCache = req.query.cache !== 'false';
+      const matchups = await dataGolfService.getMatchupOdds(options, useCache);
+
+      logger.info('Matchup odds retrieved', {
+        options,
+        count: matchups.markets?.length || 0,
+        cached: useCache
+      });
+
+      res.json(matchups);
+    } catch (error) {
+      logger.error('Failed to get matchup odds', { error: error.message, query: req.query });
+      res.status(500).json({
+        error: 'Failed to retrieve matchup odds',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /tournaments/:tournamentId/historical-odds
+ * Get archived opening and closing lines per sportsbook for a completed event
+ */
+router.get('/tournaments/:tournamentId/historical-odds',
+  validateInput({
+    required: ['tournamentId', 'year'],
+    params: {
+      tournamentId: { type: 'string', pattern: /^[a-zA-Z0-9_-]+$/ },
+      tour: { type: 'string', enum: ['pga', 'euro', 'kft', 'opp', 'alt'] },
+      year: { type: 'number' },
+      market: { type: 'string', enum: ['win', 'top_5', 'top_10', 'top_20', 'make_cut', 'mc'] },
+      sportsbook: { type: 'string', pattern: /^[a-z0-9_]+$/ }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+      const options = {
+        tour: req.query.tour,
+        year: parseInt(req.query.year),
+        market: req.query.market,
+        sportsbook: req.query.sportsbook
+      };
+
+      Object.keys(options).forEach(key =>
+        options[key] === undefined && delete options[key]
+      );
+
+      const useCache = req.query.cache !== 'false';
+      const odds = await dataGolfService.getHistoricalOdds(tournamentId, options, useCache);
+
+      logger.info('Historical odds retrieved', {
+        tournamentId,
+        options,
+        count: odds.lines?.length || 0,
+        source: odds.metadata?.source,
+        cached: useCache
+      });
+
+      res.json(odds);
+    } catch (error) {
+      logger.error('Failed to get historical odds', {
+        error: error.message,
+        tournamentId: req.params.tournamentId,
+        query: req.query
+      });
+
+      if (error.message.includes('is required')) {
+        res.status(400).json({
+          error: 'Invalid historical odds request',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to retrieve historical odds',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
+/**
+ * POST /betting/closing-line-value
+ * Grade submitted bets against the closing market
+ */
+router.post('/betting/closing-line-value',
+  validateInput({
+    required: ['bets']
+  }),
+  async (req, res) => {
+    try {
+      const report = await closingLineValueService.gradeBets(req.body.bets);
+
+      logger.info('Closing line value report generated', report.summary);
+
+      res.json(report);
+    } catch (error) {
+      logger.error('Failed to generate closing line value report', { error: error.message });
+
+      if (error.message.startsWith('Bets ')) {
+        res.status(400).json({
+          error: 'Invalid bets',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to generate closing line value report',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
+/**
+ * POST /betting/value
+ * Compare model probabilities against book prices for edge, EV and Kelly stakes
+ * Only the tour's current event has pre-tournament predictions; other tournaments are rejected
+ */
+router.post('/betting/value',
+  validateInput({
+    required: ['tournamentId', 'market'],
+    params: {
+      // JSON bodies may carry the ID as a number
+      tournamentId: {
+        validate: value => ['string', 'number'].includes(typeof value) && /^[a-zA-Z0-9_-]+$/.test(String(value))
+      },
+      market: { type: 'string', enum: Object.keys(BettingValueService.MARKET_PROBABILITY_KEYS) },
+      tour: { type: 'string', enum: ['pga', 'euro', 'kft', 'opp', 'alt'] },
+      model: { type: 'string', enum: ['baseline', 'baseline_history_fit'] },
+      kellyFraction: { type: 'number' },
+      bankroll: { type: 'number' },
+      minEdge: { type: 'number' },
+      sortBy: { type: 'string', enum: ['edge', 'ev'] }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { body } = req;
+      const bookmakers = typeof body.bookmakers === 'string'
+        ? body.bookmakers.split(',').map(book => book.trim()).filter(Boolean)
+        : body.bookmakers;
+
+      const request = {
+        tournamentId: String(body.tournamentId),
+        market: body.market,
+        tour: body.tour,
+        model: body.model,
+        kellyFraction: body.kellyFraction !== undefined ? Number(body.kellyFraction) : undefined,
+        bankroll: body.bankroll !== undefined ? Number(body.bankroll) : undefined,
+        minEdge: body.minEdge !== undefined ? Number(body.minEdge) : undefined,
+        bookmakers: Array.isArray(bookmakers) ? bookmakers : undefined,
+        sortBy: body.sortBy
+      };
+
+      Object.keys(request).forEach(key =>
+        request[key] === undefined && delete request[key]
+      );
+
+      const useCache = req.query.cache !== 'false';
+      const value = await bettingValueService.findValue(request, useCache);
+
+      logger.info('Betting value calculated', {
+        tournamentId: request.tournamentId,
+        market: request.market,
+        count: value.bets.length,
+        positiveEvCount: value.metadata.positiveEvCount
+      });
+
+      res.json(value);
+    } catch (error) {
+      logger.error('Failed to calculate betting value', { error: error.message, body: req.body });
+
+      if (error.message.includes('Kelly fraction') || error.message.includes('Unsupported market') ||
+        error.message.includes('Model predictions are for')) {
+        res.status(400).json({
+          error: 'Invalid betting value request',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to calculate betting value',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /betting/arbitrage
+ * Scan outright and matchup markets for sure-bet combinations across books
+ * middles=true also returns middles between round matchups and 3-balls costing at most max_middle_cost
+ */
+router.get('/betting/arbitrage',
+  validateInput({
+    params: {
+      tournament_id: { type: 'string', pattern: /^[a-zA-Z0-9_-]+$/ },
+      tour: { type: 'string', enum: ['pga', 'euro', 'kft', 'opp', 'alt'] },
+      markets: { type: 'string', validate: value => parseList(value).every(market => MARKET_WINNERS[market]) },
+      matchup_types: {
+        type: 'string',
+        validate: value => parseList(value).every(type => ArbitrageService.MATCHUP_TYPES.includes(type))
+      },
+      bookmakers: { type: 'string', pattern: /^[a-z0-9_]+(,[a-z0-9_]+)*$/ },
+      bankroll: { type: 'number' },
+      min_margin: { type: 'number' },
+      middles: { type: 'string', enum: ['true', 'false'] },
+      max_middle_cost: { type: 'number' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const request = {
+        tournamentId: req.query.tournament_id,
+        tour: req.query.tour,
+        markets: parseList(req.query.markets),
+        matchupTypes: parseList(req.query.matchup_types),
+        bookmakers: parseList(req.query.bookmakers),
+        bankroll: req.query.bankroll !== undefined ? Number(req.query.bankroll) : undefined,
+        minMargin: req.query.min_margin !== undefined ? Number(req.query.min_margin) : undefined,
+        middles: req.query.middles === 'true',
+        maxMiddleCost: req.query.max_middle_cost !== undefined ? Number(req.query.max_middle_cost) : undefined
+      };
+
+      Object.keys(request).forEach(key =>
+        request[key] === undefined && delete request[key]
+      );
+
+      const useCache = req.query.cache !== 'false';
+      const arbitrage = await arbitrageService.scan(request, useCache);
+
+      logger.info('Arbitrage scan completed', {
+        request,
+        count: arbitrage.opportunities.length,
+        middleCount: arbitrage.metadata.middleCount
+      });
+
+      res.json(arbitrage);
+    } catch (error) {
+      logger.error('Failed to scan for arbitrage', { error: error.message, query: req.query });
+
+      if (error.message.includes('Unsupported')) {
+        res.status(400).json({
+          error: 'Invalid arbitrage request',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to scan for arbitrage',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /betting/arbitrage/history
+ * Get opportunities recorded by the scheduled arbitrage scanner
+ */
+router.get('/betting/arbitrage/history',
+  validateInput({
+    params: {
+      since: { type: 'string', validate: value => !isNaN(Date.parse(value)) },
+      kind: { type: 'string', enum: ['outright', 'matchup'] },
+      market: { type: 'string', pattern: /^[a-z0-9_]+$/ },
+      limit: { type: 'number', validate: value => Number(value) >= 1 && Number(value) <= 1000 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const opportunities = await arbitrageService.getRecordedOpportunities({
+        since: req.query.since,
+        kind: req.query.kind,
+        market: req.query.market,
+        limit: req.query.limit !== undefined ? Number(req.query.limit) : undefined
+      });
+
+      res.json({
+        opportunities,
+        scanner: arbitrageService.getStatus(),
+        metadata: {
+          count: opportunities.length
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get arbitrage history', { error: error.message, query: req.query });
+      res.status(500).json({
+        error: 'Failed to retrieve arbitrage history',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /predictions/pre-tournament
+ * Get pre-tournament model predictions
+ */
+router.get('/predictions/pre-tournament',
+  validateInput({
+    params: {
+      tour: { type: 'string', enum: ['pga', 'euro', 'kft', 'opp', 'alt'] },
+      add_position: { type: 'string', pattern: /^\d+(,\d+)*$/ },
+      dead_heat: { type: 'string', enum: ['yes', 'no'] },
+      odds_format: { type: 'string', enum: ['percent', 'american', 'decimal', 'fraction'] }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const options = {
+        tour: req.query.tour || 'pga',
+        add_position: req.query.add_position,
+        dead_heat: req.query.dead_heat || 'yes',
+        odds_format: req.query.odds_format || 'percent'
+      };
+
+      Object.keys(options).forEach(key =>
+        options[key] === undefined && delete options[key]
+      );
+
+      const useCache = req.query.cache !== 'false';
+      const predictions = await dataGolfService.getPreTournamentPredictions(options, useCache);
+
+      logger.info('Pre-tournament predictions retrieved', {
+        options,
+        count: predictions.predictions?.length || 0,
+        cached: useCache
+      });
+
+      res.json(predictions);
+    } catch (error) {
+      logger.error('Failed to get pre-tournament predictions', { error: error.message, query: req.query });
+      res.status(500).json({
+        error: 'Failed to retrieve pre-tournament predictions',
+        message: error.message
+      });
+    }
+  }
+);
+
 /**
  * DELETE /cache/:dataType
  * Invalidate cache for specific data type
@@ -408,7 +1207,11 @@ router.delete('/cache/:dataType',
     params: {
       dataType: {
         type: 'string',
-        enum: ['tournaments', 'rankings', 'field', 'scoring', 'playerStats', 'bettingOdds', 'all']
+        enum: [
+          'tournaments', 'rankings', 'field', 'teeTimes', 'dfsSalaries', 'scoring',
+          'playerStats', 'bettingOdds', 'matchupOdds', 'preTournamentPredictions', 'livePredictions',
+          'all'
+        ]
       }
     }
   }),
@@ -417,7 +1220,8 @@ router.delete('/cache/:dataType',
       const { dataType } = req.params;
       const filters = {
         tournamentId: req.query.tournamentId,
-        playerId: req.query.playerId
+        playerId: req.query.playerId,
+        season: req.query.season
       };
 
       Object.keys(filters).forEach(key =>
@@ -493,4 +1297,528 @@ router.get('/metrics', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/warming
+ * Get cache warming scheduler state, warmed events and per-job last-run times
+ */
+router.get('/admin/warming', requireAdmin, (req, res) => {
+  try {
+    res.json(cacheWarmingService.getStatus());
+  } catch (error) {
+    logger.error('Failed to get cache warming status', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to retrieve cache warming status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/cache/keys
+ * List cached keys with the levels holding them, filtered by level, data type, tag or prefix
+ */
+router.get('/admin/cache/keys',
+  requireAdmin,
+  validateInput({
+    params: {
+      level: { type: 'string', enum: ['L1', 'L2', 'L3'] },
+      dataType: { type: 'string', validate: value => dataGolfService.cache.keyPatterns[value] !== undefined },
+      tag: { type: 'string', pattern: /^[A-Za-z]+:.+$/ },
+      prefix: { type: 'string' },
+      limit: { type: 'number', validate: value => Number(value) >= 1 && Number(value) <= 1000 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { total, keys } = await dataGolfService.cache.listKeys({
+        level: req.query.level,
+        dataType: req.query.dataType,
+        tag: req.query.tag,
+        prefix: req.query.prefix,
+        limit: req.query.limit !== undefined ? Number(req.query.limit) : undefined
+      });
+
+      res.json({
+        keys,
+        metadata: {
+          count: keys.length,
+          total
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to list cache keys', { error: error.message, query: req.query });
+      res.status(500).json({
+        error: 'Failed to list cache keys',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /admin/cache/entries/:key
+ * Inspect one entry: level, TTL remaining, hit count and size per level
+ */
+router.get('/admin/cache/entries/:key', requireAdmin, async (req, res) => {
+  try {
+    const entry = await dataGolfService.cache.inspect(req.params.key);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Cache entry not found',
+        key: req.params.key
+      });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    logger.error('Failed to inspect cache entry', { error: error.message, key: req.params.key });
+    res.status(500).json({
+      error: 'Failed to inspect cache entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/cache/entries/:key/pin
+ * Pin an entry so eviction never removes it
+ */
+router.put('/admin/cache/entries/:key/pin', requireAdmin, async (req, res) => {
+  try {
+    if (!await dataGolfService.cache.inspect(req.params.key)) {
+      return res.status(404).json({
+        error: 'Cache entry not found',
+        key: req.params.key
+      });
+    }
+
+    await dataGolfService.cache.pin(req.params.key);
+    logger.info('Cache entry pinned by admin', { key: req.params.key, sessionId: req.sessionId });
+
+    res.json(await dataGolfService.cache.inspect(req.params.key));
+  } catch (error) {
+    logger.error('Failed to pin cache entry', { error: error.message, key: req.params.key });
+    res.status(500).json({
+      error: 'Failed to pin cache entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/cache/entries/:key/pin
+ * Unpin an entry so it can be evicted again
+ */
+router.delete('/admin/cache/entries/:key/pin', requireAdmin, async (req, res) => {
+  try {
+    await dataGolfService.cache.unpin(req.params.key);
+    logger.info('Cache entry unpinned by admin', { key: req.params.key, sessionId: req.sessionId });
+
+    res.json({
+      key: req.params.key,
+      pinned: false
+    });
+  } catch (error) {
+    logger.error('Failed to unpin cache entry', { error: error.message, key: req.params.key });
+    res.status(500).json({
+      error: 'Failed to unpin cache entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/cache/entries/:key/refresh
+ * Fetch a key from upstream again, replacing its cached entry
+ */
+router.post('/admin/cache/entries/:key/refresh', requireAdmin, async (req, res) => {
+  try {
+    const entry = await dataGolfService.refreshCacheKey(req.params.key);
+    logger.info('Cache entry refreshed by admin', { key: req.params.key, sessionId: req.sessionId });
+
+    res.json(entry);
+  } catch (error) {
+    logger.error('Failed to refresh cache entry', { error: error.message, key: req.params.key });
+
+    if (error.message.includes('No refresh source')) {
+      res.status(404).json({
+        error: 'Cache key cannot be refreshed',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to refresh cache entry',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * GET /admin/cache/snapshot
+ * Export every live cache entry
+ */
+router.get('/admin/cache/snapshot', requireAdmin, async (req, res) => {
+  try {
+    const snapshot = await dataGolfService.cache.exportSnapshot();
+    logger.info('Cache snapshot exported', { entries: snapshot.entries.length, sessionId: req.sessionId });
+
+    res.json(snapshot);
+  } catch (error) {
+    logger.error('Failed to export cache snapshot', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to export cache snapshot',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/cache/snapshot
+ * Import a snapshot exported by GET /admin/cache/snapshot
+ */
+router.post('/admin/cache/snapshot', requireAdmin, async (req, res) => {
+  try {
+    const result = await dataGolfService.cache.importSnapshot(req.body);
+
+    res.json({
+      message: 'Cache snapshot imported',
+      ...result
+    });
+  } catch (error) {
+    logger.error('Failed to import cache snapshot', { error: error.message });
+
+    if (error.message.includes('are required')) {
+      res.status(400).json({
+        error: 'Invalid cache snapshot',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to import cache snapshot',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * GET /admin/endpoint-policies
+ * List per-endpoint cache TTL and upstream rate limit policies
+ */
+router.get('/admin/endpoint-policies', requireAdmin, async (req, res) => {
+  try {
+    const policies = await dataGolfService.endpointPolicy.listPolicies();
+
+    res.json({
+      policies,
+      status: dataGolfService.endpointPolicy.getStatus()
+    });
+  } catch (error) {
+    logger.error('Failed to list endpoint policies', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list endpoint policies',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /admin/endpoint-policies/:id
+ * Change an endpoint's cache TTL, rate limit or active flag; applies to new upstream fetches
+ */
+router.patch('/admin/endpoint-policies/:id',
+  requireAdmin,
+  validateInput({
+    params: {
+      id: { type: 'string', pattern: /^\d+$/ }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { cacheTtlSeconds, rateLimitPerMinute, isActive } = req.body || {};
+      const policy = await dataGolfService.endpointPolicy.updatePolicy(Number(req.params.id), {
+        cacheTtlSeconds,
+        rateLimitPerMinute,
+        isActive
+      });
+
+      logger.info('Endpoint policy changed by admin', { id: req.params.id, sessionId: req.sessionId });
+      res.json(policy);
+    } catch (error) {
+      logger.error('Failed to update endpoint policy', { error: error.message, id: req.params.id });
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          error: 'Endpoint policy not found',
+          message: error.message
+        });
+      } else if (error.message.includes('must be') || error.message.includes('No policy changes')) {
+        res.status(400).json({
+          error: 'Invalid endpoint policy',
+          message: error.message
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to update endpoint policy',
+          message: error.message
+        });
+      }
+    }
+  }
+);
+
+/**
+ * POST /admin/endpoint-policies/reload
+ * Reload policies from the api_endpoints table now instead of waiting for the next poll
+ */
+router.post('/admin/endpoint-policies/reload', requireAdmin, async (req, res) => {
+  try {
+    const changed = await dataGolfService.endpointPolicy.reload();
+
+    res.json({
+      changed,
+      status: dataGolfService.endpointPolicy.getStatus()
+    });
+  } catch (error) {
+    logger.error('Failed to reload endpoint policies', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to reload endpoint policies',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Respond with the status matching a webhook service error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the webhook service
+ * @param {string} failure - Message for unexpected failures
+ */
+function sendWebhookError(res, error, failure) {
+  if (error.message.includes('not found')) {
+    res.status(404).json({
+      error: 'Webhook not found',
+      message: error.message
+    });
+  } else if (error.message.includes('must be') || error.message.includes('Unsupported webhook event') ||
+      error.message.includes('No webhook changes')) {
+    res.status(400).json({
+      error: 'Invalid webhook',
+      message: error.message
+    });
+  } else {
+    res.status(500).json({
+      error: failure,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET /admin/webhooks
+ * List registered webhooks and the delivery queue state
+ */
+router.get('/admin/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const webhooks = await webhookService.listWebhooks();
+
+    res.json({
+      webhooks,
+      status: await webhookService.getStatus()
+    });
+  } catch (error) {
+    logger.error('Failed to list webhooks', { error: error.message });
+    sendWebhookError(res, error, 'Failed to list webhooks');
+  }
+});
+
+/**
+ * POST /admin/webhooks
+ * Register a webhook; the response is the only time its signing secret is returned
+ */
+router.post('/admin/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const { url, events, secret, tournamentId, oddsMoveThreshold, description } = req.body || {};
+    const webhook = await webhookService.createWebhook({
+      url,
+      events,
+      secret,
+      tournamentId,
+      oddsMoveThreshold,
+      description
+    });
+
+    logger.info('Webhook registered by admin', { id: webhook.id, sessionId: req.sessionId });
+    res.status(201).json(webhook);
+  } catch (error) {
+    logger.error('Failed to register webhook', { error: error.message });
+    sendWebhookError(res, error, 'Failed to register webhook');
+  }
+});
+
+/**
+ * PATCH /admin/webhooks/:id
+ * Change a webhook's URL, events, tournament filter, odds threshold, description or active flag
+ */
+router.patch('/admin/webhooks/:id',
+  requireAdmin,
+  validateInput({
+    params: {
+      id: { type: 'string', pattern: /^\d+$/ }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { url, events, tournamentId, oddsMoveThreshold, description, isActive } = req.body || {};
+      const webhook = await webhookService.updateWebhook(Number(req.params.id), {
+        url,
+        events,
+        tournamentId,
+        oddsMoveThreshold,
+        description,
+        isActive
+      });
+
+      logger.info('Webhook changed by admin', { id: req.params.id, sessionId: req.sessionId });
+      res.json(webhook);
+    } catch (error) {
+      logger.error('Failed to update webhook', { error: error.message, id: req.params.id });
+      sendWebhookError(res, error, 'Failed to update webhook');
+    }
+  }
+);
+
+/**
+ * DELETE /admin/webhooks/:id
+ * Remove a webhook together with its delivery log
+ */
+router.delete('/admin/webhooks/:id',
+  requireAdmin,
+  validateInput({
+    params: {
+      id: { type: 'string', pattern: /^\d+$/ }
+    }
+  }),
+  async (req, res) => {
+    try {
+      await webhookService.deleteWebhook(Number(req.params.id));
+
+      logger.info('Webhook deleted by admin', { id: req.params.id, sessionId: req.sessionId });
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to delete webhook', { error: error.message, id: req.params.id });
+      sendWebhookError(res, error, 'Failed to delete webhook');
+    }
+  }
+);
+
+/**
+ * GET /admin/webhooks/:id/deliveries
+ * Get a webhook's delivery log, newest first
+ */
+router.get('/admin/webhooks/:id/deliveries',
+  requireAdmin,
+  validateInput({
+    params: {
+      id: { type: 'string', pattern: /^\d+$/ },
+      status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+      limit: { type: 'number', validate: value => Number(value) >= 1 && Number(value) <= 500 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const deliveries = await webhookService.getDeliveries(Number(req.params.id), {
+        status: req.query.status,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+      });
+
+      res.json({ deliveries });
+    } catch (error) {
+      logger.error('Failed to get webhook deliveries', { error: error.message, id: req.params.id });
+      sendWebhookError(res, error, 'Failed to retrieve webhook deliveries');
+    }
+  }
+);
+
+/**
+ * POST /admin/webhooks/deliveries/:deliveryId/retry
+ * Send a pending or failed delivery again now, with a fresh set of attempts
+ */
+router.post('/admin/webhooks/deliveries/:deliveryId/retry',
+  requireAdmin,
+  validateInput({
+    params: {
+      deliveryId: { type: 'string', pattern: /^\d+$/ }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const delivery = await webhookService.retryDelivery(Number(req.params.deliveryId));
+
+      logger.info('Webhook delivery requeued by admin', { deliveryId: req.params.deliveryId, sessionId: req.sessionId });
+      res.json(delivery);
+    } catch (error) {
+      logger.error('Failed to retry webhook delivery', { error: error.message, deliveryId: req.params.deliveryId });
+      sendWebhookError(res, error, 'Failed to retry webhook delivery');
+    }
+  }
+);
+
+/**
+ * Start the background services enabled in the configuration
+ * Called from startServer, so requiring the routes starts no timers
+ */
+function startBackgroundServices() {
+  // Record arbitrage opportunities in the background when a scan interval is configured
+  const arbitrageConfig = config.arbitrage;
+  if (arbitrageConfig && arbitrageConfig.scanInterval > 0) {
+    arbitrageService.start({
+      interval: arbitrageConfig.scanInterval,
+      markets: arbitrageConfig.markets,
+      matchupTypes: arbitrageConfig.matchupTypes
+    });
+  }
+
+  // Keep upcoming and live tournament data warm in the cache
+  if (config.cacheWarming && config.cacheWarming.enabled) {
+    cacheWarmingService.start();
+  }
+
+  // Pick up api_endpoints edits made outside the admin routes
+  if (config.endpointPolicy && config.endpointPolicy.reloadInterval > 0) {
+    dataGolfService.endpointPolicy.start(config.endpointPolicy.reloadInterval);
+  }
+
+  // Detect tournament and odds events in upstream fetches and deliver them to registered webhooks
+  if (config.webhooks && config.webhooks.enabled) {
+    webhookService.start();
+  }
+
+  // Evaluate watchlist alert rules against live scoring and odds fetches
+  if (config.watchlists && config.watchlists.alertsEnabled) {
+    watchlistService.start();
+  }
+}
+
+/**
+ * Stop every background service and live feed poller, e.g. on shutdown
+ */
+function stopBackgroundServices() {
+  arbitrageService.stop();
+  cacheWarmingService.stop();
+  dataGolfService.endpointPolicy.stop();
+  webhookService.stop();
+  watchlistService.stop();
+  liveFeedService.stopAll();
+  dataGolfService.cache.close();
+}
+
+// Shared with the WebSocket gateway so SSE and socket subscribers use the same pollers
+router.liveFeedService = liveFeedService;
+// Shared with the watchlist routes so alert rules are evaluated by the service started here
+router.watchlistService = watchlistService;
+router.startBackgroundServices = startBackgroundServices;
+router.stopBackgroundServices = stopBackgroundServices;
+
 module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Preference Routes
+ * Reads and writes the current session's preferences in the user_preferences table
+ * Small unencrypted preferences are mirrored into the session token so they travel with it
+ */
+
+const express = require('express');
+const PreferenceService = require('../services/preferenceService');
+const { getConfig } = require('../config/environment');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+const preferenceConfig = getConfig().preferences;
+const preferenceService = new PreferenceService(preferenceConfig);
+
+/**
+ * Require a session, which the session manager attaches to every API request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireSession(req, res, next) {
+  if (!req.sessionId) {
+    return next(createError('unauthorized', 'Session required'));
+  }
+  next();
+}
+
+/**
+ * Apply a change to the preferences mirrored in the session
+ * The rotated session token carries the mirror, so it survives token rotation. The token also
+ * travels as a cookie, so encrypted values are never mirrored and a value is left out when it
+ * would take the mirror past mirrorMaxBytes; the database stays the source of truth
+ * @param {Object} req - Express request object
+ * @param {Object} preference - Saved preference, or { key } when it was deleted
+ */
+function mirrorPreference(req, preference) {
+  const preferences = { ...(req.session.preferences || {}) };
+  delete preferences[preference.key];
+
+  if (preference.value !== undefined && !preference.encrypted) {
+    const mirrored = { ...preferences, [preference.key]: preference.value };
+    if (Buffer.byteLength(JSON.stringify(mirrored)) <= preferenceConfig.mirrorMaxBytes) {
+      preferences[preference.key] = preference.value;
+    }
+  }
+
+  if (req.updateSession) {
+    req.updateSession({ preferences });
+  } else {
+    req.session.preferences = preferences;
+  }
+}
+
+router.use(requireSession);
+
+/**
+ * GET /
+ * List the session's preferences
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const preferences = await preferenceService.listPreferences(req.sessionId);
+
+  res.json({
+    preferences,
+    types: PreferenceService.PREFERENCE_TYPES
+  });
+}));
+
+/**
+ * GET /:key
+ * Get one preference, decrypting it if it is stored encrypted
+ */
+router.get('/:key', asyncHandler(async (req, res) => {
+  const preference = await preferenceService.getPreference(req.sessionId, req.params.key);
+  res.json(preference);
+}));
+
+/**
+ * PUT /:key
+ * Create or replace a preference: { value, type, encrypted }
+ * type is one of string, number, boolean or object; encrypted values are stored sealed
+ */
+router.put('/:key', asyncHandler(async (req, res) => {
+  const { value, type, encrypted } = req.body || {};
+  const { created, ...preference } = await preferenceService.setPreference(req.sessionId, req.params.key, {
+    value,
+    type,
+    encrypted
+  });
+
+  mirrorPreference(req, preference);
+
+  res.status(created ? 201 : 200).json(preference);
+}));
+
+/**
+ * DELETE /:key
+ * Delete a preference
+ */
+router.delete('/:key', asyncHandler(async (req, res) => {
+  await preferenceService.deletePreference(req.sessionId, req.params.key);
+
+  mirrorPreference(req, { key: req.params.key });
+
+  res.status(204).end();
+}));
+
+module.exports = router;
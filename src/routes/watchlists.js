@@ -0,0 +1,163 @@
+/**
+ * Watchlist Routes
+ * Manages the current session's watchlists of players, the alert rules on them and the
+ * alerts those rules raise
+ * Rules are evaluated in the background by the WatchlistService the Data Golf routes start
+ */
+
+const express = require('express');
+const WatchlistService = require('../services/watchlistService');
+const { watchlistService } = require('./dataGolf');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Require a session, which the session manager attaches to every API request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireSession(req, res, next) {
+  if (!req.sessionId) {
+    return next(createError('unauthorized', 'Session required'));
+  }
+  next();
+}
+
+/**
+ * Parse a numeric identifier from the path or query
+ * @param {string} value - Raw identifier
+ * @param {string} field - Parameter name, reported when it is invalid
+ * @returns {number} Identifier
+ * @throws {ValidationError} If the value is not a positive integer
+ */
+function parseId(value, field) {
+  if (!/^\d+$/.test(String(value))) {
+    throw createError('validation', `${field} must be a positive integer`, { field });
+  }
+  return Number(value);
+}
+
+router.use(requireSession);
+
+/**
+ * GET /
+ * List the session's watchlists with their alert rules
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const watchlists = await watchlistService.listWatchlists(req.sessionId);
+
+  res.json({
+    watchlists,
+    ruleTypes: Object.keys(WatchlistService.RULE_TYPES)
+  });
+}));
+
+/**
+ * POST /
+ * Create a watchlist of player IDs for the session: { name, playerIds }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { name, playerIds } = req.body || {};
+  const watchlist = await watchlistService.createWatchlist(req.sessionId, { name, playerIds });
+
+  res.status(201).json(watchlist);
+}));
+
+/**
+ * GET /alerts
+ * Get alerts raised by the session's watchlist rules, newest first
+ * Query: watchlistId, unread=true|false, limit (1-500)
+ */
+router.get('/alerts', asyncHandler(async (req, res) => {
+  const { watchlistId, unread, limit } = req.query;
+
+  if (unread !== undefined && !['true', 'false'].includes(unread)) {
+    throw createError('validation', 'unread must be true or false', { field: 'unread' });
+  }
+  if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= 500)) {
+    throw createError('validation', 'limit must be between 1 and 500', { field: 'limit' });
+  }
+
+  const alerts = await watchlistService.getAlerts(req.sessionId, {
+    watchlistId: watchlistId !== undefined ? parseId(watchlistId, 'watchlistId') : undefined,
+    unread: unread === 'true',
+    limit: limit !== undefined ? Number(limit) : undefined
+  });
+
+  res.json({ alerts });
+}));
+
+/**
+ * POST /alerts/:alertId/read
+ * Mark an alert as read
+ */
+router.post('/alerts/:alertId/read', asyncHandler(async (req, res) => {
+  const alert = await watchlistService.markAlertRead(req.sessionId, parseId(req.params.alertId, 'alertId'));
+  res.json(alert);
+}));
+
+/**
+ * GET /:watchlistId
+ * Get one of the session's watchlists with its alert rules
+ */
+router.get('/:watchlistId', asyncHandler(async (req, res) => {
+  const watchlist = await watchlistService.getWatchlist(req.sessionId, parseId(req.params.watchlistId, 'watchlistId'));
+  res.json(watchlist);
+}));
+
+/**
+ * PATCH /:watchlistId
+ * Rename a watchlist or replace its player IDs: { name, playerIds }
+ */
+router.patch('/:watchlistId', asyncHandler(async (req, res) => {
+  const { name, playerIds } = req.body || {};
+  const watchlist = await watchlistService.updateWatchlist(
+    req.sessionId,
+    parseId(req.params.watchlistId, 'watchlistId'),
+    { name, playerIds }
+  );
+
+  res.json(watchlist);
+}));
+
+/**
+ * DELETE /:watchlistId
+ * Delete a watchlist and its alert rules; alerts already raised are kept
+ */
+router.delete('/:watchlistId', asyncHandler(async (req, res) => {
+  await watchlistService.deleteWatchlist(req.sessionId, parseId(req.params.watchlistId, 'watchlistId'));
+  res.status(204).end();
+}));
+
+/**
+ * POST /:watchlistId/rules
+ * Add an alert rule, e.g. { type: 'position_within', threshold: 10 } or
+ * { type: 'odds_below', threshold: 20.0, market: 'win' }
+ */
+router.post('/:watchlistId/rules', asyncHandler(async (req, res) => {
+  const { type, threshold, market } = req.body || {};
+  const rule = await watchlistService.createRule(req.sessionId, parseId(req.params.watchlistId, 'watchlistId'), {
+    type,
+    threshold,
+    market
+  });
+
+  res.status(201).json(rule);
+}));
+
+/**
+ * DELETE /:watchlistId/rules/:ruleId
+ * Remove an alert rule from a watchlist
+ */
+router.delete('/:watchlistId/rules/:ruleId', asyncHandler(async (req, res) => {
+  await watchlistService.deleteRule(
+    req.sessionId,
+    parseId(req.params.watchlistId, 'watchlistId'),
+    parseId(req.params.ruleId, 'ruleId')
+  );
+  res.status(204).end();
+}));
+
+module.exports = router;
@@ -0,0 +1,580 @@
+/**
+ * Arbitrage Service
+ * Scans sportsbook prices for sure-bet combinations across books
+ * Covers outright win/top-N markets and matchup/3-ball markets, finds middles between
+ * round matchups and 3-balls, and records opportunities found by the scheduled scanner in SQLite
+ */
+
+const dbManager = require('../database/manager');
+const logger = require('../utils/logger');
+const { MARKET_WINNERS, getMarketTarget } = require('../utils/odds');
+
+const MATCHUP_TYPES = ['tournament_matchups', 'round_matchups', '3_balls'];
+
+// Field statuses of players who will not tee off
+const OUT_OF_FIELD = ['withdrawn', 'wd'];
+
+class ArbitrageService {
+  /**
+   * @param {Object} dataGolfService - DataGolfService instance used to load odds
+   * @param {Object} db - Database manager instance
+   */
+  constructor(dataGolfService, db = dbManager) {
+    this.dataGolfService = dataGolfService;
+    this.db = db;
+    this.timer = null;
+    this.lastScan = null;
+  }
+
+  /**
+   * Scan outright and matchup markets for arbitrage
+   * @param {Object} request - Scan request
+   * @param {string} [request.tournamentId] - Tournament identifier for outright odds
+   * @param {string} [request.tour] - Tour code
+   * @param {Array<string>} [request.markets] - Outright markets (win, top_5, top_10, top_20)
+   * @param {Array<string>} [request.matchupTypes] - Matchup markets (tournament_matchups, round_matchups, 3_balls)
+   * @param {Array<string>} [request.bookmakers] - Bookmakers to include
+   * @param {number} [request.bankroll] - Total stake to allocate across the legs of each opportunity
+   * @param {number} [request.minMargin] - Minimum guaranteed return on total stake
+   * @param {boolean} [request.middles] - Also look for middles between round matchups and 3-balls
+   * @param {number} [request.maxMiddleCost] - Largest guaranteed loss on total stake for a middle
+   * @param {boolean} useCache - Whether to use cached odds
+   * @returns {Promise<Object>} Opportunities sorted by margin, and middles when requested
+   */
+  async scan(request = {}, useCache = true) {
+    const {
+      tournamentId,
+      tour,
+      markets = ['win'],
+      matchupTypes = [],
+      bookmakers = null,
+      bankroll = null,
+      minMargin = 0,
+      middles = false,
+      maxMiddleCost = 0.05
+    } = request;
+
+    for (const market of markets) {
+      if (!MARKET_WINNERS[market]) {
+        throw new Error(`Unsupported market: ${market}`);
+      }
+    }
+    for (const type of matchupTypes) {
+      if (!MATCHUP_TYPES.includes(type)) {
+        throw new Error(`Unsupported matchup type: ${type}`);
+      }
+    }
+
+    const bookFilter = bookmakers && bookmakers.length > 0 ? new Set(bookmakers) : null;
+    const opportunities = [];
+
+    for (const market of markets) {
+      const query = { tournamentId, tour, market };
+      Object.keys(query).forEach(key => query[key] === undefined && delete query[key]);
+
+      const odds = await this.dataGolfService.getBettingOdds(query, useCache);
+      const fields = await this._loadFields(odds.odds || [], tournamentId, useCache);
+      opportunities.push(...this._findOutrightArbitrage(odds.odds || [], market, bookFilter, fields));
+    }
+
+    const matchupMarkets = {};
+    const loadMatchups = async (marketType) => {
+      if (!matchupMarkets[marketType]) {
+        const query = { tour, market_type: marketType };
+        Object.keys(query).forEach(key => query[key] === undefined && delete query[key]);
+
+        const matchups = await this.dataGolfService.getMatchupOdds(query, useCache);
+        matchupMarkets[marketType] = matchups.markets || [];
+      }
+      return matchupMarkets[marketType];
+    };
+
+    for (const marketType of matchupTypes) {
+      for (const market of await loadMatchups(marketType)) {
+        const opportunity = this._findMatchupArbitrage(market, bookFilter);
+        if (opportunity) {
+          opportunities.push(opportunity);
+        }
+      }
+    }
+
+    const withStakes = (opportunity) => ({
+      ...opportunity,
+      stakes: bankroll > 0 ? this._allocateStakes(opportunity, bankroll) : null
+    });
+
+    const results = opportunities
+      .filter(opportunity => opportunity.margin >= minMargin)
+      .map(withStakes)
+      .sort((a, b) => b.margin - a.margin);
+
+    const scan = {
+      opportunities: results,
+      metadata: {
+        count: results.length,
+        markets,
+        matchupTypes,
+        bankroll,
+        minMargin,
+        scannedAt: new Date().toISOString()
+      }
+    };
+
+    if (middles) {
+      const found = this._findMiddles(await loadMatchups('round_matchups'), await loadMatchups('3_balls'), bookFilter);
+      scan.middles = found
+        .filter(middle => middle.margin >= -maxMiddleCost)
+        .map(withStakes)
+        .sort((a, b) => b.margin - a.margin || b.windowMargin - a.windowMargin);
+      scan.metadata.middleCount = scan.middles.length;
+      scan.metadata.maxMiddleCost = maxMiddleCost;
+    }
+
+    return scan;
+  }
+
+  /**
+   * Load the field of every tournament the odds rows belong to
+   * @param {Array<Object>} rows - Odds rows from getBettingOdds
+   * @param {string} [tournamentId] - Tournament the odds were requested for
+   * @param {boolean} useCache - Whether to use the cached field
+   * @returns {Promise<Map>} Player IDs in the field keyed by tournament ID
+   * @private
+   */
+  async _loadFields(rows, tournamentId, useCache) {
+    const eventIds = new Set(rows.map(row => row.tournamentId || tournamentId).filter(Boolean));
+    const fields = new Map();
+
+    for (const eventId of eventIds) {
+      const { field = [] } = await this.dataGolfService.getTournamentField(eventId, {}, useCache);
+      fields.set(eventId, new Set(field
+        .filter(player => !OUT_OF_FIELD.includes(String(player.status).toLowerCase()))
+        .map(player => String(player.playerId))));
+    }
+
+    return fields;
+  }
+
+  /**
+   * Find arbitrage in outright markets by backing every player at their best price
+   * With N places paid, staking each leg for an equal return pays N legs whatever the result.
+   * Dead-heat rules split a tied leg's stake at full odds, so the total return stays N legs.
+   * The field comes from the tournament field rather than the priced players, since a player
+   * no book prices can still finish in the paid places
+   * @param {Array<Object>} rows - Odds rows from getBettingOdds
+   * @param {string} market - Outright market
+   * @param {Set<string>|null} bookFilter - Bookmakers to include
+   * @param {Map} fields - Player IDs in the field keyed by tournament ID, from _loadFields
+   * @returns {Array<Object>} One opportunity per tournament market that is a sure bet
+   * @private
+   */
+  _findOutrightArbitrage(rows, market, bookFilter, fields) {
+    const places = getMarketTarget(market);
+    const events = new Map(Array.from(fields.keys(), eventId => [eventId, new Map()]));
+
+    for (const row of rows) {
+      const eventId = row.tournamentId || (fields.size === 1 ? fields.keys().next().value : null);
+      const playerKey = String(row.playerId);
+
+      // Without the tournament field an unpriced player could win, so nothing is a sure bet;
+      // players outside the field, such as withdrawals, need no leg
+      if (!fields.has(eventId) || !fields.get(eventId).has(playerKey)) continue;
+      if (bookFilter && !bookFilter.has(row.bookmaker)) continue;
+      if (!(row.odds?.decimal > 1)) continue;
+
+      const best = events.get(eventId);
+
+      if (!best.has(playerKey) || row.odds.decimal > best.get(playerKey).odds) {
+        best.set(playerKey, {
+          playerId: row.playerId,
+          playerName: row.playerName,
+          bookmaker: row.bookmaker,
+          odds: row.odds.decimal
+        });
+      }
+    }
+
+    const opportunities = [];
+    for (const [eventId, best] of events) {
+      // Every player in the field must be backed, and there must be more of them than paid places
+      if (best.size < fields.get(eventId).size || best.size <= places) continue;
+
+      const legs = Array.from(best.values());
+      const opportunity = this._buildOpportunity({
+        kind: 'outright',
+        tournamentId: eventId,
+        market,
+        marketId: [market, eventId].filter(Boolean).join(':'),
+        places,
+        tieRule: places > 1 ? 'dead_heat' : null,
+        legs
+      });
+
+      if (opportunity) {
+        opportunities.push(opportunity);
+      }
+    }
+
+    return opportunities;
+  }
+
+  /**
+   * Find arbitrage in a matchup or 3-ball market by backing every participant at their best price
+   * @param {Object} market - Market from getMatchupOdds
+   * @param {Set<string>|null} bookFilter - Bookmakers to include
+   * @returns {Object|null} Opportunity or null if the market is not a sure bet
+   * @private
+   */
+  _findMatchupArbitrage(market, bookFilter) {
+    const best = this._bestMatchupPrices(market, bookFilter);
+
+    // Every participant must be covered or one result loses the whole stake
+    if (best.size !== market.participants.length || best.size < 2) {
+      return null;
+    }
+
+    const legs = Array.from(best.values());
+
+    return this._buildOpportunity({
+      kind: 'matchup',
+      tournamentId: null,
+      market: market.marketType,
+      marketId: market.marketId,
+      places: 1,
+      tieRule: market.tieRule || null,
+      legs
+    });
+  }
+
+  /**
+   * Find the best price per participant in a matchup or 3-ball market
+   * @param {Object} market - Market from getMatchupOdds
+   * @param {Set<string>|null} bookFilter - Bookmakers to include
+   * @returns {Map} Best-price legs keyed by player ID
+   * @private
+   */
+  _bestMatchupPrices(market, bookFilter) {
+    const names = new Map(market.participants.map(participant => [String(participant.playerId), participant.playerName]));
+    const best = new Map();
+
+    for (const book of market.books || []) {
+      if (bookFilter && !bookFilter.has(book.bookmaker)) continue;
+
+      for (const price of book.prices) {
+        const playerKey = String(price.playerId);
+        if (!(price.odds?.decimal > 1)) continue;
+        if (!best.has(playerKey) || price.odds.decimal > best.get(playerKey).odds) {
+          best.set(playerKey, {
+            playerId: price.playerId,
+            playerName: names.get(playerKey),
+            bookmaker: book.bookmaker,
+            odds: price.odds.decimal
+          });
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Find middles between round matchups and the 3-balls that group both matchup players
+   * Backing A over B in the matchup and both B and C in the 3-ball covers every result: if B
+   * finishes ahead of A, the 3-ball winner is B or C. When A beats B and C wins the 3-ball, the
+   * matchup and C legs both pay, so that result is the middle window. Staked for equal returns,
+   * every other result pays one leg; ties settle under each book's rules instead
+   * @param {Array<Object>} matchups - Round matchup markets from getMatchupOdds
+   * @param {Array<Object>} threeBalls - 3-ball markets from getMatchupOdds
+   * @param {Set<string>|null} bookFilter - Bookmakers to include
+   * @returns {Array<Object>} Middles, priced whatever their cost
+   * @private
+   */
+  _findMiddles(matchups, threeBalls, bookFilter) {
+    const middles = [];
+
+    for (const matchup of matchups) {
+      if (matchup.participants.length !== 2) continue;
+
+      const matchupPrices = this._bestMatchupPrices(matchup, bookFilter);
+      const playerKeys = matchup.participants.map(participant => String(participant.playerId));
+
+      for (const threeBall of threeBalls) {
+        const groupKeys = threeBall.participants.map(participant => String(participant.playerId));
+        if (threeBall.round !== matchup.round || groupKeys.length !== 3) continue;
+        if (!playerKeys.every(playerKey => groupKeys.includes(playerKey))) continue;
+
+        const threeBallPrices = this._bestMatchupPrices(threeBall, bookFilter);
+        const thirdKey = groupKeys.find(playerKey => !playerKeys.includes(playerKey));
+
+        for (const [backedKey, opponentKey] of [playerKeys, [...playerKeys].reverse()]) {
+          const legs = [
+            { ...matchupPrices.get(backedKey), market: matchup.marketType, marketId: matchup.marketId },
+            { ...threeBallPrices.get(opponentKey), market: threeBall.marketType, marketId: threeBall.marketId },
+            { ...threeBallPrices.get(thirdKey), market: threeBall.marketType, marketId: threeBall.marketId }
+          ];
+          if (legs.some(leg => leg.odds === undefined)) continue;
+
+          middles.push(this._buildMiddle({
+            kind: 'middle',
+            tournamentId: null,
+            market: 'round_matchups+3_balls',
+            marketId: `middle:r${matchup.round}:${backedKey}>${opponentKey}:${thirdKey}`,
+            round: matchup.round,
+            places: 1,
+            tieRule: threeBall.tieRule || matchup.tieRule || null,
+            window: {
+              beats: { playerId: legs[0].playerId, opponentId: legs[1].playerId },
+              winner: legs[2].playerId,
+              description: `${legs[0].playerName || legs[0].playerId} beats ${legs[1].playerName || legs[1].playerId}` +
+                ` and ${legs[2].playerName || legs[2].playerId} wins the 3-ball`
+            },
+            legs
+          }));
+        }
+      }
+    }
+
+    return middles;
+  }
+
+  /**
+   * Price a middle from its legs: one leg pays outside the window and two inside it
+   * @param {Object} candidate - Middle descriptor with legs
+   * @returns {Object} Middle with its guaranteed and window margins
+   * @private
+   */
+  _buildMiddle(candidate) {
+    const { legs } = candidate;
+    const bookSum = legs.reduce((sum, leg) => sum + 1 / leg.odds, 0);
+    const round = (value, digits = 6) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+    return {
+      ...candidate,
+      legs: legs.map(leg => ({ ...leg, stakeShare: round(1 / leg.odds / bookSum) })),
+      books: Array.from(new Set(legs.map(leg => leg.bookmaker))).sort(),
+      bookSum: round(bookSum),
+      margin: round(1 / bookSum - 1),
+      windowMargin: round(2 / bookSum - 1)
+    };
+  }
+
+  /**
+   * Build an opportunity from best-price legs when the combined book is under the places paid
+   * @param {Object} candidate - Market descriptor with legs
+   * @returns {Object|null} Opportunity or null if there is no arbitrage
+   * @private
+   */
+  _buildOpportunity(candidate) {
+    const { legs, places } = candidate;
+    const bookSum = legs.reduce((sum, leg) => sum + 1 / leg.odds, 0);
+    if (bookSum >= places) {
+      return null;
+    }
+
+    const round = (value, digits = 4) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+    return {
+      ...candidate,
+      legs: legs.map(leg => ({ ...leg, stakeShare: round(1 / leg.odds / bookSum, 6) })),
+      books: Array.from(new Set(legs.map(leg => leg.bookmaker))).sort(),
+      bookSum: round(bookSum, 6),
+      margin: round(places / bookSum - 1, 6)
+    };
+  }
+
+  /**
+   * Split a bankroll across an opportunity's legs so every paying leg returns the same amount
+   * @param {Object} opportunity - Arbitrage opportunity or middle
+   * @param {number} bankroll - Total stake
+   * @returns {Object} Per-leg stakes with the guaranteed return and profit, and for a middle
+   *   the return and profit when its window hits
+   * @private
+   */
+  _allocateStakes(opportunity, bankroll) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const payoutPerLeg = bankroll / opportunity.bookSum;
+
+    const stakes = {
+      total: round(bankroll),
+      legs: opportunity.legs.map(leg => ({
+        playerId: leg.playerId,
+        bookmaker: leg.bookmaker,
+        stake: round(payoutPerLeg / leg.odds)
+      })),
+      guaranteedReturn: round(payoutPerLeg * opportunity.places),
+      profit: round(payoutPerLeg * opportunity.places - bankroll)
+    };
+
+    if (opportunity.window) {
+      stakes.windowReturn = round(payoutPerLeg * 2);
+      stakes.windowProfit = round(payoutPerLeg * 2 - bankroll);
+    }
+
+    return stakes;
+  }
+
+  /**
+   * Record opportunities, refreshing the last-seen time of ones seen before
+   * @param {Array<Object>} opportunities - Opportunities from scan()
+   * @returns {Promise<number>} Number of recorded opportunities
+   */
+  async recordOpportunities(opportunities) {
+    await this.db.initialize();
+
+    await this.db.transaction(async (db) => {
+      for (const opportunity of opportunities) {
+        await db.execute(
+          `INSERT INTO arbitrage_opportunities (
+            signature, kind, tournament_id, market, market_id, book_sum, margin, legs
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(signature) DO UPDATE SET
+            book_sum = excluded.book_sum,
+            margin = excluded.margin,
+            legs = excluded.legs,
+            times_seen = times_seen + 1,
+            last_seen_at = CURRENT_TIMESTAMP`,
+          [
+            this._signature(opportunity), opportunity.kind, opportunity.tournamentId, opportunity.market,
+            opportunity.marketId, opportunity.bookSum, opportunity.margin, JSON.stringify(opportunity.legs)
+          ]
+        );
+      }
+    });
+
+    return opportunities.length;
+  }
+
+  /**
+   * Get recorded opportunities, most recently seen first
+   * @param {Object} filters - { since, kind, market, limit }
+   * @returns {Promise<Array<Object>>} Recorded opportunities
+   */
+  async getRecordedOpportunities(filters = {}) {
+    await this.db.initialize();
+
+    const { since, kind, market, limit = 100 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (since) {
+      conditions.push('last_seen_at >= ?');
+      params.push(new Date(since).toISOString().replace('T', ' ').slice(0, 19));
+    }
+    if (kind) {
+      conditions.push('kind = ?');
+      params.push(kind);
+    }
+    if (market) {
+      conditions.push('market = ?');
+      params.push(market);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.db.query(
+      `SELECT * FROM arbitrage_opportunities ${where} ORDER BY last_seen_at DESC, id DESC LIMIT ?`,
+      [...params, limit]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      kind: row.kind,
+      tournamentId: row.tournament_id,
+      market: row.market,
+      marketId: row.market_id,
+      bookSum: row.book_sum,
+      margin: row.margin,
+      legs: JSON.parse(row.legs),
+      timesSeen: row.times_seen,
+      firstSeenAt: row.first_seen_at,
+      lastSeenAt: row.last_seen_at
+    }));
+  }
+
+  /**
+   * Run one scheduled scan and record what it finds
+   * @param {Object} options - Scan request
+   * @returns {Promise<Object>} Scan summary
+   */
+  async runScheduledScan(options = {}) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.scan(options);
+      await this.recordOpportunities(result.opportunities);
+
+      this.lastScan = {
+        scannedAt: result.metadata.scannedAt,
+        found: result.opportunities.length,
+        duration: Date.now() - startedAt,
+        error: null
+      };
+
+      if (result.opportunities.length > 0) {
+        logger.info('Arbitrage opportunities recorded', { count: result.opportunities.length });
+      }
+    } catch (error) {
+      this.lastScan = {
+        scannedAt: new Date().toISOString(),
+        found: 0,
+        duration: Date.now() - startedAt,
+        error: error.message
+      };
+      logger.error('Scheduled arbitrage scan failed', { error: error.message });
+    }
+
+    return this.lastScan;
+  }
+
+  /**
+   * Start scanning on an interval
+   * @param {Object} options - { interval (seconds), ...scan request }
+   */
+  start(options = {}) {
+    const { interval = 300, ...scanOptions } = options;
+    this.stop();
+
+    this.timer = setInterval(() => this.runScheduledScan(scanOptions), interval * 1000);
+    this.timer.unref();
+
+    logger.info('Scheduled arbitrage scanning started', { interval, ...scanOptions });
+  }
+
+  /**
+   * Stop scheduled scanning
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} Whether scanning is scheduled and the last scan summary
+   */
+  getStatus() {
+    return {
+      scheduled: this.timer !== null,
+      lastScan: this.lastScan
+    };
+  }
+
+  /**
+   * Build a stable identifier for an opportunity from its market and leg books
+   * @param {Object} opportunity - Arbitrage opportunity
+   * @returns {string} Signature
+   * @private
+   */
+  _signature(opportunity) {
+    const legs = opportunity.legs
+      .map(leg => `${leg.playerId}@${leg.bookmaker}`)
+      .sort()
+      .join(',');
+    return `${opportunity.kind}|${opportunity.marketId}|${legs}`;
+  }
+}
+
+ArbitrageService.MATCHUP_TYPES = MATCHUP_TYPES;
+
+module.exports = ArbitrageService;
@@ -0,0 +1,186 @@
+/**
+ * Betting Value Service
+ * Joins Data Golf model probabilities with sportsbook prices
+ * Computes edge, expected value and fractional-Kelly stake sizes per book
+ */
+
+const { impliedProbability } = require('../utils/odds');
+
+// Pre-tournament prediction probability key for each betting market
+const MARKET_PROBABILITY_KEYS = {
+  win: 'win',
+  top_5: 'top5',
+  top_10: 'top10',
+  top_20: 'top20',
+  make_cut: 'makeCut'
+};
+
+class BettingValueService {
+  /**
+   * @param {Object} dataGolfService - DataGolfService instance used to load predictions and odds
+   */
+  constructor(dataGolfService) {
+    this.dataGolfService = dataGolfService;
+  }
+
+  /**
+   * Find value bets for a tournament market
+   * @param {Object} request - Value request
+   * @param {string} request.tournamentId - Tournament identifier
+   * @param {string} request.market - Market (win, top_5, top_10, top_20, make_cut)
+   * @param {string} [request.tour] - Tour code for model predictions
+   * @param {string} [request.model] - Prediction model (baseline, baseline_history_fit)
+   * @param {number} [request.kellyFraction] - Fraction of full Kelly to stake
+   * @param {number} [request.bankroll] - Bankroll used to size stakes
+   * @param {number} [request.minEdge] - Minimum probability edge to include
+   * @param {Array<string>} [request.bookmakers] - Bookmakers to include
+   * @param {string} [request.sortBy] - 'edge' or 'ev'
+   * @param {boolean} useCache - Whether to use cached predictions and odds
+   * @returns {Promise<Object>} Value bets with request metadata
+   */
+  async findValue(request, useCache = true) {
+    const {
+      tournamentId,
+      market,
+      tour = 'pga',
+      model = 'baseline',
+      kellyFraction = 0.25,
+      bankroll = null,
+      minEdge = null,
+      bookmakers = null,
+      sortBy = 'edge'
+    } = request;
+
+    const probabilityKey = MARKET_PROBABILITY_KEYS[market];
+    if (!probabilityKey) {
+      throw new Error(`Unsupported market: ${market}`);
+    }
+    if (!(kellyFraction > 0 && kellyFraction <= 1)) {
+      throw new Error('Kelly fraction must be between 0 and 1');
+    }
+
+    const [predictions, odds] = await Promise.all([
+      this.dataGolfService.getPreTournamentPredictions(
+        { tour, dead_heat: 'yes', odds_format: 'percent' },
+        useCache
+      ),
+      this.dataGolfService.getBettingOdds({ tournamentId, market }, useCache)
+    ]);
+
+    // Pre-tournament predictions only cover the tour's current event
+    const predictionEventId = await this._resolvePredictionEvent(predictions.event, useCache);
+    if (predictionEventId !== String(tournamentId)) {
+      const eventName = (predictions.event && predictions.event.name) || 'the current event';
+      throw new Error(`Model predictions are for ${eventName}, not tournament ${tournamentId}`);
+    }
+
+    const probabilities = new Map(
+      predictions.predictions
+        .filter(prediction => prediction.model === model && prediction.probabilities[probabilityKey] !== null)
+        .map(prediction => [String(prediction.playerId), prediction.probabilities[probabilityKey]])
+    );
+
+    const bookFilter = bookmakers && bookmakers.length > 0 ? new Set(bookmakers) : null;
+
+    const bets = [];
+    for (const row of odds.odds) {
+      const probability = probabilities.get(String(row.playerId));
+      const price = row.odds.decimal;
+      if (probability === undefined || !(price > 1)) continue;
+      if (bookFilter && !bookFilter.has(row.bookmaker)) continue;
+
+      const bet = this._evaluate(probability, price, kellyFraction, bankroll);
+      if (minEdge !== null && bet.edge < minEdge) continue;
+
+      bets.push({
+        playerId: row.playerId,
+        playerName: row.playerName,
+        bookmaker: row.bookmaker,
+        odds: row.odds,
+        fairOdds: row.fair ? row.fair.decimal : null,
+        ...bet
+      });
+    }
+
+    const sortKey = sortBy === 'ev' ? 'evPerUnit' : 'edge';
+    bets.sort((a, b) => b[sortKey] - a[sortKey]);
+
+    return {
+      tournamentId,
+      market,
+      model,
+      event: predictions.event || null,
+      bets,
+      metadata: {
+        count: bets.length,
+        positiveEvCount: bets.filter(bet => bet.evPerUnit > 0).length,
+        kellyFraction,
+        bankroll,
+        minEdge,
+        sortBy: sortKey === 'evPerUnit' ? 'ev' : 'edge',
+        calculatedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Work out which tournament the pre-tournament predictions belong to
+   * Uses the event ID when the payload carries one, otherwise matches the event name
+   * against the tournament schedule
+   * @param {Object|null} event - Predictions event descriptor
+   * @param {boolean} useCache - Whether to use the cached schedule
+   * @returns {Promise<string|null>} Tournament identifier or null when it cannot be determined
+   * @private
+   */
+  async _resolvePredictionEvent(event, useCache) {
+    if (!event) {
+      return null;
+    }
+    if (event.tournamentId) {
+      return String(event.tournamentId);
+    }
+    if (!event.name) {
+      return null;
+    }
+
+    const schedule = await this.dataGolfService.getTournaments({}, useCache);
+    const name = event.name.trim().toLowerCase();
+    const tournament = (schedule.tournaments || []).find(entry =>
+      typeof entry.name === 'string' && entry.name.trim().toLowerCase() === name
+    );
+
+    return tournament ? String(tournament.id) : null;
+  }
+
+  /**
+   * Evaluate a single price against a model probability
+   * @param {number} probability - Model probability of the outcome
+   * @param {number} price - Decimal odds offered
+   * @param {number} kellyFraction - Fraction of full Kelly to stake
+   * @param {number|null} bankroll - Bankroll used to size the stake
+   * @returns {Object} Edge, expected value and stake sizing
+   * @private
+   */
+  _evaluate(probability, price, kellyFraction, bankroll) {
+    const round = (value, places = 4) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+    const evPerUnit = probability * price - 1;
+    const fullKelly = Math.max(evPerUnit / (price - 1), 0);
+    const stakeFraction = fullKelly * kellyFraction;
+
+    return {
+      modelProbability: probability,
+      impliedProbability: impliedProbability(price),
+      edge: round(probability - 1 / price),
+      evPerUnit: round(evPerUnit),
+      kelly: {
+        full: round(fullKelly),
+        fraction: round(stakeFraction),
+        stake: bankroll > 0 ? round(bankroll * stakeFraction, 2) : null
+      }
+    };
+  }
+}
+
+BettingValueService.MARKET_PROBABILITY_KEYS = MARKET_PROBABILITY_KEYS;
+
+module.exports = BettingValueService;
@@ -4,13 +4,26 @@
  * Provides cache invalidation, TTL management, and performance monitoring
  */
 
+const crypto = require('crypto');
+const zlib = require('zlib');
 const { getConfig } = require('../config/environment');
+const dbManager = require('../database/manager');
 const logger = require('../utils/logger');
 
+// Compression algorithms for large L2/L3 entries, keyed by the encoding stored with the entry
+const COMPRESSORS = {
+  gzip: { compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+  brotli: { compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync }
+};
+
 class CacheService {
-  constructor() {
+  /**
+   * @param {Object} db - Database manager instance backing the L3 cache
+   */
+  constructor(db = dbManager) {
     this.config = getConfig();
     this.cacheConfig = this.config.cache;
+    this.db = db;
 
     // L1 Cache - In-memory LRU cache
     this.l1Cache = new Map();
@@ -21,13 +34,38 @@ class CacheService {
     this.l2Cache = new Map();
     this.l2Stats = { hits: 0, misses: 0, evictions: 0 };
 
-    // L3 Cache - Persistent storage simulation
-    this.l3Cache = new Map();
-    this.l3Stats = { hits: 0, misses: 0, evictions: 0 };
+    // L3 Cache - Persistent storage in the cache_entries table
+    this.l3Size = 0;
+    this.l3Stats = { hits: 0, misses: 0, evictions: 0, integrityFailures: 0 };
+
+    // Byte usage per level, bounded by each level's maxBytes
+    this.l1Bytes = 0;
+    this.l2Bytes = 0;
+    this.l3Bytes = 0;
+
+    // Combined byte limit for all levels from the cache_max_size_mb system setting, loaded on first write
+    this.maxTotalBytes = null;
+    this.sizeLimitPromise = null;
+
+    // Keys that eviction skips on every level
+    this.pinned = new Set();
 
     // TTL tracking
     this.ttlTimers = new Map();
 
+    // Tag index for the in-memory levels: tag -> keys, and key -> tags
+    this.tagIndex = new Map();
+    this.keyTags = new Map();
+
+    // Key parameters that become invalidation tags, mapped to the tag name
+    this.tagParams = {
+      tournamentId: 'tournamentId',
+      event_id: 'tournamentId',
+      playerId: 'playerId',
+      season: 'season',
+      year: 'season'
+    };
+
     // Cache key patterns for different data types
     this.keyPatterns = {
       tournament: 'tournament:',
@@ -35,7 +73,15 @@ class CacheService {
       field: 'field:',
       scoring: 'scoring:',
       playerStats: 'player-stats:',
-      bettingOdds: 'betting-odds:'
+      bettingOdds: 'betting-odds:',
+      matchupOdds: 'matchup-odds:',
+      preTournamentPredictions: 'pre-tournament-preds:',
+      livePredictions: 'live-preds:',
+      teeTimes: 'tee-times:',
+      dfsSalaries: 'dfs-salaries:',
+      historicalScoring: 'historical-scoring:',
+      historicalStrokesGained: 'historical-sg:',
+      historicalOdds: 'historical-odds:'
     };
 
     this._initializeCleanupInterval();
@@ -46,10 +92,26 @@ class CacheService {
    * @private
    */
   _initializeCleanupInterval() {
-    // Clean up expired entries every 5 minutes
-    setInterval(() => {
+    // Clean up expired entries every 5 minutes, without keeping the process alive
+    this.cleanupTimer = setInterval(() => {
       this._cleanupExpiredEntries();
     }, 5 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Stop the cleanup interval and the L1 expiry timers
+   */
+  close() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+
+    for (const timer of this.ttlTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.ttlTimers.clear();
   }
 
   /**
@@ -68,55 +130,132 @@ class CacheService {
     return paramString ? `${baseKey}${paramString}` : baseKey.slice(0, -1);
   }
 
+  /**
+   * Get the data type a cache key was generated for
+   * @param {string} key - Cache key
+   * @returns {string|null} Key pattern name (e.g. 'bettingOdds') or null if unknown
+   */
+  getKeyType(key) {
+    for (const [type, prefix] of Object.entries(this.keyPatterns)) {
+      if (key.startsWith(prefix) || key === prefix.slice(0, -1)) {
+        return type;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the invalidation tags for a cache key
+   * Keys built by generateKey carry their data type and any tournament, player or season parameters
+   * @param {string} key - Cache key
+   * @returns {Array<string>} Tags such as ['dataType:field', 'tournamentId:123']
+   */
+  getKeyTags(key) {
+    const type = this.getKeyType(key);
+    if (!type) {
+      return [];
+    }
+
+    const tags = [`dataType:${type}`];
+
+    for (const [param, value] of Object.entries(this.getKeyParams(key))) {
+      const tagName = this.tagParams[param];
+
+      if (tagName && value !== '' && value !== 'undefined') {
+        tags.push(`${tagName}:${value}`);
+      }
+    }
+
+    return Array.from(new Set(tags));
+  }
+
+  /**
+   * Get the parameters a cache key was generated with
+   * @param {string} key - Cache key
+   * @returns {Object} Parameter values as strings, e.g. { market: 'win', tour: 'pga' }
+   */
+  getKeyParams(key) {
+    const type = this.getKeyType(key);
+    const paramString = type ? key.slice(this.keyPatterns[type].length) : '';
+    const params = {};
+
+    for (const pair of paramString ? paramString.split('|') : []) {
+      const separator = pair.indexOf(':');
+      params[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+
+    return params;
+  }
+
   /**
    * Get data from cache with fallback through cache levels
    * @param {string} key - Cache key
    * @returns {Promise<Object|null>} Cached data or null
    */
   async get(key) {
+    const entry = await this.getEntry(key);
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Get a cache entry with its age and freshness
+   * Entries past their soft TTL are still returned, flagged as stale, until their hard TTL expires
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { data, hash, storedAt, age, stale, level } or null
+   */
+  async getEntry(key) {
     const startTime = Date.now();
 
     try {
+      let entry = null;
+      let level = null;
+
       // Try L1 cache first
       if (this.cacheConfig.l1.enabled) {
-        const l1Result = this._getFromL1(key);
-        if (l1Result !== null) {
-          this._recordCacheHit('L1', startTime);
-          return l1Result;
-        }
+        entry = this._getFromL1(key);
+        level = 'L1';
       }
 
       // Try L2 cache
-      if (this.cacheConfig.l2.enabled) {
-        const l2Result = this._getFromL2(key);
-        if (l2Result !== null) {
-          // Promote to L1
-          if (this.cacheConfig.l1.enabled) {
-            this._setToL1(key, l2Result, this.cacheConfig.l1.ttl);
-          }
-          this._recordCacheHit('L2', startTime);
-          return l2Result;
+      if (entry === null && this.cacheConfig.l2.enabled) {
+        entry = this._getFromL2(key);
+        level = 'L2';
+        // Promote to L1
+        if (entry !== null && this.cacheConfig.l1.enabled) {
+          this._setToL1(key, entry, this.cacheConfig.l1.ttl);
         }
       }
 
       // Try L3 cache
-      if (this.cacheConfig.l3.enabled) {
-        const l3Result = this._getFromL3(key);
-        if (l3Result !== null) {
-          // Promote to L2 and L1
+      if (entry === null && this.cacheConfig.l3.enabled) {
+        entry = await this._getFromL3(key);
+        level = 'L3';
+        // Promote to L2 and L1
+        if (entry !== null) {
           if (this.cacheConfig.l2.enabled) {
-            this._setToL2(key, l3Result, this.cacheConfig.l2.ttl);
+            this._setToL2(key, entry, this.cacheConfig.l2.ttl);
           }
           if (this.cacheConfig.l1.enabled) {
-            this._setToL1(key, l3Result, this.cacheConfig.l1.ttl);
+            this._setToL1(key, entry, this.cacheConfig.l1.ttl);
           }
-          this._recordCacheHit('L3', startTime);
-          return l3Result;
         }
       }
 
-      this._recordCacheMiss(startTime);
-      return null;
+      if (entry === null) {
+        this._recordCacheMiss(startTime);
+        return null;
+      }
+
+      this._recordCacheHit(level, startTime);
+      return {
+        data: entry.data,
+        hash: entry.hash || this.hashData(entry.data),
+        storedAt: new Date(entry.timestamp).toISOString(),
+        age: Math.max(Math.floor((Date.now() - entry.timestamp) / 1000), 0),
+        stale: this._isStale(entry),
+        level
+      };
     } catch (error) {
       logger.error('Cache get error', { key, error: error.message });
       return null;
@@ -128,14 +267,25 @@ class CacheService {
    * @param {string} key - Cache key
    * @param {Object} data - Data to cache
    * @param {number} ttl - Time to live in seconds
+   * @param {Object} options - Entry options
+   * @param {number} [options.softTtl] - Seconds after which the entry is served as stale until ttl expires
+   * @param {Array<string>} [options.tags] - Invalidation tags, derived from the key when omitted
+   * @param {number} [options.timestamp] - When the data was fetched, defaults to now
    * @returns {Promise<boolean>} Success status
    */
-  async set(key, data, ttl = null) {
+  async set(key, data, ttl = null, options = {}) {
     try {
+      await this._loadSizeLimit();
+
+      const content = JSON.stringify(data) || '';
       const cacheEntry = {
         data,
-        timestamp: Date.now(),
+        timestamp: options.timestamp || Date.now(),
         ttl: ttl || this.cacheConfig.l1.ttl,
+        softTtl: options.softTtl || null,
+        tags: options.tags || this.getKeyTags(key),
+        hash: this._hashContent(content),
+        size: Buffer.byteLength(content),
         accessCount: 0
       };
 
@@ -146,14 +296,16 @@ class CacheService {
 
       // Set in L2 cache
       if (this.cacheConfig.l2.enabled) {
-        this._setToL2(key, cacheEntry, ttl || this.cacheConfig.l2.ttl);
+        this._setToL2(key, cacheEntry, ttl || this.cacheConfig.l2.ttl, content);
       }
 
       // Set in L3 cache
       if (this.cacheConfig.l3.enabled) {
-        this._setToL3(key, cacheEntry, ttl || this.cacheConfig.l3.ttl);
+        await this._setToL3(key, cacheEntry, ttl || this.cacheConfig.l3.ttl, content);
       }
 
+      await this._enforceTotalBytes();
+
       logger.debug('Cache set successful', { key, ttl });
       return true;
     } catch (error) {
@@ -162,6 +314,15 @@ class CacheService {
     }
   }
 
+  /**
+   * Hash data the same way cache entries are hashed when stored
+   * @param {*} data - Data to hash
+   * @returns {string} SHA-256 hex digest of the data's JSON
+   */
+  hashData(data) {
+    return this._hashContent(JSON.stringify(data));
+  }
+
   /**
    * Delete data from all cache levels
    * @param {string} key - Cache key
@@ -171,19 +332,15 @@ class CacheService {
     try {
       let deleted = false;
 
-      if (this.l1Cache.has(key)) {
-        this.l1Cache.delete(key);
-        this.l1AccessOrder.delete(key);
+      if (this._removeFromL1(key)) {
         deleted = true;
       }
 
-      if (this.l2Cache.has(key)) {
-        this.l2Cache.delete(key);
+      if (this._removeFromL2(key)) {
         deleted = true;
       }
 
-      if (this.l3Cache.has(key)) {
-        this.l3Cache.delete(key);
+      if (this.cacheConfig.l3.enabled && await this._deleteFromL3(key)) {
         deleted = true;
       }
 
@@ -193,6 +350,8 @@ class CacheService {
         this.ttlTimers.delete(key);
       }
 
+      this._unindexTags(key);
+
       logger.debug('Cache delete', { key, deleted });
       return deleted;
     } catch (error) {
@@ -202,45 +361,297 @@ class CacheService {
   }
 
   /**
-   * Invalidate cache entries by pattern
-   * @param {string} pattern - Pattern to match keys
+   * Invalidate every entry carrying all of the given tags
+   * @param {Array<string>} tags - Tags such as ['dataType:field', 'tournamentId:123']
    * @returns {Promise<number>} Number of invalidated entries
    */
-  async invalidateByPattern(pattern) {
+  async invalidateByTags(tags) {
     try {
-      let invalidated = 0;
-      const regex = new RegExp(pattern);
-
-      // Invalidate from all cache levels
-      for (const key of this.l1Cache.keys()) {
-        if (regex.test(key)) {
-          await this.delete(key);
-          invalidated++;
-        }
+      if (!Array.isArray(tags) || tags.length === 0) {
+        throw new Error('At least one tag is required');
       }
 
-      for (const key of this.l2Cache.keys()) {
-        if (regex.test(key) && !this.l1Cache.has(key)) {
-          await this.delete(key);
-          invalidated++;
+      const keys = this._getMemoryKeysByTags(tags);
+
+      if (this.cacheConfig.l3.enabled) {
+        for (const key of await this._getL3KeysByTags(tags)) {
+          keys.add(key);
         }
       }
 
-      for (const key of this.l3Cache.keys()) {
-        if (regex.test(key) && !this.l1Cache.has(key) && !this.l2Cache.has(key)) {
-          await this.delete(key);
+      let invalidated = 0;
+      for (const key of keys) {
+        if (await this.delete(key)) {
           invalidated++;
         }
       }
 
-      logger.info('Cache invalidation by pattern', { pattern, invalidated });
+      logger.info('Cache invalidation by tags', { tags, invalidated });
       return invalidated;
     } catch (error) {
-      logger.error('Cache invalidation error', { pattern, error: error.message });
+      logger.error('Cache invalidation error', { tags, error: error.message });
       return 0;
     }
   }
 
+  /**
+   * Invalidate every entry on every level without resetting statistics
+   * @returns {Promise<number>} Number of invalidated entries
+   */
+  async invalidateAll() {
+    const keys = new Set([...this.l1Cache.keys(), ...this.l2Cache.keys()]);
+
+    if (this.cacheConfig.l3.enabled) {
+      for (const key of await this._getL3Keys()) {
+        keys.add(key);
+      }
+    }
+
+    let invalidated = 0;
+    for (const key of keys) {
+      if (await this.delete(key)) {
+        invalidated++;
+      }
+    }
+
+    logger.info('Cache invalidation of all entries', { invalidated });
+    return invalidated;
+  }
+
+  /**
+   * Pin an entry so eviction never removes it; it still expires at its TTL
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} Success status
+   */
+  async pin(key) {
+    return this._setPinned(key, true);
+  }
+
+  /**
+   * Let eviction remove a previously pinned entry again
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} Success status
+   */
+  async unpin(key) {
+    return this._setPinned(key, false);
+  }
+
+  /**
+   * Describe one entry on every level that holds it
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { key, dataType, tags, pinned, levels } or null when not cached
+   */
+  async inspect(key) {
+    const levels = [];
+    let tags = this.keyTags.get(key) || null;
+    let pinned = this.pinned.has(key);
+
+    const l1Entry = this.l1Cache.get(key);
+    if (l1Entry && !this._isExpired(l1Entry)) {
+      levels.push(this._describeEntry('L1', l1Entry));
+    }
+
+    const l2Record = this.l2Cache.get(key);
+    if (l2Record && !this._isExpired(l2Record)) {
+      levels.push(this._describeEntry('L2', l2Record));
+    }
+
+    if (this.cacheConfig.l3.enabled) {
+      await this.db.initialize();
+      const row = await this.db.queryOne(
+        'SELECT * FROM cache_entries WHERE cache_key = ? AND cache_level = 3',
+        [key]
+      );
+      const entry = row ? this._entryFromL3Row(row) : null;
+
+      if (entry && !this._isExpired(entry)) {
+        levels.push(this._describeEntry('L3', { ...entry, encoding: row.content_encoding, size: row.size_bytes }));
+        pinned = pinned || Boolean(row.pinned);
+
+        if (!tags) {
+          const tagRows = await this.db.query('SELECT tag FROM cache_entry_tags WHERE cache_key = ?', [key]);
+          tags = tagRows.rows.map(tagRow => tagRow.tag);
+        }
+      }
+    }
+
+    if (levels.length === 0) {
+      return null;
+    }
+
+    return {
+      key,
+      dataType: this.getKeyType(key),
+      tags: tags || this.getKeyTags(key),
+      pinned,
+      levels
+    };
+  }
+
+  /**
+   * List cached keys across levels
+   * @param {Object} filters - Listing filters
+   * @param {string} [filters.level] - Only keys held by this level ('L1', 'L2' or 'L3')
+   * @param {string} [filters.dataType] - Only keys of this data type (e.g. 'field')
+   * @param {string} [filters.tag] - Only keys carrying this tag (e.g. 'tournamentId:14')
+   * @param {string} [filters.prefix] - Only keys starting with this prefix
+   * @param {number} [filters.limit] - Maximum keys to return
+   * @returns {Promise<Object>} { total, keys } with keys sorted alphabetically
+   */
+  async listKeys(filters = {}) {
+    const { level = null, dataType = null, tag = null, prefix = null, limit = 100 } = filters;
+    const tags = [dataType && `dataType:${dataType}`, tag].filter(Boolean);
+    const listed = new Map();
+
+    const add = (key, levelName, entry, pinned = false) => {
+      if (level && level !== levelName) return;
+      if (prefix && !key.startsWith(prefix)) return;
+
+      if (!listed.has(key)) {
+        listed.set(key, {
+          key,
+          dataType: this.getKeyType(key),
+          levels: [],
+          pinned: this.pinned.has(key),
+          ttlRemaining: null
+        });
+      }
+
+      // Report the longest remaining TTL, since lower levels refill the upper ones
+      const item = listed.get(key);
+      const remaining = this._ttlRemaining(entry);
+      item.levels.push(levelName);
+      item.pinned = item.pinned || pinned;
+      if (remaining !== null && (item.ttlRemaining === null || remaining > item.ttlRemaining)) {
+        item.ttlRemaining = remaining;
+      }
+    };
+
+    const memoryKeys = tags.length > 0 ? this._getMemoryKeysByTags(tags) : null;
+    for (const [levelName, cache] of [['L1', this.l1Cache], ['L2', this.l2Cache]]) {
+      for (const [key, entry] of cache.entries()) {
+        if (this._isExpired(entry) || (memoryKeys && !memoryKeys.has(key))) continue;
+        add(key, levelName, entry);
+      }
+    }
+
+    if (this.cacheConfig.l3.enabled && (!level || level === 'L3')) {
+      await this.db.initialize();
+      const l3Keys = tags.length > 0 ? new Set(await this._getL3KeysByTags(tags)) : null;
+      const result = await this.db.query(
+        `SELECT cache_key, created_at, expires_at, pinned FROM cache_entries
+         WHERE cache_level = 3 AND (expires_at IS NULL OR expires_at > ?)`,
+        [this._toSqlTime(Date.now())]
+      );
+
+      for (const row of result.rows) {
+        if (l3Keys && !l3Keys.has(row.cache_key)) continue;
+        add(row.cache_key, 'L3', this._entryFromL3Row(row), Boolean(row.pinned));
+      }
+    }
+
+    const keys = Array.from(listed.values()).sort((a, b) => a.key.localeCompare(b.key));
+    return { total: keys.length, keys: keys.slice(0, limit) };
+  }
+
+  /**
+   * Export every live entry with enough metadata to restore it elsewhere
+   * @returns {Promise<Object>} { version, exportedAt, entries }
+   */
+  async exportSnapshot() {
+    const entries = new Map();
+
+    const add = (key, entry) => {
+      if (entries.has(key) || this._isExpired(entry)) return;
+
+      entries.set(key, {
+        key,
+        data: entry.data,
+        storedAt: new Date(entry.timestamp).toISOString(),
+        ttl: entry.ttl || null,
+        softTtl: entry.softTtl || null,
+        tags: entry.tags || this.getKeyTags(key),
+        pinned: this.pinned.has(key)
+      });
+    };
+
+    for (const [key, entry] of this.l1Cache.entries()) {
+      add(key, entry);
+    }
+    for (const [key, record] of this.l2Cache.entries()) {
+      if (!entries.has(key)) add(key, this._unpackL2(record));
+    }
+
+    if (this.cacheConfig.l3.enabled) {
+      await this.db.initialize();
+      const result = await this.db.query('SELECT * FROM cache_entries WHERE cache_level = 3');
+
+      for (const row of result.rows) {
+        const content = this._readL3Content(row);
+        if (entries.has(row.cache_key) || content === null || this._hashContent(content) !== row.content_hash) continue;
+
+        const tagRows = await this.db.query('SELECT tag FROM cache_entry_tags WHERE cache_key = ?', [row.cache_key]);
+        add(row.cache_key, {
+          ...this._entryFromL3Row(row),
+          data: JSON.parse(content),
+          tags: tagRows.rows.map(tagRow => tagRow.tag)
+        });
+        if (row.pinned) entries.get(row.cache_key).pinned = true;
+      }
+    }
+
+    return {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      entries: Array.from(entries.values())
+    };
+  }
+
+  /**
+   * Import a snapshot from exportSnapshot, keeping each entry's original fetch time and expiry
+   * Entries that have expired since the export are skipped
+   * @param {Object} snapshot - Snapshot with an entries array
+   * @returns {Promise<Object>} { imported, skipped }
+   */
+  async importSnapshot(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.entries)) {
+      throw new Error('Snapshot entries are required');
+    }
+
+    let imported = 0;
+    let skipped = 0;
+
+    for (const item of snapshot.entries) {
+      const timestamp = item && item.storedAt ? Date.parse(item.storedAt) : Date.now();
+      const valid = item && typeof item.key === 'string' && item.key.length > 0 &&
+        item.data !== undefined && !isNaN(timestamp);
+
+      if (!valid || (item.ttl && this._isExpired({ timestamp, ttl: item.ttl }))) {
+        skipped++;
+        continue;
+      }
+
+      if (item.pinned) {
+        await this.pin(item.key);
+      }
+
+      const stored = await this.set(item.key, item.data, item.ttl || null, {
+        softTtl: item.softTtl || null,
+        tags: Array.isArray(item.tags) ? item.tags : undefined,
+        timestamp
+      });
+
+      if (stored) {
+        imported++;
+      } else {
+        skipped++;
+      }
+    }
+
+    logger.info('Cache snapshot imported', { imported, skipped });
+    return { imported, skipped };
+  }
+
   /**
    * Get cache statistics
    * @returns {Object} Cache statistics
@@ -251,24 +662,32 @@ class CacheService {
         ...this.l1Stats,
         size: this.l1Cache.size,
         maxSize: this.cacheConfig.l1.maxSize,
+        bytes: this.l1Bytes,
+        maxBytes: this.cacheConfig.l1.maxBytes || null,
         hitRate: this.l1Stats.hits / (this.l1Stats.hits + this.l1Stats.misses) || 0
       },
       l2: {
         ...this.l2Stats,
         size: this.l2Cache.size,
         maxSize: this.cacheConfig.l2.maxSize,
+        bytes: this.l2Bytes,
+        maxBytes: this.cacheConfig.l2.maxBytes || null,
         hitRate: this.l2Stats.hits / (this.l2Stats.hits + this.l2Stats.misses) || 0
       },
       l3: {
         ...this.l3Stats,
-        size: this.l3Cache.size,
+        size: this.l3Size,
         maxSize: this.cacheConfig.l3.maxSize,
+        bytes: this.l3Bytes,
+        maxBytes: this.cacheConfig.l3.maxBytes || null,
         hitRate: this.l3Stats.hits / (this.l3Stats.hits + this.l3Stats.misses) || 0
       },
       overall: {
         totalHits: this.l1Stats.hits + this.l2Stats.hits + this.l3Stats.hits,
         totalMisses: this.l1Stats.misses + this.l2Stats.misses + this.l3Stats.misses,
-        totalEvictions: this.l1Stats.evictions + this.l2Stats.evictions + this.l3Stats.evictions
+        totalEvictions: this.l1Stats.evictions + this.l2Stats.evictions + this.l3Stats.evictions,
+        totalBytes: this._totalBytes(),
+        maxBytes: this.maxTotalBytes
       }
     };
   }
@@ -282,7 +701,22 @@ class CacheService {
       this.l1Cache.clear();
       this.l1AccessOrder.clear();
       this.l2Cache.clear();
-      this.l3Cache.clear();
+      this.l1Bytes = 0;
+      this.l2Bytes = 0;
+
+      this.tagIndex.clear();
+      this.keyTags.clear();
+      this.pinned.clear();
+
+      if (this.cacheConfig.l3.enabled) {
+        await this.db.initialize();
+        await this.db.transaction(async (db) => {
+          await db.execute('DELETE FROM cache_entries WHERE cache_level = 3');
+          await db.execute('DELETE FROM cache_entry_tags');
+        });
+        this.l3Size = 0;
+        this.l3Bytes = 0;
+      }
 
       // Clear all TTL timers
       for (const timer of this.ttlTimers.values()) {
@@ -293,7 +727,7 @@ class CacheService {
       // Reset stats
       this.l1Stats = { hits: 0, misses: 0, evictions: 0 };
       this.l2Stats = { hits: 0, misses: 0, evictions: 0 };
-      this.l3Stats = { hits: 0, misses: 0, evictions: 0 };
+      this.l3Stats = { hits: 0, misses: 0, evictions: 0, integrityFailures: 0 };
 
       logger.info('Cache cleared successfully');
       return true;
@@ -312,8 +746,7 @@ class CacheService {
 
     const entry = this.l1Cache.get(key);
     if (this._isExpired(entry)) {
-      this.l1Cache.delete(key);
-      this.l1AccessOrder.delete(key);
+      this._removeFromL1(key);
       this.l1Stats.misses++;
       return null;
     }
@@ -324,24 +757,41 @@ class CacheService {
     entry.accessCount++;
 
     this.l1Stats.hits++;
-    return entry.data;
+    return entry;
   }
 
   _setToL1(key, data, ttl) {
-    // Check if we need to evict
-    if (this.l1Cache.size >= this.cacheConfig.l1.maxSize) {
-      this._evictFromL1();
-    }
-
     const entry = typeof data === 'object' && data.timestamp ? data : {
       data,
       timestamp: Date.now(),
       ttl,
       accessCount: 0
     };
+    const size = this._entrySize(entry);
+    const { maxSize, maxBytes } = this.cacheConfig.l1;
+
+    this._removeFromL1(key);
+
+    // Entries bigger than the whole level are left to the lower levels
+    if (maxBytes && size > maxBytes) {
+      return;
+    }
+
+    // Evict until both the entry count and byte budget have room
+    const full = () => this.l1Cache.size >= maxSize || (maxBytes && this.l1Bytes + size > maxBytes);
+    while (this.l1Cache.size > 0 && full()) {
+      if (!this._evictFromL1()) break;
+    }
+
+    // Everything left is pinned, so this entry stays on the lower levels
+    if (full()) {
+      return;
+    }
 
     this.l1Cache.set(key, entry);
     this.l1AccessOrder.set(key, Date.now());
+    this.l1Bytes += size;
+    this._indexTags(key, entry.tags || this.getKeyTags(key));
 
     // Set TTL timer
     if (ttl) {
@@ -349,83 +799,186 @@ class CacheService {
     }
   }
 
+  _removeFromL1(key) {
+    const entry = this.l1Cache.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.l1Cache.delete(key);
+    this.l1AccessOrder.delete(key);
+    this.l1Bytes = Math.max(this.l1Bytes - (entry.size || 0), 0);
+    return true;
+  }
+
   _evictFromL1() {
-    // Evict least recently used item
-    const oldestKey = this.l1AccessOrder.keys().next().value;
-    if (oldestKey) {
-      this.l1Cache.delete(oldestKey);
-      this.l1AccessOrder.delete(oldestKey);
-      this.l1Stats.evictions++;
+    // Evict least recently used item that is not pinned
+    for (const key of this.l1AccessOrder.keys()) {
+      if (!this.pinned.has(key)) {
+        this._removeFromL1(key);
+        this.l1Stats.evictions++;
+        return true;
+      }
     }
+
+    return false;
   }
 
-  // L2 Cache Methods (Redis-like)
+  // L2 Cache Methods (Redis-like, large entries compressed)
   _getFromL2(key) {
     if (!this.l2Cache.has(key)) {
       this.l2Stats.misses++;
       return null;
     }
 
-    const entry = this.l2Cache.get(key);
-    if (this._isExpired(entry)) {
-      this.l2Cache.delete(key);
+    const record = this.l2Cache.get(key);
+    if (this._isExpired(record)) {
+      this._removeFromL2(key);
       this.l2Stats.misses++;
       return null;
     }
 
-    entry.accessCount++;
+    record.accessCount++;
     this.l2Stats.hits++;
-    return entry.data;
+    return this._unpackL2(record);
   }
 
-  _setToL2(key, data, ttl) {
-    if (this.l2Cache.size >= this.cacheConfig.l2.maxSize) {
-      this._evictFromL2();
+  _unpackL2(record) {
+    if (!record.encoding) {
+      return record;
     }
 
+    const { payload, encoding, rawSize, ...entry } = record;
+    return {
+      ...entry,
+      data: JSON.parse(this._decompress(payload, encoding)),
+      size: rawSize
+    };
+  }
+
+  _setToL2(key, data, ttl, content = null) {
     const entry = typeof data === 'object' && data.timestamp ? data : {
       data,
       timestamp: Date.now(),
       ttl,
       accessCount: 0
     };
+    const compressed = this._compress(content || JSON.stringify(entry.data) || '');
+    const size = compressed ? compressed.payload.length : this._entrySize(entry);
+    const record = compressed ? {
+      ...entry,
+      data: null,
+      payload: compressed.payload,
+      encoding: compressed.encoding,
+      rawSize: this._entrySize(entry),
+      size
+    } : entry;
+    const { maxSize, maxBytes } = this.cacheConfig.l2;
+
+    this._removeFromL2(key);
+
+    if (maxBytes && size > maxBytes) {
+      return;
+    }
 
-    this.l2Cache.set(key, entry);
-  }
+    const full = () => this.l2Cache.size >= maxSize || (maxBytes && this.l2Bytes + size > maxBytes);
+    while (this.l2Cache.size > 0 && full()) {
+      if (!this._evictFromL2()) break;
+    }
 
-  _evictFromL2() {
-    // Simple FIFO eviction for L2
-    const firstKey = this.l2Cache.keys().next().value;
-    if (firstKey) {
-      this.l2Cache.delete(firstKey);
-      this.l2Stats.evictions++;
+    if (full()) {
+      return;
     }
+
+    this.l2Cache.set(key, record);
+    this.l2Bytes += size;
+    this._indexTags(key, entry.tags || this.getKeyTags(key));
   }
 
-  // L3 Cache Methods (Persistent)
-  _getFromL3(key) {
-    if (!this.l3Cache.has(key)) {
-      this.l3Stats.misses++;
-      return null;
+  _removeFromL2(key) {
+    const record = this.l2Cache.get(key);
+    if (!record) {
+      return false;
     }
 
-    const entry = this.l3Cache.get(key);
-    if (this._isExpired(entry)) {
-      this.l3Cache.delete(key);
-      this.l3Stats.misses++;
-      return null;
+    this.l2Cache.delete(key);
+    this.l2Bytes = Math.max(this.l2Bytes - (record.size || 0), 0);
+    return true;
+  }
+
+  _evictFromL2() {
+    // Simple FIFO eviction for L2, skipping pinned items
+    for (const key of this.l2Cache.keys()) {
+      if (!this.pinned.has(key)) {
+        this._removeFromL2(key);
+        this.l2Stats.evictions++;
+        return true;
+      }
     }
 
-    entry.accessCount++;
-    this.l3Stats.hits++;
-    return entry.data;
+    return false;
   }
 
-  _setToL3(key, data, ttl) {
-    if (this.l3Cache.size >= this.cacheConfig.l3.maxSize) {
-      this._evictFromL3();
+  // L3 Cache Methods (Persistent, cache_entries table)
+  async _getFromL3(key) {
+    try {
+      await this.db.initialize();
+
+      const row = await this.db.queryOne(
+        'SELECT * FROM cache_entries WHERE cache_key = ? AND cache_level = 3',
+        [key]
+      );
+
+      if (!row) {
+        this.l3Stats.misses++;
+        return null;
+      }
+
+      if (row.expires_at && this._fromSqlTime(row.expires_at) <= Date.now()) {
+        await this._deleteFromL3(key);
+        this.l3Stats.misses++;
+        return null;
+      }
+
+      // Drop entries whose content no longer matches the hash it was written with
+      const content = this._readL3Content(row);
+      if (content === null || this._hashContent(content) !== row.content_hash) {
+        logger.warn('L3 cache entry failed integrity check', { key });
+        await this._deleteFromL3(key);
+        this.l3Stats.integrityFailures++;
+        this.l3Stats.misses++;
+        return null;
+      }
+
+      await this.db.execute(
+        `UPDATE cache_entries SET hit_count = hit_count + 1, last_accessed = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [row.id]
+      );
+
+      const tags = await this.db.query('SELECT tag FROM cache_entry_tags WHERE cache_key = ?', [key]);
+
+      // Pins persist with the row, so restore them for the in-memory levels
+      if (row.pinned) {
+        this.pinned.add(key);
+      }
+
+      this.l3Stats.hits++;
+      return {
+        ...this._entryFromL3Row(row),
+        data: JSON.parse(content),
+        tags: tags.rows.map(tagRow => tagRow.tag),
+        size: Buffer.byteLength(content),
+        accessCount: row.hit_count + 1
+      };
+    } catch (error) {
+      logger.warn('L3 cache read failed', { key, error: error.message });
+      this.l3Stats.misses++;
+      return null;
     }
+  }
 
+  async _setToL3(key, data, ttl, content = null) {
     const entry = typeof data === 'object' && data.timestamp ? data : {
       data,
       timestamp: Date.now(),
@@ -433,25 +986,309 @@ class CacheService {
       accessCount: 0
     };
 
-    this.l3Cache.set(key, entry);
+    try {
+      await this.db.initialize();
+
+      const json = content || JSON.stringify(entry.data) || '';
+      const compressed = this._compress(json);
+      const expiresAt = entry.ttl ? this._toSqlTime(entry.timestamp + entry.ttl * 1000) : null;
+      const staleAt = entry.softTtl ? this._toSqlTime(entry.timestamp + entry.softTtl * 1000) : null;
+
+      await this.db.execute(
+        `INSERT INTO cache_entries (
+          cache_key, cache_level, data_type, content, content_compressed, content_encoding, content_hash,
+          size_bytes, hit_count, pinned, stale_at, expires_at, created_at
+        ) VALUES (?, 3, 'json', ?, ?, ?, ?, ?, 0, ?, ?, ?, ?)
+        ON CONFLICT(cache_key) DO UPDATE SET
+          cache_level = excluded.cache_level,
+          data_type = excluded.data_type,
+          content = excluded.content,
+          content_compressed = excluded.content_compressed,
+          content_encoding = excluded.content_encoding,
+          content_hash = excluded.content_hash,
+          size_bytes = excluded.size_bytes,
+          hit_count = 0,
+          pinned = MAX(cache_entries.pinned, excluded.pinned),
+          stale_at = excluded.stale_at,
+          expires_at = excluded.expires_at,
+          created_at = excluded.created_at`,
+        [
+          key,
+          compressed ? null : json,
+          compressed ? compressed.payload : null,
+          compressed ? compressed.encoding : null,
+          this._hashContent(json),
+          compressed ? compressed.payload.length : Buffer.byteLength(json),
+          this.pinned.has(key) ? 1 : 0,
+          staleAt, expiresAt, this._toSqlTime(entry.timestamp)
+        ]
+      );
+
+      await this.db.execute('DELETE FROM cache_entry_tags WHERE cache_key = ?', [key]);
+      for (const tag of entry.tags || this.getKeyTags(key)) {
+        await this.db.execute('INSERT OR IGNORE INTO cache_entry_tags (cache_key, tag) VALUES (?, ?)', [key, tag]);
+      }
+
+      await this._refreshL3Size();
+      const { maxSize, maxBytes } = this.cacheConfig.l3;
+      while (this.l3Size > maxSize || (maxBytes && this.l3Bytes > maxBytes)) {
+        if (!await this._evictFromL3()) break;
+      }
+    } catch (error) {
+      logger.warn('L3 cache write failed', { key, error: error.message });
+    }
+  }
+
+  async _deleteFromL3(key) {
+    await this.db.initialize();
+
+    const result = await this.db.execute(
+      'DELETE FROM cache_entries WHERE cache_key = ? AND cache_level = 3',
+      [key]
+    );
+    await this.db.execute('DELETE FROM cache_entry_tags WHERE cache_key = ?', [key]);
+
+    if (result.changes > 0) {
+      await this._refreshL3Size();
+    }
+    return result.changes > 0;
+  }
+
+  async _evictFromL3() {
+    // LFU eviction for L3 (least frequently used, oldest access first on ties)
+    const row = await this.db.queryOne(
+      `SELECT cache_key FROM cache_entries WHERE cache_level = 3 AND pinned = 0
+       ORDER BY hit_count ASC, last_accessed ASC, id ASC LIMIT 1`
+    );
+
+    if (!row) {
+      return false;
+    }
+
+    await this._deleteFromL3(row.cache_key);
+    this.l3Stats.evictions++;
+    return true;
+  }
+
+  async _getL3Keys() {
+    await this.db.initialize();
+
+    const result = await this.db.query('SELECT cache_key FROM cache_entries WHERE cache_level = 3');
+    return result.rows.map(row => row.cache_key);
   }
 
-  _evictFromL3() {
-    // LFU eviction for L3 (least frequently used)
-    let leastUsedKey = null;
-    let leastUsedCount = Infinity;
+  async _getL3KeysByTags(tags) {
+    await this.db.initialize();
 
-    for (const [key, entry] of this.l3Cache.entries()) {
-      if (entry.accessCount < leastUsedCount) {
-        leastUsedCount = entry.accessCount;
-        leastUsedKey = key;
+    const placeholders = tags.map(() => '?').join(', ');
+    const result = await this.db.query(
+      `SELECT cache_key FROM cache_entry_tags WHERE tag IN (${placeholders})
+       GROUP BY cache_key HAVING COUNT(DISTINCT tag) = ?`,
+      [...tags, new Set(tags).size]
+    );
+    return result.rows.map(row => row.cache_key);
+  }
+
+  async _refreshL3Size() {
+    const row = await this.db.queryOne(
+      'SELECT COUNT(*) AS count, COALESCE(SUM(size_bytes), 0) AS bytes FROM cache_entries WHERE cache_level = 3'
+    );
+    this.l3Size = row ? row.count : 0;
+    this.l3Bytes = row ? row.bytes : 0;
+  }
+
+  _entryFromL3Row(row) {
+    const createdAt = this._fromSqlTime(row.created_at);
+
+    return {
+      timestamp: createdAt,
+      hash: row.content_hash,
+      ttl: row.expires_at ? (this._fromSqlTime(row.expires_at) - createdAt) / 1000 : null,
+      softTtl: row.stale_at ? (this._fromSqlTime(row.stale_at) - createdAt) / 1000 : null,
+      accessCount: row.hit_count
+    };
+  }
+
+  _readL3Content(row) {
+    if (!row.content_encoding) {
+      return row.content;
+    }
+
+    try {
+      return this._decompress(row.content_compressed, row.content_encoding);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async _cleanupExpiredL3Entries() {
+    await this.db.initialize();
+
+    const result = await this.db.execute(
+      'DELETE FROM cache_entries WHERE cache_level = 3 AND expires_at IS NOT NULL AND expires_at <= ?',
+      [this._toSqlTime(Date.now())]
+    );
+    await this.db.execute(
+      `DELETE FROM cache_entry_tags
+       WHERE cache_key NOT IN (SELECT cache_key FROM cache_entries WHERE cache_level = 3)`
+    );
+
+    await this._refreshL3Size();
+    return result.changes;
+  }
+
+  _hashContent(content) {
+    return crypto.createHash('sha256').update(content || '').digest('hex');
+  }
+
+  _toSqlTime(ms) {
+    // Matches the CURRENT_TIMESTAMP format so SQL comparisons stay lexical
+    return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  _fromSqlTime(value) {
+    return Date.parse(`${String(value).replace(' ', 'T')}Z`);
+  }
+
+  // Size and Compression Methods
+  _entrySize(entry) {
+    if (entry.size === undefined) {
+      entry.size = Buffer.byteLength(JSON.stringify(entry.data) || '');
+    }
+    return entry.size;
+  }
+
+  _totalBytes() {
+    return this.l1Bytes + this.l2Bytes + this.l3Bytes;
+  }
+
+  _compress(content) {
+    const { algorithm = 'none', threshold = 0 } = this.cacheConfig.compression || {};
+    const compressor = COMPRESSORS[algorithm];
+    if (!compressor || Buffer.byteLength(content) < threshold) {
+      return null;
+    }
+
+    const payload = compressor.compress(Buffer.from(content));
+    // Keep content that does not shrink as plain text
+    return payload.length < Buffer.byteLength(content) ? { encoding: algorithm, payload } : null;
+  }
+
+  _decompress(payload, encoding) {
+    const compressor = COMPRESSORS[encoding];
+    if (!compressor) {
+      throw new Error(`Unknown cache content encoding: ${encoding}`);
+    }
+
+    return compressor.decompress(payload).toString();
+  }
+
+  async _loadSizeLimit() {
+    if (!this.sizeLimitPromise) {
+      this.sizeLimitPromise = this.db.initialize()
+        .then(() => this.db.queryOne(
+          'SELECT config_value FROM system_config WHERE config_key = ?',
+          ['cache_max_size_mb']
+        ))
+        .then((row) => {
+          const megabytes = row ? Number(row.config_value) : NaN;
+          this.maxTotalBytes = megabytes > 0 ? megabytes * 1024 * 1024 : null;
+        })
+        .catch((error) => {
+          logger.warn('Could not load cache size limit', { error: error.message });
+        });
+    }
+
+    return this.sizeLimitPromise;
+  }
+
+  async _enforceTotalBytes() {
+    if (!this.maxTotalBytes) {
+      return;
+    }
+
+    // Upper levels go first since a lower level usually still holds the same entry
+    while (this._totalBytes() > this.maxTotalBytes && this.l1Cache.size > 0) {
+      if (!this._evictFromL1()) break;
+    }
+    while (this._totalBytes() > this.maxTotalBytes && this.l2Cache.size > 0) {
+      if (!this._evictFromL2()) break;
+    }
+    while (this._totalBytes() > this.maxTotalBytes && this.cacheConfig.l3.enabled && this.l3Size > 0) {
+      if (!await this._evictFromL3()) break;
+    }
+  }
+
+  // Admin Methods
+  async _setPinned(key, pinned) {
+    if (pinned) {
+      this.pinned.add(key);
+    } else {
+      this.pinned.delete(key);
+    }
+
+    if (this.cacheConfig.l3.enabled) {
+      await this.db.initialize();
+      await this.db.execute(
+        'UPDATE cache_entries SET pinned = ? WHERE cache_key = ? AND cache_level = 3',
+        [pinned ? 1 : 0, key]
+      );
+    }
+
+    logger.info(pinned ? 'Cache entry pinned' : 'Cache entry unpinned', { key });
+    return true;
+  }
+
+  _describeEntry(level, entry) {
+    return {
+      level,
+      storedAt: new Date(entry.timestamp).toISOString(),
+      ttl: entry.ttl || null,
+      ttlRemaining: this._ttlRemaining(entry),
+      stale: this._isStale(entry),
+      hitCount: entry.accessCount || 0,
+      size: entry.size || 0,
+      encoding: entry.encoding || null
+    };
+  }
+
+  _ttlRemaining(entry) {
+    if (!entry.ttl) return null;
+    return Math.max(Math.ceil((entry.timestamp + entry.ttl * 1000 - Date.now()) / 1000), 0);
+  }
+
+  // Tag Index Methods (L1/L2)
+  _indexTags(key, tags) {
+    this._unindexTags(key);
+    this.keyTags.set(key, tags);
+
+    for (const tag of tags) {
+      if (!this.tagIndex.has(tag)) {
+        this.tagIndex.set(tag, new Set());
       }
+      this.tagIndex.get(tag).add(key);
     }
+  }
 
-    if (leastUsedKey) {
-      this.l3Cache.delete(leastUsedKey);
-      this.l3Stats.evictions++;
+  _unindexTags(key) {
+    for (const tag of this.keyTags.get(key) || []) {
+      const keys = this.tagIndex.get(tag);
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) {
+          this.tagIndex.delete(tag);
+        }
+      }
     }
+    this.keyTags.delete(key);
+  }
+
+  _getMemoryKeysByTags(tags) {
+    // Start from the smallest tag set and keep keys that carry every other tag
+    const sets = tags.map(tag => this.tagIndex.get(tag) || new Set());
+    sets.sort((a, b) => a.size - b.size);
+
+    return new Set(Array.from(sets[0]).filter(key => sets.every(keys => keys.has(key))));
   }
 
   // Utility Methods
@@ -460,14 +1297,22 @@ class CacheService {
     return Date.now() - entry.timestamp > (entry.ttl * 1000);
   }
 
+  _isStale(entry) {
+    if (!entry.softTtl) return false;
+    return Date.now() - entry.timestamp > (entry.softTtl * 1000);
+  }
+
   _setTTLTimer(key, ttl) {
     if (this.ttlTimers.has(key)) {
       clearTimeout(this.ttlTimers.get(key));
     }
 
+    // Only the L1 copy is timed; L2 and L3 entries expire on their own TTLs
     const timer = setTimeout(() => {
-      this.delete(key);
+      this._removeFromL1(key);
+      this.ttlTimers.delete(key);
     }, ttl * 1000);
+    timer.unref();
 
     this.ttlTimers.set(key, timer);
   }
@@ -479,31 +1324,36 @@ class CacheService {
     // Clean L1
     for (const [key, entry] of this.l1Cache.entries()) {
       if (this._isExpired(entry)) {
-        this.l1Cache.delete(key);
-        this.l1AccessOrder.delete(key);
+        this._removeFromL1(key);
         cleaned++;
       }
     }
 
     // Clean L2
-    for (const [key, entry] of this.l2Cache.entries()) {
-      if (this._isExpired(entry)) {
-        this.l2Cache.delete(key);
+    for (const [key, record] of this.l2Cache.entries()) {
+      if (this._isExpired(record)) {
+        this._removeFromL2(key);
         cleaned++;
       }
     }
 
-    // Clean L3
-    for (const [key, entry] of this.l3Cache.entries()) {
-      if (this._isExpired(entry)) {
-        this.l3Cache.delete(key);
-        cleaned++;
+    // Drop index entries for keys evicted or expired from both memory levels
+    for (const key of Array.from(this.keyTags.keys())) {
+      if (!this.l1Cache.has(key) && !this.l2Cache.has(key)) {
+        this._unindexTags(key);
       }
     }
 
     if (cleaned > 0) {
       logger.debug('Cache cleanup completed', { entriesRemoved: cleaned });
     }
+
+    // Clean L3
+    if (this.cacheConfig.l3.enabled) {
+      this._cleanupExpiredL3Entries()
+        .then(removed => removed > 0 && logger.debug('L3 cache cleanup completed', { entriesRemoved: removed }))
+        .catch(error => logger.warn('L3 cache cleanup failed', { error: error.message }));
+    }
   }
 
   _recordCacheHit(level, startTime) {
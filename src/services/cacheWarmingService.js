@@ -0,0 +1,380 @@
+/**
+ * Cache Warming Service
+ * Pre-fetches field, tee times, odds and predictions for upcoming and live tournaments
+ * Cadence follows the event phase read from the tournament schedule, and warming only
+ * spends the part of the internal rate limit budget not reserved for user requests
+ */
+
+const logger = require('../utils/logger');
+const { runInContext } = require('../utils/requestContext');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Warming interval in seconds per job type for each event phase; null skips the job and 0 runs it once
+// Finished events only get one fetch of their final predictions, then polling stops
+const PHASE_CADENCES = {
+  pre_event: { field: 3600, teeTimes: 1800, bettingOdds: 900, predictions: 1800 },
+  in_round: { field: 3600, teeTimes: null, bettingOdds: 300, predictions: 60 },
+  between_rounds: { field: 1800, teeTimes: 900, bettingOdds: 600, predictions: 900 },
+  post_event: { field: null, teeTimes: null, bettingOdds: null, predictions: 0 }
+};
+
+class CacheWarmingService {
+  /**
+   * @param {Object} dataGolfService - DataGolfService instance whose cache is warmed
+   * @param {Object} options - Scheduler options
+   * @param {number} [options.tickInterval] - Seconds between scheduler ticks
+   * @param {number} [options.scheduleRefreshInterval] - Seconds between tournament schedule reloads
+   * @param {number} [options.preEventDays] - Days before the start date warming begins
+   * @param {number} [options.postEventDays] - Days after the end date warming continues
+   * @param {number} [options.reserveRequests] - Rate limit requests per window left for user traffic
+   */
+  constructor(dataGolfService, options = {}) {
+    this.dataGolfService = dataGolfService;
+    this.options = {
+      tickInterval: 60,
+      scheduleRefreshInterval: 900,
+      preEventDays: 3,
+      postEventDays: 1,
+      reserveRequests: 50,
+      ...options
+    };
+
+    this.timer = null;
+    this.ticking = false;
+    this.events = new Map();
+    this.jobs = new Map();
+    this.lastTickAt = null;
+    this.lastScheduleRefreshAt = null;
+    this.lastScheduleError = null;
+  }
+
+  /**
+   * Start warming on an interval
+   */
+  start() {
+    this.stop();
+
+    this.timer = setInterval(() => this.tick(), this.options.tickInterval * 1000);
+    this.timer.unref();
+
+    logger.info('Cache warming started', { tickInterval: this.options.tickInterval });
+  }
+
+  /**
+   * Stop warming
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run one scheduler pass: reload the schedule when due, then run every due job
+   * @returns {Promise<Object>} Summary of the pass
+   */
+  async tick() {
+    if (this.ticking) {
+      return { skipped: true };
+    }
+
+    this.ticking = true;
+    const summary = { ran: 0, failed: 0, deferred: 0 };
+
+    try {
+      const now = Date.now();
+      const refreshDue = !this.lastScheduleRefreshAt ||
+        now - Date.parse(this.lastScheduleRefreshAt) >= this.options.scheduleRefreshInterval * 1000;
+
+      if (refreshDue) {
+        await this.refreshSchedule();
+      }
+
+      await this._updateLivePhases();
+
+      for (const job of this.jobs.values()) {
+        if (job.interval === 0 && job.lastStatus === 'success') continue;
+        if (job.nextRunAt && Date.parse(job.nextRunAt) > Date.now()) continue;
+
+        const result = await this._runJob(job);
+        summary[result]++;
+      }
+
+      this.lastTickAt = new Date().toISOString();
+    } finally {
+      this.ticking = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reload the tournament schedule and rebuild the warmed event list
+   * Completed events and events outside the warming window are dropped with their jobs
+   * @returns {Promise<number>} Number of events being warmed
+   */
+  async refreshSchedule() {
+    try {
+      const schedule = await this.dataGolfService.getTournaments({});
+      const active = new Map();
+
+      for (const tournament of schedule.tournaments || []) {
+        const phase = this._getCalendarPhase(tournament);
+        if (!phase) continue;
+
+        const eventId = String(tournament.id);
+        const previous = this.events.get(eventId);
+        active.set(eventId, {
+          tournamentId: eventId,
+          name: tournament.name,
+          tour: this._tourCode(tournament.tour),
+          startDate: tournament.startDate,
+          endDate: tournament.endDate,
+          // Keep the round-level phase of a live event until live predictions say otherwise
+          phase: phase === 'live' && previous && previous.phase !== 'pre_event' ? previous.phase : phase
+        });
+      }
+
+      this.events = active;
+      this.lastScheduleRefreshAt = new Date().toISOString();
+      this.lastScheduleError = null;
+      this._syncJobs();
+
+      return active.size;
+    } catch (error) {
+      this.lastScheduleError = error.message;
+      logger.warn('Cache warming schedule refresh failed', { error: error.message });
+      return this.events.size;
+    }
+  }
+
+  /**
+   * Get scheduler state for the admin API
+   * @returns {Object} Scheduler, event and job state
+   */
+  getStatus() {
+    return {
+      running: this.timer !== null,
+      tickInterval: this.options.tickInterval,
+      lastTickAt: this.lastTickAt,
+      lastScheduleRefreshAt: this.lastScheduleRefreshAt,
+      lastScheduleError: this.lastScheduleError,
+      rateLimit: {
+        ...this.dataGolfService.getRateLimitStatus(),
+        reserved: this.options.reserveRequests
+      },
+      events: Array.from(this.events.values()),
+      jobs: Array.from(this.jobs.values())
+    };
+  }
+
+  /**
+   * Work out where an event sits on the calendar
+   * @param {Object} tournament - Tournament from the schedule
+   * @returns {string|null} 'pre_event', 'live', 'post_event' or null when it should not be warmed
+   * @private
+   */
+  _getCalendarPhase(tournament) {
+    if (tournament.status === 'completed' || !tournament.startDate) {
+      return null;
+    }
+
+    const today = this._startOfDay(Date.now());
+    const start = this._startOfDay(Date.parse(tournament.startDate));
+    const end = this._startOfDay(Date.parse(tournament.endDate || tournament.startDate));
+
+    if (isNaN(start) || isNaN(end)) {
+      return null;
+    }
+    if (today < start - this.options.preEventDays * DAY_MS) {
+      return null;
+    }
+    if (today < start) {
+      return 'pre_event';
+    }
+    if (today <= end) {
+      return 'live';
+    }
+    if (today <= end + this.options.postEventDays * DAY_MS) {
+      return 'post_event';
+    }
+
+    return null;
+  }
+
+  /**
+   * Split live events into in-round and between-rounds using the live predictions round state
+   * @private
+   */
+  async _updateLivePhases() {
+    if (this.dataGolfService.getRateLimitStatus().remaining <= this.options.reserveRequests) {
+      return;
+    }
+
+    let changed = false;
+
+    for (const event of this.events.values()) {
+      if (event.phase === 'pre_event' || event.phase === 'post_event') continue;
+
+      try {
+        const predictions = await this.dataGolfService.getLivePredictions(event.tournamentId, {});
+        const phase = predictions.event?.roundState === 'in_progress' ? 'in_round' : 'between_rounds';
+        if (phase !== event.phase) {
+          event.phase = phase;
+          changed = true;
+        }
+      } catch (error) {
+        // Without a round state, warm at the in-round cadence so live data stays fresh
+        if (event.phase === 'live') {
+          event.phase = 'in_round';
+          changed = true;
+        }
+        logger.warn('Could not determine round state for cache warming', {
+          tournamentId: event.tournamentId,
+          error: error.message
+        });
+      }
+    }
+
+    if (changed) {
+      this._syncJobs();
+    }
+  }
+
+  /**
+   * Create, retime and remove jobs to match each event's current phase
+   * @private
+   */
+  _syncJobs() {
+    const wanted = new Set();
+
+    for (const event of this.events.values()) {
+      const cadence = PHASE_CADENCES[event.phase];
+      if (!cadence) continue;
+
+      for (const [type, interval] of Object.entries(cadence)) {
+        if (interval === null) continue;
+
+        const id = `${event.tournamentId}:${type}`;
+        wanted.add(id);
+
+        const job = this.jobs.get(id);
+        if (!job) {
+          this.jobs.set(id, {
+            id,
+            tournamentId: event.tournamentId,
+            type,
+            phase: event.phase,
+            interval,
+            lastRunAt: null,
+            nextRunAt: null,
+            lastStatus: null,
+            lastError: null,
+            lastDuration: null,
+            runs: 0,
+            failures: 0
+          });
+        } else if (job.phase !== event.phase) {
+          job.phase = event.phase;
+          job.interval = interval;
+          job.nextRunAt = job.lastRunAt
+            ? new Date(Date.parse(job.lastRunAt) + interval * 1000).toISOString()
+            : null;
+        }
+      }
+    }
+
+    for (const id of this.jobs.keys()) {
+      if (!wanted.has(id)) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Run a warming job unless the rate limit budget is down to the user reserve
+   * @param {Object} job - Job state
+   * @returns {Promise<string>} 'ran', 'failed' or 'deferred'
+   * @private
+   */
+  async _runJob(job) {
+    const budget = this.dataGolfService.getRateLimitStatus();
+    if (budget.remaining <= this.options.reserveRequests) {
+      job.lastStatus = 'deferred';
+      return 'deferred';
+    }
+
+    const event = this.events.get(job.tournamentId);
+    const startedAt = Date.now();
+
+    try {
+      await runInContext({ refresh: true }, () => this._fetch(job.type, event));
+      job.lastStatus = 'success';
+      job.lastError = null;
+    } catch (error) {
+      job.lastStatus = 'failed';
+      job.lastError = error.message;
+      job.failures++;
+      logger.warn('Cache warming job failed', { job: job.id, error: error.message });
+    }
+
+    job.runs++;
+    job.lastRunAt = new Date(startedAt).toISOString();
+    job.lastDuration = Date.now() - startedAt;
+    // A one-off job that failed is retried on the next tick
+    job.nextRunAt = job.interval > 0 ? new Date(startedAt + job.interval * 1000).toISOString() : null;
+
+    return job.lastStatus === 'success' ? 'ran' : 'failed';
+  }
+
+  /**
+   * Fetch one data type for an event with the same options the routes use, so keys match
+   * @param {string} type - Job type
+   * @param {Object} event - Warmed event
+   * @returns {Promise<Object>} Fetched data
+   * @private
+   */
+  _fetch(type, event) {
+    switch (type) {
+      case 'field':
+        return this.dataGolfService.getTournamentField(event.tournamentId, {});
+      case 'teeTimes':
+        return this.dataGolfService.getTeeTimes(event.tournamentId, {});
+      case 'bettingOdds':
+        return this.dataGolfService.getBettingOdds({ tournamentId: event.tournamentId });
+      case 'predictions':
+        return event.phase === 'pre_event'
+          ? this.dataGolfService.getPreTournamentPredictions({ tour: event.tour, dead_heat: 'yes', odds_format: 'percent' })
+          : this.dataGolfService.getLivePredictions(event.tournamentId, {});
+      default:
+        throw new Error(`Unknown warming job type: ${type}`);
+    }
+  }
+
+  /**
+   * Map a schedule tour name onto a Data Golf tour code
+   * @param {string} tour - Tour from the schedule (e.g. 'PGA', 'European')
+   * @returns {string} Tour code
+   * @private
+   */
+  _tourCode(tour) {
+    const codes = { pga: 'pga', european: 'euro', euro: 'euro', kft: 'kft' };
+    return codes[String(tour || 'pga').toLowerCase()] || 'pga';
+  }
+
+  /**
+   * Truncate a timestamp to midnight UTC
+   * @param {number} ms - Timestamp
+   * @returns {number} Midnight UTC timestamp
+   * @private
+   */
+  _startOfDay(ms) {
+    return Math.floor(ms / DAY_MS) * DAY_MS;
+  }
+}
+
+CacheWarmingService.PHASE_CADENCES = PHASE_CADENCES;
+
+module.exports = CacheWarmingService;
@@ -0,0 +1,169 @@
+/**
+ * Closing Line Value Service
+ * Grades submitted bets against archived closing lines
+ * CLV compares the price a bet was placed at with the final pre-event market price
+ */
+
+const logger = require('../utils/logger');
+
+class ClosingLineValueService {
+  /**
+   * @param {Object} dataGolfService - DataGolfService instance used to load historical odds
+   */
+  constructor(dataGolfService) {
+    this.dataGolfService = dataGolfService;
+    this.maxBets = 500;
+  }
+
+  /**
+   * Grade a list of bets against the closing market
+   * @param {Array<Object>} bets - Bets { tournamentId, year, playerId, odds, market?, tour?, sportsbook?, stake? }
+   * @returns {Promise<Object>} Graded bets with a summary
+   */
+  async gradeBets(bets) {
+    if (!Array.isArray(bets) || bets.length === 0) {
+      throw new Error('Bets must be a non-empty array');
+    }
+    if (bets.length > this.maxBets) {
+      throw new Error(`Bets cannot contain more than ${this.maxBets} entries`);
+    }
+
+    // Load each event market once, no matter how many bets reference it
+    const markets = new Map();
+    for (const bet of bets) {
+      if (!bet || !bet.tournamentId || !bet.year) continue;
+      const key = this._marketKey(bet);
+      if (!markets.has(key)) {
+        markets.set(key, this._loadMarket(bet));
+      }
+    }
+
+    const graded = [];
+    for (const bet of bets) {
+      graded.push(await this._gradeBet(bet, markets));
+    }
+
+    return {
+      bets: graded,
+      summary: this._summarize(graded)
+    };
+  }
+
+  /**
+   * Grade a single bet
+   * @param {Object} bet - Submitted bet
+   * @param {Map} markets - Market loading promises keyed by market key
+   * @returns {Promise<Object>} Graded bet
+   * @private
+   */
+  async _gradeBet(bet, markets) {
+    const ungraded = (reason) => ({ ...bet, status: 'ungraded', reason });
+
+    if (!bet || !bet.tournamentId || !bet.year || bet.playerId === undefined) {
+      return ungraded('tournamentId, year and playerId are required');
+    }
+
+    const placed = Number(bet.odds);
+    if (!(placed > 1)) {
+      return ungraded('odds must be a decimal price greater than 1');
+    }
+
+    const market = await markets.get(this._marketKey(bet));
+    if (market.error) {
+      return ungraded(`Historical odds unavailable: ${market.error}`);
+    }
+    if (market.metadata && market.metadata.closed === false) {
+      return ungraded('Closing lines are not final until the event is over');
+    }
+
+    const playerLines = market.lines.filter(line =>
+      String(line.playerId) === String(bet.playerId) && line.close.decimal > 1
+    );
+    const bookLines = bet.sportsbook
+      ? playerLines.filter(line => line.sportsbook === bet.sportsbook)
+      : playerLines;
+
+    if (bookLines.length === 0) {
+      return ungraded('No closing line found for player');
+    }
+
+    // A single book closes at its own price; several books close at the average implied probability
+    const closingProbability = bookLines.reduce((sum, line) => sum + 1 / line.close.decimal, 0) / bookLines.length;
+    const closing = 1 / closingProbability;
+
+    return {
+      ...bet,
+      status: 'graded',
+      placedOdds: placed,
+      closingOdds: Math.round(closing * 1000) / 1000,
+      closingSource: bet.sportsbook ? 'sportsbook' : 'consensus',
+      booksCompared: bookLines.length,
+      clv: Math.round((placed / closing - 1) * 1e4) / 1e4,
+      probabilityEdge: Math.round((closingProbability - 1 / placed) * 1e4) / 1e4
+    };
+  }
+
+  /**
+   * Load the historical lines for the market a bet belongs to
+   * @param {Object} bet - Submitted bet
+   * @returns {Promise<Object>} Lines or an error description
+   * @private
+   */
+  async _loadMarket(bet) {
+    try {
+      return await this.dataGolfService.getHistoricalOdds(bet.tournamentId, {
+        tour: bet.tour || 'pga',
+        year: bet.year,
+        market: bet.market || 'win'
+      });
+    } catch (error) {
+      logger.warn('Failed to load closing lines', {
+        tournamentId: bet.tournamentId,
+        year: bet.year,
+        market: bet.market || 'win',
+        error: error.message
+      });
+      return { error: error.message, lines: [] };
+    }
+  }
+
+  /**
+   * Build a key identifying the event market a bet belongs to
+   * @param {Object} bet - Submitted bet
+   * @returns {string} Market key
+   * @private
+   */
+  _marketKey(bet) {
+    return [bet.tour || 'pga', bet.tournamentId, bet.year, bet.market || 'win'].join('|');
+  }
+
+  /**
+   * Summarize graded bets
+   * @param {Array<Object>} graded - Graded bets
+   * @returns {Object} Summary statistics
+   * @private
+   */
+  _summarize(graded) {
+    const gradedBets = graded.filter(bet => bet.status === 'graded');
+    const staked = gradedBets.filter(bet => Number(bet.stake) > 0);
+    const totalStake = staked.reduce((sum, bet) => sum + Number(bet.stake), 0);
+    const round = (value) => Math.round(value * 1e4) / 1e4;
+
+    return {
+      total: graded.length,
+      graded: gradedBets.length,
+      ungraded: graded.length - gradedBets.length,
+      averageClv: gradedBets.length > 0
+        ? round(gradedBets.reduce((sum, bet) => sum + bet.clv, 0) / gradedBets.length)
+        : null,
+      positiveClvRate: gradedBets.length > 0
+        ? round(gradedBets.filter(bet => bet.clv > 0).length / gradedBets.length)
+        : null,
+      stakeWeightedClv: totalStake > 0
+        ? round(staked.reduce((sum, bet) => sum + bet.clv * Number(bet.stake), 0) / totalStake)
+        : null
+    };
+  }
+}
+
+module.exports = ClosingLineValueService;
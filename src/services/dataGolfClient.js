@@ -7,6 +7,14 @@
 const axios = require('axios');
 const { getConfig } = require('../config/environment');
 const logger = require('../utils/logger');
+const { getRequestContext } = require('../utils/requestContext');
+const { formatInTimeZone, getZonedParts, isValidTimeZone, parseLocalTime } = require('../utils/time');
+const {
+  decimalFromAmerican,
+  decimalFromFractional,
+  impliedProbability,
+  normalizeOdds
+} = require('../utils/odds');
 
 class DataGolfClient {
   constructor() {
@@ -17,6 +25,10 @@ class DataGolfClient {
     this.retryAttempts = this.config.dataGolf.retryAttempts;
     this.retryDelay = this.config.dataGolf.retryDelay;
 
+    // Upstream ETag and Last-Modified per request URL and params, sent back on conditional refreshes
+    this.validators = new Map();
+    this.maxValidators = 5000;
+
     // Initialize axios instance with default configuration
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -28,9 +40,19 @@ class DataGolfClient {
       }
     });
 
-    // Request interceptor for logging and rate limiting
+    // Request interceptor for logging, rate limiting and conditional requests
     this.client.interceptors.request.use(
       (config) => {
+        const validators = getRequestContext()?.conditional && this.validators.get(this._validatorKey(config));
+        if (validators) {
+          if (validators.etag) {
+            config.headers['If-None-Match'] = validators.etag;
+          }
+          if (validators.lastModified) {
+            config.headers['If-Modified-Since'] = validators.lastModified;
+          }
+        }
+
         logger.debug('Data Golf API Request', {
           method: config.method,
           url: config.url,
@@ -54,15 +76,59 @@ class DataGolfClient {
           dataSize: JSON.stringify(response.data).length,
           timestamp: new Date().toISOString()
         });
+        this._storeValidators(response);
         return response;
       },
       (error) => {
+        // A 304 only answers a conditional request, so the caller keeps the copy it already has
+        if (error.response?.status === 304) {
+          error.notModified = true;
+          logger.debug('Data Golf API Not Modified', { url: error.config?.url });
+          return Promise.reject(error);
+        }
+
         this._handleResponseError(error);
         return Promise.reject(error);
       }
     );
   }
 
+  /**
+   * Identify a request for validator storage by its URL and params
+   * @param {Object} config - Axios request config
+   * @returns {string} Validator key
+   * @private
+   */
+  _validatorKey(config) {
+    const params = Object.keys(config.params || {})
+      .sort()
+      .filter(key => config.params[key] !== undefined)
+      .map(key => `${key}=${config.params[key]}`);
+
+    return `${config.url}?${params.join('&')}`;
+  }
+
+  /**
+   * Remember a response's ETag and Last-Modified, dropping the oldest request when full
+   * @param {Object} response - Axios response
+   * @private
+   */
+  _storeValidators(response) {
+    const etag = response.headers?.etag;
+    const lastModified = response.headers?.['last-modified'];
+    if (!etag && !lastModified) {
+      return;
+    }
+
+    const key = this._validatorKey(response.config);
+    this.validators.delete(key);
+    this.validators.set(key, { etag: etag || null, lastModified: lastModified || null });
+
+    if (this.validators.size > this.maxValidators) {
+      this.validators.delete(this.validators.keys().next().value);
+    }
+  }
+
   /**
    * Handle API response errors with detailed logging
    * @param {Error} error - Axios error object
@@ -96,7 +162,7 @@ class DataGolfClient {
     try {
       return await apiCall();
     } catch (error) {
-      if (attempt >= this.retryAttempts) {
+      if (error.notModified || attempt >= this.retryAttempts) {
         throw error;
       }
 
@@ -193,6 +259,133 @@ class DataGolfClient {
     return this._transformBettingOddsData(response.data);
   }
 
+  /**
+   * Get matchup and 3-ball odds
+   * @param {Object} options - Query options (tour, market_type, odds_format)
+   * @returns {Promise<Object>} Matchup odds data
+   */
+  async getMatchupOdds(options = {}) {
+    const params = { market_type: 'tournament_matchups', odds_format: 'decimal', ...options };
+    const apiCall = () => this.client.get('/matchup-odds', { params });
+    const response = await this._retryWithBackoff(apiCall);
+    return this._transformMatchupOddsData(response.data, params.market_type, params.odds_format);
+  }
+
+  /**
+   * Get historical opening and closing lines for a completed event
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options (tour, year, market, sportsbook)
+   * @returns {Promise<Object>} Historical odds data
+   */
+  async getHistoricalOdds(tournamentId, options = {}) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+
+    const params = { event_id: tournamentId, market: 'win', odds_format: 'decimal', ...options };
+    const apiCall = () => this.client.get('/historical-odds', { params });
+    const response = await this._retryWithBackoff(apiCall);
+    return this._transformHistoricalOddsData(response.data, params);
+  }
+
+  /**
+   * Get pre-tournament model predictions
+   * @param {Object} options - Query options (tour, add_position, dead_heat, odds_format)
+   * @returns {Promise<Object>} Pre-tournament predictions data
+   */
+  async getPreTournamentPredictions(options = {}) {
+    const params = { file_format: 'json', ...options };
+    const apiCall = () => this.client.get('/preds/pre-tournament', { params });
+    const response = await this._retryWithBackoff(apiCall);
+    return this._transformPreTournamentPredictionsData(response.data, params.odds_format);
+  }
+
+  /**
+   * Get live in-play model predictions for a tournament
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options (tour, round)
+   * @returns {Promise<Object>} Live predictions data
+   */
+  async getLivePredictions(tournamentId, options = {}) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+
+    const params = { event_id: tournamentId, ...options };
+    const apiCall = () => this.client.get('/live-preds', { params });
+    const response = await this._retryWithBackoff(apiCall);
+    return this._transformLivePredictionsData(response.data);
+  }
+
+  /**
+   * Get tee times and pairings for a tournament
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options (tour, year, timezone override)
+   * @returns {Promise<Object>} Tee times grouped into pairings
+   */
+  async getTeeTimes(tournamentId, options = {}) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+
+    const { timezone, ...query } = options;
+    const params = { event_id: tournamentId, ...query };
+    const apiCall = () => this.client.get('/tee-times', { params });
+    const response = await this._retryWithBackoff(apiCall);
+    return this._transformTeeTimesData(response.data, timezone);
+  }
+
+  /**
+   * Get DFS salaries for a tournament on a given site
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options (site, tour, year)
+   * @returns {Promise<Object>} DFS salaries data
+   */
+  async getDfsSalaries(tournamentId, options = {}) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+
+    const params = { event_id: tournamentId, site: 'draftkings', ...options };
+    const apiCall = () => this.client.get('/dfs-salaries', { params });
+    const response = await this._retryWithBackoff(apiCall);
+    return this._transformDfsSalariesData(response.data, params.site);
+  }
+
+  /**
+   * Get historical round-level scoring for a completed event
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options (tour, year, round)
+   * @returns {Promise<Object>} Round scoring data
+   */
+  async getHistoricalRoundScoring(tournamentId, options = {}) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+
+    const params = { event_id: tournamentId, ...options };
+    const apiCall = () => this.client.get('/scoring', { params });
+    const response = await this._retryWithBackoff(apiCall);
+    return this._transformHistoricalRoundsData(response.data, tournamentId);
+  }
+
+  /**
+   * Get historical round-level strokes-gained data for a completed event
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options (tour, year, category)
+   * @returns {Promise<Object>} Round strokes-gained data
+   */
+  async getHistoricalStrokesGained(tournamentId, options = {}) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+
+    const params = { event_id: tournamentId, ...options };
+    const apiCall = () => this.client.get('/strokes-gained', { params });
+    const response = await this._retryWithBackoff(apiCall);
+    return this._transformHistoricalRoundsData(response.data, tournamentId);
+  }
+
   /**
    * Transform tournament data to standardized format
    * @param {Object} data - Raw tournament data
@@ -375,30 +568,573 @@ class DataGolfClient {
       return { odds: [], metadata: { count: 0, transformedAt: new Date().toISOString() } };
     }
 
-    const odds = data.map(odd => ({
-      playerId: odd.dg_id || odd.player_id,
-      playerName: odd.player_name || odd.name,
-      tournamentId: odd.tournament_id || odd.event_id,
-      bookmaker: odd.bookmaker || 'unknown',
-      odds: {
-        decimal: odd.decimal_odds || null,
-        american: odd.american_odds || null,
-        fractional: odd.fractional_odds || null
+    const odds = data.map(odd => {
+      const prices = normalizeOdds({
+        decimal: odd.decimal_odds,
+        american: odd.american_odds,
+        fractional: odd.fractional_odds
+      });
+
+      return {
+        playerId: odd.dg_id || odd.player_id,
+        playerName: odd.player_name || odd.name,
+        tournamentId: odd.tournament_id || odd.event_id,
+        bookmaker: odd.bookmaker || 'unknown',
+        market: odd.market || null,
+        odds: prices,
+        impliedProbability: odd.implied_probability || impliedProbability(prices.decimal),
+        lastUpdated: odd.last_updated || new Date().toISOString(),
+        transformedAt: new Date().toISOString()
+      };
+    });
+
+    return {
+      odds,
+      metadata: {
+        count: odds.length,
+        transformedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Transform matchup and 3-ball odds to standardized format
+   * Each market is modelled as a whole: its participants plus one price per participant per book
+   * @param {Object} data - Raw matchup odds data
+   * @param {string} marketType - Market type (tournament_matchups, round_matchups, 3_balls)
+   * @param {string} oddsFormat - Odds format the prices were requested in
+   * @returns {Object} Transformed data
+   * @private
+   */
+  _transformMatchupOddsData(data, marketType = 'tournament_matchups', oddsFormat = 'decimal') {
+    const matches = Array.isArray(data) ? data : data?.match_list;
+    if (!Array.isArray(matches)) {
+      return { markets: [], metadata: { count: 0, marketType, transformedAt: new Date().toISOString() } };
+    }
+
+    const info = Array.isArray(data) ? {} : data;
+    const formatKey = { american: 'american', fraction: 'fractional' }[oddsFormat] || 'decimal';
+
+    const markets = matches.map(match => {
+      const participants = ['p1', 'p2', 'p3']
+        .filter(slot => match[`${slot}_dg_id`] !== undefined || match[`${slot}_player_name`] !== undefined)
+        .map(slot => ({
+          slot,
+          playerId: match[`${slot}_dg_id`] ?? match[`${slot}_player_id`] ?? null,
+          playerName: match[`${slot}_player_name`] || null
+        }));
+
+      const books = Object.entries(match.odds || {}).map(([bookmaker, bookOdds]) => ({
+        bookmaker,
+        prices: participants.map(participant => ({
+          playerId: participant.playerId,
+          odds: normalizeOdds({ [formatKey]: bookOdds?.[participant.slot] })
+        }))
+      }));
+
+      const round = match.round ?? info.round ?? null;
+      const idParts = participants.map(participant => participant.playerId).sort();
+
+      return {
+        marketId: [marketType, round ? `r${round}` : null, idParts.join('-')].filter(Boolean).join(':'),
+        marketType,
+        round,
+        tieRule: match.ties || null,
+        participants,
+        books,
+        transformedAt: new Date().toISOString()
+      };
+    });
+
+    return {
+      event: {
+        name: info.event_name || null,
+        lastUpdated: info.last_updated || null
+      },
+      markets,
+      metadata: {
+        count: markets.length,
+        marketType,
+        oddsFormat,
+        transformedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Transform historical odds to standardized format
+   * @param {Object} data - Raw historical odds data
+   * @param {Object} params - Parameters the data was requested with
+   * @returns {Object} Transformed data
+   * @private
+   */
+  _transformHistoricalOddsData(data, params = {}) {
+    const rows = Array.isArray(data) ? data : data?.odds;
+    if (!Array.isArray(rows)) {
+      return { lines: [], metadata: { count: 0, transformedAt: new Date().toISOString() } };
+    }
+
+    const info = Array.isArray(data) ? {} : data;
+    const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+    const lines = rows.map(row => ({
+      playerId: row.dg_id || row.player_id,
+      playerName: row.player_name || row.name,
+      sportsbook: row.book || row.sportsbook || info.book || params.sportsbook || 'unknown',
+      market: row.market || info.market || params.market,
+      open: {
+        decimal: toNumber(row.open_odds),
+        time: row.open_time || null
+      },
+      close: {
+        decimal: toNumber(row.close_odds),
+        time: row.close_time || null
+      },
+      outcome: row.outcome ?? row.bet_outcome_text ?? null
+    }));
+
+    return {
+      event: {
+        name: info.event_name || null,
+        year: toNumber(info.year ?? params.year)
+      },
+      lines,
+      metadata: {
+        count: lines.length,
+        market: info.market || params.market,
+        transformedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Transform pre-tournament predictions to standardized format
+   * Every probability is normalized to a 0-1 value regardless of the requested odds format
+   * @param {Object} data - Raw predictions data
+   * @param {string} oddsFormat - Odds format the data was requested in
+   * @returns {Object} Transformed data
+   * @private
+   */
+  _transformPreTournamentPredictionsData(data, oddsFormat = 'percent') {
+    if (!data) {
+      return { predictions: [], metadata: { count: 0, transformedAt: new Date().toISOString() } };
+    }
+
+    // Data Golf returns one player list per model; a bare array is treated as the baseline model
+    const models = Array.isArray(data)
+      ? { baseline: data }
+      : {
+          baseline: data.baseline || [],
+          baseline_history_fit: data.baseline_history_fit || []
+        };
+
+    const predictions = [];
+    for (const [model, players] of Object.entries(models)) {
+      if (!Array.isArray(players)) continue;
+
+      for (const player of players) {
+        // Positions requested through add_position arrive as extra top_N columns
+        const topN = {};
+        for (const [column, value] of Object.entries(player)) {
+          const match = /^top_(\d+)$/.exec(column);
+          if (match && !['5', '10', '20'].includes(match[1])) {
+            topN[match[1]] = this._toProbability(value, oddsFormat);
+          }
+        }
+
+        predictions.push({
+          playerId: player.dg_id || player.player_id,
+          playerName: player.player_name || player.name,
+          model,
+          probabilities: {
+            win: this._toProbability(player.win, oddsFormat),
+            top5: this._toProbability(player.top_5, oddsFormat),
+            top10: this._toProbability(player.top_10, oddsFormat),
+            top20: this._toProbability(player.top_20, oddsFormat),
+            makeCut: this._toProbability(player.make_cut, oddsFormat),
+            topN
+          },
+          transformedAt: new Date().toISOString()
+        });
+      }
+    }
+
+    return {
+      event: {
+        tournamentId: data.event_id !== undefined && data.event_id !== null ? String(data.event_id) : null,
+        name: data.event_name || null,
+        lastUpdated: data.last_updated || null,
+        deadHeat: data.dead_heats === undefined ? null : data.dead_heats
+      },
+      predictions,
+      metadata: {
+        count: predictions.length,
+        models: Object.keys(models).filter(model => Array.isArray(models[model]) && models[model].length > 0),
+        oddsFormat,
+        transformedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Transform live in-play predictions to standardized format
+   * @param {Object} data - Raw live predictions data
+   * @returns {Object} Transformed data
+   * @private
+   */
+  _transformLivePredictionsData(data) {
+    const players = Array.isArray(data) ? data : data?.data;
+    if (!Array.isArray(players)) {
+      return {
+        event: { roundState: 'unknown' },
+        predictions: [],
+        metadata: { count: 0, transformedAt: new Date().toISOString() }
+      };
+    }
+
+    const info = (!Array.isArray(data) && data.info) || {};
+
+    const predictions = players.map(player => ({
+      playerId: player.dg_id || player.player_id,
+      playerName: player.player_name || player.name,
+      position: player.current_pos || player.position || null,
+      totalScore: player.current_score ?? player.total_score ?? null,
+      today: player.today ?? null,
+      round: player.round || info.current_round || null,
+      thru: player.thru ?? null,
+      probabilities: {
+        win: this._toProbability(player.win, 'percent'),
+        top5: this._toProbability(player.top_5, 'percent'),
+        top10: this._toProbability(player.top_10, 'percent'),
+        top20: this._toProbability(player.top_20, 'percent'),
+        makeCut: this._toProbability(player.make_cut, 'percent')
       },
-      impliedProbability: odd.implied_probability || null,
-      lastUpdated: odd.last_updated || new Date().toISOString(),
       transformedAt: new Date().toISOString()
     }));
 
     return {
-      odds,
+      event: {
+        name: info.event_name || null,
+        currentRound: info.current_round || null,
+        lastUpdated: info.last_update || null,
+        roundState: this._getRoundState(players)
+      },
+      predictions,
       metadata: {
-        count: odds.length,
+        count: predictions.length,
         transformedAt: new Date().toISOString()
       }
     };
   }
 
+  /**
+   * Derive the state of the current round from players' holes completed
+   * @param {Array} players - Raw player rows with a `thru` value
+   * @returns {string} 'in_progress', 'complete', 'not_started' or 'unknown'
+   * @private
+   */
+  _getRoundState(players) {
+    const thruValues = players
+      .map(player => player.thru)
+      .filter(thru => thru !== undefined && thru !== null && thru !== '');
+
+    if (thruValues.length === 0) {
+      return 'unknown';
+    }
+
+    const holes = thruValues.map(thru => (String(thru).toUpperCase() === 'F' ? 18 : parseInt(thru, 10) || 0));
+
+    if (holes.some(hole => hole > 0 && hole < 18)) {
+      return 'in_progress';
+    }
+    if (holes.every(hole => hole >= 18)) {
+      return 'complete';
+    }
+    if (holes.every(hole => hole === 0)) {
+      return 'not_started';
+    }
+
+    // Some groups finished while others have yet to tee off
+    return 'in_progress';
+  }
+
+  /**
+   * Transform historical round data to standardized format
+   * Handles both flat per-round rows and players with nested round objects
+   * @param {Object} data - Raw historical round data
+   * @param {string} tournamentId - Tournament identifier
+   * @returns {Object} Transformed data
+   * @private
+   */
+  _transformHistoricalRoundsData(data, tournamentId) {
+    const players = Array.isArray(data) ? data : (data?.scores || data?.rounds || data?.data);
+    if (!Array.isArray(players)) {
+      return { rounds: [], metadata: { count: 0, transformedAt: new Date().toISOString() } };
+    }
+
+    const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+    const rounds = [];
+
+    for (const player of players) {
+      // Nested rounds come as round_1, round_2... keys; flat rows carry their own round number
+      const roundKeys = Object.keys(player).filter(key => /^round_\d+$/.test(key) && player[key]);
+      const playerRounds = roundKeys.length > 0
+        ? roundKeys.map(key => ({ round: parseInt(key.slice(6), 10), ...player[key] }))
+        : [{ ...player, round: player.round }];
+
+      for (const round of playerRounds) {
+        rounds.push({
+          playerId: player.dg_id || player.player_id,
+          playerName: player.player_name || player.name,
+          round: parseInt(round.round, 10) || null,
+          courseName: round.course_name || null,
+          score: toNumber(round.score),
+          strokesGained: {
+            ott: toNumber(round.sg_ott),
+            app: toNumber(round.sg_app),
+            arg: toNumber(round.sg_arg),
+            putt: toNumber(round.sg_putt),
+            t2g: toNumber(round.sg_t2g),
+            total: toNumber(round.sg_total)
+          }
+        });
+      }
+    }
+
+    return {
+      event: {
+        tournamentId: String(Array.isArray(data) ? tournamentId : data.event_id || tournamentId),
+        name: Array.isArray(data) ? null : data.event_name || null,
+        year: Array.isArray(data) ? null : toNumber(data.year ?? data.calendar_year),
+        tour: Array.isArray(data) ? null : data.tour || null
+      },
+      rounds,
+      metadata: {
+        count: rounds.length,
+        transformedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Transform DFS salaries to a site-independent format
+   * @param {Object} data - Raw DFS salaries data
+   * @param {string} site - DFS site the salaries belong to
+   * @returns {Object} Transformed data
+   * @private
+   */
+  _transformDfsSalariesData(data, site = 'draftkings') {
+    const rows = Array.isArray(data) ? data : (data?.salaries || data?.projections);
+    if (!Array.isArray(rows)) {
+      return { salaries: [], metadata: { count: 0, site, transformedAt: new Date().toISOString() } };
+    }
+
+    // Site-specific column prefixes used by the upstream feed
+    const prefix = { draftkings: 'dk', fanduel: 'fd', yahoo: 'yahoo' }[site] || site;
+
+    const salaries = rows.map(row => {
+      const salary = row.salary ?? row[`${prefix}_salary`];
+      const ownership = row.proj_ownership ?? row.ownership ?? row[`${prefix}_ownership`];
+
+      return {
+        playerId: row.dg_id || row.player_id,
+        playerName: row.player_name || row.name,
+        site,
+        sitePlayerId: String(row.site_player_id ?? row[`${prefix}_id`] ?? row.site_name_id ?? '') || null,
+        salary: salary === undefined || salary === null ? null : Number(salary),
+        // Ownership is sent in percentage points, so 0.8 is 0.8% rather than 80%
+        projectedOwnership: ownership === undefined || ownership === null || ownership === '' || isNaN(Number(ownership))
+          ? null
+          : Math.round(Number(ownership) / 100 * 1e6) / 1e6,
+        transformedAt: new Date().toISOString()
+      };
+    });
+
+    return {
+      event: {
+        name: Array.isArray(data) ? null : data.event_name || null,
+        lastUpdated: Array.isArray(data) ? null : data.last_updated || null
+      },
+      salaries,
+      metadata: {
+        count: salaries.length,
+        site,
+        transformedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Transform tee times into pairings grouped by round, wave and starting hole
+   * @param {Object} data - Raw tee times data
+   * @param {string} timeZoneOverride - Course time zone to use instead of the upstream one
+   * @returns {Object} Transformed data
+   * @private
+   */
+  _transformTeeTimesData(data, timeZoneOverride = null) {
+    const rows = Array.isArray(data) ? data : (data?.teetimes || data?.tee_times || data?.field);
+    if (!Array.isArray(rows)) {
+      return { pairings: {}, players: [], metadata: { count: 0, transformedAt: new Date().toISOString() } };
+    }
+
+    const info = Array.isArray(data) ? {} : data;
+    const upstreamTimeZone = info.timezone || info.time_zone || info.course_tz;
+    const timeZone = [timeZoneOverride, upstreamTimeZone].find(isValidTimeZone) || 'UTC';
+
+    // Build one entry per player per round, expanding r1_teetime style columns when present
+    const entries = [];
+    for (const row of rows) {
+      const roundColumns = Object.keys(row).filter(key => /^r\d+_teetime$/.test(key));
+      const rounds = roundColumns.length > 0
+        ? roundColumns.map(key => ({ round: parseInt(key.slice(1), 10), teeTime: row[key] }))
+        : [{ round: row.round || 1, teeTime: row.tee_time || row.teetime }];
+
+      for (const { round, teeTime } of rounds) {
+        if (!teeTime) continue;
+
+        const date = row.date || this._addDays(info.start_date || info.event_start_date, round - 1);
+        const instant = parseLocalTime(teeTime, timeZone, date);
+        const startHole = parseInt(row[`r${round}_start_hole`] || row.start_hole || 1, 10);
+
+        entries.push({
+          playerId: row.dg_id || row.player_id,
+          playerName: row.player_name || row.name,
+          round,
+          startHole,
+          course: row.course || row.course_name || null,
+          teeTime: {
+            raw: teeTime,
+            local: instant ? formatInTimeZone(instant, timeZone) : null,
+            utc: instant ? instant.toISOString() : null
+          },
+          wave: instant ? (getZonedParts(instant, timeZone).hour < 12 ? 'AM' : 'PM') : null,
+          groupId: row[`r${round}_group`] || row.group || row.pairing_id || null
+        });
+      }
+    }
+
+    // Reconstruct groups: prefer the upstream group id, else players sharing a tee slot
+    const groups = new Map();
+    for (const entry of entries) {
+      const slot = entry.groupId || `${entry.teeTime.utc || entry.teeTime.raw}|${entry.startHole}|${entry.course || ''}`;
+      const key = `${entry.round}|${slot}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          groupId: entry.groupId || `R${entry.round}-${groups.size + 1}`,
+          round: entry.round,
+          startHole: entry.startHole,
+          wave: entry.wave,
+          course: entry.course,
+          teeTime: entry.teeTime,
+          players: []
+        });
+      }
+      groups.get(key).players.push({ playerId: entry.playerId, playerName: entry.playerName });
+    }
+
+    const sortedGroups = [...groups.values()].sort((a, b) =>
+      a.round - b.round ||
+      String(a.teeTime.utc || a.teeTime.raw).localeCompare(String(b.teeTime.utc || b.teeTime.raw)) ||
+      a.startHole - b.startHole
+    );
+
+    const pairings = {};
+    const players = [];
+    for (const group of sortedGroups) {
+      const wave = group.wave || 'unknown';
+      pairings[group.round] = pairings[group.round] || {};
+      pairings[group.round][wave] = pairings[group.round][wave] || {};
+      pairings[group.round][wave][group.startHole] = pairings[group.round][wave][group.startHole] || [];
+      pairings[group.round][wave][group.startHole].push(group);
+
+      for (const player of group.players) {
+        players.push({
+          ...player,
+          round: group.round,
+          groupId: group.groupId,
+          startHole: group.startHole,
+          wave: group.wave,
+          course: group.course,
+          teeTime: group.teeTime,
+          playingPartners: group.players.filter(partner => partner.playerId !== player.playerId)
+        });
+      }
+    }
+
+    return {
+      event: {
+        name: info.event_name || null,
+        timeZone
+      },
+      pairings,
+      players,
+      metadata: {
+        count: players.length,
+        groups: sortedGroups.length,
+        transformedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Add whole days to a 'YYYY-MM-DD' date
+   * @param {string} date - Start date
+   * @param {number} days - Days to add
+   * @returns {string|null} Resulting date or null if the input is missing
+   * @private
+   */
+  _addDays(date, days) {
+    if (!date) {
+      return null;
+    }
+
+    const parsed = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+    if (isNaN(parsed.getTime())) {
+      return null;
+    }
+
+    parsed.setUTCDate(parsed.getUTCDate() + days);
+    return parsed.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Convert a Data Golf odds value into a 0-1 probability
+   * @param {number|string} value - Raw odds value
+   * The unit comes from the format alone: percent values are 0-1 probabilities, as Data Golf
+   * sends them, unless written with a trailing "%"
+   * @param {string} oddsFormat - Format of the value (percent, american, decimal, fraction)
+   * @returns {number|null} Probability or null if not convertible
+   * @private
+   */
+  _toProbability(value, oddsFormat) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    let probability = null;
+
+    switch (oddsFormat) {
+      case 'american':
+        probability = impliedProbability(decimalFromAmerican(value));
+        break;
+      case 'decimal':
+        probability = impliedProbability(value);
+        break;
+      case 'fraction':
+        probability = impliedProbability(decimalFromFractional(value));
+        break;
+      default: {
+        const text = String(value).trim();
+        const percent = parseFloat(text);
+        if (!isNaN(percent)) {
+          probability = text.endsWith('%') ? percent / 100 : percent;
+        }
+      }
+    }
+
+    return probability === null ? null : Math.round(probability * 1e6) / 1e6;
+  }
+
   /**
    * Health check for Data Golf API connectivity
    * @returns {Promise<Object>} Health status
@@ -6,14 +6,27 @@
 
 const DataGolfClient = require('./dataGolfClient');
 const CacheService = require('./cacheService');
+const HistoricalArchiveService = require('./historicalArchiveService');
+const EndpointPolicyService = require('./endpointPolicyService');
 const { getConfig } = require('../config/environment');
 const logger = require('../utils/logger');
+const { getRequestContext, recordCacheResult, recordRepresentation, extendContext } = require('../utils/requestContext');
+const { isDiffable, diffPayloads, mergeDiffs } = require('../utils/delta');
+const {
+  americanFromDecimal,
+  decimalFromProbability,
+  fractionalFromDecimal,
+  getMarketTarget,
+  removeVig
+} = require('../utils/odds');
 
 class DataGolfService {
   constructor() {
     this.config = getConfig();
     this.client = new DataGolfClient();
     this.cache = new CacheService();
+    this.archive = new HistoricalArchiveService();
+    this.endpointPolicy = new EndpointPolicyService();
 
     // Circuit breaker state
     this.circuitBreaker = {
@@ -27,17 +40,64 @@ class DataGolfService {
     };
 
     // Rate limiting state
+    // Per-endpoint limits from the endpoint policy apply on top of maxRequests
     this.rateLimiter = {
       requests: [],
+      endpoints: new Map(),
       maxRequests: 100, // per minute
       windowMs: 60000
     };
 
+    // Live prediction TTLs keyed by round state (seconds)
+    // The livePredictions endpoint policy overrides the in-progress TTL
+    this.livePredictionTtls = {
+      in_progress: 30,
+      between_rounds: 900
+    };
+
+    // Hard TTLs keyed by cache data type (seconds)
+    // Past its soft TTL an entry is served stale while it refreshes; past its hard TTL it is gone
+    this.hardTtls = {
+      default: 3600,
+      tournament: 86400,
+      rankings: 86400,
+      field: 21600,
+      scoring: 1800,
+      playerStats: 86400,
+      bettingOdds: 3600,
+      matchupOdds: 3600,
+      preTournamentPredictions: 21600,
+      livePredictions: 1800,
+      teeTimes: 86400,
+      dfsSalaries: 21600,
+      historicalScoring: 604800,
+      historicalStrokesGained: 604800,
+      historicalOdds: 604800
+    };
+
+    // Upstream fetches in flight keyed by cache key, shared by concurrent misses and refreshes
+    this.inFlight = new Map();
+
+    // Most recent upstream call and TTL per cache key, used to refresh a key on demand
+    this.refreshSources = new Map();
+    this.maxRefreshSources = 5000;
+
+    // Player-level diffs between successive upstream versions per cache key, for since= queries
+    this.deltas = new Map();
+    this.maxDeltaKeys = 500;
+    this.maxDeltasPerKey = 100;
+
+    // Listeners told about every new payload fetched from upstream, e.g. to detect webhook events
+    this.dataListeners = new Set();
+
     // Performance metrics
     this.metrics = {
       totalRequests: 0,
       cacheHits: 0,
       cacheMisses: 0,
+      staleHits: 0,
+      backgroundRefreshes: 0,
+      coalescedRequests: 0,
       errors: 0,
       averageResponseTime: 0,
       lastRequestTime: null
@@ -97,6 +157,79 @@ class DataGolfService {
     );
   }
 
+  /**
+   * Get tee times and pairings with caching
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Object>} Tee times data
+   */
+  async getTeeTimes(tournamentId, options = {}, useCache = true) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+
+    const cacheKey = this.cache.generateKey('teeTimes', { tournamentId, ...options });
+    return this._executeWithCaching(
+      () => this.client.getTeeTimes(tournamentId, options),
+      cacheKey,
+      useCache,
+      this.config.cache.l2.ttl
+    );
+  }
+
+  /**
+   * Get DFS salaries joined against the tournament field
+   * Each row is flagged as withdrawn or alternate based on the field status
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Object>} DFS salaries data
+   */
+  async getDfsSalaries(tournamentId, options = {}, useCache = true) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+
+    const cacheKey = this.cache.generateKey('dfsSalaries', { tournamentId, ...options });
+    const salaries = await this._executeWithCaching(
+      () => this.client.getDfsSalaries(tournamentId, options),
+      cacheKey,
+      useCache,
+      this.config.cache.l1.ttl
+    );
+
+    let fieldByPlayer = null;
+    try {
+      const field = await this.getTournamentField(tournamentId, {}, useCache);
+      fieldByPlayer = new Map((field.field || []).map(player => [String(player.playerId), player]));
+    } catch (error) {
+      logger.warn('DFS salaries returned without field join', { tournamentId, error: error.message });
+    }
+
+    return {
+      ...salaries,
+      salaries: (salaries.salaries || []).map(row => {
+        if (!fieldByPlayer) {
+          return { ...row, fieldStatus: null, withdrawn: null, alternate: null };
+        }
+
+        const fieldEntry = fieldByPlayer.get(String(row.playerId));
+        const fieldStatus = fieldEntry ? this._normalizeFieldStatus(fieldEntry.status) : 'not_in_field';
+        return {
+          ...row,
+          fieldStatus,
+          withdrawn: fieldStatus === 'withdrawn',
+          alternate: fieldStatus === 'alternate'
+        };
+      }),
+      metadata: {
+        ...salaries.metadata,
+        fieldJoined: fieldByPlayer !== null
+      }
+    };
+  }
+
   /**
    * Get live scoring with shorter cache TTL
    * @param {string} tournamentId - Tournament identifier
@@ -120,6 +253,21 @@ class DataGolfService {
     );
   }
 
+  /**
+   * Get the players whose position or score changed since a point in time
+   * @param {string} tournamentId - Tournament identifier
+   * @param {string} since - ISO timestamp of the version the client already has
+   * @param {Object} options - Query options
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Object>} Changes as described by _getChangesSince, with the tournament ID
+   */
+  async getLiveScoringChanges(tournamentId, since, options = {}, useCache = true) {
+    await this.getLiveScoring(tournamentId, options, useCache);
+
+    const cacheKey = this.cache.generateKey('scoring', { tournamentId, ...options });
+    return { tournamentId, ...this._getChangesSince(cacheKey, since) };
+  }
+
   /**
    * Get player statistics with caching
    * @param {string} playerId - Player identifier
@@ -141,18 +289,323 @@ class DataGolfService {
     );
   }
 
+  /**
+   * Get round-level scoring and strokes-gained data for an event
+   * Served from the SQLite archive when available, otherwise fetched and archived once the event is over
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options (tour, year)
+   * @param {boolean} useCache - Whether to use the cache and archive
+   * @returns {Promise<Object>} Historical round data
+   */
+  async getHistoricalRounds(tournamentId, options = {}, useCache = true) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+    if (!options.year) {
+      throw new Error('Year is required');
+    }
+
+    const tour = options.tour || 'pga';
+    const year = parseInt(options.year, 10);
+    const query = { tour, year };
+
+    if (useCache) {
+      try {
+        const archived = await this.archive.getEvent(tour, tournamentId, year);
+        if (archived) {
+          return { ...archived, metadata: { ...archived.metadata, source: 'archive' } };
+        }
+      } catch (error) {
+        logger.warn('Historical archive lookup failed', { tournamentId, ...query, error: error.message });
+      }
+    }
+
+    const ttl = this.config.cache.l2.ttl;
+    const [scoring, strokesGained] = await Promise.all([
+      this._executeWithCaching(
+        () => this.client.getHistoricalRoundScoring(tournamentId, query),
+        this.cache.generateKey('historicalScoring', { tournamentId, ...query }),
+        useCache,
+        ttl
+      ),
+      this._executeWithCaching(
+        () => this.client.getHistoricalStrokesGained(tournamentId, query),
+        this.cache.generateKey('historicalStrokesGained', { tournamentId, ...query }),
+        useCache,
+        ttl
+      )
+    ]);
+
+    // Merge strokes-gained categories onto the matching player round
+    const merged = new Map();
+    for (const round of [...scoring.rounds, ...strokesGained.rounds]) {
+      const key = `${round.playerId}|${round.round}`;
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...round, strokesGained: { ...round.strokesGained } });
+        continue;
+      }
+
+      existing.score = existing.score ?? round.score;
+      existing.courseName = existing.courseName || round.courseName;
+      for (const [category, value] of Object.entries(round.strokesGained)) {
+        existing.strokesGained[category] = existing.strokesGained[category] ?? value;
+      }
+    }
+
+    const rounds = [...merged.values()].sort((a, b) =>
+      a.round - b.round || String(a.playerId).localeCompare(String(b.playerId))
+    );
+    const event = {
+      tournamentId: String(tournamentId),
+      name: scoring.event?.name || strokesGained.event?.name || null,
+      year,
+      tour
+    };
+
+    // Rounds of an event still in play stay in the TTL cache until the event is over
+    if (rounds.length > 0 && (await this._getEventState(tournamentId, year)).completed) {
+      try {
+        await this.archive.archiveEvent({ tour, eventId: tournamentId, year, name: event.name }, rounds);
+      } catch (error) {
+        logger.warn('Failed to archive historical rounds', { tournamentId, ...query, error: error.message });
+      }
+    }
+
+    return {
+      event,
+      rounds,
+      metadata: {
+        count: rounds.length,
+        source: 'upstream',
+        transformedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Get historical opening and closing lines for an event market
+   * Served from the SQLite archive once the event is over, otherwise fetched from upstream;
+   * before then closing lines are withheld and only the opening lines are archived
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options (tour, year, market, sportsbook)
+   * @param {boolean} useCache - Whether to use the cache and archive
+   * @returns {Promise<Object>} Historical odds data
+   */
+  async getHistoricalOdds(tournamentId, options = {}, useCache = true) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+    if (!options.year) {
+      throw new Error('Year is required');
+    }
+
+    const query = {
+      tour: options.tour || 'pga',
+      eventId: tournamentId,
+      year: parseInt(options.year, 10),
+      market: options.market || 'win',
+      sportsbook: options.sportsbook
+    };
+
+    if (useCache) {
+      try {
+        const archived = await this.archive.getOddsLines(query);
+        if (archived) {
+          return { ...archived, metadata: { ...archived.metadata, source: 'archive' } };
+        }
+      } catch (error) {
+        logger.warn('Historical odds archive lookup failed', { ...query, error: error.message });
+      }
+    }
+
+    const params = { tour: query.tour, year: query.year, market: query.market, sportsbook: query.sportsbook };
+    Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+
+    const odds = await this._executeWithCaching(
+      () => this.client.getHistoricalOdds(tournamentId, params),
+      this.cache.generateKey('historicalOdds', { tournamentId, ...params }),
+      useCache,
+      this.config.cache.l2.ttl
+    );
+
+    // Opening lines are settled once the event starts, closing lines only once it is over
+    const state = await this._getEventState(tournamentId, query.year);
+    recordRepresentation({ closingLines: state.completed });
+    if (odds.lines.length > 0 && state.started) {
+      try {
+        await this.archive.archiveOddsLines({ ...query, name: odds.event?.name }, odds.lines, {
+          closed: state.completed
+        });
+      } catch (error) {
+        logger.warn('Failed to archive historical odds', { ...query, error: error.message });
+      }
+    }
+
+    return {
+      ...odds,
+      event: {
+        tournamentId: String(tournamentId),
+        name: odds.event?.name || null,
+        year: query.year,
+        tour: query.tour
+      },
+      // Until the event is over the upstream close is only the latest price, not a closing line
+      lines: state.completed
+        ? odds.lines
+        : odds.lines.map(line => ({ ...line, close: { decimal: null, time: null }, outcome: null })),
+      metadata: { ...odds.metadata, closed: state.completed, source: 'upstream' }
+    };
+  }
+
   /**
    * Get betting odds with caching
-   * @param {Object} options - Query options
+   * Every row carries a fair price with the bookmaker margin removed per market
+   * @param {Object} options - Query options, plus vigMethod for margin removal
    * @param {boolean} useCache - Whether to use cache
    * @returns {Promise<Object>} Betting odds
    */
   async getBettingOdds(options = {}, useCache = true) {
-    const cacheKey = this.cache.generateKey('bettingOdds', options);
+    const { vigMethod = 'multiplicative', ...query } = options;
+    const cacheKey = this.cache.generateKey('bettingOdds', query);
     // Use shorter TTL for betting odds as they change frequently
     const ttl = 300; // 5 minutes
+    const odds = await this._executeWithCaching(
+      () => this.client.getBettingOdds(query),
+      cacheKey,
+      useCache,
+      ttl
+    );
+
+    // Group rows into markets: one book's prices for one event market
+    const markets = new Map();
+    for (const row of odds.odds || []) {
+      const market = row.market || query.market || 'win';
+      const key = `${row.tournamentId}|${row.bookmaker}|${market}`;
+      if (!markets.has(key)) {
+        markets.set(key, { market, rows: [] });
+      }
+      markets.get(key).rows.push(row);
+    }
+
+    // Rows whose market cannot be de-vigged get a null fair price and the reason instead
+    const fairByRow = new Map();
+    for (const { market, rows } of markets.values()) {
+      const target = getMarketTarget(market);
+      const probabilities = rows.map(row => row.impliedProbability);
+      const unavailable = this._fairPriceUnavailableReason(probabilities, target);
+      if (unavailable) {
+        rows.forEach(row => fairByRow.set(row, { fair: null, fairUnavailableReason: unavailable }));
+        continue;
+      }
+
+      const fair = removeVig(probabilities, { method: vigMethod, target });
+      rows.forEach((row, index) => {
+        const price = this._fairPrice(fair[index], vigMethod);
+        fairByRow.set(row, price ? { fair: price } : { fair: null, fairUnavailableReason: 'Row has no valid price' });
+      });
+    }
+
+    return {
+      ...odds,
+      odds: (odds.odds || []).map(row => ({ ...row, ...fairByRow.get(row) })),
+      metadata: { ...odds.metadata, vigMethod }
+    };
+  }
+
+  /**
+   * Get the prices that changed since a point in time, per player, bookmaker and market
+   * @param {string} since - ISO timestamp of the version the client already has
+   * @param {Object} options - Query options, as for getBettingOdds
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Object>} Changes as described by _getChangesSince
+   */
+  async getBettingOddsChanges(since, options = {}, useCache = true) {
+    await this.getBettingOdds(options, useCache);
+
+    const { vigMethod, ...query } = options;
+    const cacheKey = this.cache.generateKey('bettingOdds', query);
+    return this._getChangesSince(cacheKey, since);
+  }
+
+  /**
+   * Get matchup and 3-ball odds with caching
+   * Each book's prices carry a fair price with the margin removed across the market's participants
+   * @param {Object} options - Query options, plus vigMethod for margin removal
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Object>} Matchup odds
+   */
+  async getMatchupOdds(options = {}, useCache = true) {
+    const { vigMethod = 'multiplicative', ...query } = options;
+    const cacheKey = this.cache.generateKey('matchupOdds', query);
+    // Same freshness as outright odds
+    const ttl = 300; // 5 minutes
+    const matchups = await this._executeWithCaching(
+      () => this.client.getMatchupOdds(query),
+      cacheKey,
+      useCache,
+      ttl
+    );
+
+    const markets = (matchups.markets || []).map(market => ({
+      ...market,
+      books: market.books.map(book => {
+        const fair = removeVig(
+          book.prices.map(price => (price.odds.decimal ? 1 / price.odds.decimal : null)),
+          { method: vigMethod, target: 1 }
+        );
+        return {
+          ...book,
+          prices: book.prices.map((price, index) => ({ ...price, fair: this._fairPrice(fair[index], vigMethod) }))
+        };
+      })
+    }));
+
+    return {
+      ...matchups,
+      markets,
+      metadata: { ...matchups.metadata, vigMethod }
+    };
+  }
+
+  /**
+   * Get pre-tournament model predictions with caching
+   * @param {Object} options - Query options
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Object>} Pre-tournament predictions
+   */
+  async getPreTournamentPredictions(options = {}, useCache = true) {
+    const cacheKey = this.cache.generateKey('preTournamentPredictions', options);
+    // Model predictions are refreshed a few times a day, so a medium TTL is enough
+    const ttl = 900; // 15 minutes
+    return this._executeWithCaching(
+      () => this.client.getPreTournamentPredictions(options),
+      cacheKey,
+      useCache,
+      ttl
+    );
+  }
+
+  /**
+   * Get live in-play predictions with a round-aware cache TTL
+   * @param {string} tournamentId - Tournament identifier
+   * @param {Object} options - Query options
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Object>} Live predictions
+   */
+  async getLivePredictions(tournamentId, options = {}, useCache = true) {
+    if (!tournamentId) {
+      throw new Error('Tournament ID is required');
+    }
+
+    const cacheKey = this.cache.generateKey('livePredictions', { tournamentId, ...options });
+    // Refresh rarely only once a round is complete; a round that has not started or cannot be
+    // classified may tee off at any moment, so it refreshes as quickly as one in progress
+    const ttl = (data) => data.event?.roundState === 'complete'
+      ? this.livePredictionTtls.between_rounds
+      : this.endpointPolicy.getCacheTtl('livePredictions') || this.livePredictionTtls.in_progress;
     return this._executeWithCaching(
-      () => this.client.getBettingOdds(options),
+      () => this.client.getLivePredictions(tournamentId, options),
       cacheKey,
       useCache,
       ttl
@@ -161,41 +614,37 @@ class DataGolfService {
 
   /**
    * Invalidate cache for specific data types
+   * Entries are found through their tags, so a filter only matches entries cached with that exact parameter
    * @param {string} dataType - Type of data to invalidate
    * @param {Object} filters - Additional filters for cache invalidation
+   * @param {string} [filters.tournamentId] - Only entries for this tournament
+   * @param {string} [filters.playerId] - Only entries for this player
+   * @param {string} [filters.season] - Only entries for this season
    * @returns {Promise<number>} Number of invalidated entries
    */
   async invalidateCache(dataType, filters = {}) {
     try {
-      let pattern;
-
-      switch (dataType) {
-        case 'tournaments':
-          pattern = '^tournament:';
-          break;
-        case 'rankings':
-          pattern = '^rankings:';
-          break;
-        case 'field':
-          pattern = filters.tournamentId ? `^field:.*tournamentId:${filters.tournamentId}` : '^field:';
-          break;
-        case 'scoring':
-          pattern = filters.tournamentId ? `^scoring:.*tournamentId:${filters.tournamentId}` : '^scoring:';
-          break;
-        case 'playerStats':
-          pattern = filters.playerId ? `^player-stats:.*playerId:${filters.playerId}` : '^player-stats:';
-          break;
-        case 'bettingOdds':
-          pattern = '^betting-odds:';
-          break;
-        case 'all':
-          pattern = '.*';
-          break;
-        default:
+      let invalidated;
+
+      if (dataType === 'all') {
+        invalidated = await this.cache.invalidateAll();
+      } else {
+        // Route data types match the cache key patterns apart from the plural tournament schedule
+        const keyType = dataType === 'tournaments' ? 'tournament' : dataType;
+        if (!this.cache.keyPatterns[keyType]) {
           throw new Error(`Unknown data type: ${dataType}`);
+        }
+
+        const tags = [`dataType:${keyType}`];
+        for (const name of ['tournamentId', 'playerId', 'season']) {
+          if (filters[name] !== undefined && filters[name] !== null) {
+            tags.push(`${name}:${filters[name]}`);
+          }
+        }
+
+        invalidated = await this.cache.invalidateByTags(tags);
       }
 
-      const invalidated = await this.cache.invalidateByPattern(pattern);
       logger.info('Cache invalidation completed', { dataType, filters, invalidated });
       return invalidated;
     } catch (error) {
@@ -204,6 +653,25 @@ class DataGolfService {
     }
   }
 
+  /**
+   * Fetch a cached key from upstream again and replace its entry
+   * Only keys requested since startup can be refreshed, since the key alone does not identify the API call
+   * @param {string} cacheKey - Cache key
+   * @returns {Promise<Object>} Refreshed entry as described by CacheService.inspect
+   */
+  async refreshCacheKey(cacheKey) {
+    const source = this.refreshSources.get(cacheKey);
+    if (!source) {
+      throw new Error(`No refresh source for cache key: ${cacheKey}`);
+    }
+
+    const previous = await this.cache.getEntry(cacheKey);
+    await this._fetchShared(source.apiCall, cacheKey, source.ttl, previous);
+    logger.info('Cache key refreshed', { cacheKey });
+
+    return this.cache.inspect(cacheKey);
+  }
+
   /**
    * Get service health status
    * @returns {Promise<Object>} Health status
@@ -239,6 +707,24 @@ class DataGolfService {
     }
   }
 
+  /**
+   * Get the internal rate limiter budget for the current window
+   * @returns {Object} { limit, used, remaining, windowMs }
+   */
+  getRateLimitStatus() {
+    const now = Date.now();
+    const used = this.rateLimiter.requests.filter(
+      timestamp => now - timestamp < this.rateLimiter.windowMs
+    ).length;
+
+    return {
+      limit: this.rateLimiter.maxRequests,
+      used,
+      remaining: Math.max(this.rateLimiter.maxRequests - used, 0),
+      windowMs: this.rateLimiter.windowMs
+    };
+  }
+
   /**
    * Get performance metrics
    * @returns {Object} Performance metrics
@@ -246,6 +732,7 @@ class DataGolfService {
   getMetrics() {
     return {
       ...this.metrics,
+      inFlightRequests: this.inFlight.size,
       cacheHitRate: this.metrics.totalRequests > 0
         ? this.metrics.cacheHits / this.metrics.totalRequests
         : 0,
@@ -257,10 +744,14 @@ class DataGolfService {
 
   /**
    * Execute API call with caching, circuit breaker, and rate limiting
+   * Fresh cache entries are returned directly. Entries past their soft TTL are returned
+   * immediately and refreshed in the background, and any entry still inside its hard TTL
+   * is served when the upstream call fails or is blocked. Calls made in a refresh context
+   * (cache warming) skip the cached copy and always fetch upstream, conditionally when one exists.
    * @param {Function} apiCall - Function that makes the API call
    * @param {string} cacheKey - Cache key
    * @param {boolean} useCache - Whether to use cache
-   * @param {number} ttl - Cache TTL in seconds
+   * @param {number|Function} ttl - Soft TTL in seconds, or a function deriving it from the response
    * @returns {Promise<Object>} API response
    * @private
    */
@@ -269,44 +760,54 @@ class DataGolfService {
     this.metrics.totalRequests++;
     this.metrics.lastRequestTime = new Date().toISOString();
 
-    try {
-      // Check rate limiting
-      if (!this._checkRateLimit()) {
-        throw new Error('Rate limit exceeded');
-      }
+    let cached = null;
+    const refresh = Boolean(getRequestContext()?.refresh);
 
-      // Check circuit breaker
-      if (!this._checkCircuitBreaker()) {
-        throw new Error('Circuit breaker is open');
-      }
+    if (useCache) {
+      this._rememberRefreshSource(cacheKey, apiCall, ttl);
+    }
 
-      // Try cache first
-      if (useCache) {
-        const cachedData = await this.cache.get(cacheKey);
-        if (cachedData !== null) {
-          this.metrics.cacheHits++;
-          this._recordSuccess();
-          this._updateResponseTime(startTime);
-          return cachedData;
-        }
-        this.metrics.cacheMisses++;
+    // Try cache first, even when the circuit breaker is open
+    if (useCache && !refresh) {
+      cached = await this.cache.getEntry(cacheKey);
+      if (cached && !cached.stale) {
+        this.metrics.cacheHits++;
+        this._updateResponseTime(startTime);
+        recordCacheResult({ key: cacheKey, status: 'HIT', age: cached.age, hash: cached.hash, storedAt: cached.storedAt });
+        return cached.data;
       }
 
-      // Make API call
-      const data = await apiCall();
-
-      // Cache the result
-      if (useCache && data) {
-        await this.cache.set(cacheKey, data, ttl);
+      if (cached) {
+        this.metrics.staleHits++;
+        this._revalidate(apiCall, cacheKey, ttl, cached);
+        this._updateResponseTime(startTime);
+        recordCacheResult({ key: cacheKey, status: 'STALE', age: cached.age, hash: cached.hash, storedAt: cached.storedAt });
+        return cached.data;
       }
 
-      this._recordSuccess();
+      this.metrics.cacheMisses++;
+    } else if (useCache) {
+      cached = await this.cache.getEntry(cacheKey);
+    }
+
+    try {
+      const data = useCache
+        ? await this._fetchShared(apiCall, cacheKey, ttl, cached)
+        : await this._fetchAndCache(apiCall, cacheKey, useCache, ttl);
       this._updateResponseTime(startTime);
+      if (useCache) {
+        recordCacheResult({
+          key: cacheKey,
+          status: 'MISS',
+          age: 0,
+          hash: this.cache.hashData(data),
+          storedAt: new Date().toISOString()
+        });
+      }
       return data;
 
     } catch (error) {
       this.metrics.errors++;
-      this._recordFailure();
       this._updateResponseTime(startTime);
 
       logger.error('Data Golf service error', {
@@ -319,24 +820,392 @@ class DataGolfService {
     }
   }
 
+  /**
+   * Call the upstream API through the rate limiter and circuit breaker and cache the result
+   * With a previous entry the call is conditional: a 304 keeps the cached data and restarts
+   * its TTLs, and new data is diffed against it for since= queries
+   * @param {Function} apiCall - Function that makes the API call
+   * @param {string} cacheKey - Cache key
+   * @param {boolean} useCache - Whether to cache the result
+   * @param {number|Function} ttl - Soft TTL in seconds, or a function deriving it from the response
+   * @param {Object} [previous] - Cache entry being replaced, as returned by CacheService.getEntry
+   * @returns {Promise<Object>} API response
+   * @private
+   */
+  async _fetchAndCache(apiCall, cacheKey, useCache, ttl, previous = null) {
+    await this.endpointPolicy.load();
+
+    // Check rate limiting
+    if (!this._checkRateLimit(this.cache.getKeyType(cacheKey))) {
+      throw new Error('Rate limit exceeded');
+    }
+
+    // Check circuit breaker
+    if (!this._checkCircuitBreaker()) {
+      throw new Error('Circuit breaker is open');
+    }
+
+    let data;
+    let notModified = false;
+    try {
+      data = previous ? await extendContext({ conditional: true }, apiCall) : await apiCall();
+    } catch (error) {
+      if (!(error.notModified && previous)) {
+        this._recordFailure();
+        throw error;
+      }
+
+      data = previous.data;
+      notModified = true;
+    }
+
+    this._recordSuccess();
+
+    if (data && !notModified) {
+      this._notifyDataListeners(cacheKey, data);
+    }
+
+    // Cache the result until its hard TTL, flagging it stale after the soft TTL
+    if (useCache && data) {
+      const timestamp = Date.now();
+      const softTtl = typeof ttl === 'function' ? ttl(data) : this._getSoftTtl(cacheKey, ttl);
+      const hardTtl = Math.max(this._getHardTtl(cacheKey), softTtl || 0);
+      await this.cache.set(cacheKey, data, hardTtl, { softTtl, timestamp });
+      this._recordDelta(cacheKey, previous, data, timestamp);
+    }
+
+    return data;
+  }
+
+  /**
+   * Fetch and cache through a single upstream call per cache key
+   * Concurrent misses for the same key wait on the fetch already in flight
+   * @param {Function} apiCall - Function that makes the API call
+   * @param {string} cacheKey - Cache key
+   * @param {number|Function} ttl - Soft TTL in seconds, or a function deriving it from the response
+   * @param {Object} [previous] - Cache entry being replaced
+   * @returns {Promise<Object>} API response
+   * @private
+   */
+  _fetchShared(apiCall, cacheKey, ttl, previous = null) {
+    if (this.inFlight.has(cacheKey)) {
+      this.metrics.coalescedRequests++;
+      return this.inFlight.get(cacheKey);
+    }
+
+    const request = this._fetchAndCache(apiCall, cacheKey, true, ttl, previous)
+      .finally(() => {
+        this.inFlight.delete(cacheKey);
+      });
+
+    this.inFlight.set(cacheKey, request);
+    return request;
+  }
+
+  /**
+   * Remember how to fetch a cache key, dropping the least recently requested key when full
+   * @param {string} cacheKey - Cache key
+   * @param {Function} apiCall - Function that makes the API call
+   * @param {number|Function} ttl - Soft TTL in seconds, or a function deriving it from the response
+   * @private
+   */
+  _rememberRefreshSource(cacheKey, apiCall, ttl) {
+    this.refreshSources.delete(cacheKey);
+    this.refreshSources.set(cacheKey, { apiCall, ttl });
+
+    if (this.refreshSources.size > this.maxRefreshSources) {
+      this.refreshSources.delete(this.refreshSources.keys().next().value);
+    }
+  }
+
+  /**
+   * Refresh a stale cache entry in the background
+   * Failures are logged and leave the stale entry in place until its hard TTL
+   * @param {Function} apiCall - Function that makes the API call
+   * @param {string} cacheKey - Cache key
+   * @param {number|Function} ttl - Soft TTL in seconds, or a function deriving it from the response
+   * @param {Object} previous - Stale cache entry
+   * @private
+   */
+  _revalidate(apiCall, cacheKey, ttl, previous) {
+    if (this.inFlight.has(cacheKey)) {
+      return;
+    }
+
+    this.metrics.backgroundRefreshes++;
+
+    this._fetchShared(apiCall, cacheKey, ttl, previous)
+      .catch((error) => {
+        this.metrics.errors++;
+        logger.warn('Background cache refresh failed, serving stale data', {
+          cacheKey,
+          error: error.message,
+          circuitBreakerState: this.circuitBreaker.state
+        });
+      });
+  }
+
+  /**
+   * Listen for payloads fetched from upstream
+   * Listeners are called with { cacheKey, dataType, tags, params, data } and must not throw or block
+   * @param {Function} listener - Called after each upstream fetch that returned new data
+   * @returns {Function} Function that removes the listener
+   */
+  onUpstreamData(listener) {
+    this.dataListeners.add(listener);
+    return () => this.dataListeners.delete(listener);
+  }
+
+  /**
+   * Tell data listeners about a fetched payload, isolating failures to the listener that threw
+   * @param {string} cacheKey - Cache key
+   * @param {Object} data - Fetched payload
+   * @private
+   */
+  _notifyDataListeners(cacheKey, data) {
+    if (this.dataListeners.size === 0) {
+      return;
+    }
+
+    const update = {
+      cacheKey,
+      dataType: this.cache.getKeyType(cacheKey),
+      tags: this.cache.getKeyTags(cacheKey),
+      params: this.cache.getKeyParams(cacheKey),
+      data
+    };
+
+    for (const listener of this.dataListeners) {
+      try {
+        listener(update);
+      } catch (error) {
+        logger.warn('Upstream data listener failed', { cacheKey, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Record how a diffable payload changed from the cached version it replaces
+   * History restarts when there is no previous version or it is not the last one recorded
+   * @param {string} cacheKey - Cache key
+   * @param {Object|null} previous - Replaced cache entry
+   * @param {Object} data - New payload, the previous data itself when upstream returned 304
+   * @param {number} timestamp - When the new payload was cached
+   * @private
+   */
+  _recordDelta(cacheKey, previous, data, timestamp) {
+    if (!isDiffable(this.cache.getKeyType(cacheKey))) {
+      return;
+    }
+
+    let history = this.deltas.get(cacheKey);
+    const previousAt = previous ? Date.parse(previous.storedAt) : null;
+
+    if (!previous) {
+      history = { since: timestamp, updatedAt: timestamp, entries: [] };
+    } else if (!history || history.updatedAt !== previousAt) {
+      history = { since: previousAt, updatedAt: previousAt, entries: [] };
+    }
+
+    if (previous && data !== previous.data) {
+      const changes = diffPayloads(this.cache.getKeyType(cacheKey), previous.data, data);
+      if (changes.length > 0) {
+        history.entries.push({ at: timestamp, changes });
+      }
+      if (history.entries.length > this.maxDeltasPerKey) {
+        history.since = history.entries.shift().at;
+      }
+    }
+
+    history.updatedAt = timestamp;
+
+    this.deltas.delete(cacheKey);
+    this.deltas.set(cacheKey, history);
+    if (this.deltas.size > this.maxDeltaKeys) {
+      this.deltas.delete(this.deltas.keys().next().value);
+    }
+  }
+
+  /**
+   * Merge the diffs recorded for a cache key after a point in time
+   * complete is false when history does not reach back that far, and the client should
+   * fetch the full payload instead
+   * @param {string} cacheKey - Cache key
+   * @param {string} since - ISO timestamp
+   * @returns {Object} { since, updatedAt, complete, changes }
+   * @private
+   */
+  _getChangesSince(cacheKey, since) {
+    const sinceMs = Date.parse(since);
+    const history = this.deltas.get(cacheKey);
+
+    if (!history) {
+      return { since: new Date(sinceMs).toISOString(), updatedAt: null, complete: false, changes: [] };
+    }
+
+    return {
+      since: new Date(sinceMs).toISOString(),
+      updatedAt: new Date(history.updatedAt).toISOString(),
+      complete: sinceMs >= history.since,
+      changes: mergeDiffs(history.entries.filter(entry => entry.at > sinceMs).map(entry => entry.changes))
+    };
+  }
+
+  /**
+   * Get the soft TTL for a cache key, preferring its endpoint policy over the method default
+   * @param {string} cacheKey - Cache key
+   * @param {number} fallback - TTL in seconds passed by the calling method
+   * @returns {number} Soft TTL in seconds
+   * @private
+   */
+  _getSoftTtl(cacheKey, fallback) {
+    return this.endpointPolicy.getCacheTtl(this.cache.getKeyType(cacheKey)) || fallback;
+  }
+
+  /**
+   * Get the hard TTL for a cache key's data type
+   * @param {string} cacheKey - Cache key
+   * @returns {number} Hard TTL in seconds
+   * @private
+   */
+  _getHardTtl(cacheKey) {
+    const type = this.cache.getKeyType(cacheKey);
+    return this.hardTtls[type] || this.hardTtls.default;
+  }
+
+  /**
+   * Build a fair price in every odds format from a fair probability
+   * @param {number|null} probability - Fair probability
+   * @param {string} method - Vig removal method used
+   * @returns {Object|null} Fair price or null when no fair probability is available
+   * @private
+   */
+  _fairPrice(probability, method) {
+    const decimal = decimalFromProbability(probability);
+    if (!decimal) {
+      return null;
+    }
+
+    return {
+      probability,
+      decimal,
+      american: americanFromDecimal(decimal),
+      fractional: fractionalFromDecimal(decimal),
+      method
+    };
+  }
+
+  /**
+   * Explain why a market's margin cannot be removed
+   * A lone price or a book summing to no more than the winner count would come back
+   * from vig removal unchanged, so it is not presented as a fair price
+   * @param {Array<number>} probabilities - Implied probabilities of the market's rows
+   * @param {number|null} target - Number of winners in the market
+   * @returns {string|null} Reason, or null when fair prices can be derived
+   * @private
+   */
+  _fairPriceUnavailableReason(probabilities, target) {
+    if (!target) {
+      return 'Market has no fixed number of winners';
+    }
+
+    const valid = probabilities.filter(probability => probability > 0 && probability < 1);
+    if (valid.length < 2) {
+      return 'Market has a single price, so its margin cannot be removed';
+    }
+    if (valid.reduce((sum, probability) => sum + probability, 0) <= target) {
+      return 'Market prices carry no margin to remove';
+    }
+
+    return null;
+  }
+
+  /**
+   * Map a raw field status onto active, withdrawn or alternate
+   * @param {string} status - Field status from the field transformer
+   * @returns {string} Normalized field status
+   * @private
+   */
+  _normalizeFieldStatus(status) {
+    const value = String(status || '').toLowerCase();
+
+    if (value === 'wd' || value.includes('withdr')) {
+      return 'withdrawn';
+    }
+    if (value.startsWith('alt')) {
+      return 'alternate';
+    }
+    return 'active';
+  }
+
+  /**
+   * Work out whether an event has started and whether it is over
+   * Events from earlier seasons are over; current-season events are looked up in the
+   * tournament schedule, and one missing from it counts as not started so nothing is archived early
+   * @param {string} tournamentId - Tournament identifier
+   * @param {number} year - Event year
+   * @returns {Promise<Object>} { started, completed }
+   * @private
+   */
+  async _getEventState(tournamentId, year) {
+    if (year < new Date(Date.now()).getUTCFullYear()) {
+      return { started: true, completed: true };
+    }
+
+    let tournament = null;
+    try {
+      const schedule = await this.getTournaments({});
+      tournament = (schedule.tournaments || []).find(event => String(event.id) === String(tournamentId)) || null;
+    } catch (error) {
+      logger.warn('Tournament schedule lookup failed', { tournamentId, year, error: error.message });
+    }
+
+    if (!tournament) {
+      return { started: false, completed: false };
+    }
+
+    const now = Date.now();
+    const start = Date.parse(tournament.startDate);
+    const end = Date.parse(tournament.endDate || tournament.startDate);
+    // End dates are calendar days, so the event is only over once that day has passed
+    const completed = tournament.status === 'completed' || (!isNaN(end) && now >= end + 24 * 60 * 60 * 1000);
+
+    return {
+      started: completed || (!isNaN(start) && now >= start),
+      completed
+    };
+  }
+
   /**
    * Check if request is within rate limits
+   * @param {string} [dataType] - Cache data type whose endpoint limit also applies
    * @returns {boolean} Whether request is allowed
    * @private
    */
-  _checkRateLimit() {
+  _checkRateLimit(dataType = null) {
     const now = Date.now();
+    const inWindow = timestamp => now - timestamp < this.rateLimiter.windowMs;
 
     // Remove old requests outside the window
-    this.rateLimiter.requests = this.rateLimiter.requests.filter(
-      timestamp => now - timestamp < this.rateLimiter.windowMs
-    );
+    this.rateLimiter.requests = this.rateLimiter.requests.filter(inWindow);
 
     // Check if we're under the limit
     if (this.rateLimiter.requests.length >= this.rateLimiter.maxRequests) {
       return false;
     }
 
+    // Check the endpoint's own limit
+    const endpointLimit = dataType ? this.endpointPolicy.getRateLimit(dataType) : null;
+    if (endpointLimit) {
+      const endpointRequests = (this.rateLimiter.endpoints.get(dataType) || []).filter(inWindow);
+      this.rateLimiter.endpoints.set(dataType, endpointRequests);
+
+      if (endpointRequests.length >= endpointLimit) {
+        return false;
+      }
+      endpointRequests.push(now);
+    }
+
     // Add current request
     this.rateLimiter.requests.push(now);
     return true;
@@ -0,0 +1,251 @@
+/**
+ * Endpoint Policy Service
+ * Reads per-endpoint cache TTLs and upstream rate limits from the api_endpoints table
+ * Polls the table so edits made outside this process take effect without a restart
+ */
+
+const dbManager = require('../database/manager');
+const logger = require('../utils/logger');
+
+// api_endpoints row that sets the policy for each cache data type
+const DATA_TYPE_ENDPOINTS = {
+  tournament: '/api/data-golf/tournaments',
+  rankings: '/api/data-golf/rankings',
+  field: '/api/data-golf/tournaments/:tournamentId/field',
+  teeTimes: '/api/data-golf/tournaments/:tournamentId/tee-times',
+  dfsSalaries: '/api/data-golf/tournaments/:tournamentId/dfs-salaries',
+  scoring: '/api/data-golf/tournaments/:tournamentId/scoring',
+  livePredictions: '/api/data-golf/tournaments/:tournamentId/live-predictions',
+  historicalScoring: '/api/data-golf/tournaments/:tournamentId/historical-rounds',
+  historicalStrokesGained: '/api/data-golf/tournaments/:tournamentId/historical-rounds',
+  historicalOdds: '/api/data-golf/tournaments/:tournamentId/historical-odds',
+  playerStats: '/api/data-golf/players/:playerId/stats',
+  bettingOdds: '/api/data-golf/betting-odds',
+  matchupOdds: '/api/data-golf/betting-odds/matchups',
+  preTournamentPredictions: '/api/data-golf/predictions/pre-tournament'
+};
+
+class EndpointPolicyService {
+  /**
+   * @param {Object} db - Database manager instance
+   */
+  constructor(db = dbManager) {
+    this.db = db;
+    this.policies = new Map();
+    this.signature = null;
+    this.loadPromise = null;
+    this.timer = null;
+    this.loadedAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Load policies once; later calls resolve immediately
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.reload().then(() => undefined);
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Reload policies from the api_endpoints table
+   * Inactive rows are skipped, so their data types fall back to the service defaults
+   * @returns {Promise<boolean>} Whether any policy changed
+   */
+  async reload() {
+    try {
+      await this.db.initialize();
+
+      const result = await this.db.query(
+        `SELECT endpoint_path, cache_ttl_seconds, rate_limit_per_minute FROM api_endpoints
+         WHERE is_active = 1 ORDER BY endpoint_path`
+      );
+      const rows = new Map(result.rows.map(row => [row.endpoint_path, row]));
+
+      const policies = new Map();
+      for (const [dataType, endpointPath] of Object.entries(DATA_TYPE_ENDPOINTS)) {
+        const row = rows.get(endpointPath);
+        if (!row) continue;
+
+        policies.set(dataType, {
+          endpointPath,
+          cacheTtl: row.cache_ttl_seconds > 0 ? row.cache_ttl_seconds : null,
+          rateLimit: row.rate_limit_per_minute > 0 ? row.rate_limit_per_minute : null
+        });
+      }
+
+      const signature = JSON.stringify(Array.from(policies.entries()));
+      const changed = signature !== this.signature;
+
+      this.policies = policies;
+      this.signature = signature;
+      this.loadedAt = new Date().toISOString();
+      this.lastError = null;
+
+      if (changed) {
+        logger.info('Endpoint policies loaded', { policies: policies.size });
+      }
+
+      return changed;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.warn('Endpoint policy reload failed', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Get the cache TTL configured for a data type
+   * @param {string} dataType - Cache data type (e.g. 'rankings')
+   * @returns {number|null} TTL in seconds, or null to use the service default
+   */
+  getCacheTtl(dataType) {
+    const policy = this.policies.get(dataType);
+    return policy ? policy.cacheTtl : null;
+  }
+
+  /**
+   * Get the upstream rate limit configured for a data type
+   * @param {string} dataType - Cache data type (e.g. 'rankings')
+   * @returns {number|null} Requests per minute, or null when only the global limit applies
+   */
+  getRateLimit(dataType) {
+    const policy = this.policies.get(dataType);
+    return policy ? policy.rateLimit : null;
+  }
+
+  /**
+   * List every api_endpoints row with the data types it sets the policy for
+   * @returns {Promise<Array<Object>>} Endpoint policies
+   */
+  async listPolicies() {
+    await this.db.initialize();
+
+    const result = await this.db.query('SELECT * FROM api_endpoints ORDER BY endpoint_path');
+    return result.rows.map(row => this._formatRow(row));
+  }
+
+  /**
+   * Update an endpoint's policy and apply it immediately
+   * @param {number} id - api_endpoints row id
+   * @param {Object} changes - Fields to change
+   * @param {number} [changes.cacheTtlSeconds] - Cache TTL in seconds
+   * @param {number} [changes.rateLimitPerMinute] - Upstream requests per minute
+   * @param {boolean} [changes.isActive] - Whether the policy applies
+   * @returns {Promise<Object>} Updated endpoint policy
+   */
+  async updatePolicy(id, changes = {}) {
+    const columns = {
+      cacheTtlSeconds: 'cache_ttl_seconds',
+      rateLimitPerMinute: 'rate_limit_per_minute',
+      isActive: 'is_active'
+    };
+
+    const assignments = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(columns)) {
+      const value = changes[field];
+      if (value === undefined) continue;
+
+      if (field === 'isActive') {
+        if (typeof value !== 'boolean') {
+          throw new Error('isActive must be a boolean');
+        }
+        params.push(value ? 1 : 0);
+      } else {
+        if (!Number.isInteger(value) || value <= 0) {
+          throw new Error(`${field} must be a positive integer`);
+        }
+        params.push(value);
+      }
+
+      assignments.push(`${column} = ?`);
+    }
+
+    if (assignments.length === 0) {
+      throw new Error('No policy changes provided');
+    }
+
+    await this.db.initialize();
+
+    const result = await this.db.execute(
+      `UPDATE api_endpoints SET ${assignments.join(', ')} WHERE id = ?`,
+      [...params, id]
+    );
+    if (result.changes === 0) {
+      throw new Error(`Endpoint policy not found: ${id}`);
+    }
+
+    await this.reload();
+
+    const row = await this.db.queryOne('SELECT * FROM api_endpoints WHERE id = ?', [id]);
+    logger.info('Endpoint policy updated', { id, endpointPath: row.endpoint_path, changes });
+
+    return this._formatRow(row);
+  }
+
+  /**
+   * Poll the table for changes on an interval
+   * @param {number} interval - Seconds between reloads
+   */
+  start(interval) {
+    this.stop();
+
+    this.timer = setInterval(() => this.reload(), interval * 1000);
+    this.timer.unref();
+
+    logger.info('Endpoint policy reloading started', { interval });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get loader state and the policies in effect
+   * @returns {Object} Polling state and policies keyed by data type
+   */
+  getStatus() {
+    return {
+      polling: this.timer !== null,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      policies: Object.fromEntries(this.policies)
+    };
+  }
+
+  /**
+   * Convert an api_endpoints row to the API shape
+   * @param {Object} row - api_endpoints row
+   * @returns {Object} Endpoint policy
+   * @private
+   */
+  _formatRow(row) {
+    return {
+      id: row.id,
+      endpointPath: row.endpoint_path,
+      method: row.method,
+      description: row.description,
+      isActive: Boolean(row.is_active),
+      cacheTtlSeconds: row.cache_ttl_seconds,
+      rateLimitPerMinute: row.rate_limit_per_minute,
+      dataTypes: Object.keys(DATA_TYPE_ENDPOINTS).filter(type => DATA_TYPE_ENDPOINTS[type] === row.endpoint_path),
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+EndpointPolicyService.DATA_TYPE_ENDPOINTS = DATA_TYPE_ENDPOINTS;
+
+module.exports = EndpointPolicyService;
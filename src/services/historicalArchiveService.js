@@ -0,0 +1,231 @@
+/**
+ * Historical Archive Service
+ * Persists round-level scoring, strokes-gained data and odds lines for completed events in SQLite
+ * Archived events are served locally so unchanging data is only pulled from Data Golf once
+ */
+
+const dbManager = require('../database/manager');
+const logger = require('../utils/logger');
+
+class HistoricalArchiveService {
+  /**
+   * @param {Object} db - Database manager instance
+   */
+  constructor(db = dbManager) {
+    this.db = db;
+  }
+
+  /**
+   * Get an archived event with all of its rounds
+   * @param {string} tour - Tour code
+   * @param {string} eventId - Tournament identifier
+   * @param {number} year - Event year
+   * @returns {Promise<Object|null>} Archived event data or null if not archived
+   */
+  async getEvent(tour, eventId, year) {
+    await this.db.initialize();
+
+    const event = await this.db.queryOne(
+      'SELECT * FROM historical_events WHERE tour = ? AND event_id = ? AND year = ?',
+      [tour, String(eventId), year]
+    );
+
+    if (!event) {
+      return null;
+    }
+
+    const result = await this.db.query(
+      `SELECT * FROM historical_rounds
+       WHERE tour = ? AND event_id = ? AND year = ?
+       ORDER BY round, player_id`,
+      [tour, String(eventId), year]
+    );
+
+    const rounds = result.rows.map(row => ({
+      playerId: row.player_id,
+      playerName: row.player_name,
+      round: row.round,
+      courseName: row.course_name,
+      score: row.score,
+      strokesGained: {
+        ott: row.sg_ott,
+        app: row.sg_app,
+        arg: row.sg_arg,
+        putt: row.sg_putt,
+        t2g: row.sg_t2g,
+        total: row.sg_total
+      }
+    }));
+
+    return {
+      event: {
+        tournamentId: event.event_id,
+        name: event.event_name,
+        year: event.year,
+        tour: event.tour
+      },
+      rounds,
+      metadata: {
+        count: rounds.length,
+        archivedAt: event.archived_at
+      }
+    };
+  }
+
+  /**
+   * Archive an event's rounds, replacing any previously archived copy
+   * @param {Object} event - Event descriptor { tour, eventId, year, name }
+   * @param {Array} rounds - Normalized round rows
+   * @returns {Promise<number>} Number of archived rounds
+   */
+  async archiveEvent(event, rounds) {
+    await this.db.initialize();
+
+    const { tour, eventId, year, name } = event;
+    const playerIds = new Set(rounds.map(round => String(round.playerId)));
+    const roundNumbers = new Set(rounds.map(round => round.round));
+
+    await this.db.transaction(async (db) => {
+      await db.execute(
+        'DELETE FROM historical_rounds WHERE tour = ? AND event_id = ? AND year = ?',
+        [tour, String(eventId), year]
+      );
+
+      for (const round of rounds) {
+        const sg = round.strokesGained || {};
+        await db.execute(
+          `INSERT INTO historical_rounds (
+            tour, event_id, year, round, player_id, player_name, course_name, score,
+            sg_ott, sg_app, sg_arg, sg_putt, sg_t2g, sg_total
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            tour, String(eventId), year, round.round, String(round.playerId), round.playerName,
+            round.courseName, round.score, sg.ott, sg.app, sg.arg, sg.putt, sg.t2g, sg.total
+          ]
+        );
+      }
+
+      await db.execute(
+        `INSERT OR REPLACE INTO historical_events (
+          tour, event_id, year, event_name, round_count, player_count
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [tour, String(eventId), year, name || null, roundNumbers.size, playerIds.size]
+      );
+    });
+
+    logger.info('Historical event archived', { tour, eventId, year, rounds: rounds.length });
+    return rounds.length;
+  }
+
+  /**
+   * Get archived opening and closing lines for an event market
+   * A market archived for all sportsbooks also satisfies single-book lookups; markets holding
+   * only opening lines are not returned, since their event is not over yet
+   * @param {Object} query - { tour, eventId, year, market, sportsbook }
+   * @returns {Promise<Object|null>} Archived odds data or null if not archived
+   */
+  async getOddsLines(query) {
+    await this.db.initialize();
+
+    const { tour, eventId, year, market, sportsbook } = query;
+    const archived = await this.db.queryOne(
+      `SELECT * FROM historical_odds_markets
+       WHERE tour = ? AND event_id = ? AND year = ? AND market = ? AND sportsbook IN (?, 'all') AND closed = 1
+       ORDER BY sportsbook = 'all' DESC
+       LIMIT 1`,
+      [tour, String(eventId), year, market, sportsbook || 'all']
+    );
+
+    if (!archived) {
+      return null;
+    }
+
+    const params = [tour, String(eventId), year, market];
+    let sql = `SELECT * FROM historical_odds_lines
+      WHERE tour = ? AND event_id = ? AND year = ? AND market = ?`;
+    if (sportsbook) {
+      sql += ' AND sportsbook = ?';
+      params.push(sportsbook);
+    }
+
+    const result = await this.db.query(`${sql} ORDER BY sportsbook, player_id`, params);
+
+    const lines = result.rows.map(row => ({
+      playerId: row.player_id,
+      playerName: row.player_name,
+      sportsbook: row.sportsbook,
+      market: row.market,
+      open: { decimal: row.open_odds, time: row.open_time },
+      close: { decimal: row.close_odds, time: row.close_time },
+      outcome: row.outcome
+    }));
+
+    return {
+      event: {
+        tournamentId: archived.event_id,
+        name: archived.event_name,
+        year: archived.year,
+        tour: archived.tour
+      },
+      lines,
+      metadata: {
+        count: lines.length,
+        market,
+        closed: true,
+        archivedAt: archived.archived_at
+      }
+    };
+  }
+
+  /**
+   * Archive opening and closing lines for an event market
+   * Without closed only the opening lines are stored; an opening line already archived is kept
+   * @param {Object} query - { tour, eventId, year, market, sportsbook, name }
+   * @param {Array} lines - Normalized odds lines
+   * @param {Object} [options] - { closed } whether the lines hold final closing prices
+   * @returns {Promise<number>} Number of archived lines
+   */
+  async archiveOddsLines(query, lines, options = {}) {
+    await this.db.initialize();
+
+    const { tour, eventId, year, market, sportsbook, name } = query;
+    const closed = options.closed === true;
+
+    await this.db.transaction(async (db) => {
+      for (const line of lines) {
+        await db.execute(
+          `INSERT INTO historical_odds_lines (
+            tour, event_id, year, market, sportsbook, player_id, player_name,
+            open_odds, open_time, close_odds, close_time, outcome
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(tour, event_id, year, market, sportsbook, player_id) DO UPDATE SET
+            player_name = excluded.player_name,
+            open_odds = COALESCE(historical_odds_lines.open_odds, excluded.open_odds),
+            open_time = COALESCE(historical_odds_lines.open_time, excluded.open_time),
+            close_odds = excluded.close_odds,
+            close_time = excluded.close_time,
+            outcome = excluded.outcome`,
+          [
+            tour, String(eventId), year, market, line.sportsbook, String(line.playerId), line.playerName,
+            line.open.decimal, line.open.time,
+            closed ? line.close.decimal : null,
+            closed ? line.close.time : null,
+            !closed || line.outcome === null || line.outcome === undefined ? null : String(line.outcome)
+          ]
+        );
+      }
+
+      await db.execute(
+        `INSERT OR REPLACE INTO historical_odds_markets (
+          tour, event_id, year, market, sportsbook, event_name, line_count, closed
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [tour, String(eventId), year, market, sportsbook || 'all', name || null, lines.length, closed ? 1 : 0]
+      );
+    });
+
+    logger.info('Historical odds archived', { tour, eventId, year, market, sportsbook, closed, lines: lines.length });
+    return lines.length;
+  }
+}
+
+module.exports = HistoricalArchiveService;
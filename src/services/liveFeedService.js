@@ -0,0 +1,339 @@
+/**
+ * Live Feed Service
+ * Runs one upstream poller per live feed (a tournament's scoring, a market's odds, a tournament's
+ * live predictions) and fans its events out to every SSE and WebSocket subscriber
+ * Subscribers get a full snapshot on connect, then per-player deltas
+ */
+
+const logger = require('../utils/logger');
+const { runInContext } = require('../utils/requestContext');
+const { diffPayloads } = require('../utils/delta');
+
+// How each feed is fetched and diffed, and the params that identify one of its streams
+const FEEDS = {
+  scoring: {
+    params: ['tournamentId'],
+    diffType: 'scoring',
+    fetch: (dataGolfService, { tournamentId }) => dataGolfService.getLiveScoring(tournamentId, { live: true })
+  },
+  odds: {
+    params: ['market'],
+    diffType: 'bettingOdds',
+    fetch: (dataGolfService, { market }) => dataGolfService.getBettingOdds({ market })
+  },
+  predictions: {
+    params: ['tournamentId'],
+    diffType: 'livePredictions',
+    fetch: (dataGolfService, { tournamentId }) => dataGolfService.getLivePredictions(tournamentId, {})
+  }
+};
+
+class LiveFeedService {
+  /**
+   * @param {Object} dataGolfService - DataGolfService instance used to poll feeds
+   * @param {Object} options - Stream options
+   * @param {number} [options.pollInterval] - Seconds between upstream polls per stream
+   * @param {number} [options.heartbeatInterval] - Seconds between heartbeat events
+   * @param {number} [options.historySize] - Delta events kept per stream for resuming
+   * @param {number} [options.idleTimeout] - Seconds a poller keeps running after its last subscriber leaves
+   */
+  constructor(dataGolfService, options = {}) {
+    this.dataGolfService = dataGolfService;
+    this.options = {
+      pollInterval: 10,
+      heartbeatInterval: 15,
+      historySize: 200,
+      idleTimeout: 60,
+      ...options
+    };
+
+    this.streams = new Map();
+  }
+
+  /**
+   * Subscribe to a feed, starting its poller if needed
+   * A Last-Event-ID still covered by the history replays the missed deltas; otherwise a snapshot is sent.
+   * Snapshot data carries the payload under the feed name, e.g. { tournamentId, updatedAt, scoring }
+   * @param {string} feed - Feed name (scoring, odds, predictions)
+   * @param {Object} params - Feed params, e.g. { tournamentId }
+   * @param {Function} listener - Called with { id, type: 'snapshot' | 'delta' | 'heartbeat', data }
+   * @param {string} [lastEventId] - ID of the last event the client received
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(feed, params, listener, lastEventId = null) {
+    const stream = await this._getStream(feed, params);
+
+    stream.listeners.add(listener);
+
+    const missed = this._getMissedEvents(stream, lastEventId);
+    if (missed) {
+      missed.forEach(event => listener(event));
+    } else {
+      listener({
+        id: this._eventId(stream, stream.seq),
+        type: 'snapshot',
+        data: { ...stream.params, updatedAt: stream.updatedAt, [feed]: stream.snapshot }
+      });
+    }
+
+    let subscribed = true;
+    return () => {
+      if (!subscribed) return;
+      subscribed = false;
+      this._unsubscribe(stream, listener);
+    };
+  }
+
+  /**
+   * Get poller state per stream
+   * @returns {Array<Object>} Stream state
+   */
+  getStatus() {
+    return Array.from(this.streams.values()).map(stream => ({
+      feed: stream.feed,
+      ...stream.params,
+      subscribers: stream.listeners.size,
+      lastEventId: this._eventId(stream, stream.seq),
+      updatedAt: stream.updatedAt,
+      lastError: stream.lastError
+    }));
+  }
+
+  /**
+   * Stop every poller and drop its subscribers
+   */
+  stopAll() {
+    for (const stream of Array.from(this.streams.values())) {
+      this._stopStream(stream);
+    }
+  }
+
+  /**
+   * Get a feed's running stream, or start one with an initial poll
+   * Concurrent first subscribers share the initial poll, and its failure is thrown to all of them
+   * @param {string} feed - Feed name
+   * @param {Object} params - Feed params
+   * @returns {Promise<Object>} Stream state
+   * @private
+   */
+  async _getStream(feed, params) {
+    const definition = FEEDS[feed];
+    if (!definition) {
+      throw new Error(`Unknown live feed: ${feed}`);
+    }
+
+    const streamParams = {};
+    for (const name of definition.params) {
+      if (!params[name]) {
+        throw new Error(`${name} is required for the ${feed} feed`);
+      }
+      streamParams[name] = String(params[name]);
+    }
+
+    const key = `${feed}:${definition.params.map(name => streamParams[name]).join(':')}`;
+    let stream = this.streams.get(key);
+
+    if (!stream) {
+      stream = {
+        key,
+        feed,
+        params: streamParams,
+        definition,
+        // Event IDs carry the poller's start time so IDs from an earlier poller never resume
+        epoch: Date.now().toString(36),
+        seq: 0,
+        listeners: new Set(),
+        history: [],
+        snapshot: null,
+        updatedAt: null,
+        lastError: null,
+        polling: false,
+        pollTimer: null,
+        heartbeatTimer: null,
+        idleTimer: null,
+        ready: null
+      };
+      stream.ready = this._poll(stream, true).then(() => this._startTimers(stream));
+      this.streams.set(key, stream);
+
+      stream.ready.catch(() => {
+        if (this.streams.get(key) === stream) {
+          this.streams.delete(key);
+        }
+      });
+    }
+
+    if (stream.idleTimer) {
+      clearTimeout(stream.idleTimer);
+      stream.idleTimer = null;
+    }
+
+    await stream.ready;
+    return stream;
+  }
+
+  /**
+   * Fetch a feed and publish a delta event when any player's row moved
+   * @param {Object} stream - Stream state
+   * @param {boolean} initial - Whether this is the poll that starts the stream, whose failure is thrown
+   * @private
+   */
+  async _poll(stream, initial = false) {
+    if (stream.polling) return;
+    stream.polling = true;
+
+    try {
+      const payload = await runInContext({ refresh: true }, () =>
+        stream.definition.fetch(this.dataGolfService, stream.params)
+      );
+      const updatedAt = new Date().toISOString();
+
+      if (stream.snapshot) {
+        const changes = diffPayloads(stream.definition.diffType, stream.snapshot, payload)
+          .map(({ key, ...change }) => change);
+
+        if (changes.length > 0) {
+          stream.seq++;
+          const event = {
+            id: this._eventId(stream, stream.seq),
+            type: 'delta',
+            data: { ...stream.params, updatedAt, changes }
+          };
+
+          stream.history.push({ seq: stream.seq, event });
+          if (stream.history.length > this.options.historySize) {
+            stream.history.shift();
+          }
+
+          this._publish(stream, event);
+        }
+      }
+
+      stream.snapshot = payload;
+      stream.updatedAt = updatedAt;
+      stream.lastError = null;
+    } catch (error) {
+      stream.lastError = error.message;
+      logger.warn('Live feed poll failed', { stream: stream.key, error: error.message });
+
+      if (initial) {
+        throw error;
+      }
+    } finally {
+      stream.polling = false;
+    }
+  }
+
+  /**
+   * Start polling and heartbeats for a stream
+   * @param {Object} stream - Stream state
+   * @private
+   */
+  _startTimers(stream) {
+    if (this.streams.get(stream.key) !== stream) {
+      return;
+    }
+
+    stream.pollTimer = setInterval(() => this._poll(stream), this.options.pollInterval * 1000);
+    stream.pollTimer.unref();
+
+    stream.heartbeatTimer = setInterval(() => {
+      this._publish(stream, { id: null, type: 'heartbeat', data: { timestamp: new Date().toISOString() } });
+    }, this.options.heartbeatInterval * 1000);
+    stream.heartbeatTimer.unref();
+
+    logger.info('Live feed started', { stream: stream.key });
+  }
+
+  /**
+   * Send an event to every subscriber, isolating failures to the subscriber that threw
+   * @param {Object} stream - Stream state
+   * @param {Object} event - Event to send
+   * @private
+   */
+  _publish(stream, event) {
+    for (const listener of stream.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.warn('Live feed subscriber failed', { stream: stream.key, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Work out which delta events a resuming client missed
+   * @param {Object} stream - Stream state
+   * @param {string} lastEventId - ID of the last event the client received
+   * @returns {Array<Object>|null} Missed events, or null when the client needs a snapshot
+   * @private
+   */
+  _getMissedEvents(stream, lastEventId) {
+    const [epoch, seqValue] = String(lastEventId || '').split('-');
+    const seq = Number(seqValue);
+
+    if (epoch !== stream.epoch || !Number.isInteger(seq) || seq > stream.seq) {
+      return null;
+    }
+
+    // Every delta after the client's event has to still be in history
+    const oldest = stream.history.length > 0 ? stream.history[0].seq : stream.seq + 1;
+    if (seq < stream.seq && oldest > seq + 1) {
+      return null;
+    }
+
+    return stream.history.filter(entry => entry.seq > seq).map(entry => entry.event);
+  }
+
+  /**
+   * Remove a subscriber, stopping the poller once idle
+   * @param {Object} stream - Stream state
+   * @param {Function} listener - Subscriber to remove
+   * @private
+   */
+  _unsubscribe(stream, listener) {
+    stream.listeners.delete(listener);
+    if (stream.listeners.size > 0 || this.streams.get(stream.key) !== stream) {
+      return;
+    }
+
+    if (this.options.idleTimeout > 0) {
+      stream.idleTimer = setTimeout(() => this._stopStream(stream), this.options.idleTimeout * 1000);
+      stream.idleTimer.unref();
+    } else {
+      this._stopStream(stream);
+    }
+  }
+
+  /**
+   * Stop a stream's timers and forget it
+   * @param {Object} stream - Stream state
+   * @private
+   */
+  _stopStream(stream) {
+    clearInterval(stream.pollTimer);
+    clearInterval(stream.heartbeatTimer);
+    clearTimeout(stream.idleTimer);
+    stream.listeners.clear();
+
+    if (this.streams.get(stream.key) === stream) {
+      this.streams.delete(stream.key);
+      logger.info('Live feed stopped', { stream: stream.key });
+    }
+  }
+
+  /**
+   * Build an event ID
+   * @param {Object} stream - Stream state
+   * @param {number} seq - Event sequence number
+   * @returns {string} Event ID
+   * @private
+   */
+  _eventId(stream, seq) {
+    return `${stream.epoch}-${seq}`;
+  }
+}
+
+LiveFeedService.FEEDS = FEEDS;
+
+module.exports = LiveFeedService;
@@ -0,0 +1,247 @@
+/**
+ * Preference Service
+ * Stores typed per-session preferences in the user_preferences table
+ * Values flagged as encrypted are sealed with the session encryption key before they are written
+ */
+
+const dbManager = require('../database/manager');
+const logger = require('../utils/logger');
+const { getConfig } = require('../config/environment');
+const { createError } = require('../middleware/errorHandler');
+const { encryptSessionData, decryptSessionData } = require('../middleware/sessionManager');
+
+const PREFERENCE_TYPES = ['string', 'number', 'boolean', 'object'];
+
+const KEY_PATTERN = /^[a-zA-Z0-9_.:-]{1,100}$/;
+
+class PreferenceService {
+  /**
+   * @param {Object} options - Preference options
+   * @param {number} [options.maxPreferences] - Preferences per session
+   * @param {number} [options.maxValueBytes] - Largest serialized value
+   * @param {string} [options.encryptionKey] - Key for encrypted values, the session key by default
+   * @param {Object} db - Database manager instance
+   */
+  constructor(options = {}, db = dbManager) {
+    this.db = db;
+    this.options = {
+      maxPreferences: 100,
+      maxValueBytes: 8192,
+      encryptionKey: getConfig().security.encryptionKey,
+      ...options
+    };
+  }
+
+  /**
+   * List a session's preferences
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array<Object>>} Preferences, ordered by key
+   */
+  async listPreferences(sessionId) {
+    await this.db.initialize();
+
+    const result = await this.db.query(
+      'SELECT * FROM user_preferences WHERE session_id = ? ORDER BY preference_key',
+      [sessionId]
+    );
+    return result.rows.map(row => this._formatRow(row));
+  }
+
+  /**
+   * Get one of a session's preferences
+   * @param {string} sessionId - Session identifier
+   * @param {string} key - Preference key
+   * @returns {Promise<Object>} Preference
+   */
+  async getPreference(sessionId, key) {
+    this._validateKey(key);
+
+    const row = await this._findRow(sessionId, key);
+    if (!row) {
+      throw createError('notFound', `Preference not found: ${key}`);
+    }
+
+    return this._formatRow(row);
+  }
+
+  /**
+   * Create or replace a preference
+   * The type and encryption flag default to the stored preference's, or for a new preference
+   * to the value's JSON type and no encryption
+   * @param {string} sessionId - Session identifier
+   * @param {string} key - Preference key
+   * @param {Object} input - { value, type, encrypted }
+   * @returns {Promise<Object>} Stored preference with a created flag
+   */
+  async setPreference(sessionId, key, input = {}) {
+    this._validateKey(key);
+
+    const { value } = input;
+    if (value === undefined) {
+      throw createError('validation', 'value is required', { field: 'value' });
+    }
+
+    const existing = await this._findRow(sessionId, key);
+
+    const type = input.type !== undefined ? input.type
+      : existing ? existing.preference_type : this._inferType(value);
+    const encrypted = input.encrypted !== undefined ? input.encrypted
+      : existing ? Boolean(existing.is_encrypted) : false;
+
+    this._validateValue(value, type);
+    if (typeof encrypted !== 'boolean') {
+      throw createError('validation', 'encrypted must be a boolean', { field: 'encrypted' });
+    }
+
+    if (!existing) {
+      const count = await this.db.queryOne(
+        'SELECT COUNT(*) AS count FROM user_preferences WHERE session_id = ?',
+        [sessionId]
+      );
+      if (count.count >= this.options.maxPreferences) {
+        throw createError('validation', `Preference limit of ${this.options.maxPreferences} reached`);
+      }
+    }
+
+    const stored = encrypted
+      ? encryptSessionData(value, this.options.encryptionKey)
+      : JSON.stringify(value);
+
+    await this.db.execute(
+      `INSERT INTO user_preferences (session_id, preference_key, preference_value, preference_type, is_encrypted)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(session_id, preference_key) DO UPDATE SET
+         preference_value = excluded.preference_value,
+         preference_type = excluded.preference_type,
+         is_encrypted = excluded.is_encrypted`,
+      [sessionId, key, stored, type, encrypted ? 1 : 0]
+    );
+
+    logger.info('Preference saved', { sessionId, key, type, encrypted, created: !existing });
+
+    const preference = this._formatRow(await this._findRow(sessionId, key), value);
+    return { ...preference, created: !existing };
+  }
+
+  /**
+   * Delete one of a session's preferences
+   * @param {string} sessionId - Session identifier
+   * @param {string} key - Preference key
+   * @returns {Promise<void>}
+   */
+  async deletePreference(sessionId, key) {
+    this._validateKey(key);
+    await this.db.initialize();
+
+    const result = await this.db.execute(
+      'DELETE FROM user_preferences WHERE session_id = ? AND preference_key = ?',
+      [sessionId, key]
+    );
+    if (result.changes === 0) {
+      throw createError('notFound', `Preference not found: ${key}`);
+    }
+
+    logger.info('Preference deleted', { sessionId, key });
+  }
+
+  /**
+   * Load a preference row
+   * @param {string} sessionId - Session identifier
+   * @param {string} key - Preference key
+   * @returns {Promise<Object|null>} user_preferences row
+   * @private
+   */
+  async _findRow(sessionId, key) {
+    await this.db.initialize();
+
+    return this.db.queryOne(
+      'SELECT * FROM user_preferences WHERE session_id = ? AND preference_key = ?',
+      [sessionId, key]
+    );
+  }
+
+  /**
+   * Validate a preference key
+   * @param {string} key - Preference key
+   * @private
+   */
+  _validateKey(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      throw createError('validation', 'key must be 1-100 letters, digits or . _ : -', { field: 'key' });
+    }
+  }
+
+  /**
+   * Check a value against a preference type and the size limit
+   * @param {*} value - Preference value
+   * @param {string} type - Preference type
+   * @private
+   */
+  _validateValue(value, type) {
+    if (!PREFERENCE_TYPES.includes(type)) {
+      throw createError('validation', `type must be one of: ${PREFERENCE_TYPES.join(', ')}`, { field: 'type' });
+    }
+
+    const matches = {
+      string: typeof value === 'string',
+      number: typeof value === 'number' && Number.isFinite(value),
+      boolean: typeof value === 'boolean',
+      object: value !== null && typeof value === 'object'
+    };
+
+    if (!matches[type]) {
+      throw createError('validation', `value must be a ${type}`, { field: 'value' });
+    }
+
+    if (Buffer.byteLength(JSON.stringify(value)) > this.options.maxValueBytes) {
+      throw createError('validation', `value must be at most ${this.options.maxValueBytes} bytes`, { field: 'value' });
+    }
+  }
+
+  /**
+   * Infer the preference type of a value
+   * @param {*} value - Preference value
+   * @returns {string|undefined} Preference type, or undefined when the value has none
+   * @private
+   */
+  _inferType(value) {
+    if (value === null) {
+      return undefined;
+    }
+    return PREFERENCE_TYPES.includes(typeof value) ? typeof value : undefined;
+  }
+
+  /**
+   * Convert a user_preferences row to the API shape, decrypting its value if needed
+   * @param {Object} row - user_preferences row
+   * @param {*} [value] - Value already known to the caller, which skips decryption
+   * @returns {Object} Preference
+   * @private
+   */
+  _formatRow(row, value) {
+    let decoded = value;
+    if (decoded === undefined && row.is_encrypted) {
+      try {
+        decoded = decryptSessionData(row.preference_value, this.options.encryptionKey);
+      } catch (error) {
+        // Surfaces as a server error rather than the session's invalid-token error
+        throw new Error(`Failed to decrypt preference: ${row.preference_key}`);
+      }
+    } else if (decoded === undefined) {
+      decoded = JSON.parse(row.preference_value);
+    }
+
+    return {
+      key: row.preference_key,
+      value: decoded,
+      type: row.preference_type,
+      encrypted: Boolean(row.is_encrypted),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+PreferenceService.PREFERENCE_TYPES = PREFERENCE_TYPES;
+
+module.exports = PreferenceService;
@@ -0,0 +1,737 @@
+/**
+ * Watchlist Service
+ * Manages per-session watchlists of players and alert rules on them, such as a player
+ * entering the top 10 or their odds shortening below 20.0
+ * Rules are evaluated against live scoring and odds fetched by DataGolfService, and
+ * triggered alerts are stored per session
+ */
+
+const dbManager = require('../database/manager');
+const logger = require('../utils/logger');
+const { createError } = require('../middleware/errorHandler');
+
+// Alert rule types, the payload they are evaluated against and the condition they watch for
+const RULE_TYPES = {
+  position_within: {
+    dataType: 'scoring',
+    description: 'Player is at or inside a position'
+  },
+  odds_below: {
+    dataType: 'bettingOdds',
+    description: 'Best decimal price shortens below a threshold'
+  },
+  odds_above: {
+    dataType: 'bettingOdds',
+    description: 'Best decimal price drifts above a threshold'
+  }
+};
+
+// Tournaments whose rule state is kept per rule; the oldest is dropped beyond this
+const MAX_STATE_SCOPES = 5;
+
+class WatchlistService {
+  /**
+   * @param {Object} dataGolfService - DataGolfService whose upstream fetches are evaluated
+   * @param {Object} options - Watchlist options
+   * @param {number} [options.maxWatchlists] - Watchlists per session
+   * @param {number} [options.maxPlayers] - Players per watchlist
+   * @param {number} [options.maxRules] - Alert rules per watchlist
+   * @param {Object} db - Database manager instance
+   */
+  constructor(dataGolfService, options = {}, db = dbManager) {
+    this.dataGolfService = dataGolfService;
+    this.db = db;
+    this.options = {
+      maxWatchlists: 20,
+      maxPlayers: 100,
+      maxRules: 20,
+      ...options
+    };
+
+    this.unsubscribe = null;
+    // Evaluations run one at a time so rule states are never updated from two payloads at once
+    this.evaluating = Promise.resolve();
+    this.stats = { evaluations: 0, alertsTriggered: 0, lastAlertAt: null };
+  }
+
+  /**
+   * List a session's watchlists with their alert rules
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array<Object>>} Watchlists
+   */
+  async listWatchlists(sessionId) {
+    await this.db.initialize();
+
+    const watchlists = await this.db.query(
+      'SELECT * FROM watchlists WHERE session_id = ? ORDER BY id',
+      [sessionId]
+    );
+    const rules = await this.db.query(
+      'SELECT * FROM alert_rules WHERE session_id = ? ORDER BY id',
+      [sessionId]
+    );
+
+    return watchlists.rows.map(row => this._formatWatchlist(
+      row,
+      rules.rows.filter(rule => rule.watchlist_id === row.id)
+    ));
+  }
+
+  /**
+   * Get one of a session's watchlists with its alert rules
+   * @param {string} sessionId - Session identifier
+   * @param {number} id - Watchlist id
+   * @returns {Promise<Object>} Watchlist
+   */
+  async getWatchlist(sessionId, id) {
+    const row = await this._findWatchlist(sessionId, id);
+    const rules = await this.db.query(
+      'SELECT * FROM alert_rules WHERE watchlist_id = ? ORDER BY id',
+      [row.id]
+    );
+
+    return this._formatWatchlist(row, rules.rows);
+  }
+
+  /**
+   * Create a watchlist
+   * @param {string} sessionId - Session identifier
+   * @param {Object} definition - { name, playerIds }
+   * @returns {Promise<Object>} Created watchlist
+   */
+  async createWatchlist(sessionId, definition = {}) {
+    const name = this._validateName(definition.name);
+    const playerIds = this._validatePlayerIds(definition.playerIds === undefined ? [] : definition.playerIds);
+
+    await this.db.initialize();
+
+    const count = await this.db.queryOne(
+      'SELECT COUNT(*) AS count FROM watchlists WHERE session_id = ?',
+      [sessionId]
+    );
+    if (count.count >= this.options.maxWatchlists) {
+      throw createError('validation', `Watchlist limit of ${this.options.maxWatchlists} reached`);
+    }
+    await this._assertNameAvailable(sessionId, name);
+
+    const result = await this.db.execute(
+      'INSERT INTO watchlists (session_id, name, player_ids) VALUES (?, ?, ?)',
+      [sessionId, name, JSON.stringify(playerIds)]
+    );
+
+    logger.info('Watchlist created', { sessionId, id: result.lastID, players: playerIds.length });
+    return this.getWatchlist(sessionId, result.lastID);
+  }
+
+  /**
+   * Rename a watchlist or replace its players
+   * Players dropped from the list lose their rule state, so re-adding them starts fresh
+   * @param {string} sessionId - Session identifier
+   * @param {number} id - Watchlist id
+   * @param {Object} changes - { name, playerIds }
+   * @returns {Promise<Object>} Updated watchlist
+   */
+  async updateWatchlist(sessionId, id, changes = {}) {
+    const row = await this._findWatchlist(sessionId, id);
+    const assignments = [];
+    const params = [];
+
+    if (changes.name !== undefined) {
+      const name = this._validateName(changes.name);
+      if (name !== row.name) {
+        await this._assertNameAvailable(sessionId, name);
+      }
+      assignments.push('name = ?');
+      params.push(name);
+    }
+
+    let playerIds = null;
+    if (changes.playerIds !== undefined) {
+      playerIds = this._validatePlayerIds(changes.playerIds);
+      assignments.push('player_ids = ?');
+      params.push(JSON.stringify(playerIds));
+    }
+
+    if (assignments.length === 0) {
+      throw createError('validation', 'No watchlist changes provided');
+    }
+
+    await this.db.execute(
+      `UPDATE watchlists SET ${assignments.join(', ')} WHERE id = ?`,
+      [...params, row.id]
+    );
+
+    if (playerIds) {
+      await this._pruneRuleStates(row.id, playerIds);
+    }
+
+    logger.info('Watchlist updated', { sessionId, id: row.id });
+    return this.getWatchlist(sessionId, row.id);
+  }
+
+  /**
+   * Delete a watchlist and its rules; alerts it raised are kept
+   * @param {string} sessionId - Session identifier
+   * @param {number} id - Watchlist id
+   * @returns {Promise<void>}
+   */
+  async deleteWatchlist(sessionId, id) {
+    const row = await this._findWatchlist(sessionId, id);
+
+    await this.db.execute('DELETE FROM watchlists WHERE id = ?', [row.id]);
+    logger.info('Watchlist deleted', { sessionId, id: row.id });
+  }
+
+  /**
+   * Add an alert rule to a watchlist
+   * @param {string} sessionId - Session identifier
+   * @param {number} watchlistId - Watchlist id
+   * @param {Object} definition - Rule definition
+   * @param {string} definition.type - position_within, odds_below or odds_above
+   * @param {number} definition.threshold - Position, or decimal odds for odds rules
+   * @param {string} [definition.market] - Odds market for odds rules, 'win' by default
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(sessionId, watchlistId, definition = {}) {
+    const watchlist = await this._findWatchlist(sessionId, watchlistId);
+    const { type, threshold, market } = definition;
+    const ruleType = RULE_TYPES[type];
+
+    if (!ruleType) {
+      throw createError('validation', `Unsupported alert rule type: ${type}`, { field: 'type' });
+    }
+    if (type === 'position_within' && !(Number.isInteger(threshold) && threshold >= 1)) {
+      throw createError('validation', 'threshold must be a position of 1 or more', { field: 'threshold' });
+    }
+    if (ruleType.dataType === 'bettingOdds' && !(typeof threshold === 'number' && threshold > 1)) {
+      throw createError('validation', 'threshold must be decimal odds greater than 1', { field: 'threshold' });
+    }
+    if (market !== undefined && (ruleType.dataType !== 'bettingOdds' || typeof market !== 'string' || !market)) {
+      throw createError('validation', 'market must be an odds market name and only applies to odds rules', {
+        field: 'market'
+      });
+    }
+
+    const count = await this.db.queryOne(
+      'SELECT COUNT(*) AS count FROM alert_rules WHERE watchlist_id = ?',
+      [watchlist.id]
+    );
+    if (count.count >= this.options.maxRules) {
+      throw createError('validation', `Alert rule limit of ${this.options.maxRules} reached`);
+    }
+
+    const result = await this.db.execute(
+      `INSERT INTO alert_rules (watchlist_id, session_id, rule_type, threshold, market)
+       VALUES (?, ?, ?, ?, ?)`,
+      [watchlist.id, sessionId, type, threshold, ruleType.dataType === 'bettingOdds' ? (market || 'win') : null]
+    );
+
+    const row = await this.db.queryOne('SELECT * FROM alert_rules WHERE id = ?', [result.lastID]);
+    logger.info('Alert rule created', { sessionId, watchlistId: watchlist.id, ruleId: row.id, type });
+
+    return this._formatRule(row);
+  }
+
+  /**
+   * Delete an alert rule; alerts it raised are kept
+   * @param {string} sessionId - Session identifier
+   * @param {number} watchlistId - Watchlist id
+   * @param {number} ruleId - Rule id
+   * @returns {Promise<void>}
+   */
+  async deleteRule(sessionId, watchlistId, ruleId) {
+    const watchlist = await this._findWatchlist(sessionId, watchlistId);
+
+    const result = await this.db.execute(
+      'DELETE FROM alert_rules WHERE id = ? AND watchlist_id = ?',
+      [ruleId, watchlist.id]
+    );
+    if (result.changes === 0) {
+      throw createError('notFound', `Alert rule not found: ${ruleId}`);
+    }
+
+    logger.info('Alert rule deleted', { sessionId, watchlistId: watchlist.id, ruleId });
+  }
+
+  /**
+   * Get a session's alerts, newest first
+   * @param {string} sessionId - Session identifier
+   * @param {Object} options - Query options
+   * @param {number} [options.watchlistId] - Only alerts raised by this watchlist's rules
+   * @param {boolean} [options.unread] - Only alerts not yet marked read
+   * @param {number} [options.limit] - Maximum alerts to return
+   * @returns {Promise<Array<Object>>} Alerts
+   */
+  async getAlerts(sessionId, options = {}) {
+    const { watchlistId, unread = false, limit = 50 } = options;
+
+    await this.db.initialize();
+
+    const params = [sessionId];
+    let sql = 'SELECT * FROM alerts WHERE session_id = ?';
+    if (watchlistId) {
+      sql += ' AND watchlist_id = ?';
+      params.push(watchlistId);
+    }
+    if (unread) {
+      sql += ' AND read_at IS NULL';
+    }
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    const result = await this.db.query(sql, params);
+    return result.rows.map(row => this._formatAlert(row));
+  }
+
+  /**
+   * Mark one of a session's alerts as read
+   * @param {string} sessionId - Session identifier
+   * @param {number} alertId - Alert id
+   * @returns {Promise<Object>} Updated alert
+   */
+  async markAlertRead(sessionId, alertId) {
+    await this.db.initialize();
+
+    const result = await this.db.execute(
+      'UPDATE alerts SET read_at = COALESCE(read_at, ?) WHERE id = ? AND session_id = ?',
+      [new Date().toISOString(), alertId, sessionId]
+    );
+    if (result.changes === 0) {
+      throw createError('notFound', `Alert not found: ${alertId}`);
+    }
+
+    const row = await this.db.queryOne('SELECT * FROM alerts WHERE id = ?', [alertId]);
+    return this._formatAlert(row);
+  }
+
+  /**
+   * Evaluate rules against every live scoring and odds payload DataGolfService fetches
+   */
+  start() {
+    this.stop();
+    this.unsubscribe = this.dataGolfService.onUpstreamData(update => this.handleUpstreamData(update));
+    logger.info('Watchlist alert evaluation started');
+  }
+
+  /**
+   * Stop evaluating rules
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Get evaluation state
+   * @returns {Object} Running flag and counters
+   */
+  getStatus() {
+    return {
+      running: this.unsubscribe !== null,
+      ruleTypes: Object.keys(RULE_TYPES),
+      ...this.stats
+    };
+  }
+
+  /**
+   * Evaluate the active rules for a fetched payload's data type and store triggered alerts
+   * A rule fires for a player when its condition starts to hold; the first evaluation for a
+   * player only records whether it holds, so existing positions and prices do not alert.
+   * State is kept per tournament, and filtered payloads (one bookmaker, one round) are skipped
+   * since their best price or position differs from the full market's
+   * @param {Object} update - { cacheKey, dataType, tags, params, data } from DataGolfService.onUpstreamData
+   * @returns {Promise<Array<Object>>} Alerts triggered
+   */
+  handleUpstreamData(update) {
+    const run = this.evaluating.then(() => this._evaluate(update));
+    this.evaluating = run;
+    return run;
+  }
+
+  /**
+   * Evaluate the rules for one payload
+   * @param {Object} update - Upstream data update
+   * @returns {Promise<Array<Object>>} Alerts triggered
+   * @private
+   */
+  async _evaluate(update) {
+    const types = Object.keys(RULE_TYPES).filter(type => RULE_TYPES[type].dataType === update.dataType);
+    if (types.length === 0 || !this._isFullPayload(update)) {
+      return [];
+    }
+
+    try {
+      await this.db.initialize();
+
+      const rules = await this.db.query(
+        `SELECT r.*, w.player_ids FROM alert_rules r
+         JOIN watchlists w ON w.id = r.watchlist_id
+         WHERE r.is_active = 1 AND r.rule_type IN (${types.map(() => '?').join(', ')})`,
+        types
+      );
+      if (rules.rows.length === 0) {
+        return [];
+      }
+
+      this.stats.evaluations++;
+
+      const readings = update.dataType === 'scoring'
+        ? this._readPositions(update.data)
+        : this._readBestOdds(update.data, update.params || {});
+      const tag = (update.tags || []).find(value => value.startsWith('tournamentId:'));
+      const tournamentId = tag ? tag.slice('tournamentId:'.length) : (update.params || {}).tournamentId || null;
+
+      const alerts = [];
+      for (const rule of rules.rows) {
+        alerts.push(...await this._evaluateRule(rule, readings, tournamentId));
+      }
+
+      return alerts;
+    } catch (error) {
+      logger.error('Failed to evaluate watchlist alert rules', { cacheKey: update.cacheKey, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Check that a payload covers the whole leaderboard or market rather than a filtered view
+   * @param {Object} update - Upstream data update
+   * @returns {boolean} Whether rules may be evaluated against it
+   * @private
+   */
+  _isFullPayload(update) {
+    const params = update.params || {};
+    const filter = update.dataType === 'scoring' ? params.round : params.bookmaker;
+    return filter === undefined || filter === '' || filter === 'undefined';
+  }
+
+  /**
+   * Evaluate one rule against the readings for its watched players
+   * @param {Object} rule - alert_rules row joined with its watchlist's player_ids
+   * @param {Object} readings - Readings keyed by market, then player ID
+   * @param {string|null} tournamentId - Tournament the payload belongs to
+   * @returns {Promise<Array<Object>>} Alerts triggered
+   * @private
+   */
+  async _evaluateRule(rule, readings, tournamentId) {
+    const byPlayer = readings[rule.market || 'scoring'];
+    if (!byPlayer) {
+      return [];
+    }
+
+    const states = JSON.parse(rule.player_states);
+    const alerts = [];
+    let changed = false;
+
+    for (const playerId of JSON.parse(rule.player_ids)) {
+      const reading = byPlayer.get(playerId);
+      if (!reading) continue;
+
+      // Odds rows name their tournament; odds fetched for the current event may not
+      const scope = `tournament:${reading.tournamentId || tournamentId || 'current'}`;
+      if (!states[scope]) {
+        states[scope] = {};
+        const scopes = Object.keys(states);
+        scopes.slice(0, Math.max(scopes.length - MAX_STATE_SCOPES, 0)).forEach(key => delete states[key]);
+      }
+
+      const holds = this._conditionHolds(rule, reading);
+      if (states[scope][playerId] === holds) continue;
+
+      if (holds && states[scope][playerId] === false) {
+        alerts.push(await this._recordAlert(rule, playerId, reading, tournamentId));
+      }
+
+      states[scope][playerId] = holds;
+      changed = true;
+    }
+
+    if (changed) {
+      await this.db.execute(
+        'UPDATE alert_rules SET player_states = ? WHERE id = ?',
+        [JSON.stringify(states), rule.id]
+      );
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Check a rule's condition against a player's reading
+   * @param {Object} rule - alert_rules row
+   * @param {Object} reading - { position } or { odds }
+   * @returns {boolean} Whether the condition holds
+   * @private
+   */
+  _conditionHolds(rule, reading) {
+    if (rule.rule_type === 'position_within') {
+      return reading.position <= rule.threshold;
+    }
+    if (rule.rule_type === 'odds_below') {
+      return reading.odds < rule.threshold;
+    }
+    return reading.odds > rule.threshold;
+  }
+
+  /**
+   * Store a triggered alert
+   * @param {Object} rule - alert_rules row
+   * @param {string} playerId - Player ID
+   * @param {Object} reading - Player reading that met the condition
+   * @param {string|null} tournamentId - Tournament identifier
+   * @returns {Promise<Object>} Alert
+   * @private
+   */
+  async _recordAlert(rule, playerId, reading, tournamentId) {
+    const name = reading.playerName || `Player ${playerId}`;
+    let message;
+
+    if (rule.rule_type === 'position_within') {
+      message = `${name} moved inside the top ${rule.threshold} (${reading.displayPosition})`;
+    } else {
+      const direction = rule.rule_type === 'odds_below' ? 'shortened below' : 'drifted above';
+      message = `${name} ${direction} ${rule.threshold} in the ${rule.market} market (${reading.odds} at ${reading.bookmaker})`;
+    }
+
+    const { playerName, ...details } = reading;
+    const data = { ...details, tournamentId: tournamentId || reading.tournamentId || null, threshold: rule.threshold };
+
+    const result = await this.db.execute(
+      `INSERT INTO alerts (session_id, rule_id, watchlist_id, rule_type, player_id, player_name, message, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [rule.session_id, rule.id, rule.watchlist_id, rule.rule_type, playerId, playerName || null, message, JSON.stringify(data)]
+    );
+
+    this.stats.alertsTriggered++;
+    this.stats.lastAlertAt = new Date().toISOString();
+    logger.info('Watchlist alert triggered', { sessionId: rule.session_id, ruleId: rule.id, playerId });
+
+    const row = await this.db.queryOne('SELECT * FROM alerts WHERE id = ?', [result.lastID]);
+    return this._formatAlert(row);
+  }
+
+  /**
+   * Read each player's numeric position from a scoring payload
+   * @param {Object} payload - Scoring payload
+   * @returns {Object} { scoring: Map of player ID to { playerName, position, displayPosition } }
+   * @private
+   */
+  _readPositions(payload) {
+    const positions = new Map();
+
+    for (const row of payload.scores || []) {
+      const position = parseInt(String(row.position || '').replace(/^T/i, ''), 10);
+      if (Number.isNaN(position)) continue;
+
+      positions.set(String(row.playerId), {
+        playerName: row.playerName,
+        position,
+        displayPosition: String(row.position)
+      });
+    }
+
+    return { scoring: positions };
+  }
+
+  /**
+   * Read each player's best (longest) decimal price per market from a betting odds payload
+   * Rows without a market take the market the payload was requested for
+   * @param {Object} payload - Betting odds payload
+   * @param {Object} params - Cache key parameters of the payload
+   * @returns {Object} Maps keyed by market, of player ID to { playerName, odds, bookmaker, market }
+   * @private
+   */
+  _readBestOdds(payload, params) {
+    const markets = {};
+
+    for (const row of payload.odds || []) {
+      const decimal = row.odds ? row.odds.decimal : null;
+      if (!(decimal > 1)) continue;
+
+      const market = row.market || params.market || 'win';
+      markets[market] = markets[market] || new Map();
+
+      const playerId = String(row.playerId);
+      const best = markets[market].get(playerId);
+      if (!best || decimal > best.odds) {
+        markets[market].set(playerId, {
+          playerName: row.playerName,
+          odds: decimal,
+          bookmaker: row.bookmaker,
+          market,
+          tournamentId: row.tournamentId || null
+        });
+      }
+    }
+
+    return markets;
+  }
+
+  /**
+   * Forget rule state for players no longer on a watchlist
+   * @param {number} watchlistId - Watchlist id
+   * @param {Array<string>} playerIds - Players now on the list
+   * @private
+   */
+  async _pruneRuleStates(watchlistId, playerIds) {
+    const rules = await this.db.query(
+      'SELECT id, player_states FROM alert_rules WHERE watchlist_id = ?',
+      [watchlistId]
+    );
+
+    for (const rule of rules.rows) {
+      const states = JSON.parse(rule.player_states);
+      let pruned = false;
+
+      for (const players of Object.values(states)) {
+        for (const playerId of Object.keys(players)) {
+          if (!playerIds.includes(playerId)) {
+            delete players[playerId];
+            pruned = true;
+          }
+        }
+      }
+
+      if (pruned) {
+        await this.db.execute('UPDATE alert_rules SET player_states = ? WHERE id = ?', [JSON.stringify(states), rule.id]);
+      }
+    }
+  }
+
+  /**
+   * Load one of a session's watchlists
+   * Watchlists of other sessions are reported as not found
+   * @param {string} sessionId - Session identifier
+   * @param {number} id - Watchlist id
+   * @returns {Promise<Object>} watchlists row
+   * @private
+   */
+  async _findWatchlist(sessionId, id) {
+    await this.db.initialize();
+
+    const row = await this.db.queryOne(
+      'SELECT * FROM watchlists WHERE id = ? AND session_id = ?',
+      [id, sessionId]
+    );
+    if (!row) {
+      throw createError('notFound', `Watchlist not found: ${id}`);
+    }
+
+    return row;
+  }
+
+  /**
+   * Ensure a session has no other watchlist with a name
+   * @param {string} sessionId - Session identifier
+   * @param {string} name - Watchlist name
+   * @private
+   */
+  async _assertNameAvailable(sessionId, name) {
+    const existing = await this.db.queryOne(
+      'SELECT id FROM watchlists WHERE session_id = ? AND name = ?',
+      [sessionId, name]
+    );
+    if (existing) {
+      throw createError('conflict', `Watchlist already exists: ${name}`);
+    }
+  }
+
+  /**
+   * Validate a watchlist name
+   * @param {string} name - Watchlist name
+   * @returns {string} Trimmed name
+   * @private
+   */
+  _validateName(name) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      throw createError('validation', 'name must be a non-empty string of at most 100 characters', { field: 'name' });
+    }
+    return name.trim();
+  }
+
+  /**
+   * Validate and de-duplicate watchlist player IDs
+   * @param {Array<string|number>} playerIds - Player IDs
+   * @returns {Array<string>} Player IDs as strings
+   * @private
+   */
+  _validatePlayerIds(playerIds) {
+    if (!Array.isArray(playerIds) ||
+        !playerIds.every(id => (typeof id === 'string' || typeof id === 'number') && /^[a-zA-Z0-9_-]+$/.test(String(id)))) {
+      throw createError('validation', 'playerIds must be a list of player IDs', { field: 'playerIds' });
+    }
+
+    const unique = Array.from(new Set(playerIds.map(String)));
+    if (unique.length > this.options.maxPlayers) {
+      throw createError('validation', `playerIds must contain at most ${this.options.maxPlayers} players`, {
+        field: 'playerIds'
+      });
+    }
+
+    return unique;
+  }
+
+  /**
+   * Convert a watchlists row and its rules to the API shape
+   * @param {Object} row - watchlists row
+   * @param {Array<Object>} rules - alert_rules rows
+   * @returns {Object} Watchlist
+   * @private
+   */
+  _formatWatchlist(row, rules) {
+    return {
+      id: row.id,
+      name: row.name,
+      playerIds: JSON.parse(row.player_ids),
+      rules: rules.map(rule => this._formatRule(rule)),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Convert an alert_rules row to the API shape
+   * @param {Object} row - alert_rules row
+   * @returns {Object} Alert rule
+   * @private
+   */
+  _formatRule(row) {
+    return {
+      id: row.id,
+      watchlistId: row.watchlist_id,
+      type: row.rule_type,
+      threshold: row.threshold,
+      market: row.market,
+      isActive: Boolean(row.is_active),
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Convert an alerts row to the API shape
+   * @param {Object} row - alerts row
+   * @returns {Object} Alert
+   * @private
+   */
+  _formatAlert(row) {
+    return {
+      id: row.id,
+      ruleId: row.rule_id,
+      watchlistId: row.watchlist_id,
+      type: row.rule_type,
+      playerId: row.player_id,
+      playerName: row.player_name,
+      message: row.message,
+      data: row.data ? JSON.parse(row.data) : null,
+      triggeredAt: row.triggered_at,
+      read: row.read_at !== null,
+      readAt: row.read_at
+    };
+  }
+}
+
+WatchlistService.RULE_TYPES = RULE_TYPES;
+
+module.exports = WatchlistService;
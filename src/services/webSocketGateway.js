@@ -0,0 +1,415 @@
+/**
+ * WebSocket Gateway
+ * Serves live feed subscriptions over one socket per client, attached to the HTTP server
+ * Clients authenticate with their session token, then subscribe and unsubscribe to topics:
+ * scoring:<tournamentId>, odds:<market> and predictions:<tournamentId>:<playerId>
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const logger = require('../utils/logger');
+const { authenticateSessionToken, SESSION_HEADER, SESSION_COOKIE } = require('../middleware/sessionManager');
+
+// Live feed behind each topic and the topic segments after its name
+// A playerId segment narrows the feed's events to that player
+const TOPICS = {
+  scoring: { feed: 'scoring', params: ['tournamentId'] },
+  odds: { feed: 'odds', params: ['market'] },
+  predictions: { feed: 'predictions', params: ['tournamentId', 'playerId'] }
+};
+
+const SEGMENT_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+class WebSocketGateway {
+  /**
+   * @param {Object} server - HTTP server whose upgrade requests are handled
+   * @param {Object} liveFeedService - LiveFeedService shared with the SSE routes
+   * @param {Object} options - Gateway options
+   * @param {string} [options.path] - Upgrade path
+   * @param {number} [options.maxSubscriptions] - Topics one connection may subscribe to
+   * @param {number} [options.maxBufferedBytes] - Unsent bytes after which a connection is terminated
+   * @param {number} [options.maxPayload] - Largest accepted client message in bytes
+   * @param {number} [options.pingInterval] - Seconds between pings; connections that miss a pong are dropped
+   * @param {Array<string>} [options.allowedOrigins] - Origins allowed to connect with the session cookie
+   */
+  constructor(server, liveFeedService, options = {}) {
+    this.server = server;
+    this.liveFeedService = liveFeedService;
+    this.options = {
+      path: '/api/live',
+      maxSubscriptions: 20,
+      maxBufferedBytes: 1024 * 1024,
+      maxPayload: 16 * 1024,
+      pingInterval: 30,
+      ...options
+    };
+
+    this.clients = new Set();
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: this.options.maxPayload });
+    this.wss.on('connection', (socket, req, session) => this._onConnection(socket, req, session));
+
+    this._onUpgrade = this._onUpgrade.bind(this);
+    server.on('upgrade', this._onUpgrade);
+
+    this.pingTimer = setInterval(() => this._ping(), this.options.pingInterval * 1000);
+    this.pingTimer.unref();
+  }
+
+  /**
+   * Get connection and subscription counts
+   * @returns {Object} Gateway state
+   */
+  getStatus() {
+    const clients = Array.from(this.clients);
+    return {
+      path: this.options.path,
+      connections: clients.length,
+      subscriptions: clients.reduce((total, client) => total + client.subscriptions.size, 0)
+    };
+  }
+
+  /**
+   * Close every connection and stop accepting upgrades
+   * @returns {Promise<void>}
+   */
+  close() {
+    clearInterval(this.pingTimer);
+    this.server.off('upgrade', this._onUpgrade);
+
+    for (const client of this.clients) {
+      client.socket.close(1001, 'Server shutting down');
+    }
+
+    return new Promise(resolve => this.wss.close(() => resolve()));
+  }
+
+  /**
+   * Authenticate an upgrade request on the gateway path and hand it to the WebSocket server
+   * Upgrades on other paths are left alone for other handlers on the same server.
+   * The session token comes from the X-Session-ID header, the session cookie sent by browsers,
+   * or a token query parameter. Cookie logins must come from an allowed origin, since browsers
+   * attach cookies to cross-site socket requests too.
+   * @param {Object} req - HTTP upgrade request
+   * @param {Object} socket - Network socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @private
+   */
+  _onUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.options.path) {
+      return;
+    }
+
+    const cookieToken = this._readCookie(req.headers.cookie, SESSION_COOKIE);
+    const token = req.headers[SESSION_HEADER.toLowerCase()] || cookieToken || url.searchParams.get('token');
+
+    if (token === cookieToken && cookieToken && !this._isAllowedOrigin(req.headers.origin)) {
+      logger.warn('WebSocket upgrade rejected', { reason: 'origin not allowed', origin: req.headers.origin });
+      this._rejectUpgrade(socket, 403, 'Forbidden');
+      return;
+    }
+
+    const session = authenticateSessionToken(token);
+    if (!session) {
+      logger.warn('WebSocket upgrade rejected', { reason: token ? 'invalid session' : 'missing session' });
+      this._rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit('connection', ws, req, session));
+  }
+
+  /**
+   * Read one cookie from a Cookie header
+   * @param {string} [header] - Cookie header
+   * @param {string} name - Cookie name
+   * @returns {string|null} Decoded cookie value
+   * @private
+   */
+  _readCookie(header, name) {
+    for (const pair of String(header || '').split(';')) {
+      const index = pair.indexOf('=');
+      if (index > 0 && pair.slice(0, index).trim() === name) {
+        try {
+          return decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an upgrade request's origin against the allowed origins
+   * Requests without an Origin header do not come from a browser page
+   * @param {string} [origin] - Origin header
+   * @returns {boolean} Whether the origin may use cookie authentication
+   * @private
+   */
+  _isAllowedOrigin(origin) {
+    if (!origin || !this.options.allowedOrigins) {
+      return true;
+    }
+    return this.options.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * Answer an upgrade request with an HTTP error and drop the socket
+   * @param {Object} socket - Network socket
+   * @param {number} status - HTTP status code
+   * @param {string} message - Status message
+   * @private
+   */
+  _rejectUpgrade(socket, status, message) {
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+  }
+
+  /**
+   * Track a new connection and wire up its handlers
+   * @param {Object} socket - WebSocket
+   * @param {Object} req - HTTP upgrade request
+   * @param {Object} session - Authenticated session
+   * @private
+   */
+  _onConnection(socket, req, session) {
+    const client = { socket, session, subscriptions: new Map(), alive: true, closing: false };
+    this.clients.add(client);
+
+    socket.on('pong', () => {
+      client.alive = true;
+    });
+    socket.on('message', (raw) => this._onMessage(client, raw));
+    socket.on('close', () => this._onClose(client));
+    socket.on('error', (error) => {
+      logger.warn('WebSocket connection error', { sessionId: session.id, error: error.message });
+    });
+
+    logger.info('WebSocket connection opened', { sessionId: session.id, clientIp: req.socket.remoteAddress });
+    this._send(client, { type: 'welcome', sessionId: session.id, topics: Object.keys(TOPICS) });
+  }
+
+  /**
+   * Handle a client message: { action: 'subscribe' | 'unsubscribe', topic, lastEventId }
+   * @param {Object} client - Connection state
+   * @param {Buffer} raw - Message payload
+   * @private
+   */
+  async _onMessage(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this._send(client, { type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    const { action, topic } = message || {};
+
+    try {
+      if (action === 'subscribe') {
+        await this._subscribe(client, topic, message.lastEventId);
+      } else if (action === 'unsubscribe') {
+        this._unsubscribe(client, topic);
+      } else {
+        throw new Error(`Unknown action: ${action}`);
+      }
+    } catch (error) {
+      this._send(client, { type: 'error', topic: topic || null, message: error.message });
+    }
+  }
+
+  /**
+   * Subscribe a connection to a topic
+   * The subscribed acknowledgement is sent before the snapshot or replayed deltas
+   * @param {Object} client - Connection state
+   * @param {string} topic - Topic name
+   * @param {string} [lastEventId] - ID of the last event received on this topic
+   * @private
+   */
+  async _subscribe(client, topic, lastEventId) {
+    const parsed = this._parseTopic(topic);
+
+    if (client.subscriptions.has(topic)) {
+      throw new Error(`Already subscribed: ${topic}`);
+    }
+    if (client.subscriptions.size >= this.options.maxSubscriptions) {
+      throw new Error(`Subscription limit of ${this.options.maxSubscriptions} reached`);
+    }
+
+    // Reserve the slot while the feed starts, so repeated subscribes cannot exceed the limit
+    const subscription = { unsubscribe: null, ready: false, pending: [] };
+    client.subscriptions.set(topic, subscription);
+
+    const listener = (event) => {
+      const filtered = this._filterEvent(parsed, event);
+      if (!filtered) return;
+
+      const message = { type: filtered.type, topic, id: filtered.id, data: filtered.data };
+      if (subscription.ready) {
+        this._send(client, message);
+      } else {
+        subscription.pending.push(message);
+      }
+    };
+
+    let unsubscribe;
+    try {
+      unsubscribe = await this.liveFeedService.subscribe(parsed.feed, parsed.params, listener, lastEventId);
+    } catch (error) {
+      client.subscriptions.delete(topic);
+      throw error;
+    }
+
+    if (client.subscriptions.get(topic) !== subscription) {
+      unsubscribe();
+      return;
+    }
+
+    subscription.unsubscribe = unsubscribe;
+    subscription.ready = true;
+
+    this._send(client, { type: 'subscribed', topic });
+    subscription.pending.splice(0).forEach(message => this._send(client, message));
+  }
+
+  /**
+   * Unsubscribe a connection from a topic
+   * @param {Object} client - Connection state
+   * @param {string} topic - Topic name
+   * @private
+   */
+  _unsubscribe(client, topic) {
+    const subscription = client.subscriptions.get(topic);
+    if (!subscription) {
+      throw new Error(`Not subscribed: ${topic}`);
+    }
+
+    client.subscriptions.delete(topic);
+    if (subscription.unsubscribe) {
+      subscription.unsubscribe();
+    }
+
+    this._send(client, { type: 'unsubscribed', topic });
+  }
+
+  /**
+   * Split a topic into its live feed, feed params and player filter
+   * @param {string} topic - Topic such as 'scoring:123'
+   * @returns {Object} { feed, params, playerId }
+   * @private
+   */
+  _parseTopic(topic) {
+    const [name, ...segments] = String(topic || '').split(':');
+    const definition = TOPICS[name];
+
+    if (!definition || segments.length !== definition.params.length ||
+        !segments.every(segment => SEGMENT_PATTERN.test(segment))) {
+      throw new Error(`Invalid topic: ${topic}`);
+    }
+
+    const values = Object.fromEntries(definition.params.map((param, index) => [param, segments[index]]));
+    const { playerId = null, ...params } = values;
+
+    return { feed: definition.feed, params, playerId };
+  }
+
+  /**
+   * Narrow a feed event to a topic's player, dropping heartbeats since sockets use pings
+   * @param {Object} parsed - Parsed topic
+   * @param {Object} event - Live feed event
+   * @returns {Object|null} Event to send, or null to skip it
+   * @private
+   */
+  _filterEvent(parsed, event) {
+    if (event.type === 'heartbeat') {
+      return null;
+    }
+    if (!parsed.playerId) {
+      return event;
+    }
+
+    const matches = row => String(row.playerId) === parsed.playerId;
+
+    if (event.type === 'delta') {
+      const changes = event.data.changes.filter(matches);
+      return changes.length > 0 ? { ...event, data: { ...event.data, changes } } : null;
+    }
+
+    // Player topics only exist on the predictions feed, whose rows live under predictions
+    const payload = event.data[parsed.feed] || {};
+    return {
+      ...event,
+      data: {
+        ...event.data,
+        [parsed.feed]: { ...payload, predictions: (payload.predictions || []).filter(matches) }
+      }
+    };
+  }
+
+  /**
+   * Send a message unless the client has fallen too far behind, in which case it is terminated
+   * A close handshake would queue behind the unsent bytes, so the socket is destroyed instead
+   * @param {Object} client - Connection state
+   * @param {Object} message - Message to send
+   * @returns {boolean} Whether the message was queued
+   * @private
+   */
+  _send(client, message) {
+    const { socket } = client;
+    if (client.closing || socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
+    if (socket.bufferedAmount > this.options.maxBufferedBytes) {
+      client.closing = true;
+      logger.warn('Terminating WebSocket client over backpressure limit', {
+        sessionId: client.session.id,
+        bufferedAmount: socket.bufferedAmount
+      });
+      socket.terminate();
+      return false;
+    }
+
+    socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Ping every connection, dropping those that did not answer the previous ping
+   * @private
+   */
+  _ping() {
+    for (const client of this.clients) {
+      if (!client.alive) {
+        client.socket.terminate();
+        continue;
+      }
+
+      client.alive = false;
+      client.socket.ping();
+    }
+  }
+
+  /**
+   * Release a closed connection's subscriptions
+   * @param {Object} client - Connection state
+   * @private
+   */
+  _onClose(client) {
+    for (const subscription of client.subscriptions.values()) {
+      if (subscription.unsubscribe) {
+        subscription.unsubscribe();
+      }
+    }
+
+    client.subscriptions.clear();
+    this.clients.delete(client);
+    logger.info('WebSocket connection closed', { sessionId: client.session.id });
+  }
+}
+
+WebSocketGateway.TOPICS = TOPICS;
+
+module.exports = WebSocketGateway;
@@ -0,0 +1,993 @@
+/**
+ * Webhook Service
+ * Detects tournament and odds events in payloads fetched by DataGolfService and delivers them
+ * as signed HTTP callbacks to registered webhooks
+ * Deliveries are queued in SQLite and retried with exponential backoff
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const dbManager = require('../database/manager');
+const logger = require('../utils/logger');
+const { diffPayloads } = require('../utils/delta');
+
+const EVENT_TYPES = [
+  'field.withdrawal',
+  'round.started',
+  'round.completed',
+  'leader.changed',
+  'cut_line.changed',
+  'odds.moved'
+];
+
+// Data types whose payloads are watched for events
+const WATCHED_DATA_TYPES = ['field', 'scoring', 'bettingOdds'];
+
+// Scoring statuses of players no longer playing the event
+const INACTIVE_STATUSES = ['cut', 'wd', 'withdrawn', 'dq', 'mdf'];
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Loopback, link-local (including cloud metadata at 169.254.169.254), private and unspecified ranges
+// Receivers there are only reachable through the allowedHosts option
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is loopback, link-local, private or unspecified
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+ * @param {string} address - IP address
+ * @returns {boolean} Whether the address is private
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup that refuses hostnames resolving to private addresses
+ * Used by the delivery agents, so the address is checked at connect time and a receiver
+ * cannot be pointed at the internal network by changing its DNS after registration
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      callback(new Error(`Webhook host ${hostname} resolves to a private address: ${blocked}`));
+      return;
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const PUBLIC_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Sign a webhook request body
+ * Receivers recompute the HMAC over `${timestamp}.${body}` with their secret and compare
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Signature header value, e.g. 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+class WebhookService {
+  /**
+   * @param {Object} dataGolfService - DataGolfService whose upstream fetches drive events
+   * @param {Object} options - Delivery options
+   * @param {number} [options.queueInterval] - Seconds between delivery queue runs
+   * @param {number} [options.batchSize] - Deliveries sent per queue run
+   * @param {number} [options.concurrency] - Webhooks delivered to at once; each webhook's deliveries stay in order
+   * @param {number} [options.maxAttempts] - Attempts before a delivery is marked failed
+   * @param {number} [options.retryBaseDelay] - Seconds before the first retry, doubled per attempt
+   * @param {number} [options.maxRetryDelay] - Longest wait between attempts in seconds
+   * @param {number} [options.timeout] - Request timeout in seconds
+   * @param {number} [options.oddsMoveThreshold] - Default minimum odds move in percent
+   * @param {number} [options.cutRank] - Position that makes the projected cut
+   * @param {Array<string>} [options.allowedHosts] - Hostnames that may resolve to private addresses
+   * @param {number} [options.deliveryRetention] - Days delivered and failed deliveries are kept
+   * @param {number} [options.pruneInterval] - Seconds between delivery log prunes
+   * @param {Object} db - Database manager instance
+   */
+  constructor(dataGolfService, options = {}, db = dbManager) {
+    this.dataGolfService = dataGolfService;
+    this.db = db;
+    this.options = {
+      queueInterval: 5,
+      batchSize: 20,
+      concurrency: 5,
+      maxAttempts: 6,
+      retryBaseDelay: 30,
+      maxRetryDelay: 3600,
+      timeout: 10,
+      oddsMoveThreshold: 10,
+      cutRank: 65,
+      allowedHosts: [],
+      deliveryRetention: 30,
+      pruneInterval: 3600,
+      ...options
+    };
+    this.allowedHosts = new Set(this.options.allowedHosts.map(host => host.trim().toLowerCase()).filter(Boolean));
+
+    // Last payload seen per cache key, compared with the next fetch to detect events
+    this.snapshots = new Map();
+    this.maxSnapshots = 500;
+
+    this.timer = null;
+    this.pruneTimer = null;
+    this.unsubscribe = null;
+    this.processing = null;
+    this.stats = { eventsDetected: 0, delivered: 0, failedAttempts: 0, lastEventAt: null };
+  }
+
+  /**
+   * Register a webhook
+   * @param {Object} definition - Webhook definition
+   * @param {string} definition.url - HTTP(S) callback URL
+   * @param {Array<string>} definition.events - Event types to receive
+   * @param {string} [definition.secret] - Signing secret, generated when omitted
+   * @param {string} [definition.tournamentId] - Only receive events for this tournament
+   * @param {number} [definition.oddsMoveThreshold] - Minimum odds move in percent for odds.moved
+   * @param {string} [definition.description] - Free-form description
+   * @returns {Promise<Object>} Created webhook, including its secret
+   */
+  async createWebhook(definition = {}) {
+    const values = this._validateDefinition(definition, true);
+    const secret = definition.secret || crypto.randomBytes(32).toString('hex');
+
+    if (typeof secret !== 'string' || secret.length < 16) {
+      throw new Error('secret must be a string of at least 16 characters');
+    }
+
+    await this.db.initialize();
+
+    const result = await this.db.execute(
+      `INSERT INTO webhooks (url, secret, events, tournament_id, odds_move_threshold, description)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        values.url,
+        secret,
+        JSON.stringify(values.events),
+        values.tournamentId ?? null,
+        values.oddsMoveThreshold ?? null,
+        values.description ?? null
+      ]
+    );
+
+    const webhook = await this.getWebhook(result.lastID);
+    logger.info('Webhook registered', { id: webhook.id, url: webhook.url, events: webhook.events });
+
+    return { ...webhook, secret };
+  }
+
+  /**
+   * List registered webhooks, without their secrets
+   * @returns {Promise<Array<Object>>} Webhooks
+   */
+  async listWebhooks() {
+    await this.db.initialize();
+
+    const result = await this.db.query('SELECT * FROM webhooks ORDER BY id');
+    return result.rows.map(row => this._formatWebhook(row));
+  }
+
+  /**
+   * Get a webhook, without its secret
+   * @param {number} id - Webhook id
+   * @returns {Promise<Object>} Webhook
+   */
+  async getWebhook(id) {
+    await this.db.initialize();
+
+    const row = await this.db.queryOne('SELECT * FROM webhooks WHERE id = ?', [id]);
+    if (!row) {
+      throw new Error(`Webhook not found: ${id}`);
+    }
+
+    return this._formatWebhook(row);
+  }
+
+  /**
+   * Update a webhook
+   * @param {number} id - Webhook id
+   * @param {Object} changes - Any of url, events, tournamentId, oddsMoveThreshold, description, isActive
+   * @returns {Promise<Object>} Updated webhook
+   */
+  async updateWebhook(id, changes = {}) {
+    const values = this._validateDefinition(changes, false);
+    const columns = {
+      url: 'url',
+      events: 'events',
+      tournamentId: 'tournament_id',
+      oddsMoveThreshold: 'odds_move_threshold',
+      description: 'description',
+      isActive: 'is_active'
+    };
+
+    const assignments = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (values[field] === undefined) continue;
+
+      let value = values[field];
+      if (field === 'events') {
+        value = JSON.stringify(value);
+      } else if (field === 'isActive') {
+        value = value ? 1 : 0;
+      }
+
+      assignments.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    if (assignments.length === 0) {
+      throw new Error('No webhook changes provided');
+    }
+
+    await this.db.initialize();
+
+    const result = await this.db.execute(
+      `UPDATE webhooks SET ${assignments.join(', ')} WHERE id = ?`,
+      [...params, id]
+    );
+    if (result.changes === 0) {
+      throw new Error(`Webhook not found: ${id}`);
+    }
+
+    logger.info('Webhook updated', { id, changes: Object.keys(values).filter(field => values[field] !== undefined) });
+    return this.getWebhook(id);
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {number} id - Webhook id
+   * @returns {Promise<void>}
+   */
+  async deleteWebhook(id) {
+    await this.db.initialize();
+
+    const result = await this.db.execute('DELETE FROM webhooks WHERE id = ?', [id]);
+    if (result.changes === 0) {
+      throw new Error(`Webhook not found: ${id}`);
+    }
+
+    logger.info('Webhook deleted', { id });
+  }
+
+  /**
+   * Get a webhook's delivery log, newest first
+   * @param {number} webhookId - Webhook id
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Only deliveries in this status
+   * @param {number} [options.limit] - Maximum rows to return
+   * @returns {Promise<Array<Object>>} Deliveries
+   */
+  async getDeliveries(webhookId, options = {}) {
+    const { status, limit = 50 } = options;
+
+    await this.getWebhook(webhookId);
+
+    const params = [webhookId];
+    let sql = 'SELECT * FROM webhook_deliveries WHERE webhook_id = ?';
+    if (status) {
+      sql += ' AND status = ?';
+      params.push(status);
+    }
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    const result = await this.db.query(sql, params);
+    return result.rows.map(row => this._formatDelivery(row));
+  }
+
+  /**
+   * Queue a delivery to be sent again on the next queue run, resetting its attempts
+   * @param {number} deliveryId - Delivery id
+   * @returns {Promise<Object>} Requeued delivery
+   */
+  async retryDelivery(deliveryId) {
+    await this.db.initialize();
+
+    const result = await this.db.execute(
+      `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+       WHERE id = ?`,
+      [new Date().toISOString(), deliveryId]
+    );
+    if (result.changes === 0) {
+      throw new Error(`Webhook delivery not found: ${deliveryId}`);
+    }
+
+    this._kickQueue();
+
+    const row = await this.db.queryOne('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+    return this._formatDelivery(row);
+  }
+
+  /**
+   * Delete delivered and failed deliveries older than the retention period
+   * Pending deliveries are kept however old they are
+   * @returns {Promise<number>} Deliveries deleted
+   */
+  async pruneDeliveries() {
+    await this.db.initialize();
+
+    const result = await this.db.execute(
+      `DELETE FROM webhook_deliveries
+       WHERE status IN ('delivered', 'failed') AND created_at < datetime('now', ?)`,
+      [`-${this.options.deliveryRetention} days`]
+    );
+
+    if (result.changes > 0) {
+      logger.info('Webhook deliveries pruned', { deleted: result.changes, retentionDays: this.options.deliveryRetention });
+    }
+
+    return result.changes;
+  }
+
+  /**
+   * Watch DataGolfService fetches for events, run the delivery queue and prune the delivery log on intervals
+   */
+  start() {
+    this.stop();
+
+    this.unsubscribe = this.dataGolfService.onUpstreamData(update => this.handleUpstreamData(update));
+
+    this.timer = setInterval(() => this.processQueue(), this.options.queueInterval * 1000);
+    this.timer.unref();
+
+    this.pruneTimer = setInterval(() => {
+      this.pruneDeliveries().catch((error) => {
+        logger.error('Webhook delivery prune failed', { error: error.message });
+      });
+    }, this.options.pruneInterval * 1000);
+    this.pruneTimer.unref();
+
+    logger.info('Webhook delivery started', { queueInterval: this.options.queueInterval });
+  }
+
+  /**
+   * Stop watching for events, running the queue and pruning
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Get detection and delivery state
+   * @returns {Promise<Object>} Running flag, counters and queue size
+   */
+  async getStatus() {
+    await this.db.initialize();
+
+    const pending = await this.db.queryOne(
+      "SELECT COUNT(*) AS count FROM webhook_deliveries WHERE status = 'pending'"
+    );
+
+    return {
+      running: this.timer !== null,
+      eventTypes: EVENT_TYPES,
+      watchedPayloads: this.snapshots.size,
+      pendingDeliveries: pending.count,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Compare a fetched payload with the previous one for its cache key and publish any events
+   * @param {Object} update - { cacheKey, dataType, tags, data } from DataGolfService.onUpstreamData
+   * @returns {Promise<Array<Object>>} Published events
+   */
+  async handleUpstreamData(update) {
+    const { cacheKey, dataType, tags = [], data } = update;
+    if (!WATCHED_DATA_TYPES.includes(dataType)) {
+      return [];
+    }
+
+    const previous = this.snapshots.get(cacheKey);
+    this.snapshots.delete(cacheKey);
+    this.snapshots.set(cacheKey, data);
+    if (this.snapshots.size > this.maxSnapshots) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+
+    if (!previous || previous === data) {
+      return [];
+    }
+
+    const tag = tags.find(value => value.startsWith('tournamentId:'));
+    const tournamentId = tag ? tag.slice('tournamentId:'.length) : null;
+
+    try {
+      const events = this._detectEvents(dataType, previous, data, tournamentId);
+      if (events.length > 0) {
+        await this.publish(events);
+      }
+      return events;
+    } catch (error) {
+      logger.error('Failed to publish webhook events', { cacheKey, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Queue deliveries of events to every active webhook subscribed to them
+   * @param {Array<Object>} events - Events: { type, tournamentId, data }
+   * @returns {Promise<number>} Deliveries queued
+   */
+  async publish(events) {
+    await this.db.initialize();
+
+    const result = await this.db.query('SELECT * FROM webhooks WHERE is_active = 1');
+    const webhooks = result.rows.map(row => this._formatWebhook(row));
+    const createdAt = new Date().toISOString();
+    let queued = 0;
+
+    await this.db.transaction(async (db) => {
+      for (const event of events) {
+        const eventId = crypto.randomUUID();
+        this.stats.eventsDetected++;
+        this.stats.lastEventAt = createdAt;
+
+        for (const webhook of webhooks) {
+          const data = this._filterForWebhook(webhook, event);
+          if (!data) continue;
+
+          const payload = { id: eventId, type: event.type, createdAt, data };
+          await db.execute(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [webhook.id, eventId, event.type, JSON.stringify(payload), createdAt]
+          );
+          queued++;
+        }
+      }
+    });
+
+    if (queued > 0) {
+      logger.info('Webhook events queued', { events: events.map(event => event.type), deliveries: queued });
+      this._kickQueue();
+    }
+
+    return queued;
+  }
+
+  /**
+   * Send every delivery that is due, in batches
+   * Runs one at a time; a call while the queue is running waits for that run
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  processQueue() {
+    if (!this.processing) {
+      this.processing = this._processDue()
+        .catch((error) => {
+          logger.error('Webhook queue run failed', { error: error.message });
+          return 0;
+        })
+        .finally(() => {
+          this.processing = null;
+        });
+    }
+
+    return this.processing;
+  }
+
+  /**
+   * Start a queue run without waiting for it
+   * @private
+   */
+  _kickQueue() {
+    setImmediate(() => this.processQueue());
+  }
+
+  /**
+   * Attempt due deliveries until none are left
+   * Each batch is sent to up to `concurrency` webhooks at once, so one slow receiver
+   * does not hold up the others, while every webhook gets its deliveries in order
+   * @returns {Promise<number>} Deliveries attempted
+   * @private
+   */
+  async _processDue() {
+    await this.db.initialize();
+
+    let attempted = 0;
+
+    for (;;) {
+      const result = await this.db.query(
+        `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhook_id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.is_active = 1
+         ORDER BY d.next_attempt_at, d.id LIMIT ?`,
+        [new Date().toISOString(), this.options.batchSize]
+      );
+
+      if (result.rows.length === 0) {
+        return attempted;
+      }
+
+      const byWebhook = new Map();
+      for (const row of result.rows) {
+        if (!byWebhook.has(row.webhook_id)) {
+          byWebhook.set(row.webhook_id, []);
+        }
+        byWebhook.get(row.webhook_id).push(row);
+      }
+
+      const queues = Array.from(byWebhook.values());
+      const worker = async () => {
+        for (let rows = queues.shift(); rows; rows = queues.shift()) {
+          for (const row of rows) {
+            await this._deliver(row);
+            attempted++;
+          }
+        }
+      };
+
+      const workers = Math.max(1, Math.min(this.options.concurrency, queues.length));
+      await Promise.all(Array.from({ length: workers }, worker));
+    }
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   * Non-2xx responses, network errors and private receiver addresses are retried with
+   * exponential backoff until maxAttempts
+   * @param {Object} row - webhook_deliveries row joined with its webhook's url and secret
+   * @private
+   */
+  async _deliver(row) {
+    const attempts = row.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+
+    let statusCode = null;
+    let error = null;
+
+    try {
+      // Re-checked on every attempt, as the allowlist may have changed since registration
+      const url = this._checkUrl(row.url);
+
+      const response = await axios.post(row.url, row.payload, {
+        timeout: this.options.timeout * 1000,
+        maxRedirects: 0,
+        ...(this.allowedHosts.has(url.hostname) ? {} : PUBLIC_AGENTS),
+        validateStatus: () => true,
+        // Send the payload exactly as signed
+        transformRequest: [body => body],
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Golf-API-Analytics-Webhooks/1.0',
+          'X-Webhook-Id': String(row.webhook_id),
+          'X-Webhook-Delivery': String(row.id),
+          'X-Webhook-Event': row.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          [SIGNATURE_HEADER]: signPayload(row.secret, timestamp, row.payload)
+        }
+      });
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Receiver responded with ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const responseTime = Date.now() - startTime;
+
+    if (!error) {
+      this.stats.delivered++;
+      await this.db.execute(
+        `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, next_attempt_at = NULL,
+         last_status_code = ?, last_error = NULL, last_response_time_ms = ?, delivered_at = ?
+         WHERE id = ?`,
+        [attempts, statusCode, responseTime, new Date().toISOString(), row.id]
+      );
+      return;
+    }
+
+    this.stats.failedAttempts++;
+    const failed = attempts >= this.options.maxAttempts;
+    const nextAttemptAt = failed ? null : new Date(Date.now() + this._retryDelay(attempts) * 1000).toISOString();
+
+    logger.warn('Webhook delivery attempt failed', {
+      deliveryId: row.id,
+      webhookId: row.webhook_id,
+      event: row.event_type,
+      attempts,
+      error,
+      nextAttemptAt
+    });
+
+    await this.db.execute(
+      `UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?,
+       last_status_code = ?, last_error = ?, last_response_time_ms = ?
+       WHERE id = ?`,
+      [failed ? 'failed' : 'pending', attempts, nextAttemptAt, statusCode, error, responseTime, row.id]
+    );
+  }
+
+  /**
+   * Get the wait before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in seconds
+   * @private
+   */
+  _retryDelay(attempts) {
+    return Math.min(this.options.retryBaseDelay * Math.pow(2, attempts - 1), this.options.maxRetryDelay);
+  }
+
+  /**
+   * Find the events between two versions of a payload
+   * @param {string} dataType - Cache data type
+   * @param {Object} previous - Previous payload
+   * @param {Object} current - Fetched payload
+   * @param {string|null} tournamentId - Tournament from the cache key
+   * @returns {Array<Object>} Events: { type, tournamentId, data }
+   * @private
+   */
+  _detectEvents(dataType, previous, current, tournamentId) {
+    if (dataType === 'field') {
+      return this._detectWithdrawals(previous, current, tournamentId);
+    }
+    if (dataType === 'scoring') {
+      return this._detectScoringEvents(previous, current, tournamentId);
+    }
+    if (dataType === 'bettingOdds') {
+      return this._detectOddsMoves(previous, current, tournamentId);
+    }
+    return [];
+  }
+
+  /**
+   * Find players who withdrew from a field, either by status or by dropping off the list
+   * @param {Object} previous - Previous field payload
+   * @param {Object} current - Fetched field payload
+   * @param {string|null} tournamentId - Tournament identifier
+   * @returns {Array<Object>} field.withdrawal events
+   * @private
+   */
+  _detectWithdrawals(previous, current, tournamentId) {
+    const withdrawn = status => /^wd$|withdr/i.test(String(status || ''));
+    const currentField = new Map((current.field || []).map(player => [String(player.playerId), player]));
+    const events = [];
+
+    for (const player of previous.field || []) {
+      if (withdrawn(player.status)) continue;
+
+      const now = currentField.get(String(player.playerId));
+      if (now && !withdrawn(now.status)) continue;
+
+      events.push({
+        type: 'field.withdrawal',
+        tournamentId,
+        data: {
+          tournamentId,
+          playerId: player.playerId,
+          playerName: player.playerName,
+          reason: now ? 'status' : 'removed_from_field'
+        }
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Find round starts and ends, leader changes and cut line moves between two scoring payloads
+   * @param {Object} previous - Previous scoring payload
+   * @param {Object} current - Fetched scoring payload
+   * @param {string|null} tournamentId - Tournament identifier
+   * @returns {Array<Object>} Scoring events
+   * @private
+   */
+  _detectScoringEvents(previous, current, tournamentId) {
+    const before = this._summarizeScoring(previous);
+    const after = this._summarizeScoring(current);
+    const events = [];
+    const event = (type, data) => events.push({ type, tournamentId, data: { tournamentId, ...data } });
+
+    if (after.round !== null) {
+      const newRound = after.round !== before.round;
+      if (after.roundState === 'in_progress' && (newRound || before.roundState !== 'in_progress')) {
+        event('round.started', { round: after.round });
+      }
+      if (after.roundState === 'complete' && (newRound || before.roundState !== 'complete')) {
+        event('round.completed', { round: after.round });
+      }
+    }
+
+    const leaderIds = leaders => leaders.map(player => String(player.playerId)).sort().join(',');
+    if (before.leaders.length > 0 && after.leaders.length > 0 &&
+        leaderIds(before.leaders) !== leaderIds(after.leaders)) {
+      event('leader.changed', { round: after.round, previousLeaders: before.leaders, leaders: after.leaders });
+    }
+
+    if (after.cutLine !== null && after.cutLine !== before.cutLine) {
+      event('cut_line.changed', {
+        round: after.round,
+        previousCutLine: before.cutLine,
+        cutLine: after.cutLine,
+        cutRank: this.options.cutRank
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Reduce a scoring payload to its current round, round state, leaders and projected cut line
+   * The cut line is the total score at cutRank among active players, and is only projected
+   * until the end of round 2
+   * @param {Object} payload - Scoring payload
+   * @returns {Object} { round, roundState, leaders, cutLine }
+   * @private
+   */
+  _summarizeScoring(payload) {
+    const active = (payload.scores || [])
+      .filter(player => !INACTIVE_STATUSES.includes(String(player.status || 'active').toLowerCase()));
+
+    if (active.length === 0) {
+      return { round: null, roundState: 'unknown', leaders: [], cutLine: null };
+    }
+
+    const round = Math.max(...active.map(player => Number(player.currentRound) || 1));
+    const holes = active
+      .filter(player => (Number(player.currentRound) || 1) === round)
+      .map(player => Number(player.holesCompleted) || 0);
+
+    let roundState = 'in_progress';
+    if (holes.every(count => count >= 18)) {
+      roundState = 'complete';
+    } else if (holes.every(count => count === 0)) {
+      roundState = 'not_started';
+    }
+
+    const leaders = active
+      .filter(player => parseInt(String(player.position || '').replace(/^T/i, ''), 10) === 1)
+      .map(player => ({ playerId: player.playerId, playerName: player.playerName, totalScore: player.totalScore }));
+
+    let cutLine = null;
+    const totals = active.map(player => this._toScore(player.totalScore)).filter(score => score !== null);
+    if (round <= 2 && totals.length >= this.options.cutRank) {
+      cutLine = totals.sort((a, b) => a - b)[this.options.cutRank - 1];
+    }
+
+    return { round, roundState, leaders, cutLine };
+  }
+
+  /**
+   * Find odds rows whose decimal price moved
+   * Every move is kept here; each webhook's threshold is applied when deliveries are queued
+   * @param {Object} previous - Previous betting odds payload
+   * @param {Object} current - Fetched betting odds payload
+   * @param {string|null} tournamentId - Tournament identifier
+   * @returns {Array<Object>} A single odds.moved event, or none
+   * @private
+   */
+  _detectOddsMoves(previous, current, tournamentId) {
+    const moves = diffPayloads('bettingOdds', previous, current)
+      .filter(change => change.type === 'changed' && change.fields.odds)
+      .filter(change => change.fields.odds.from > 0 && change.fields.odds.to > 0)
+      .map(({ key, fields, type, ...change }) => ({
+        ...change,
+        from: fields.odds.from,
+        to: fields.odds.to,
+        changePercent: Math.round(((fields.odds.to - fields.odds.from) / fields.odds.from) * 10000) / 100
+      }));
+
+    if (moves.length === 0) {
+      return [];
+    }
+
+    const eventTournamentId = tournamentId || ((current.odds || [])[0] || {}).tournamentId || null;
+    return [{ type: 'odds.moved', tournamentId: eventTournamentId, data: { tournamentId: eventTournamentId, moves } }];
+  }
+
+  /**
+   * Get the event data a webhook should receive, or null when it does not want the event
+   * @param {Object} webhook - Formatted webhook
+   * @param {Object} event - Detected event
+   * @returns {Object|null} Event data
+   * @private
+   */
+  _filterForWebhook(webhook, event) {
+    if (!webhook.events.includes(event.type)) {
+      return null;
+    }
+    if (webhook.tournamentId && String(event.tournamentId) !== webhook.tournamentId) {
+      return null;
+    }
+
+    if (event.type === 'odds.moved') {
+      const threshold = webhook.oddsMoveThreshold ?? this.options.oddsMoveThreshold;
+      const moves = event.data.moves.filter(move => Math.abs(move.changePercent) >= threshold);
+      return moves.length > 0 ? { ...event.data, threshold, moves } : null;
+    }
+
+    return event.data;
+  }
+
+  /**
+   * Validate a webhook definition or update
+   * @param {Object} definition - Webhook fields
+   * @param {boolean} creating - Whether url and events are required
+   * @returns {Object} Validated fields, undefined when not provided
+   * @private
+   */
+  _validateDefinition(definition, creating) {
+    const { url, events, tournamentId, oddsMoveThreshold, description, isActive } = definition;
+
+    if (url !== undefined || creating) {
+      this._checkUrl(url);
+    }
+
+    if (events !== undefined || creating) {
+      if (!Array.isArray(events) || events.length === 0) {
+        throw new Error(`events must be a non-empty list of: ${EVENT_TYPES.join(', ')}`);
+      }
+      const unknown = events.filter(type => !EVENT_TYPES.includes(type));
+      if (unknown.length > 0) {
+        throw new Error(`Unsupported webhook event: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (oddsMoveThreshold !== undefined && oddsMoveThreshold !== null &&
+        (typeof oddsMoveThreshold !== 'number' || !(oddsMoveThreshold > 0))) {
+      throw new Error('oddsMoveThreshold must be a positive number');
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      throw new Error('isActive must be a boolean');
+    }
+
+    return {
+      url,
+      events: events ? Array.from(new Set(events)) : undefined,
+      tournamentId: tournamentId === undefined || tournamentId === null ? tournamentId : String(tournamentId),
+      oddsMoveThreshold,
+      description,
+      isActive
+    };
+  }
+
+  /**
+   * Parse a receiver URL and refuse local and private hosts that are not in allowedHosts
+   * Hostnames are checked again when they are resolved for each delivery
+   * @param {string} url - Receiver URL
+   * @returns {URL} Parsed URL
+   * @throws {Error} If the URL is invalid or points at a private host
+   * @private
+   */
+  _checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('url must be a valid HTTP or HTTPS URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('url must be a valid HTTP or HTTPS URL');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (this.allowedHosts.has(hostname)) {
+      return parsed;
+    }
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname)) {
+      throw new Error(`url must be a public address, ${parsed.hostname} is local or private`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Parse a total score such as -5, '+3' or 'E'
+   * @param {number|string} value - Total score
+   * @returns {number|null} Score relative to par
+   * @private
+   */
+  _toScore(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (String(value).toUpperCase() === 'E') {
+      return 0;
+    }
+
+    const score = parseInt(value, 10);
+    return Number.isNaN(score) ? null : score;
+  }
+
+  /**
+   * Convert a webhooks row to the API shape, leaving out the secret
+   * @param {Object} row - webhooks row
+   * @returns {Object} Webhook
+   * @private
+   */
+  _formatWebhook(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: JSON.parse(row.events),
+      tournamentId: row.tournament_id,
+      oddsMoveThreshold: row.odds_move_threshold,
+      description: row.description,
+      isActive: Boolean(row.is_active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Convert a webhook_deliveries row to the API shape
+   * @param {Object} row - webhook_deliveries row
+   * @returns {Object} Delivery
+   * @private
+   */
+  _formatDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      payload: JSON.parse(row.payload),
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      lastResponseTimeMs: row.last_response_time_ms,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+}
+
+WebhookService.EVENT_TYPES = EVENT_TYPES;
+WebhookService.SIGNATURE_HEADER = SIGNATURE_HEADER;
+WebhookService.signPayload = signPayload;
+WebhookService.PUBLIC_AGENTS = PUBLIC_AGENTS;
+
+module.exports = WebhookService;
@@ -0,0 +1,166 @@
+/**
+ * Delta Utilities
+ * Computes player-level differences between two versions of a Data Golf payload
+ * Used to tell polling clients what changed since the version they last saw
+ */
+
+// Rows compared per cache data type: where they live, how a row is identified and which fields count
+const DIFF_SPECS = {
+  scoring: {
+    list: 'scores',
+    key: row => String(row.playerId),
+    identity: () => ({}),
+    fields: {
+      position: row => row.position,
+      totalScore: row => row.totalScore
+    }
+  },
+  bettingOdds: {
+    list: 'odds',
+    key: row => `${row.playerId}|${row.bookmaker}|${row.market || ''}`,
+    identity: row => ({ bookmaker: row.bookmaker, market: row.market || null }),
+    fields: {
+      odds: row => (row.odds ? row.odds.decimal : null)
+    }
+  },
+  livePredictions: {
+    list: 'predictions',
+    key: row => String(row.playerId),
+    identity: () => ({}),
+    fields: {
+      position: row => row.position,
+      totalScore: row => row.totalScore,
+      win: row => row.probabilities.win,
+      top5: row => row.probabilities.top5,
+      top10: row => row.probabilities.top10,
+      top20: row => row.probabilities.top20,
+      makeCut: row => row.probabilities.makeCut
+    }
+  }
+};
+
+/**
+ * Check whether a data type's payloads can be diffed
+ * @param {string} dataType - Cache data type (e.g. 'scoring')
+ * @returns {boolean} Whether a diff spec exists
+ */
+function isDiffable(dataType) {
+  return Boolean(DIFF_SPECS[dataType]);
+}
+
+/**
+ * Diff two versions of a payload
+ * @param {string} dataType - Cache data type
+ * @param {Object} previous - Older payload
+ * @param {Object} current - Newer payload
+ * @returns {Array<Object>} Changes: { key, playerId, playerName, type, fields: { name: { from, to } } }
+ */
+function diffPayloads(dataType, previous, current) {
+  const spec = DIFF_SPECS[dataType];
+  if (!spec) {
+    throw new Error(`Unsupported diff data type: ${dataType}`);
+  }
+
+  const index = (payload) => new Map(((payload && payload[spec.list]) || []).map(row => [spec.key(row), row]));
+  const before = index(previous);
+  const after = index(current);
+  const changes = [];
+
+  const describe = (key, row, type, fields) => ({
+    key,
+    playerId: row.playerId,
+    playerName: row.playerName,
+    ...spec.identity(row),
+    type,
+    fields
+  });
+
+  for (const [key, row] of after) {
+    const old = before.get(key);
+    const fields = {};
+
+    for (const [name, read] of Object.entries(spec.fields)) {
+      const from = old ? read(old) : null;
+      const to = read(row);
+      if (!old || from !== to) {
+        fields[name] = { from, to };
+      }
+    }
+
+    if (!old) {
+      changes.push(describe(key, row, 'added', fields));
+    } else if (Object.keys(fields).length > 0) {
+      changes.push(describe(key, row, 'changed', fields));
+    }
+  }
+
+  for (const [key, row] of before) {
+    if (after.has(key)) continue;
+
+    const fields = {};
+    for (const [name, read] of Object.entries(spec.fields)) {
+      fields[name] = { from: read(row), to: null };
+    }
+    changes.push(describe(key, row, 'removed', fields));
+  }
+
+  return changes;
+}
+
+/**
+ * Collapse consecutive diffs into one, oldest first
+ * Each field keeps its earliest 'from' and latest 'to'; rows that end where they started are dropped
+ * @param {Array<Array<Object>>} diffs - Diffs as returned by diffPayloads
+ * @returns {Array<Object>} Net changes, without their internal keys
+ */
+function mergeDiffs(diffs) {
+  const merged = new Map();
+
+  for (const changes of diffs) {
+    for (const change of changes) {
+      const existing = merged.get(change.key);
+      if (!existing) {
+        merged.set(change.key, { ...change, fields: { ...change.fields } });
+        continue;
+      }
+
+      if (existing.type === 'added' && change.type === 'removed') {
+        merged.delete(change.key);
+        continue;
+      }
+
+      for (const [name, value] of Object.entries(change.fields)) {
+        existing.fields[name] = existing.fields[name]
+          ? { from: existing.fields[name].from, to: value.to }
+          : { ...value };
+      }
+
+      if (existing.type !== 'added') {
+        existing.type = change.type === 'removed' ? 'removed' : 'changed';
+      }
+      existing.playerName = change.playerName || existing.playerName;
+    }
+  }
+
+  const result = [];
+  for (const { key, ...change } of merged.values()) {
+    if (change.type === 'changed') {
+      for (const [name, value] of Object.entries(change.fields)) {
+        if (value.from === value.to) {
+          delete change.fields[name];
+        }
+      }
+      if (Object.keys(change.fields).length === 0) continue;
+    }
+
+    result.push(change);
+  }
+
+  return result;
+}
+
+module.exports = {
+  isDiffable,
+  diffPayloads,
+  mergeDiffs
+};
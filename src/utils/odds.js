@@ -0,0 +1,247 @@
+/**
+ * Odds Utilities
+ * Converts between decimal, American and fractional odds and removes bookmaker margin
+ * Shared by the Data Golf transformers, betting routes and analytics services
+ */
+
+const VIG_METHODS = ['multiplicative', 'additive', 'shin', 'power'];
+
+// Number of winning outcomes per market, used as the fair probability total
+const MARKET_WINNERS = {
+  win: 1,
+  top_5: 5,
+  top_10: 10,
+  top_20: 20
+};
+
+/**
+ * Round a number to a fixed number of decimal places
+ * @param {number} value - Value to round
+ * @param {number} places - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert American odds to decimal odds
+ * @param {number|string} american - American odds such as +250 or -150
+ * @returns {number|null} Decimal odds or null if invalid
+ */
+function decimalFromAmerican(american) {
+  const value = Number(american);
+  if (isNaN(value) || Math.abs(value) < 100) {
+    return null;
+  }
+
+  return value > 0 ? 1 + value / 100 : 1 + 100 / -value;
+}
+
+/**
+ * Convert fractional odds to decimal odds
+ * @param {string} fractional - Fractional odds such as '7/2'
+ * @returns {number|null} Decimal odds or null if invalid
+ */
+function decimalFromFractional(fractional) {
+  if (fractional === undefined || fractional === null) {
+    return null;
+  }
+
+  const [numerator, denominator = 1] = String(fractional).split('/').map(Number);
+  if (isNaN(numerator) || isNaN(denominator) || numerator <= 0 || denominator <= 0) {
+    return null;
+  }
+
+  return 1 + numerator / denominator;
+}
+
+/**
+ * Convert decimal odds to American odds
+ * @param {number} decimal - Decimal odds
+ * @returns {number|null} American odds or null if invalid
+ */
+function americanFromDecimal(decimal) {
+  const value = Number(decimal);
+  if (!(value > 1)) {
+    return null;
+  }
+
+  return value >= 2 ? Math.round((value - 1) * 100) : Math.round(-100 / (value - 1));
+}
+
+/**
+ * Convert decimal odds to fractional odds using the closest fraction with a small denominator
+ * @param {number} decimal - Decimal odds
+ * @param {number} maxDenominator - Largest denominator to use
+ * @returns {string|null} Fractional odds or null if invalid
+ */
+function fractionalFromDecimal(decimal, maxDenominator = 100) {
+  const value = Number(decimal);
+  if (!(value > 1)) {
+    return null;
+  }
+
+  // Continued fraction expansion of the net return
+  const target = value - 1;
+  let [h0, h1, k0, k1] = [0, 1, 1, 0];
+  let x = target;
+
+  for (let i = 0; i < 32; i++) {
+    const a = Math.floor(x);
+    const [h2, k2] = [a * h1 + h0, a * k1 + k0];
+    if (k2 > maxDenominator) break;
+
+    [h0, h1, k0, k1] = [h1, h2, k1, k2];
+    if (Math.abs(x - a) < 1e-9) break;
+    x = 1 / (x - a);
+  }
+
+  if (h1 === 0) {
+    return `1/${maxDenominator}`;
+  }
+
+  return `${h1}/${k1}`;
+}
+
+/**
+ * Fill in every odds format from whichever one is present
+ * Decimal takes precedence, then American, then fractional
+ * @param {Object} odds - { decimal, american, fractional }, any of which may be null
+ * @returns {Object} { decimal, american, fractional } with all formats populated, or all null
+ */
+function normalizeOdds(odds = {}) {
+  const decimal = Number(odds.decimal) > 1
+    ? Number(odds.decimal)
+    : decimalFromAmerican(odds.american) || decimalFromFractional(odds.fractional);
+
+  if (!decimal) {
+    return { decimal: null, american: null, fractional: null };
+  }
+
+  return {
+    decimal: round(decimal, 4),
+    american: americanFromDecimal(decimal),
+    fractional: fractionalFromDecimal(decimal)
+  };
+}
+
+/**
+ * Get the implied probability of decimal odds
+ * @param {number} decimal - Decimal odds
+ * @returns {number|null} Implied probability or null if invalid
+ */
+function impliedProbability(decimal) {
+  const value = Number(decimal);
+  return value > 1 ? round(1 / value, 6) : null;
+}
+
+/**
+ * Get the decimal price for a probability
+ * @param {number} probability - Probability between 0 and 1
+ * @returns {number|null} Decimal odds or null if invalid
+ */
+function decimalFromProbability(probability) {
+  return probability > 0 && probability < 1 ? round(1 / probability, 4) : null;
+}
+
+/**
+ * Get the number of winning outcomes in a market
+ * @param {string} market - Market name such as 'win' or 'top_10'
+ * @returns {number|null} Number of winners or null when it is not fixed (e.g. make cut)
+ */
+function getMarketTarget(market) {
+  return MARKET_WINNERS[market || 'win'] || null;
+}
+
+/**
+ * Find the root of a monotonic function on an interval by bisection
+ * @param {Function} fn - Function whose sign changes on the interval
+ * @param {number} low - Lower bound
+ * @param {number} high - Upper bound
+ * @returns {number} Approximate root
+ */
+function bisect(fn, low, high) {
+  let [lo, hi] = [low, high];
+  const increasing = fn(hi) > fn(lo);
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if ((fn(mid) > 0) === increasing) {
+      hi = mid;
+    } else {
+      lo = mid;
+    }
+  }
+
+  return (lo + hi) / 2;
+}
+
+/**
+ * Remove bookmaker margin from the implied probabilities of one market
+ * @param {Array<number>} probabilities - Implied probabilities of every outcome in the market
+ * @param {Object} options - Removal options
+ * @param {string} options.method - 'multiplicative', 'additive', 'shin' or 'power'
+ * @param {number} options.target - Sum the fair probabilities should reach (1 for a win market, 5 for top 5)
+ * @returns {Array<number|null>} Fair probabilities in the same order
+ */
+function removeVig(probabilities, { method = 'multiplicative', target = 1 } = {}) {
+  if (!VIG_METHODS.includes(method)) {
+    throw new Error(`Unknown vig removal method: ${method}`);
+  }
+
+  const valid = probabilities.map(p => (p > 0 && p < 1 ? p : null));
+  const implied = valid.filter(p => p !== null);
+  const booksum = implied.reduce((sum, p) => sum + p, 0);
+
+  // Nothing to remove when the market is incomplete or already priced under the target
+  if (implied.length < 2 || booksum <= target) {
+    return valid.map(p => (p === null ? null : round(p, 6)));
+  }
+
+  // Multi-winner markets are scaled to a single-winner book, de-vigged, then scaled back
+  const scaled = implied.map(p => p / target);
+  const scaledSum = booksum / target;
+  let fair;
+
+  switch (method) {
+    case 'additive': {
+      const margin = (scaledSum - 1) / scaled.length;
+      fair = scaled.map(p => Math.max(p - margin, 0));
+      break;
+    }
+    case 'power': {
+      const k = bisect(exp => scaled.reduce((sum, p) => sum + Math.pow(p, exp), 0) - 1, 1, 100);
+      fair = scaled.map(p => Math.pow(p, k));
+      break;
+    }
+    case 'shin': {
+      const shin = (z) => scaled.map(p =>
+        (Math.sqrt(z * z + 4 * (1 - z) * p * p / scaledSum) - z) / (2 * (1 - z))
+      );
+      const z = bisect(value => shin(value).reduce((sum, p) => sum + p, 0) - 1, 0, 0.999);
+      fair = shin(z);
+      break;
+    }
+    default:
+      fair = scaled.map(p => p / scaledSum);
+  }
+
+  let index = 0;
+  return valid.map(p => (p === null ? null : round(Math.min(fair[index++] * target, 1), 6)));
+}
+
+module.exports = {
+  VIG_METHODS,
+  MARKET_WINNERS,
+  getMarketTarget,
+  decimalFromAmerican,
+  decimalFromFractional,
+  americanFromDecimal,
+  fractionalFromDecimal,
+  normalizeOdds,
+  impliedProbability,
+  decimalFromProbability,
+  removeVig
+};
@@ -0,0 +1,144 @@
+/**
+ * Request Context
+ * Carries per-request state through async service calls without threading it through every signature
+ * Used to report how cached data was served back to the route that requested it
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// Precedence when one response combines several cache lookups
+const CACHE_STATUS_RANK = { HIT: 1, MISS: 2, STALE: 3 };
+
+/**
+ * Middleware that opens a fresh context for each request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requestContext(req, res, next) {
+  storage.run({ cacheResults: [] }, next);
+}
+
+/**
+ * Run a callback in its own context outside of a request
+ * @param {Object} options - Context options
+ * @param {boolean} [options.refresh] - Fetch upstream even when the cache holds fresh data
+ * @param {Function} callback - Callback to run
+ * @returns {*} Callback result
+ */
+function runInContext(options, callback) {
+  return storage.run({ cacheResults: [], refresh: false, ...options }, callback);
+}
+
+/**
+ * Run a callback with extra options layered over the current context
+ * Cache results recorded inside still count towards the enclosing request
+ * @param {Object} options - Options to add
+ * @param {boolean} [options.conditional] - Send stored upstream validators with API requests
+ * @param {Function} callback - Callback to run
+ * @returns {*} Callback result
+ */
+function extendContext(options, callback) {
+  const context = getRequestContext() || { cacheResults: [], refresh: false };
+  return storage.run({ ...context, ...options }, callback);
+}
+
+/**
+ * Get the current request's context
+ * @returns {Object|null} Context or null outside a request
+ */
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Record how a cache lookup was served for the current request
+ * @param {Object} result - { key, status: 'HIT' | 'MISS' | 'STALE', age, hash, storedAt }
+ */
+function recordCacheResult(result) {
+  const context = getRequestContext();
+  if (context) {
+    context.cacheResults.push(result);
+  }
+}
+
+/**
+ * Record state that changes how the current request's cached data is represented
+ * e.g. whether closing lines are withheld; folded into the response validators
+ * @param {Object} values - Representation state to add
+ */
+function recordRepresentation(values) {
+  const context = getRequestContext();
+  if (context) {
+    context.representation = { ...context.representation, ...values };
+  }
+}
+
+/**
+ * Summarize the current request's cache lookups
+ * The least fresh lookup decides the status; age is that of the oldest data served
+ * @returns {Object|null} { status, age } or null when nothing was looked up
+ */
+function getCacheSummary() {
+  const context = getRequestContext();
+  if (!context || context.cacheResults.length === 0) {
+    return null;
+  }
+
+  const status = context.cacheResults.reduce((worst, result) =>
+    CACHE_STATUS_RANK[result.status] > CACHE_STATUS_RANK[worst] ? result.status : worst, 'HIT');
+  const age = Math.max(...context.cacheResults.map(result => result.age || 0));
+
+  return { status, age };
+}
+
+/**
+ * Build HTTP validators for the data served to the current request
+ * The ETag is the content hash of the cached payload, or a hash of the hashes when a
+ * response combines several lookups. Responses derived from the payload, such as filtered
+ * or diffed views, fold the parameters and recorded state that shape them into the hash,
+ * so each representation has its own ETag. Last-Modified is the newest entry's timestamp.
+ * @param {Object} [variant] - Request parameters that change how the cached data is represented
+ * @returns {Object|null} { etag, lastModified } or null when nothing was looked up
+ */
+function getCacheValidators(variant = {}) {
+  const context = getRequestContext();
+  if (!context || context.cacheResults.length === 0) {
+    return null;
+  }
+
+  const hashes = context.cacheResults.map(result => result.hash);
+  if (hashes.some(hash => !hash)) {
+    return null;
+  }
+
+  const shape = { ...variant, ...context.representation };
+  const shapeKeys = Object.keys(shape).filter(key => shape[key] !== undefined).sort();
+  if (shapeKeys.length > 0) {
+    hashes.push(JSON.stringify(shapeKeys.map(key => [key, shape[key]])));
+  }
+
+  const hash = hashes.length === 1
+    ? hashes[0]
+    : crypto.createHash('sha256').update(hashes.join(':')).digest('hex');
+  const lastModified = Math.max(...context.cacheResults.map(result => Date.parse(result.storedAt) || 0));
+
+  return {
+    etag: `"${hash}"`,
+    lastModified: lastModified > 0 ? new Date(lastModified).toUTCString() : null
+  };
+}
+
+module.exports = {
+  requestContext,
+  runInContext,
+  extendContext,
+  getRequestContext,
+  recordCacheResult,
+  recordRepresentation,
+  getCacheSummary,
+  getCacheValidators
+};
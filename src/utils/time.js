@@ -0,0 +1,148 @@
+/**
+ * Time Zone Utilities
+ * Converts between course-local wall-clock times and UTC using the built-in Intl API
+ * Avoids a date library dependency while remaining DST-aware for IANA time zones
+ */
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone name (e.g. 'America/New_York')
+ * @returns {boolean} Whether the time zone is supported
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock components of an instant in a time zone
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} Year, month, day, hour, minute and second components
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {Date} date - Instant to evaluate
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (e.g. -300 for EST)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant
+ * @param {Object} local - Local components { year, month, day, hour, minute }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} UTC instant
+ */
+function zonedTimeToUtc(local, timeZone) {
+  const naive = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second || 0);
+
+  // Resolve the offset twice so times next to a DST transition land on the right side
+  let offset = getTimeZoneOffset(new Date(naive), timeZone);
+  offset = getTimeZoneOffset(new Date(naive - offset * 60000), timeZone);
+
+  return new Date(naive - offset * 60000);
+}
+
+/**
+ * Format an instant as an ISO-8601 string with the time zone's offset
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Local time such as '2024-01-15T07:45:00-05:00'
+ */
+function formatInTimeZone(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const absOffset = Math.abs(offset);
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+}
+
+/**
+ * Parse a tee time into a UTC instant
+ * Accepts ISO strings with an offset, local 'YYYY-MM-DD HH:mm' strings and
+ * 12-hour clock times such as '7:45am' combined with a separate date
+ * @param {string} value - Raw tee time
+ * @param {string} timeZone - Course time zone for values without an offset
+ * @param {string} [date] - 'YYYY-MM-DD' date for values that only carry a clock time
+ * @returns {Date|null} UTC instant or null if the value cannot be parsed
+ */
+function parseLocalTime(value, timeZone, date = null) {
+  if (!value) {
+    return null;
+  }
+
+  const text = String(value).trim();
+
+  // Explicit offset or UTC designator: the instant is already unambiguous
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text) && /\d{4}-\d{2}-\d{2}/.test(text)) {
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  const dateTimeMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (dateTimeMatch) {
+    const [, year, month, day, hour, minute, second] = dateTimeMatch.map(Number);
+    return zonedTimeToUtc({ year, month, day, hour, minute, second: second || 0 }, timeZone);
+  }
+
+  const clockMatch = text.match(/^(\d{1,2}):(\d{2})\s*(am|pm)?$/i);
+  const dateMatch = date && String(date).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (clockMatch && dateMatch) {
+    let hour = parseInt(clockMatch[1], 10);
+    const meridiem = clockMatch[3] && clockMatch[3].toLowerCase();
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+
+    const [, year, month, day] = dateMatch.map(Number);
+    return zonedTimeToUtc({ year, month, day, hour, minute: parseInt(clockMatch[2], 10) }, timeZone);
+  }
+
+  return null;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  parseLocalTime
+};
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Unit tests for Data Golf routes
+ * @module tests/unit/dataGolf
+ */
+
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const dbManager = require('../../src/database/manager');
+const DataGolfClient = require('../../src/services/dataGolfClient');
+const BettingValueService = require('../../src/services/bettingValueService');
+const { SESSION_HEADER, ADMIN_KEY_HEADER } = require('../../src/middleware/sessionManager');
+const { getConfig } = require('../../src/config/environment');
+
+const app = createApp();
+
+describe('Data Golf Routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  describe('GET /api/data-golf/rankings conditional requests', () => {
+    beforeEach(() => {
+      jest.spyOn(DataGolfClient.prototype, 'getPlayerRankings')
+        .mockResolvedValue({ rankings: [{ playerId: 1, rank: 1 }] });
+    });
+
+    it('should answer a matching If-None-Match with 304', async () => {
+      const first = await request(app).get('/api/data-golf/rankings?tour=pga').expect(200);
+      expect(first.headers.etag).toBeDefined();
+
+      const second = await request(app)
+        .get('/api/data-golf/rankings?tour=pga')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+
+      expect(second.text).toBe('');
+    });
+
+    it('should answer an If-Modified-Since at the Last-Modified time with 304', async () => {
+      const first = await request(app).get('/api/data-golf/rankings?tour=euro').expect(200);
+      expect(first.headers['last-modified']).toBeDefined();
+
+      await request(app)
+        .get('/api/data-golf/rankings?tour=euro')
+        .set('If-Modified-Since', first.headers['last-modified'])
+        .expect(304);
+    });
+
+    it('should send a different ETag for a different query', async () => {
+      const all = await request(app).get('/api/data-golf/rankings?tour=kft').expect(200);
+      const limited = await request(app).get('/api/data-golf/rankings?tour=kft&limit=5').expect(200);
+
+      expect(limited.headers.etag).toBeDefined();
+      expect(limited.headers.etag).not.toBe(all.headers.etag);
+    });
+
+    it('should not send an ETag with error responses', async () => {
+      DataGolfClient.prototype.getPlayerRankings.mockRejectedValue(new Error('Upstream unavailable'));
+
+      const failed = await request(app).get('/api/data-golf/rankings?tour=alt&cache=false').expect(500);
+      const invalid = await request(app).get('/api/data-golf/rankings?limit=many').expect(400);
+
+      expect(failed.headers.etag).toBeUndefined();
+      expect(invalid.headers.etag).toBeUndefined();
+    });
+  });
+
+  describe('admin cache routes', () => {
+    const key = 'rankings:tour:opp';
+    let adminToken;
+
+    beforeAll(async () => {
+      jest.spyOn(DataGolfClient.prototype, 'getPlayerRankings').mockResolvedValue({ rankings: [] });
+      await request(app).get('/api/data-golf/rankings?tour=opp').expect(200);
+
+      const upgraded = await request(app)
+        .get('/api/data-golf/admin/cache/keys')
+        .set(ADMIN_KEY_HEADER, getConfig().security.adminApiKey)
+        .expect(200);
+      adminToken = upgraded.headers[SESSION_HEADER.toLowerCase()];
+    });
+
+    it('should require the admin key or an admin session', async () => {
+      await request(app).get('/api/data-golf/admin/cache/keys').expect(401);
+      await request(app).get('/api/data-golf/admin/cache/keys').set(ADMIN_KEY_HEADER, 'wrong-key').expect(403);
+
+      const listed = await request(app)
+        .get('/api/data-golf/admin/cache/keys?dataType=rankings')
+        .set(SESSION_HEADER, adminToken)
+        .expect(200);
+
+      expect(listed.body.data.keys.map(item => item.key)).toContain(key);
+    });
+
+    it('should inspect, pin and unpin an entry', async () => {
+      const inspected = await request(app)
+        .get(`/api/data-golf/admin/cache/entries/${key}`)
+        .set(SESSION_HEADER, adminToken)
+        .expect(200);
+      expect(inspected.body.data).toMatchObject({ key, dataType: 'rankings', pinned: false });
+
+      const pinned = await request(app)
+        .put(`/api/data-golf/admin/cache/entries/${key}/pin`)
+        .set(SESSION_HEADER, adminToken)
+        .expect(200);
+      expect(pinned.body.data.pinned).toBe(true);
+
+      const unpinned = await request(app)
+        .delete(`/api/data-golf/admin/cache/entries/${key}/pin`)
+        .set(SESSION_HEADER, adminToken)
+        .expect(200);
+      expect(unpinned.body.data).toEqual({ key, pinned: false });
+
+      await request(app)
+        .put('/api/data-golf/admin/cache/entries/rankings:missing/pin')
+        .set(SESSION_HEADER, adminToken)
+        .expect(404);
+    });
+
+    it('should export snapshots and reject one without entries', async () => {
+      const snapshot = await request(app)
+        .get('/api/data-golf/admin/cache/snapshot')
+        .set(SESSION_HEADER, adminToken)
+        .expect(200);
+      expect(snapshot.body.data.entries.map(entry => entry.key)).toContain(key);
+
+      await request(app)
+        .post('/api/data-golf/admin/cache/snapshot')
+        .set(SESSION_HEADER, adminToken)
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/data-golf/betting/value', () => {
+    it('should accept a numeric tournament ID', async () => {
+      const findValue = jest.spyOn(BettingValueService.prototype, 'findValue')
+        .mockResolvedValue({ bets: [], metadata: { positiveEvCount: 0 } });
+
+      await request(app)
+        .post('/api/data-golf/betting/value')
+        .send({ tournamentId: 14, market: 'win' })
+        .expect(200);
+
+      expect(findValue).toHaveBeenCalledWith(expect.objectContaining({ tournamentId: '14', market: 'win' }), true);
+    });
+
+    it('should reject a tournament ID that is not a string or number', async () => {
+      await request(app)
+        .post('/api/data-golf/betting/value')
+        .send({ tournamentId: ['14'], market: 'win' })
+        .expect(400);
+    });
+  });
+});
@@ -14,7 +14,9 @@ const {
   updateSessionAccess,
   SESSION_HEADER,
   SESSION_COOKIE,
-  SESSION_TIMEOUT
+  SESSION_TIMEOUT,
+  requireAdmin,
+  ADMIN_KEY_HEADER
 } = require('../../../src/middleware/sessionManager');
 
 // Mock dependencies
@@ -535,4 +537,120 @@ describe('SessionManager Middleware', () => {
       expect(logger.error).toHaveBeenCalledWith('Session decryption failed', expect.any(Object));
     });
   });
+
+  describe('requireAdmin', () => {
+    beforeEach(() => {
+      mockConfig.security.adminApiKey = 'test-admin-key';
+      crypto.createHash = jest.fn(() => ({
+        update: jest.fn().mockReturnThis(),
+        digest: jest.fn().mockReturnValue(Buffer.alloc(32))
+      }));
+      crypto.timingSafeEqual = jest.fn().mockReturnValue(true);
+      mockReq.session = { id: 'session-1' };
+      mockReq.updateSession = jest.fn();
+    });
+
+    it('should allow sessions already marked as admin with the current key', () => {
+      // Given
+      mockReq.session.role = 'admin';
+      mockReq.session.adminKeyFingerprint = 'fingerprint';
+
+      // When
+      requireAdmin(mockReq, mockRes, mockNext);
+
+      // Then
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(mockReq.get).not.toHaveBeenCalled();
+    });
+
+    it('should not trust admin sessions upgraded with a rotated key', () => {
+      // Given
+      const mockError = new Error('Admin session required');
+      createError.mockReturnValue(mockError);
+      mockReq.session.role = 'admin';
+      mockReq.session.adminKeyFingerprint = 'old-fingerprint';
+      crypto.timingSafeEqual.mockReturnValue(false);
+      mockReq.get.mockReturnValue(undefined);
+
+      // When
+      requireAdmin(mockReq, mockRes, mockNext);
+
+      // Then
+      expect(createError).toHaveBeenCalledWith('unauthorized', 'Admin session required');
+      expect(mockNext).toHaveBeenCalledWith(mockError);
+    });
+
+    it('should refuse admin sessions once the admin key is removed', () => {
+      // Given
+      const mockError = new Error('Admin access is not configured');
+      createError.mockReturnValue(mockError);
+      mockReq.session.role = 'admin';
+      mockReq.session.adminKeyFingerprint = 'fingerprint';
+      delete mockConfig.security.adminApiKey;
+
+      // When
+      requireAdmin(mockReq, mockRes, mockNext);
+
+      // Then
+      expect(createError).toHaveBeenCalledWith('forbidden', 'Admin access is not configured');
+      expect(mockNext).toHaveBeenCalledWith(mockError);
+    });
+
+    it('should reject anonymous sessions without an admin key', () => {
+      // Given
+      const mockError = new Error('Admin session required');
+      createError.mockReturnValue(mockError);
+      mockReq.get.mockReturnValue(undefined);
+
+      // When
+      requireAdmin(mockReq, mockRes, mockNext);
+
+      // Then
+      expect(createError).toHaveBeenCalledWith('unauthorized', 'Admin session required');
+      expect(mockNext).toHaveBeenCalledWith(mockError);
+    });
+
+    it('should reject an invalid admin key', () => {
+      // Given
+      const mockError = new Error('Invalid admin key');
+      createError.mockReturnValue(mockError);
+      mockReq.get.mockReturnValue('wrong-key');
+      crypto.timingSafeEqual.mockReturnValue(false);
+
+      // When
+      requireAdmin(mockReq, mockRes, mockNext);
+
+      // Then
+      expect(createError).toHaveBeenCalledWith('forbidden', 'Invalid admin key');
+      expect(mockReq.updateSession).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith(mockError);
+    });
+
+    it('should upgrade the session when a valid admin key is sent', () => {
+      // Given
+      mockReq.get.mockReturnValue('test-admin-key');
+
+      // When
+      requireAdmin(mockReq, mockRes, mockNext);
+
+      // Then
+      expect(mockReq.get).toHaveBeenCalledWith(ADMIN_KEY_HEADER);
+      expect(mockReq.updateSession).toHaveBeenCalledWith({ role: 'admin', adminKeyFingerprint: expect.anything() });
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should refuse admin access when no admin key is configured', () => {
+      // Given
+      const mockError = new Error('Admin access is not configured');
+      createError.mockReturnValue(mockError);
+      delete mockConfig.security.adminApiKey;
+
+      // When
+      requireAdmin(mockReq, mockRes, mockNext);
+
+      // Then
+      expect(createError).toHaveBeenCalledWith('forbidden', 'Admin access is not configured');
+      expect(mockNext).toHaveBeenCalledWith(mockError);
+    });
+  });
 });
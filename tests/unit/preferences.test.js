@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Unit tests for preference routes
+ * @module tests/unit/preferences
+ */
+
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const dbManager = require('../../src/database/manager');
+const { getConfig } = require('../../src/config/environment');
+const { decryptSessionData, SESSION_HEADER } = require('../../src/middleware/sessionManager');
+
+const app = createApp();
+
+/**
+ * Read the preferences mirrored into a session token
+ * @param {Object} response - supertest response carrying the rotated token
+ * @returns {Object} Mirrored preferences
+ */
+function mirrored(response) {
+  const token = response.headers[SESSION_HEADER.toLowerCase()];
+  return decryptSessionData(token, getConfig().security.encryptionKey).preferences;
+}
+
+describe('Preference Routes', () => {
+  let token;
+
+  beforeAll(async () => {
+    await dbManager.initialize();
+  });
+
+  beforeEach(async () => {
+    await dbManager.execute('DELETE FROM user_preferences');
+    const response = await request(app).get('/api/preferences').expect(200);
+    token = response.headers[SESSION_HEADER.toLowerCase()];
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should create, replace and delete a preference and mirror it into the session', async () => {
+    const created = await request(app)
+      .put('/api/preferences/odds.format')
+      .set(SESSION_HEADER, token)
+      .send({ value: 'american' })
+      .expect(201);
+
+    expect(created.body).toMatchObject({ key: 'odds.format', value: 'american', type: 'string' });
+    expect(mirrored(created)).toEqual({ 'odds.format': 'american' });
+
+    const replaced = await request(app)
+      .put('/api/preferences/odds.format')
+      .set(SESSION_HEADER, created.headers[SESSION_HEADER.toLowerCase()])
+      .send({ value: 'decimal' })
+      .expect(200);
+
+    expect(mirrored(replaced)).toEqual({ 'odds.format': 'decimal' });
+
+    const deleted = await request(app)
+      .delete('/api/preferences/odds.format')
+      .set(SESSION_HEADER, replaced.headers[SESSION_HEADER.toLowerCase()])
+      .expect(204);
+
+    expect(mirrored(deleted)).toEqual({});
+  });
+
+  it('should keep encrypted and oversized values out of the session', async () => {
+    const secret = await request(app)
+      .put('/api/preferences/api.key')
+      .set(SESSION_HEADER, token)
+      .send({ value: 'sk-secret', encrypted: true })
+      .expect(201);
+
+    expect(mirrored(secret)).toEqual({});
+
+    const large = await request(app)
+      .put('/api/preferences/notes')
+      .set(SESSION_HEADER, secret.headers[SESSION_HEADER.toLowerCase()])
+      .send({ value: 'x'.repeat(getConfig().preferences.mirrorMaxBytes) })
+      .expect(201);
+
+    expect(mirrored(large)).toEqual({});
+
+    const listed = await request(app)
+      .get('/api/preferences')
+      .set(SESSION_HEADER, large.headers[SESSION_HEADER.toLowerCase()])
+      .expect(200);
+
+    expect(listed.body.preferences.map(preference => preference.key).sort()).toEqual(['api.key', 'notes']);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for Arbitrage Service
+ * Scans run against mocked odds; recording runs against the in-memory SQLite database
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const dbManager = require('../../../src/database/manager');
+const ArbitrageService = require('../../../src/services/arbitrageService');
+
+describe('ArbitrageService', () => {
+  let dataGolfService;
+  let service;
+  let field;
+
+  const row = (playerId, bookmaker, decimal, market = 'win') => ({
+    playerId,
+    playerName: `Player ${playerId}`,
+    tournamentId: 'e1',
+    bookmaker,
+    market,
+    odds: { decimal }
+  });
+
+  const matchupMarket = (marketType, round, prices) => ({
+    marketId: `${marketType}:r${round}:${Object.keys(prices).join('-')}`,
+    marketType,
+    round,
+    participants: Object.keys(prices).map(playerId => ({ playerId: Number(playerId), playerName: `Player ${playerId}` })),
+    books: [{
+      bookmaker: marketType === '3_balls' ? 'bet365' : 'fanduel',
+      prices: Object.entries(prices).map(([playerId, decimal]) => ({ playerId: Number(playerId), odds: { decimal } }))
+    }]
+  });
+
+  beforeEach(() => {
+    field = [1, 2, 3].map(playerId => ({ playerId, status: 'active' }));
+    dataGolfService = {
+      getTournamentField: jest.fn(async () => ({ field })),
+      getBettingOdds: jest.fn(async ({ market }) => ({
+        odds: market === 'win'
+          ? [row(1, 'fanduel', 2.1), row(1, 'draftkings', 1.9), row(2, 'draftkings', 4.2), row(3, 'fanduel', 5)]
+          : [row(1, 'fanduel', 1.5, market), row(2, 'fanduel', 1.5, market), row(3, 'draftkings', 1.5, market)]
+      })),
+      getMatchupOdds: jest.fn().mockResolvedValue({
+        markets: [
+          {
+            marketId: '3_balls:r1:1-2-3',
+            marketType: '3_balls',
+            tieRule: 'dead heat',
+            participants: [
+              { playerId: 1, playerName: 'Player 1' },
+              { playerId: 2, playerName: 'Player 2' },
+              { playerId: 3, playerName: 'Player 3' }
+            ],
+            books: [
+              { bookmaker: 'fanduel', prices: [{ playerId: 1, odds: { decimal: 3.2 } }, { playerId: 2, odds: { decimal: 2.5 } }, { playerId: 3, odds: { decimal: 3 } }] },
+              { bookmaker: 'bet365', prices: [{ playerId: 1, odds: { decimal: 2.8 } }, { playerId: 2, odds: { decimal: 3.3 } }, { playerId: 3, odds: { decimal: 3.1 } }] }
+            ]
+          },
+          {
+            marketId: 'tournament_matchups:1-2',
+            marketType: 'tournament_matchups',
+            participants: [{ playerId: 1 }, { playerId: 2 }],
+            books: [{ bookmaker: 'fanduel', prices: [{ playerId: 1, odds: { decimal: 2.5 } }, { playerId: 2, odds: { decimal: null } }] }]
+          }
+        ]
+      })
+    };
+    service = new ArbitrageService(dataGolfService);
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should find outright arbitrage at the best price per player with equal-return stakes', async () => {
+    const result = await service.scan({ tournamentId: 'e1', bankroll: 100 });
+
+    expect(result.opportunities).toHaveLength(1);
+    const [opportunity] = result.opportunities;
+    expect(opportunity.legs.map(leg => leg.bookmaker)).toEqual(['fanduel', 'draftkings', 'fanduel']);
+    expect(opportunity.bookSum).toBeCloseTo(1 / 2.1 + 1 / 4.2 + 1 / 5, 6);
+    expect(opportunity.margin).toBeGreaterThan(0);
+    expect(opportunity.stakes.total).toBe(100);
+    expect(opportunity.stakes.guaranteedReturn).toBeCloseTo(109.375, 1);
+    expect(opportunity.stakes.profit).toBeCloseTo(9.375, 1);
+    expect(opportunity.stakes.legs.map(leg => leg.stake)).toEqual([52.08, 26.04, 21.87]);
+  });
+
+  it('should treat top-N markets as paying N places', async () => {
+    const result = await service.scan({ markets: ['top_5'] });
+    expect(result.opportunities).toHaveLength(0);
+
+    field = Array.from({ length: 8 }, (_, index) => ({ playerId: index + 1, status: 'active' }));
+    dataGolfService.getBettingOdds.mockResolvedValueOnce({
+      odds: Array.from({ length: 8 }, (_, index) => row(index + 1, 'fanduel', 1.7, 'top_5'))
+    });
+    const arb = await service.scan({ markets: ['top_5'], bankroll: 100 });
+    expect(arb.opportunities[0]).toMatchObject({ places: 5, tieRule: 'dead_heat' });
+    expect(arb.opportunities[0].stakes.guaranteedReturn).toBeCloseTo(106.25, 2);
+  });
+
+  it('should cover the tournament field rather than only the priced players', async () => {
+    field = [...field, { playerId: 4, status: 'active' }];
+    const unpriced = await service.scan({ tournamentId: 'e1' });
+    expect(unpriced.opportunities).toHaveLength(0);
+    expect(dataGolfService.getTournamentField).toHaveBeenCalledWith('e1', {}, true);
+
+    field[3].status = 'withdrawn';
+    const withdrawn = await service.scan({ tournamentId: 'e1' });
+    expect(withdrawn.opportunities).toHaveLength(1);
+
+    dataGolfService.getTournamentField.mockResolvedValueOnce({ field: [] });
+    const unknown = await service.scan({ tournamentId: 'e1' });
+    expect(unknown.opportunities).toHaveLength(0);
+  });
+
+  it('should find middles between round matchups and 3-balls with their window', async () => {
+    dataGolfService.getMatchupOdds.mockImplementation(async ({ market_type: marketType }) => ({
+      markets: marketType === '3_balls'
+        ? [matchupMarket('3_balls', 1, { 1: 2.6, 2: 3, 3: 3.4 }), matchupMarket('3_balls', 2, { 1: 2.6, 2: 3, 3: 3.4 })]
+        : [matchupMarket('round_matchups', 1, { 1: 2.4, 2: 1.7 })]
+    }));
+
+    const result = await service.scan({ markets: [], middles: true, bankroll: 100 });
+
+    expect(result.opportunities).toEqual([]);
+    expect(result.middles).toHaveLength(1);
+    const [middle] = result.middles;
+    expect(middle).toMatchObject({
+      kind: 'middle',
+      round: 1,
+      books: ['bet365', 'fanduel'],
+      window: { beats: { playerId: 1, opponentId: 2 }, winner: 3 }
+    });
+    expect(middle.legs.map(leg => [leg.market, leg.playerId, leg.odds])).toEqual([
+      ['round_matchups', 1, 2.4], ['3_balls', 2, 3], ['3_balls', 3, 3.4]
+    ]);
+    expect(middle.margin).toBeCloseTo(1 / (1 / 2.4 + 1 / 3 + 1 / 3.4) - 1, 6);
+    expect(middle.stakes.guaranteedReturn).toBeCloseTo(95.77, 2);
+    expect(middle.stakes.windowReturn).toBeCloseTo(191.55, 2);
+
+    const strict = await service.scan({ markets: [], middles: true, maxMiddleCost: 0.01 });
+    expect(strict.middles).toEqual([]);
+  });
+
+  it('should only report matchup markets with every participant priced', async () => {
+    const result = await service.scan({ markets: [], matchupTypes: ['3_balls'] });
+
+    expect(result.opportunities).toHaveLength(1);
+    expect(result.opportunities[0]).toMatchObject({ kind: 'matchup', books: ['bet365', 'fanduel'] });
+    expect(result.opportunities[0].legs.map(leg => leg.odds)).toEqual([3.2, 3.3, 3.1]);
+  });
+
+  it('should apply bookmaker and margin filters and reject unknown markets', async () => {
+    const single = await service.scan({ bookmakers: ['fanduel'] });
+    expect(single.opportunities).toHaveLength(0);
+
+    const strict = await service.scan({ minMargin: 0.5 });
+    expect(strict.opportunities).toHaveLength(0);
+
+    await expect(service.scan({ markets: ['top_40'] })).rejects.toThrow('Unsupported market');
+  });
+
+  it('should record opportunities once and count repeat sightings', async () => {
+    const { opportunities } = await service.scan({ matchupTypes: ['3_balls'] });
+    await service.recordOpportunities(opportunities);
+    await service.recordOpportunities(opportunities);
+
+    const recorded = await service.getRecordedOpportunities();
+    expect(recorded).toHaveLength(2);
+    expect(recorded.every(opportunity => opportunity.timesSeen === 2)).toBe(true);
+    expect(recorded[0].legs.length).toBeGreaterThan(0);
+
+    const matchups = await service.getRecordedOpportunities({ kind: 'matchup' });
+    expect(matchups).toHaveLength(1);
+  });
+
+  it('should record scheduled scans and keep the last scan summary', async () => {
+    const summary = await service.runScheduledScan({ markets: ['win'] });
+
+    expect(summary).toMatchObject({ found: 1, error: null });
+    expect(service.getStatus().scheduled).toBe(false);
+  });
+});
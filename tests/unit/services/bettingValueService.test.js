@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for Betting Value Service
+ * Tests joining model probabilities with book prices, edge/EV maths and Kelly sizing
+ */
+
+const BettingValueService = require('../../../src/services/bettingValueService');
+
+describe('BettingValueService', () => {
+  let dataGolfService;
+  let service;
+
+  beforeEach(() => {
+    dataGolfService = {
+      getPreTournamentPredictions: jest.fn().mockResolvedValue({
+        event: { tournamentId: 'e', name: 'Test Open' },
+        predictions: [
+          { playerId: 1, model: 'baseline', probabilities: { win: 0.2, top5: 0.5 } },
+          { playerId: 2, model: 'baseline', probabilities: { win: 0.05, top5: 0.2 } },
+          { playerId: 1, model: 'baseline_history_fit', probabilities: { win: 0.1, top5: 0.4 } }
+        ]
+      }),
+      getBettingOdds: jest.fn().mockResolvedValue({
+        odds: [
+          { playerId: 1, bookmaker: 'fanduel', odds: { decimal: 6.5 }, fair: { decimal: 7 } },
+          { playerId: 1, bookmaker: 'draftkings', odds: { decimal: 5 }, fair: null },
+          { playerId: 2, bookmaker: 'fanduel', odds: { decimal: 15 }, fair: null },
+          { playerId: 3, bookmaker: 'fanduel', odds: { decimal: 40 }, fair: null }
+        ]
+      })
+    };
+    service = new BettingValueService(dataGolfService);
+  });
+
+  it('should compute edge, EV and fractional Kelly stakes sorted by edge', async () => {
+    const result = await service.findValue({ tournamentId: 'e', market: 'win', bankroll: 1000 });
+
+    expect(dataGolfService.getBettingOdds).toHaveBeenCalledWith({ tournamentId: 'e', market: 'win' }, true);
+    expect(result.bets).toHaveLength(3);
+    expect(result.bets[0]).toMatchObject({
+      playerId: 1,
+      bookmaker: 'fanduel',
+      fairOdds: 7,
+      edge: 0.0462,
+      evPerUnit: 0.3,
+      kelly: { full: 0.0545, fraction: 0.0136, stake: 13.64 }
+    });
+    expect(result.bets[2].kelly.full).toBe(0);
+    expect(result.metadata.positiveEvCount).toBe(1);
+  });
+
+  it('should filter by minimum edge and bookmaker', async () => {
+    const result = await service.findValue({
+      tournamentId: 'e',
+      market: 'win',
+      minEdge: -0.01,
+      bookmakers: ['draftkings']
+    });
+
+    expect(result.bets).toHaveLength(1);
+    expect(result.bets[0].bookmaker).toBe('draftkings');
+  });
+
+  it('should use the requested model and market probabilities', async () => {
+    const result = await service.findValue({
+      tournamentId: 'e',
+      market: 'top_5',
+      model: 'baseline_history_fit',
+      sortBy: 'ev'
+    });
+
+    expect(result.bets.map(bet => bet.modelProbability)).toEqual([0.4, 0.4]);
+    expect(result.metadata.sortBy).toBe('ev');
+  });
+
+  it('should reject predictions for a different event than the requested tournament', async () => {
+    await expect(service.findValue({ tournamentId: 'other', market: 'win' }))
+      .rejects.toThrow('Model predictions are for Test Open, not tournament other');
+  });
+
+  it('should match predictions without an event ID to the schedule by name', async () => {
+    dataGolfService.getPreTournamentPredictions.mockResolvedValue({
+      event: { tournamentId: null, name: 'Test Open' },
+      predictions: [{ playerId: 1, model: 'baseline', probabilities: { win: 0.2 } }]
+    });
+    dataGolfService.getTournaments = jest.fn().mockResolvedValue({
+      tournaments: [{ id: 'e', name: 'Test Open' }, { id: 'f', name: 'Next Open' }]
+    });
+
+    await expect(service.findValue({ tournamentId: 'e', market: 'win' })).resolves.toMatchObject({ tournamentId: 'e' });
+    await expect(service.findValue({ tournamentId: 'f', market: 'win' })).rejects.toThrow('Model predictions are for');
+  });
+
+  it('should reject unsupported markets and Kelly fractions', async () => {
+    await expect(service.findValue({ tournamentId: 'e', market: 'top_40' })).rejects.toThrow('Unsupported market');
+    await expect(service.findValue({ tournamentId: 'e', market: 'win', kellyFraction: 2 }))
+      .rejects.toThrow('Kelly fraction');
+  });
+});
@@ -0,0 +1,433 @@
+/**
+ * Unit Tests for Cache Service
+ * Exercises the persistent L3 cache against the in-memory SQLite database
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const dbManager = require('../../../src/database/manager');
+const CacheService = require('../../../src/services/cacheService');
+
+describe('CacheService L3 persistence', () => {
+  /**
+   * Create a cache that only uses the persistent level
+   * @param {number} maxSize - L3 entry limit
+   * @returns {CacheService} Cache service
+   */
+  const createL3Cache = (maxSize = 10) => {
+    const cache = new CacheService();
+    cache.cacheConfig = {
+      l1: { enabled: false },
+      l2: { enabled: false },
+      l3: { enabled: true, maxSize, ttl: 3600 }
+    };
+    return cache;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    await createL3Cache().clear();
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should serve entries written by another instance', async () => {
+    await createL3Cache().set('rankings:tour:pga', { rankings: [{ playerId: 1 }] }, 600);
+
+    const restarted = createL3Cache();
+    expect(await restarted.get('rankings:tour:pga')).toEqual({ rankings: [{ playerId: 1 }] });
+    expect(restarted.getStats().l3.hits).toBe(1);
+
+    const row = await dbManager.queryOne('SELECT * FROM cache_entries WHERE cache_key = ?', ['rankings:tour:pga']);
+    expect(row).toMatchObject({ cache_level: 3, data_type: 'json', hit_count: 1 });
+    expect(row.content_hash).toHaveLength(64);
+  });
+
+  it('should persist the soft TTL with the entry', async () => {
+    await createL3Cache().set('field:event:2', { players: [] }, 600, { softTtl: 60 });
+
+    const restarted = createL3Cache();
+    expect(await restarted.getEntry('field:event:2')).toMatchObject({ stale: false, level: 'L3' });
+
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 90 * 1000);
+    expect(await restarted.getEntry('field:event:2')).toMatchObject({ stale: true, data: { players: [] } });
+    clock.mockRestore();
+  });
+
+  it('should drop entries that fail hash verification', async () => {
+    const cache = createL3Cache();
+    await cache.set('field:event:1', { players: [1, 2] }, 600);
+    await dbManager.execute('UPDATE cache_entries SET content = ? WHERE cache_key = ?', ['{"players":[3]}', 'field:event:1']);
+
+    expect(await cache.get('field:event:1')).toBeNull();
+    expect(cache.getStats().l3.integrityFailures).toBe(1);
+    expect(await dbManager.queryOne('SELECT id FROM cache_entries WHERE cache_key = ?', ['field:event:1'])).toBeNull();
+  });
+
+  it('should treat expired rows as misses and remove them', async () => {
+    const cache = createL3Cache();
+    await cache.set('scoring:event:1', { scores: [] }, 600);
+    await dbManager.execute(
+      "UPDATE cache_entries SET expires_at = datetime('now', '-1 minute') WHERE cache_key = ?",
+      ['scoring:event:1']
+    );
+
+    expect(await cache.get('scoring:event:1')).toBeNull();
+    expect(cache.getStats().l3.size).toBe(0);
+  });
+
+  it('should evict the least frequently used entry when full', async () => {
+    const cache = createL3Cache(2);
+    await cache.set('a', { value: 'a' }, 600);
+    await cache.set('b', { value: 'b' }, 600);
+    await cache.get('a');
+    await cache.set('c', { value: 'c' }, 600);
+
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('a')).toEqual({ value: 'a' });
+    expect(cache.getStats().l3).toMatchObject({ size: 2, evictions: 1 });
+  });
+
+  it('should invalidate persisted entries by tag from another instance', async () => {
+    const writer = createL3Cache();
+    await writer.set(writer.generateKey('field', { tournamentId: '14', tour: 'pga' }), { players: [] }, 600);
+    await writer.set(writer.generateKey('field', { tournamentId: '15', tour: 'pga' }), { players: [] }, 600);
+    await writer.set(writer.generateKey('livePredictions', { tournamentId: '14' }), { players: [] }, 600);
+
+    const restarted = createL3Cache();
+    expect(await restarted.invalidateByTags(['dataType:field', 'tournamentId:14'])).toBe(1);
+    expect(await restarted.get('field:tour:pga|tournamentId:15')).toEqual({ players: [] });
+
+    const tags = await dbManager.query('SELECT tag FROM cache_entry_tags WHERE cache_key = ?', ['field:tour:pga|tournamentId:14']);
+    expect(tags.rows).toHaveLength(0);
+  });
+});
+
+describe('CacheService soft TTL', () => {
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  it('should flag entries past their soft TTL as stale until the hard TTL', async () => {
+    const cache = new CacheService();
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await cache.set('rankings:tour:pga', { rankings: [] }, 600, { softTtl: 60 });
+    expect(await cache.getEntry('rankings:tour:pga')).toMatchObject({ stale: false, age: 0, level: 'L1' });
+
+    clock.mockReturnValue(now + 90 * 1000);
+    expect(await cache.getEntry('rankings:tour:pga')).toMatchObject({ stale: true, age: 90 });
+
+    clock.mockReturnValue(now + 601 * 1000);
+    expect(await cache.getEntry('rankings:tour:pga')).toBeNull();
+    clock.mockRestore();
+  });
+
+  it('should map keys back to their data type', () => {
+    const cache = new CacheService();
+    expect(cache.getKeyType(cache.generateKey('bettingOdds', { market: 'win' }))).toBe('bettingOdds');
+    expect(cache.getKeyType(cache.generateKey('rankings'))).toBe('rankings');
+    expect(cache.getKeyType('unknown:key')).toBeNull();
+  });
+});
+
+describe('CacheService tags', () => {
+  /**
+   * Create a cache that only uses the in-memory levels
+   * @returns {CacheService} Cache service
+   */
+  const createMemoryCache = () => {
+    const cache = new CacheService();
+    cache.cacheConfig = {
+      l1: { enabled: true, maxSize: 10, ttl: 300 },
+      l2: { enabled: true, maxSize: 10, ttl: 600 },
+      l3: { enabled: false }
+    };
+    return cache;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  it('should derive tags from the key type and parameters', () => {
+    const cache = createMemoryCache();
+
+    expect(cache.getKeyTags(cache.generateKey('playerStats', { playerId: 18417, season: 2024 })))
+      .toEqual(['dataType:playerStats', 'playerId:18417', 'season:2024']);
+    expect(cache.getKeyTags(cache.generateKey('historicalScoring', { event_id: 14, year: 2023 })))
+      .toEqual(['dataType:historicalScoring', 'tournamentId:14', 'season:2023']);
+    expect(cache.getKeyTags(cache.generateKey('tournament'))).toEqual(['dataType:tournament']);
+    expect(cache.getKeyTags('unknown:key')).toEqual([]);
+  });
+
+  it('should invalidate unfiltered keys that have no parameters', async () => {
+    const cache = createMemoryCache();
+    await cache.set(cache.generateKey('tournament'), { tournaments: [] }, 600);
+    await cache.set(cache.generateKey('tournament', { season: 2024 }), { tournaments: [] }, 600);
+
+    expect(await cache.invalidateByTags(['dataType:tournament'])).toBe(2);
+    expect(await cache.get('tournament')).toBeNull();
+    expect(cache.tagIndex.size).toBe(0);
+  });
+
+  it('should only invalidate entries carrying every tag', async () => {
+    const cache = createMemoryCache();
+    await cache.set(cache.generateKey('field', { tournamentId: 14 }), { players: [] }, 600);
+    await cache.set(cache.generateKey('teeTimes', { tournamentId: 14 }), { teeTimes: [] }, 600);
+    await cache.set(cache.generateKey('field', { tournamentId: 15 }), { players: [] }, 600);
+
+    expect(await cache.invalidateByTags(['dataType:field', 'tournamentId:14'])).toBe(1);
+    expect(await cache.get('tee-times:tournamentId:14')).toEqual({ teeTimes: [] });
+    expect(await cache.get('field:tournamentId:15')).toEqual({ players: [] });
+
+    expect(await cache.invalidateByTags(['tournamentId:14'])).toBe(1);
+    expect(await cache.invalidateByTags(['playerId:1'])).toBe(0);
+  });
+
+  it('should honour explicit tags over derived ones', async () => {
+    const cache = createMemoryCache();
+    await cache.set('custom-report', { rows: [] }, 600, { tags: ['report:weekly'] });
+
+    expect(await cache.invalidateByTags(['report:weekly'])).toBe(1);
+    expect(await cache.get('custom-report')).toBeNull();
+  });
+});
+
+describe('CacheService byte limits', () => {
+  /**
+   * Create a cache with byte-bounded levels
+   * @param {Object} overrides - Cache config overrides
+   * @returns {CacheService} Cache service
+   */
+  const createSizedCache = (overrides = {}) => {
+    const cache = new CacheService();
+    cache.cacheConfig = {
+      l1: { enabled: true, maxSize: 100, maxBytes: 1000, ttl: 300 },
+      l2: { enabled: true, maxSize: 100, maxBytes: 5000, ttl: 600 },
+      l3: { enabled: false },
+      compression: { algorithm: 'none' },
+      ...overrides
+    };
+    return cache;
+  };
+
+  const payload = (bytes) => ({ text: 'x'.repeat(bytes - 11) });
+
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should evict least recently used L1 entries by total bytes', async () => {
+    const cache = createSizedCache();
+    await cache.set('rankings:a', payload(400), 600);
+    await cache.set('rankings:b', payload(400), 600);
+    await cache.get('rankings:a');
+    await cache.set('rankings:c', payload(400), 600);
+
+    expect(cache.l1Cache.has('rankings:a')).toBe(true);
+    expect(cache.l1Cache.has('rankings:b')).toBe(false);
+    expect(cache.getStats().l1).toMatchObject({ size: 2, bytes: 800, maxBytes: 1000, evictions: 1 });
+    expect(cache.getStats().l2.bytes).toBe(1200);
+  });
+
+  it('should keep entries larger than a level out of it', async () => {
+    const cache = createSizedCache();
+    await cache.set('rankings:big', payload(2000), 600);
+
+    expect(cache.l1Cache.has('rankings:big')).toBe(false);
+    expect(await cache.getEntry('rankings:big')).toMatchObject({ level: 'L2' });
+  });
+
+  it.each(['gzip', 'brotli'])('should compress large L2 entries with %s', async (algorithm) => {
+    const cache = createSizedCache({
+      l1: { enabled: false },
+      compression: { algorithm, threshold: 1000 }
+    });
+    await cache.set('rankings:small', payload(500), 600);
+    await cache.set('rankings:large', payload(4000), 600);
+
+    expect(cache.l2Cache.get('rankings:small').encoding).toBeUndefined();
+    expect(cache.l2Cache.get('rankings:large')).toMatchObject({ encoding: algorithm, data: null, rawSize: 4000 });
+    expect(cache.getStats().l2.bytes).toBeLessThan(1000);
+    expect(await cache.get('rankings:large')).toEqual(payload(4000));
+  });
+
+  it('should persist compressed L3 entries and verify them after decompression', async () => {
+    const config = {
+      l1: { enabled: false },
+      l2: { enabled: false },
+      l3: { enabled: true, maxSize: 10, maxBytes: 100000, ttl: 3600 },
+      compression: { algorithm: 'gzip', threshold: 1000 }
+    };
+    await createSizedCache(config).set('rankings:season', payload(8000), 600);
+
+    const row = await dbManager.queryOne('SELECT * FROM cache_entries WHERE cache_key = ?', ['rankings:season']);
+    expect(row).toMatchObject({ content: null, content_encoding: 'gzip' });
+    expect(row.size_bytes).toBeLessThan(8000);
+
+    const restarted = createSizedCache(config);
+    expect(await restarted.get('rankings:season')).toEqual(payload(8000));
+    await restarted.clear();
+  });
+
+  it('should enforce the cache_max_size_mb system setting across levels', async () => {
+    const cache = createSizedCache({
+      l1: { enabled: true, maxSize: 100, ttl: 300 },
+      l2: { enabled: true, maxSize: 100, ttl: 600 }
+    });
+    await cache._loadSizeLimit();
+    expect(cache.getStats().overall.maxBytes).toBe(100 * 1024 * 1024);
+
+    cache.maxTotalBytes = 3000;
+    await cache.set('rankings:a', payload(1000), 600);
+    await cache.set('rankings:b', payload(1000), 600);
+
+    expect(cache.getStats().overall.totalBytes).toBeLessThanOrEqual(3000);
+    expect(Array.from(cache.l1Cache.keys())).toEqual(['rankings:b']);
+    expect(await cache.get('rankings:a')).toEqual(payload(1000));
+  });
+});
+
+describe('CacheService administration', () => {
+  /**
+   * Create a cache with small in-memory levels and the persistent level
+   * @returns {CacheService} Cache service
+   */
+  const createAdminCache = () => {
+    const cache = new CacheService();
+    cache.cacheConfig = {
+      l1: { enabled: true, maxSize: 2, ttl: 300 },
+      l2: { enabled: true, maxSize: 10, ttl: 600 },
+      l3: { enabled: true, maxSize: 2, ttl: 3600 },
+      compression: { algorithm: 'none' }
+    };
+    return cache;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    await createAdminCache().clear();
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should skip pinned entries when evicting', async () => {
+    const cache = createAdminCache();
+    await cache.set('rankings:a', { value: 'a' }, 600);
+    await cache.pin('rankings:a');
+    await cache.set('rankings:b', { value: 'b' }, 600);
+    await cache.set('rankings:c', { value: 'c' }, 600);
+
+    expect(Array.from(cache.l1Cache.keys())).toEqual(['rankings:a', 'rankings:c']);
+    const rows = await dbManager.query('SELECT cache_key, pinned FROM cache_entries ORDER BY cache_key');
+    expect(rows.rows).toEqual([
+      { cache_key: 'rankings:a', pinned: 1 },
+      { cache_key: 'rankings:c', pinned: 0 }
+    ]);
+
+    await cache.unpin('rankings:a');
+    await cache.set('rankings:d', { value: 'd' }, 600);
+    expect(cache.l1Cache.has('rankings:a')).toBe(false);
+  });
+
+  it('should describe an entry on every level holding it', async () => {
+    const cache = createAdminCache();
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    await cache.set('field:tournamentId:14', { players: [] }, 600, { softTtl: 60 });
+    clock.mockReturnValue(now + 100 * 1000);
+
+    const entry = await cache.inspect('field:tournamentId:14');
+    clock.mockRestore();
+
+    expect(entry).toMatchObject({
+      dataType: 'field',
+      tags: ['dataType:field', 'tournamentId:14'],
+      pinned: false
+    });
+    expect(entry.levels.map(level => level.level)).toEqual(['L1', 'L2', 'L3']);
+    expect(entry.levels[2]).toMatchObject({ ttl: 600, ttlRemaining: 500, stale: true, size: 14 });
+    expect(await cache.inspect('field:tournamentId:15')).toBeNull();
+  });
+
+  it('should list keys filtered by level, data type and tag', async () => {
+    const cache = createAdminCache();
+    await cache.set('field:tournamentId:14', { players: [] }, 600);
+    await cache.set('field:tournamentId:15', { players: [] }, 600);
+    cache.l1Cache.clear();
+    cache.l1AccessOrder.clear();
+
+    const all = await cache.listKeys();
+    expect(all.total).toBe(2);
+    expect(all.keys[0]).toMatchObject({ key: 'field:tournamentId:14', levels: ['L2', 'L3'] });
+
+    expect((await cache.listKeys({ tag: 'tournamentId:15' })).keys.map(item => item.key)).toEqual(['field:tournamentId:15']);
+    expect((await cache.listKeys({ dataType: 'rankings' })).total).toBe(0);
+    expect((await cache.listKeys({ level: 'L1' })).total).toBe(0);
+    expect((await cache.listKeys({ limit: 1 })).keys).toHaveLength(1);
+  });
+
+  it('should round-trip entries through a snapshot', async () => {
+    const source = createAdminCache();
+    await source.set('rankings:tour:pga', { rankings: [1] }, 600, { softTtl: 60 });
+    await source.pin('rankings:tour:pga');
+    const snapshot = await source.exportSnapshot();
+    await source.clear();
+
+    expect(snapshot.entries).toEqual([expect.objectContaining({
+      key: 'rankings:tour:pga',
+      data: { rankings: [1] },
+      ttl: 600,
+      softTtl: 60,
+      pinned: true
+    })]);
+
+    const expired = { key: 'rankings:old', data: {}, storedAt: '2020-01-01T00:00:00.000Z', ttl: 60 };
+    const target = createAdminCache();
+    expect(await target.importSnapshot({ entries: [...snapshot.entries, expired, { data: {} }] }))
+      .toEqual({ imported: 1, skipped: 2 });
+    expect(await target.getEntry('rankings:tour:pga')).toMatchObject({ data: { rankings: [1] } });
+    expect(target.pinned.has('rankings:tour:pga')).toBe(true);
+    await expect(target.importSnapshot({})).rejects.toThrow('Snapshot entries are required');
+  });
+});
+
+describe('CacheService timers', () => {
+  beforeAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not keep the process alive and stop its timers on close', async () => {
+    const cache = new CacheService();
+    cache.cacheConfig = { l1: { enabled: true, maxSize: 10, ttl: 300 }, l2: { enabled: false }, l3: { enabled: false } };
+    await cache.set('rankings:tour:pga', { rankings: [] }, 600);
+
+    expect(cache.cleanupTimer.hasRef()).toBe(false);
+    expect(cache.ttlTimers.get('rankings:tour:pga').hasRef()).toBe(false);
+
+    cache.close();
+    expect(cache.cleanupTimer).toBeNull();
+    expect(cache.ttlTimers.size).toBe(0);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit Tests for Cache Warming Service
+ * Tests phase detection, job cadence and rate limit handling against a mocked DataGolfService
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const CacheWarmingService = require('../../../src/services/cacheWarmingService');
+const { getRequestContext } = require('../../../src/utils/requestContext');
+
+describe('CacheWarmingService', () => {
+  const today = Date.parse('2024-04-11T15:00:00Z');
+  let dataGolfService;
+  let warming;
+
+  const tournaments = [
+    { id: 'live', name: 'Live Open', startDate: '2024-04-11', endDate: '2024-04-14', status: 'active', tour: 'PGA' },
+    { id: 'next', name: 'Next Classic', startDate: '2024-04-13', endDate: '2024-04-16', status: 'scheduled', tour: 'European' },
+    { id: 'done', name: 'Done Invitational', startDate: '2024-04-04', endDate: '2024-04-07', status: 'completed' },
+    { id: 'later', name: 'Later Championship', startDate: '2024-05-02', endDate: '2024-05-05', status: 'scheduled' }
+  ];
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: today, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+    const refreshed = jest.fn(async () => ({ refresh: getRequestContext()?.refresh }));
+    dataGolfService = {
+      getTournaments: jest.fn().mockResolvedValue({ tournaments }),
+      getLivePredictions: jest.fn(async () => ({
+        event: { roundState: 'in_progress' },
+        refresh: getRequestContext()?.refresh
+      })),
+      getTournamentField: refreshed,
+      getTeeTimes: refreshed,
+      getBettingOdds: refreshed,
+      getPreTournamentPredictions: refreshed,
+      getRateLimitStatus: jest.fn().mockReturnValue({ limit: 100, used: 0, remaining: 100, windowMs: 60000 })
+    };
+    warming = new CacheWarmingService(dataGolfService);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const advance = (seconds) => jest.setSystemTime(Date.now() + seconds * 1000);
+
+  it('should warm upcoming and live events and skip completed or distant ones', async () => {
+    await warming.tick();
+
+    const { events, jobs } = warming.getStatus();
+    expect(events.map(event => [event.tournamentId, event.phase])).toEqual([
+      ['live', 'in_round'],
+      ['next', 'pre_event']
+    ]);
+    expect(jobs.filter(job => job.tournamentId === 'live').map(job => job.type)).toEqual(['field', 'bettingOdds', 'predictions']);
+    expect(jobs.filter(job => job.tournamentId === 'next').map(job => job.type))
+      .toEqual(['field', 'teeTimes', 'bettingOdds', 'predictions']);
+    expect(jobs.every(job => job.lastStatus === 'success' && job.lastRunAt)).toBe(true);
+    expect(dataGolfService.getPreTournamentPredictions).toHaveBeenCalledWith({ tour: 'euro', dead_heat: 'yes', odds_format: 'percent' });
+  });
+
+  it('should fetch in a refresh context so fresh cache entries are replaced', async () => {
+    await warming.tick();
+
+    const results = await Promise.all(dataGolfService.getBettingOdds.mock.results.map(result => result.value));
+    expect(results.every(result => result.refresh === true)).toBe(true);
+  });
+
+  it('should only rerun jobs once their phase cadence has elapsed', async () => {
+    await warming.tick();
+    dataGolfService.getBettingOdds.mockClear();
+
+    advance(120);
+    await warming.tick();
+    expect(dataGolfService.getBettingOdds).not.toHaveBeenCalled();
+
+    advance(200);
+    await warming.tick();
+    expect(dataGolfService.getBettingOdds).toHaveBeenCalledWith({ tournamentId: 'live' });
+    expect(dataGolfService.getBettingOdds).toHaveBeenCalledTimes(1);
+  });
+
+  it('should switch to the between-rounds cadence when play stops', async () => {
+    await warming.tick();
+    dataGolfService.getLivePredictions.mockResolvedValue({ event: { roundState: 'complete' } });
+
+    advance(60);
+    await warming.tick();
+
+    const jobs = warming.getStatus().jobs.filter(job => job.tournamentId === 'live');
+    expect(jobs.map(job => [job.type, job.interval])).toEqual([
+      ['field', 1800],
+      ['bettingOdds', 600],
+      ['predictions', 900],
+      ['teeTimes', 900]
+    ]);
+  });
+
+  it('should stop warming events once they are completed', async () => {
+    await warming.tick();
+
+    dataGolfService.getTournaments.mockResolvedValue({
+      tournaments: tournaments.map(tournament => ({ ...tournament, status: 'completed' }))
+    });
+    advance(901);
+    await warming.tick();
+
+    expect(warming.getStatus()).toMatchObject({ events: [], jobs: [] });
+  });
+
+  it('should fetch final predictions once after the end date and then stop polling', async () => {
+    dataGolfService.getTournaments.mockResolvedValue({
+      tournaments: [{ id: 'ended', name: 'Ended Open', startDate: '2024-04-07', endDate: '2024-04-10', status: 'active' }]
+    });
+
+    await warming.tick();
+    advance(3601);
+    await warming.tick();
+
+    expect(warming.getStatus().jobs.map(job => [job.type, job.interval, job.runs])).toEqual([['predictions', 0, 1]]);
+    expect(dataGolfService.getLivePredictions).toHaveBeenCalledTimes(1);
+    expect(dataGolfService.getLivePredictions).toHaveBeenCalledWith('ended', {});
+  });
+
+  it('should defer jobs when the rate limit budget is down to the user reserve', async () => {
+    dataGolfService.getRateLimitStatus.mockReturnValue({ limit: 100, used: 50, remaining: 50, windowMs: 60000 });
+
+    const summary = await warming.tick();
+
+    expect(summary.ran).toBe(0);
+    expect(summary.deferred).toBeGreaterThan(0);
+    expect(dataGolfService.getBettingOdds).not.toHaveBeenCalled();
+    expect(dataGolfService.getLivePredictions).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for Closing Line Value Service
+ * Tests bet grading against sportsbook and consensus closing lines
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ClosingLineValueService = require('../../../src/services/closingLineValueService');
+
+describe('ClosingLineValueService', () => {
+  let dataGolfService;
+  let service;
+
+  beforeEach(() => {
+    dataGolfService = {
+      getHistoricalOdds: jest.fn().mockResolvedValue({
+        lines: [
+          { playerId: '1', sportsbook: 'fanduel', open: { decimal: 21 }, close: { decimal: 15 } },
+          { playerId: '1', sportsbook: 'draftkings', open: { decimal: 19 }, close: { decimal: 17 } }
+        ]
+      })
+    };
+    service = new ClosingLineValueService(dataGolfService);
+  });
+
+  it('should grade against a single sportsbook close', async () => {
+    const report = await service.gradeBets([
+      { tournamentId: '14', year: 2023, playerId: 1, odds: 18, sportsbook: 'fanduel' }
+    ]);
+
+    expect(report.bets[0]).toMatchObject({
+      status: 'graded',
+      closingOdds: 15,
+      closingSource: 'sportsbook',
+      clv: 0.2
+    });
+  });
+
+  it('should grade against the consensus close and load each market once', async () => {
+    const report = await service.gradeBets([
+      { tournamentId: '14', year: 2023, playerId: 1, odds: 21, stake: 10 },
+      { tournamentId: '14', year: 2023, playerId: 1, odds: 12, stake: 30 }
+    ]);
+
+    expect(dataGolfService.getHistoricalOdds).toHaveBeenCalledTimes(1);
+    expect(report.bets[0]).toMatchObject({ closingSource: 'consensus', booksCompared: 2 });
+    expect(report.summary).toMatchObject({ total: 2, graded: 2, positiveClvRate: 0.5 });
+    expect(report.summary.stakeWeightedClv).toBeLessThan(0);
+  });
+
+  it('should leave bets without a closing line ungraded', async () => {
+    const report = await service.gradeBets([
+      { tournamentId: '14', year: 2023, playerId: 99, odds: 10 },
+      { tournamentId: '14', year: 2023, playerId: 1, odds: 0.5 }
+    ]);
+
+    expect(report.bets.map(bet => bet.status)).toEqual(['ungraded', 'ungraded']);
+    expect(report.summary.averageClv).toBeNull();
+  });
+
+  it('should not grade bets while the event is still in play', async () => {
+    dataGolfService.getHistoricalOdds.mockResolvedValue({
+      lines: [{ playerId: '1', sportsbook: 'fanduel', open: { decimal: 21 }, close: { decimal: null } }],
+      metadata: { closed: false }
+    });
+
+    const report = await service.gradeBets([{ tournamentId: '14', year: 2023, playerId: 1, odds: 18 }]);
+
+    expect(report.bets[0]).toMatchObject({
+      status: 'ungraded',
+      reason: 'Closing lines are not final until the event is over'
+    });
+  });
+
+  it('should reject an empty bet list', async () => {
+    await expect(service.gradeBets([])).rejects.toThrow('Bets must be a non-empty array');
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Unit Tests for Data Golf API Client
+ * Tests response transformers and value normalization without network access
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const nock = require('nock');
+const DataGolfClient = require('../../../src/services/dataGolfClient');
+const { runInContext } = require('../../../src/utils/requestContext');
+
+describe('DataGolfClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new DataGolfClient();
+  });
+
+  describe('_transformMatchupOddsData', () => {
+    it('should model each market with a price per participant per book', () => {
+      const result = client._transformMatchupOddsData({
+        event_name: 'Test Open',
+        match_list: [
+          {
+            p1_dg_id: 2, p1_player_name: 'Player Two',
+            p2_dg_id: 1, p2_player_name: 'Player One',
+            p3_dg_id: 3, p3_player_name: 'Player Three',
+            round: 1,
+            ties: 'dead heat',
+            odds: { bet365: { p1: 2.5, p2: 2.6, p3: 3.2 } }
+          }
+        ]
+      }, '3_balls', 'decimal');
+
+      const [market] = result.markets;
+      expect(market.marketId).toBe('3_balls:r1:1-2-3');
+      expect(market.participants.map(participant => participant.playerId)).toEqual([2, 1, 3]);
+      expect(market.books[0].bookmaker).toBe('bet365');
+      expect(market.books[0].prices[1]).toEqual({
+        playerId: 1,
+        odds: { decimal: 2.6, american: 160, fractional: '8/5' }
+      });
+    });
+  });
+
+  describe('_transformPreTournamentPredictionsData', () => {
+    const rawPredictions = {
+      event_name: 'Test Open',
+      last_updated: '2024-01-15 10:00:00',
+      dead_heats: 'yes',
+      baseline: [
+        { dg_id: 1, player_name: 'Player One', win: 0.1, top_5: 0.25, top_10: 0.4, top_20: 0.6, make_cut: 0.9 }
+      ],
+      baseline_history_fit: [
+        { dg_id: 1, player_name: 'Player One', win: 0.12, top_5: 0.27, top_10: 0.42, top_20: 0.61, make_cut: 0.91 }
+      ]
+    };
+
+    it('should emit one prediction per player per model', () => {
+      const result = client._transformPreTournamentPredictionsData(rawPredictions, 'percent');
+
+      expect(result.predictions).toHaveLength(2);
+      expect(result.metadata.models).toEqual(['baseline', 'baseline_history_fit']);
+      expect(result.event).toMatchObject({ name: 'Test Open', deadHeat: 'yes' });
+      expect(result.predictions[0]).toMatchObject({
+        playerId: 1,
+        playerName: 'Player One',
+        model: 'baseline',
+        probabilities: { win: 0.1, top5: 0.25, top10: 0.4, top20: 0.6, makeCut: 0.9 }
+      });
+    });
+
+    it('should carry positions added with add_position', () => {
+      const result = client._transformPreTournamentPredictionsData({
+        baseline: [{ dg_id: 1, player_name: 'Player One', win: 0.1, top_5: 0.25, top_30: 0.7, top_40: 0.8 }]
+      }, 'percent');
+
+      expect(result.predictions[0].probabilities).toMatchObject({ top5: 0.25, topN: { 30: 0.7, 40: 0.8 } });
+    });
+
+    it('should take the unit of every value from the odds format', () => {
+      const result = client._transformPreTournamentPredictionsData({
+        baseline: [
+          { dg_id: 1, player_name: 'Player One', win: 0.008, make_cut: 1 },
+          { dg_id: 2, player_name: 'Player Two', win: '0.8%', make_cut: '95%' }
+        ]
+      }, 'percent');
+
+      expect(result.predictions.map(prediction => prediction.probabilities.win)).toEqual([0.008, 0.008]);
+      expect(result.predictions.map(prediction => prediction.probabilities.makeCut)).toEqual([1, 0.95]);
+    });
+
+    it('should return an empty result for missing data', () => {
+      const result = client._transformPreTournamentPredictionsData(null);
+
+      expect(result.predictions).toEqual([]);
+      expect(result.metadata.count).toBe(0);
+    });
+  });
+
+  describe('_transformLivePredictionsData', () => {
+    it('should normalize players and expose the round state', () => {
+      const result = client._transformLivePredictionsData({
+        info: { event_name: 'Test Open', current_round: 2, last_update: '2024-01-16 14:00:00' },
+        data: [
+          { dg_id: 1, player_name: 'Player One', current_pos: 'T1', current_score: -8, thru: 12, win: 0.3 },
+          { dg_id: 2, player_name: 'Player Two', current_pos: '3', current_score: -6, thru: 'F', win: 0.1 }
+        ]
+      });
+
+      expect(result.event).toMatchObject({ name: 'Test Open', currentRound: 2, roundState: 'in_progress' });
+      expect(result.predictions[0]).toMatchObject({
+        playerId: 1,
+        position: 'T1',
+        totalScore: -8,
+        round: 2,
+        probabilities: { win: 0.3 }
+      });
+    });
+  });
+
+  describe('_getRoundState', () => {
+    it('should classify rounds from holes completed', () => {
+      expect(client._getRoundState([{ thru: 0 }, { thru: 0 }])).toBe('not_started');
+      expect(client._getRoundState([{ thru: 'F' }, { thru: 18 }])).toBe('complete');
+      expect(client._getRoundState([{ thru: 'F' }, { thru: 0 }])).toBe('in_progress');
+      expect(client._getRoundState([{ thru: 7 }])).toBe('in_progress');
+      expect(client._getRoundState([{}])).toBe('unknown');
+    });
+  });
+
+  describe('_transformDfsSalariesData', () => {
+    it('should normalize site-prefixed salary columns', () => {
+      const result = client._transformDfsSalariesData({
+        salaries: [
+          { dg_id: 1, player_name: 'Player One', fd_salary: 12000, fd_id: 4321, fd_ownership: 18 },
+          { dg_id: 2, player_name: 'Player Two', fd_salary: 6000, fd_id: 4322, fd_ownership: 0.8 }
+        ]
+      }, 'fanduel');
+
+      expect(result.metadata).toMatchObject({ count: 2, site: 'fanduel' });
+      expect(result.salaries[0]).toMatchObject({
+        playerId: 1,
+        site: 'fanduel',
+        sitePlayerId: '4321',
+        salary: 12000,
+        projectedOwnership: 0.18
+      });
+      expect(result.salaries[1].projectedOwnership).toBe(0.008);
+    });
+  });
+
+  describe('_transformTeeTimesData', () => {
+    const rawTeeTimes = {
+      event_name: 'Test Open',
+      timezone: 'America/New_York',
+      start_date: '2024-01-11',
+      teetimes: [
+        { dg_id: 1, player_name: 'Player One', r1_teetime: '7:45am', r2_teetime: '1:10pm', start_hole: 1 },
+        { dg_id: 2, player_name: 'Player Two', r1_teetime: '7:45am', r2_teetime: '1:10pm', start_hole: 1 },
+        { dg_id: 3, player_name: 'Player Three', r1_teetime: '7:45am', r2_teetime: '1:10pm', start_hole: 10 }
+      ]
+    };
+
+    it('should group players by round, wave and starting hole', () => {
+      const result = client._transformTeeTimesData(rawTeeTimes);
+
+      expect(result.event.timeZone).toBe('America/New_York');
+      expect(result.metadata.groups).toBe(4);
+      expect(result.pairings[1].AM[1][0].players).toHaveLength(2);
+      expect(result.pairings[1].AM[10][0].players).toHaveLength(1);
+      expect(result.pairings[2].PM[1][0].teeTime).toEqual({
+        raw: '1:10pm',
+        local: '2024-01-12T13:10:00-05:00',
+        utc: '2024-01-12T18:10:00.000Z'
+      });
+    });
+
+    it('should list playing partners for each player', () => {
+      const result = client._transformTeeTimesData(rawTeeTimes);
+      const playerOne = result.players.find(player => player.playerId === 1 && player.round === 1);
+
+      expect(playerOne.playingPartners).toEqual([{ playerId: 2, playerName: 'Player Two' }]);
+      expect(playerOne.wave).toBe('AM');
+    });
+
+    it('should prefer an explicit time zone override', () => {
+      const result = client._transformTeeTimesData(rawTeeTimes, 'Europe/London');
+
+      expect(result.event.timeZone).toBe('Europe/London');
+      expect(result.pairings[1].AM[1][0].teeTime.utc).toBe('2024-01-11T07:45:00.000Z');
+    });
+  });
+
+  describe('_toProbability', () => {
+    it('should normalize every supported odds format', () => {
+      expect(client._toProbability('25%', 'percent')).toBe(0.25);
+      expect(client._toProbability(0.008, 'percent')).toBe(0.008);
+      expect(client._toProbability(0.25, 'percent')).toBe(0.25);
+      expect(client._toProbability('+300', 'american')).toBe(0.25);
+      expect(client._toProbability(-300, 'american')).toBe(0.75);
+      expect(client._toProbability(4, 'decimal')).toBe(0.25);
+      expect(client._toProbability('3/1', 'fraction')).toBe(0.25);
+    });
+
+    it('should return null for missing or invalid values', () => {
+      expect(client._toProbability(null, 'percent')).toBeNull();
+      expect(client._toProbability('', 'decimal')).toBeNull();
+      expect(client._toProbability('abc', 'american')).toBeNull();
+    });
+  });
+
+  describe('conditional requests', () => {
+    const rawScores = [{ dg_id: 1, player_name: 'Player One', total_score: -4, position: 'T3' }];
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should send stored validators only in a conditional context', async () => {
+      const validators = { ETag: '"v1"', 'Last-Modified': 'Mon, 15 Jan 2024 10:00:00 GMT' };
+      const upstream = nock(client.baseURL)
+        .get('/live-scoring/100')
+        .reply(200, rawScores, validators)
+        .get('/live-scoring/100')
+        .reply(function() {
+          return this.req.headers['if-none-match'] ? [500] : [200, rawScores, validators];
+        })
+        .get('/live-scoring/100')
+        .matchHeader('If-None-Match', '"v1"')
+        .matchHeader('If-Modified-Since', 'Mon, 15 Jan 2024 10:00:00 GMT')
+        .reply(304);
+
+      await client.getLiveScoring('100');
+      await client.getLiveScoring('100');
+
+      await expect(runInContext({ conditional: true }, () => client.getLiveScoring('100')))
+        .rejects.toMatchObject({ notModified: true });
+      expect(upstream.isDone()).toBe(true);
+    });
+
+    it('should key validators by URL and params', () => {
+      client._storeValidators({
+        config: { url: '/betting-odds', params: { market: 'win', tournamentId: '100', bookmaker: undefined } },
+        headers: { etag: '"odds"' }
+      });
+
+      expect(client.validators.get('/betting-odds?market=win&tournamentId=100')).toEqual({ etag: '"odds"', lastModified: null });
+      expect(client._validatorKey({ url: '/betting-odds', params: { tournamentId: '100', market: 'win' } }))
+        .toBe('/betting-odds?market=win&tournamentId=100');
+    });
+  });
+});
@@ -0,0 +1,524 @@
+/**
+ * Unit Tests for Data Golf Service
+ * Tests cache freshness handling in _executeWithCaching with a mocked upstream call
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const CacheService = require('../../../src/services/cacheService');
+const DataGolfService = require('../../../src/services/dataGolfService');
+const {
+  requestContext,
+  runInContext,
+  getRequestContext,
+  getCacheSummary,
+  getCacheValidators,
+  recordRepresentation
+} = require('../../../src/utils/requestContext');
+
+describe('DataGolfService caching', () => {
+  let service;
+  let now;
+
+  /**
+   * Run a callback inside a request context and return its result with the cache summary
+   * @param {Function} callback - Async callback
+   * @returns {Promise<Object>} { result, cache }
+   */
+  const inRequest = (callback) => new Promise((resolve, reject) => {
+    requestContext({}, {}, () => {
+      callback()
+        .then(result => resolve({ result, cache: getCacheSummary() }))
+        .catch(reject);
+    });
+  });
+
+  const flushBackground = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    service = new DataGolfService();
+    // Use the TTLs passed by each test rather than the api_endpoints policies
+    jest.spyOn(service.endpointPolicy, 'load').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    await service.cache.clear();
+    jest.restoreAllMocks();
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  it('should cache fresh data until the soft TTL', async () => {
+    const apiCall = jest.fn().mockResolvedValue({ value: 1 });
+
+    const first = await inRequest(() => service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60));
+    const second = await inRequest(() => service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60));
+
+    expect(apiCall).toHaveBeenCalledTimes(1);
+    expect(first.cache).toEqual({ status: 'MISS', age: 0 });
+    expect(second).toEqual({ result: { value: 1 }, cache: { status: 'HIT', age: 0 } });
+  });
+
+  it('should report the same validators for a miss and later hits on unchanged data', async () => {
+    const apiCall = jest.fn()
+      .mockResolvedValueOnce({ value: 1 })
+      .mockResolvedValueOnce({ value: 2 });
+    const validate = () => new Promise((resolve, reject) => {
+      requestContext({}, {}, () => {
+        service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60)
+          .then(() => resolve(getCacheValidators()))
+          .catch(reject);
+      });
+    });
+
+    const miss = await validate();
+    now += 10 * 1000;
+    const hit = await validate();
+
+    expect(miss.etag).toBe(`"${service.cache.hashData({ value: 1 })}"`);
+    expect(hit).toEqual(miss);
+    expect(hit.lastModified).toBe(new Date(now - 10 * 1000).toUTCString());
+
+    await service.cache.delete('rankings:tour:pga');
+    const changed = await validate();
+    expect(changed.etag).not.toBe(miss.etag);
+  });
+
+  it('should give each representation of the same cached data its own validators', async () => {
+    const apiCall = jest.fn().mockResolvedValue({ value: 1 });
+    const validate = (variant, representation) => new Promise((resolve, reject) => {
+      requestContext({}, {}, () => {
+        service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60)
+          .then(() => {
+            if (representation) recordRepresentation(representation);
+            resolve(getCacheValidators(variant));
+          })
+          .catch(reject);
+      });
+    });
+
+    const full = await validate({});
+    const filtered = await validate({ round: '2' });
+    const reordered = await validate({ round: '2', playerId: undefined });
+    const withheld = await validate({ round: '2' }, { closingLines: false });
+
+    expect(apiCall).toHaveBeenCalledTimes(1);
+    expect(full.etag).toBe(`"${service.cache.hashData({ value: 1 })}"`);
+    expect(filtered.etag).not.toBe(full.etag);
+    expect(reordered).toEqual(filtered);
+    expect(withheld.etag).not.toBe(filtered.etag);
+  });
+
+  it('should serve stale data and refresh it in the background', async () => {
+    const apiCall = jest.fn()
+      .mockResolvedValueOnce({ value: 1 })
+      .mockResolvedValueOnce({ value: 2 });
+
+    await service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60);
+    now += 120 * 1000;
+
+    const stale = await inRequest(() => service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60));
+    expect(stale).toEqual({ result: { value: 1 }, cache: { status: 'STALE', age: 120 } });
+
+    await flushBackground();
+    expect(apiCall).toHaveBeenCalledTimes(2);
+    expect(await service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60)).toEqual({ value: 2 });
+    expect(service.getMetrics()).toMatchObject({ staleHits: 1, backgroundRefreshes: 1 });
+  });
+
+  it('should keep serving stale data while the upstream fails or the circuit is open', async () => {
+    const apiCall = jest.fn().mockResolvedValueOnce({ value: 1 }).mockRejectedValue(new Error('upstream down'));
+
+    await service._executeWithCaching(apiCall, 'betting-odds:market:win', true, 60);
+    now += 30 * 60 * 1000;
+    service.circuitBreaker.state = 'OPEN';
+    service.circuitBreaker.lastFailureTime = now;
+
+    const stale = await inRequest(() => service._executeWithCaching(apiCall, 'betting-odds:market:win', true, 60));
+    await flushBackground();
+
+    expect(stale.result).toEqual({ value: 1 });
+    expect(stale.cache.status).toBe('STALE');
+    expect(apiCall).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fetch past fresh entries in a refresh context', async () => {
+    const apiCall = jest.fn()
+      .mockResolvedValueOnce({ value: 1 })
+      .mockResolvedValueOnce({ value: 2 });
+
+    await service._executeWithCaching(apiCall, 'field:tournamentId:e1', true, 600);
+    await runInContext({ refresh: true }, () => service._executeWithCaching(apiCall, 'field:tournamentId:e1', true, 600));
+
+    expect(apiCall).toHaveBeenCalledTimes(2);
+    expect(await service._executeWithCaching(apiCall, 'field:tournamentId:e1', true, 600)).toEqual({ value: 2 });
+  });
+
+  it('should keep the cached data when a conditional refresh is not modified', async () => {
+    const notModified = Object.assign(new Error('Request failed with status code 304'), { notModified: true });
+    const conditional = [];
+    const apiCall = jest.fn(() => {
+      conditional.push(Boolean(getRequestContext()?.conditional));
+      return conditional.length === 1 ? Promise.resolve({ value: 1 }) : Promise.reject(notModified);
+    });
+
+    await service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60);
+    now += 120 * 1000;
+    await service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60);
+    await flushBackground();
+
+    expect(conditional).toEqual([false, true]);
+    expect(service.circuitBreaker.failureCount).toBe(0);
+    expect(await service.cache.getEntry('rankings:tour:pga')).toMatchObject({ data: { value: 1 }, stale: false, age: 0 });
+  });
+
+  it('should tell upstream data listeners about new payloads but not 304s', async () => {
+    const notModified = Object.assign(new Error('Request failed with status code 304'), { notModified: true });
+    const apiCall = jest.fn()
+      .mockResolvedValueOnce({ scores: [] })
+      .mockRejectedValueOnce(notModified);
+    const listener = jest.fn();
+    const cacheKey = service.cache.generateKey('scoring', { tournamentId: '100' });
+
+    const unsubscribe = service.onUpstreamData(listener);
+    await service._executeWithCaching(apiCall, cacheKey, true, 30);
+    now += 60 * 1000;
+    await service._executeWithCaching(apiCall, cacheKey, true, 30);
+    await flushBackground();
+    unsubscribe();
+
+    expect(apiCall).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({
+      cacheKey,
+      dataType: 'scoring',
+      tags: ['dataType:scoring', 'tournamentId:100'],
+      params: { tournamentId: '100' },
+      data: { scores: [] }
+    });
+  });
+
+  it('should report player changes since a point in time', async () => {
+    const scores = (...rows) => ({
+      scores: rows.map(([playerId, position, totalScore]) => ({ playerId, playerName: `Player ${playerId}`, position, totalScore }))
+    });
+    jest.spyOn(service.client, 'getLiveScoring')
+      .mockResolvedValueOnce(scores([1, '1', -5], [2, '2', -4]))
+      .mockResolvedValueOnce(scores([1, '1', -6], [2, '2', -4]))
+      .mockResolvedValueOnce(scores([1, '2', -6], [2, '1', -7]));
+
+    const refresh = () => runInContext({ refresh: true }, () => service.getLiveScoring('100'));
+    const first = now;
+    await service.getLiveScoring('100');
+    now += 30 * 1000;
+    await refresh();
+    const second = now;
+    now += 30 * 1000;
+    await refresh();
+
+    const sinceFirst = await service.getLiveScoringChanges('100', new Date(first).toISOString());
+    expect(sinceFirst).toMatchObject({ tournamentId: '100', complete: true, updatedAt: new Date(now).toISOString() });
+    expect(sinceFirst.changes).toEqual([
+      { playerId: 1, playerName: 'Player 1', type: 'changed', fields: { position: { from: '1', to: '2' }, totalScore: { from: -5, to: -6 } } },
+      { playerId: 2, playerName: 'Player 2', type: 'changed', fields: { position: { from: '2', to: '1' }, totalScore: { from: -4, to: -7 } } }
+    ]);
+
+    const sinceSecond = await service.getLiveScoringChanges('100', new Date(second).toISOString());
+    expect(sinceSecond.changes.map(change => Object.keys(change.fields))).toEqual([['position'], ['position', 'totalScore']]);
+
+    const beforeHistory = await service.getLiveScoringChanges('100', new Date(first - 1000).toISOString());
+    expect(beforeHistory.complete).toBe(false);
+  });
+
+  it('should refresh a previously requested key on demand', async () => {
+    const apiCall = jest.fn()
+      .mockResolvedValueOnce({ value: 1 })
+      .mockResolvedValueOnce({ value: 2 });
+
+    await service._executeWithCaching(apiCall, 'rankings:tour:pga', true, 60);
+    const entry = await service.refreshCacheKey('rankings:tour:pga');
+
+    expect(apiCall).toHaveBeenCalledTimes(2);
+    expect(entry).toMatchObject({ key: 'rankings:tour:pga', dataType: 'rankings' });
+    expect(await service.cache.get('rankings:tour:pga')).toEqual({ value: 2 });
+    await expect(service.refreshCacheKey('rankings:tour:euro')).rejects.toThrow('No refresh source');
+  });
+
+  it('should drop data after the hard TTL and surface upstream errors', async () => {
+    const apiCall = jest.fn().mockResolvedValueOnce({ value: 1 }).mockRejectedValue(new Error('upstream down'));
+
+    await service._executeWithCaching(apiCall, 'betting-odds:market:win', true, 60);
+    now += (service.hardTtls.bettingOdds + 1) * 1000;
+
+    await expect(service._executeWithCaching(apiCall, 'betting-odds:market:win', true, 60))
+      .rejects.toThrow('upstream down');
+  });
+});
+
+describe('DataGolfService request coalescing', () => {
+  let service;
+
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    service = new DataGolfService();
+    jest.spyOn(service.endpointPolicy, 'load').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    await service.cache.clear();
+  });
+
+  it('should share one upstream call between concurrent misses for the same key', async () => {
+    let resolve;
+    const apiCall = jest.fn(() => new Promise(done => { resolve = done; }));
+
+    const requests = [1, 2, 3].map(() => service._executeWithCaching(apiCall, 'scoring:tournamentId:e1', true, 30));
+    await new Promise(done => setImmediate(done));
+    expect(service.getMetrics().inFlightRequests).toBe(1);
+
+    resolve({ scores: [] });
+    const results = await Promise.all(requests);
+
+    expect(apiCall).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([{ scores: [] }, { scores: [] }, { scores: [] }]);
+    expect(service.getMetrics()).toMatchObject({ coalescedRequests: 2, inFlightRequests: 0, cacheMisses: 3 });
+    expect(service.rateLimiter.requests).toHaveLength(1);
+  });
+
+  it('should pass an upstream failure to every waiting caller and allow a retry', async () => {
+    const apiCall = jest.fn()
+      .mockRejectedValueOnce(new Error('upstream down'))
+      .mockResolvedValueOnce({ scores: [] });
+
+    const results = await Promise.allSettled([
+      service._executeWithCaching(apiCall, 'scoring:tournamentId:e2', true, 30),
+      service._executeWithCaching(apiCall, 'scoring:tournamentId:e2', true, 30)
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+    expect(await service._executeWithCaching(apiCall, 'scoring:tournamentId:e2', true, 30)).toEqual({ scores: [] });
+    expect(apiCall).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not coalesce requests that bypass the cache', async () => {
+    const apiCall = jest.fn().mockResolvedValue({ scores: [] });
+
+    await Promise.all([
+      service._executeWithCaching(apiCall, 'scoring:tournamentId:e3', false, 30),
+      service._executeWithCaching(apiCall, 'scoring:tournamentId:e3', false, 30)
+    ]);
+
+    expect(apiCall).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('DataGolfService endpoint policies', () => {
+  let service;
+
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    service = new DataGolfService();
+    jest.spyOn(service.endpointPolicy, 'load').mockResolvedValue();
+    service.endpointPolicy.policies.set('rankings', { endpointPath: '/api/data-golf/rankings', cacheTtl: 45, rateLimit: 1 });
+  });
+
+  afterEach(async () => {
+    await service.cache.clear();
+  });
+
+  it('should cache with the policy TTL instead of the method default', async () => {
+    const setSpy = jest.spyOn(service.cache, 'set');
+
+    await service._executeWithCaching(jest.fn().mockResolvedValue({ value: 1 }), 'rankings:tour:pga', true, 300);
+    await service._executeWithCaching(jest.fn().mockResolvedValue({ value: 1 }), 'betting-odds:market:win', true, 300);
+
+    expect(setSpy).toHaveBeenCalledWith('rankings:tour:pga', { value: 1 }, service.hardTtls.rankings, expect.objectContaining({ softTtl: 45 }));
+    expect(setSpy).toHaveBeenCalledWith('betting-odds:market:win', { value: 1 }, service.hardTtls.bettingOdds, expect.objectContaining({ softTtl: 300 }));
+  });
+
+  it('should enforce the endpoint rate limit on top of the global one', async () => {
+    const apiCall = jest.fn().mockResolvedValue({ value: 1 });
+
+    await service._executeWithCaching(apiCall, 'rankings:tour:pga', false, 300);
+    await expect(service._executeWithCaching(apiCall, 'rankings:tour:euro', false, 300))
+      .rejects.toThrow('Rate limit exceeded');
+    await service._executeWithCaching(apiCall, 'betting-odds:market:win', false, 300);
+
+    expect(apiCall).toHaveBeenCalledTimes(2);
+  });
+
+  it('should cache live predictions briefly unless the round is complete', async () => {
+    const setSpy = jest.spyOn(service.cache, 'set');
+    const softTtl = (roundState) => {
+      const call = setSpy.mock.calls.find(([, data]) => data.event.roundState === roundState);
+      return call[3].softTtl;
+    };
+
+    for (const [tournamentId, roundState] of [['1', 'in_progress'], ['2', 'not_started'], ['3', 'unknown'], ['4', 'complete']]) {
+      jest.spyOn(service.client, 'getLivePredictions').mockResolvedValue({ event: { roundState }, predictions: [] });
+      await service.getLivePredictions(tournamentId);
+    }
+
+    expect(softTtl('in_progress')).toBe(service.livePredictionTtls.in_progress);
+    expect(softTtl('not_started')).toBe(service.livePredictionTtls.in_progress);
+    expect(softTtl('unknown')).toBe(service.livePredictionTtls.in_progress);
+    expect(softTtl('complete')).toBe(service.livePredictionTtls.between_rounds);
+  });
+});
+
+describe('DataGolfService historical archiving', () => {
+  let service;
+  const year = new Date().getUTCFullYear();
+  const day = 24 * 60 * 60 * 1000;
+  const isoDate = offsetDays => new Date(Date.now() + offsetDays * day).toISOString().slice(0, 10);
+
+  const schedule = (tournament) => ({
+    tournaments: [{ id: '14', name: 'Test Open', status: 'scheduled', ...tournament }]
+  });
+
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    service = new DataGolfService();
+    jest.spyOn(service.endpointPolicy, 'load').mockResolvedValue();
+    jest.spyOn(service.archive, 'getEvent').mockResolvedValue(null);
+    jest.spyOn(service.archive, 'archiveEvent').mockResolvedValue(1);
+    jest.spyOn(service.client, 'getHistoricalRoundScoring').mockResolvedValue({
+      event: { name: 'Test Open' },
+      rounds: [{ playerId: 1, playerName: 'Player One', round: 1, score: 68, strokesGained: {} }]
+    });
+    jest.spyOn(service.client, 'getHistoricalStrokesGained').mockResolvedValue({ rounds: [] });
+  });
+
+  afterEach(async () => {
+    await service.cache.clear();
+  });
+
+  it('should archive rounds from earlier seasons without a schedule lookup', async () => {
+    const tournaments = jest.spyOn(service.client, 'getTournaments');
+
+    await service.getHistoricalRounds('14', { year: year - 1 });
+
+    expect(service.archive.archiveEvent).toHaveBeenCalledTimes(1);
+    expect(tournaments).not.toHaveBeenCalled();
+  });
+
+  it('should only archive current-season rounds once the event is over', async () => {
+    const tournaments = jest.spyOn(service.client, 'getTournaments')
+      .mockResolvedValue(schedule({ startDate: isoDate(-1), endDate: isoDate(2) }));
+
+    const live = await service.getHistoricalRounds('14', { year });
+    expect(live.metadata.source).toBe('upstream');
+    expect(service.archive.archiveEvent).not.toHaveBeenCalled();
+
+    tournaments.mockResolvedValue(schedule({ startDate: isoDate(-1), endDate: isoDate(2), status: 'completed' }));
+    await service.cache.clear();
+    await service.getHistoricalRounds('14', { year });
+    expect(service.archive.archiveEvent).toHaveBeenCalledTimes(1);
+
+    tournaments.mockResolvedValue(schedule({ startDate: isoDate(-5), endDate: isoDate(-2) }));
+    await service.cache.clear();
+    await service.getHistoricalRounds('14', { year });
+    expect(service.archive.archiveEvent).toHaveBeenCalledTimes(2);
+  });
+
+  it('should archive opening lines once the event starts and withhold closing lines until it is over', async () => {
+    jest.spyOn(service.archive, 'getOddsLines').mockResolvedValue(null);
+    jest.spyOn(service.archive, 'archiveOddsLines').mockResolvedValue(1);
+    jest.spyOn(service.client, 'getHistoricalOdds').mockResolvedValue({
+      lines: [{ playerId: 1, sportsbook: 'fanduel', open: { decimal: 21 }, close: { decimal: 18 }, outcome: null }]
+    });
+    const tournaments = jest.spyOn(service.client, 'getTournaments')
+      .mockResolvedValue(schedule({ startDate: isoDate(2), endDate: isoDate(5) }));
+
+    const upcoming = await service.getHistoricalOdds('14', { year });
+    expect(service.archive.archiveOddsLines).not.toHaveBeenCalled();
+    expect(upcoming.metadata.closed).toBe(false);
+    expect(upcoming.lines[0].close).toEqual({ decimal: null, time: null });
+
+    tournaments.mockResolvedValue(schedule({ startDate: isoDate(-1), endDate: isoDate(2) }));
+    await service.cache.clear();
+    await service.getHistoricalOdds('14', { year });
+    expect(service.archive.archiveOddsLines).toHaveBeenLastCalledWith(expect.any(Object), expect.any(Array), { closed: false });
+
+    tournaments.mockResolvedValue(schedule({ startDate: isoDate(-5), endDate: isoDate(-2) }));
+    await service.cache.clear();
+    const finished = await service.getHistoricalOdds('14', { year });
+    expect(service.archive.archiveOddsLines).toHaveBeenLastCalledWith(expect.any(Object), expect.any(Array), { closed: true });
+    expect(finished.lines[0].close).toEqual({ decimal: 18 });
+  });
+
+  it('should not archive current-season events missing from the schedule', async () => {
+    jest.spyOn(service.client, 'getTournaments').mockResolvedValue({ tournaments: [] });
+
+    await service.getHistoricalRounds('14', { year });
+
+    expect(service.archive.archiveEvent).not.toHaveBeenCalled();
+  });
+});
+
+describe('DataGolfService fair prices', () => {
+  let service;
+
+  const row = (playerId, bookmaker, decimal, market = 'win') => ({
+    tournamentId: '14',
+    playerId,
+    bookmaker,
+    market,
+    odds: { decimal },
+    impliedProbability: 1 / decimal
+  });
+
+  beforeAll(() => {
+    jest.spyOn(CacheService.prototype, '_initializeCleanupInterval').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    service = new DataGolfService();
+    jest.spyOn(service.endpointPolicy, 'load').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    await service.cache.clear();
+  });
+
+  it('should only price markets whose margin can be removed', async () => {
+    jest.spyOn(service.client, 'getBettingOdds').mockResolvedValue({
+      odds: [
+        row(1, 'fanduel', 1.8),
+        row(2, 'fanduel', 1.8),
+        row(1, 'draftkings', 3),
+        row(1, 'betmgm', 2.5),
+        row(2, 'betmgm', 2.5),
+        row(1, 'fanduel', 1.5, 'make_cut')
+      ]
+    });
+
+    const { odds } = await service.getBettingOdds();
+
+    expect(odds[0].fair).toMatchObject({ probability: 0.5, decimal: 2, method: 'multiplicative' });
+    expect(odds[0].fairUnavailableReason).toBeUndefined();
+    expect(odds[2]).toMatchObject({ fair: null, fairUnavailableReason: 'Market has a single price, so its margin cannot be removed' });
+    expect(odds[3]).toMatchObject({ fair: null, fairUnavailableReason: 'Market prices carry no margin to remove' });
+    expect(odds[4]).toMatchObject({ fair: null, fairUnavailableReason: 'Market prices carry no margin to remove' });
+    expect(odds[5]).toMatchObject({ fair: null, fairUnavailableReason: 'Market has no fixed number of winners' });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Endpoint Policy Service
+ * Loads and edits policies in the api_endpoints table of the in-memory SQLite database
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const dbManager = require('../../../src/database/manager');
+const EndpointPolicyService = require('../../../src/services/endpointPolicyService');
+
+describe('EndpointPolicyService', () => {
+  let service;
+
+  const findPolicy = async (endpointPath) =>
+    (await service.listPolicies()).find(policy => policy.endpointPath === endpointPath);
+
+  beforeEach(async () => {
+    service = new EndpointPolicyService();
+    await dbManager.initialize();
+    await dbManager.execute(
+      `UPDATE api_endpoints SET cache_ttl_seconds = 300, rate_limit_per_minute = 100, is_active = 1
+       WHERE endpoint_path IN ('/api/data-golf/rankings', '/api/data-golf/betting-odds')`
+    );
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should load the seeded Data Golf policies by data type', async () => {
+    await service.load();
+
+    expect(service.getCacheTtl('scoring')).toBe(30);
+    expect(service.getCacheTtl('historicalStrokesGained')).toBe(1800);
+    expect(service.getRateLimit('rankings')).toBe(100);
+    expect(service.getCacheTtl('unknown')).toBeNull();
+  });
+
+  it('should apply updates immediately and report the data types they cover', async () => {
+    await service.load();
+    const { id } = await findPolicy('/api/data-golf/rankings');
+
+    const updated = await service.updatePolicy(id, { cacheTtlSeconds: 45, rateLimitPerMinute: 10 });
+
+    expect(updated).toMatchObject({ cacheTtlSeconds: 45, rateLimitPerMinute: 10, dataTypes: ['rankings'] });
+    expect(service.getCacheTtl('rankings')).toBe(45);
+    expect(service.getRateLimit('rankings')).toBe(10);
+  });
+
+  it('should fall back to defaults for inactive endpoints', async () => {
+    const { id } = await findPolicy('/api/data-golf/betting-odds');
+
+    await service.updatePolicy(id, { isActive: false });
+
+    expect(service.getCacheTtl('bettingOdds')).toBeNull();
+  });
+
+  it('should pick up changes made directly in the table on reload', async () => {
+    await service.load();
+    expect(await service.reload()).toBe(false);
+
+    await dbManager.execute(
+      'UPDATE api_endpoints SET cache_ttl_seconds = 120 WHERE endpoint_path = ?',
+      ['/api/data-golf/rankings']
+    );
+
+    expect(await service.reload()).toBe(true);
+    expect(service.getCacheTtl('rankings')).toBe(120);
+  });
+
+  it('should reject invalid updates', async () => {
+    const { id } = await findPolicy('/api/data-golf/rankings');
+
+    await expect(service.updatePolicy(id, { cacheTtlSeconds: 0 })).rejects.toThrow('must be a positive integer');
+    await expect(service.updatePolicy(id, { isActive: 'no' })).rejects.toThrow('isActive must be a boolean');
+    await expect(service.updatePolicy(id, {})).rejects.toThrow('No policy changes provided');
+    await expect(service.updatePolicy(99999, { cacheTtlSeconds: 60 })).rejects.toThrow('Endpoint policy not found');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for Historical Archive Service
+ * Runs against the in-memory SQLite database configured for the test environment
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const dbManager = require('../../../src/database/manager');
+const HistoricalArchiveService = require('../../../src/services/historicalArchiveService');
+
+describe('HistoricalArchiveService', () => {
+  let archive;
+
+  const rounds = [
+    {
+      playerId: 1,
+      playerName: 'Player One',
+      round: 1,
+      courseName: 'Test Course',
+      score: 68,
+      strokesGained: { ott: 0.5, app: 1.2, arg: 0.1, putt: -0.3, t2g: 1.8, total: 1.5 }
+    },
+    {
+      playerId: 1,
+      playerName: 'Player One',
+      round: 2,
+      courseName: 'Test Course',
+      score: 71,
+      strokesGained: { ott: null, app: null, arg: null, putt: null, t2g: null, total: null }
+    }
+  ];
+
+  beforeAll(async () => {
+    archive = new HistoricalArchiveService();
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should return null for events that are not archived', async () => {
+    await expect(archive.getEvent('pga', 'missing', 2023)).resolves.toBeNull();
+  });
+
+  it('should archive and read back an event', async () => {
+    await archive.archiveEvent({ tour: 'pga', eventId: '14', year: 2023, name: 'Test Open' }, rounds);
+    const result = await archive.getEvent('pga', '14', 2023);
+
+    expect(result.event).toEqual({ tournamentId: '14', name: 'Test Open', year: 2023, tour: 'pga' });
+    expect(result.rounds).toHaveLength(2);
+    expect(result.rounds[0]).toMatchObject({
+      playerId: '1',
+      round: 1,
+      score: 68,
+      strokesGained: { ott: 0.5, putt: -0.3, total: 1.5 }
+    });
+  });
+
+  it('should replace a previously archived copy', async () => {
+    await archive.archiveEvent({ tour: 'pga', eventId: '14', year: 2023, name: 'Test Open' }, rounds.slice(0, 1));
+    const result = await archive.getEvent('pga', '14', 2023);
+
+    expect(result.rounds).toHaveLength(1);
+  });
+
+  it('should keep the archived opening line and only serve markets with closing lines', async () => {
+    const query = { tour: 'pga', eventId: '15', year: 2023, market: 'win', name: 'Test Classic' };
+    const line = (open, close) => ({
+      playerId: 1,
+      playerName: 'Player One',
+      sportsbook: 'fanduel',
+      open: { decimal: open, time: '2023-04-01T00:00:00Z' },
+      close: { decimal: close, time: '2023-04-05T00:00:00Z' },
+      outcome: 'win'
+    });
+
+    await archive.archiveOddsLines(query, [line(21, 18)], { closed: false });
+    await expect(archive.getOddsLines(query)).resolves.toBeNull();
+
+    await archive.archiveOddsLines(query, [line(25, 15)], { closed: true });
+    const result = await archive.getOddsLines(query);
+
+    expect(result.metadata.closed).toBe(true);
+    expect(result.lines).toEqual([
+      expect.objectContaining({ open: expect.objectContaining({ decimal: 21 }), close: expect.objectContaining({ decimal: 15 }), outcome: 'win' })
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Live Feed Service
+ * Tests poller sharing, snapshot and delta fan-out, and Last-Event-ID resume against a mocked DataGolfService
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const LiveFeedService = require('../../../src/services/liveFeedService');
+const { getRequestContext } = require('../../../src/utils/requestContext');
+
+describe('LiveFeedService', () => {
+  let dataGolfService;
+  let streams;
+  let latest;
+
+  const scores = (...rows) => ({
+    scores: rows.map(([playerId, position, totalScore]) => ({ playerId, playerName: `Player ${playerId}`, position, totalScore }))
+  });
+
+  const poll = async (data) => {
+    latest = data || latest;
+    jest.advanceTimersByTime(10 * 1000);
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+    latest = scores([1, '1', -5], [2, '2', -4]);
+    dataGolfService = {
+      getLiveScoring: jest.fn(async () => ({ ...latest, refresh: getRequestContext()?.refresh }))
+    };
+    streams = new LiveFeedService(dataGolfService, { pollInterval: 10, heartbeatInterval: 15, idleTimeout: 0 });
+  });
+
+  afterEach(() => {
+    streams.stopAll();
+    jest.useRealTimers();
+  });
+
+  it('should share one poller and send each subscriber a snapshot on connect', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    await Promise.all([
+      streams.subscribe('scoring', { tournamentId: '100' }, first),
+      streams.subscribe('scoring', { tournamentId: '100' }, second)
+    ]);
+
+    expect(dataGolfService.getLiveScoring).toHaveBeenCalledTimes(1);
+    expect(dataGolfService.getLiveScoring).toHaveBeenCalledWith('100', { live: true });
+    expect(first.mock.calls[0][0]).toMatchObject({ type: 'snapshot', data: { tournamentId: '100', scoring: { ...latest, refresh: true } } });
+    expect(second.mock.calls[0][0].id).toBe(first.mock.calls[0][0].id);
+    expect(streams.getStatus()).toMatchObject([{ feed: 'scoring', tournamentId: '100', subscribers: 2 }]);
+  });
+
+  it('should fan out position and score deltas, and heartbeats', async () => {
+    const listener = jest.fn();
+    await streams.subscribe('scoring', { tournamentId: '100' }, listener);
+
+    await poll();
+    await poll(scores([1, '2', -5], [2, '1', -6]));
+
+    const deltas = listener.mock.calls.map(([event]) => event).filter(event => event.type === 'delta');
+    expect(deltas).toHaveLength(1);
+    expect(deltas[0].data.changes).toEqual([
+      { playerId: 1, playerName: 'Player 1', type: 'changed', fields: { position: { from: '1', to: '2' } } },
+      { playerId: 2, playerName: 'Player 2', type: 'changed', fields: { position: { from: '2', to: '1' }, totalScore: { from: -4, to: -6 } } }
+    ]);
+
+    jest.advanceTimersByTime(15 * 1000);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'heartbeat', id: null }));
+  });
+
+  it('should replay missed deltas for a known Last-Event-ID and send a snapshot otherwise', async () => {
+    const listener = jest.fn();
+    const unsubscribe = await streams.subscribe('scoring', { tournamentId: '100' }, listener);
+    const keepAlive = await streams.subscribe('scoring', { tournamentId: '100' }, jest.fn());
+    const snapshotId = listener.mock.calls[0][0].id;
+    unsubscribe();
+
+    await poll(scores([1, '1', -6], [2, '2', -4]));
+    await poll(scores([1, '1', -7], [2, '2', -4]));
+
+    const resumed = jest.fn();
+    await streams.subscribe('scoring', { tournamentId: '100' }, resumed, snapshotId);
+    expect(resumed.mock.calls.map(([event]) => event.type)).toEqual(['delta', 'delta']);
+
+    const unknown = jest.fn();
+    await streams.subscribe('scoring', { tournamentId: '100' }, unknown, 'other-3');
+    expect(unknown.mock.calls.map(([event]) => event.type)).toEqual(['snapshot']);
+    expect(unknown.mock.calls[0][0].data.scoring.scores[0].totalScore).toBe(-7);
+
+    keepAlive();
+  });
+
+  it('should stop polling after the last subscriber leaves and surface a failed first poll', async () => {
+    const unsubscribe = await streams.subscribe('scoring', { tournamentId: '100' }, jest.fn());
+    unsubscribe();
+
+    expect(streams.getStatus()).toEqual([]);
+    await poll();
+    expect(dataGolfService.getLiveScoring).toHaveBeenCalledTimes(1);
+
+    dataGolfService.getLiveScoring.mockRejectedValueOnce(new Error('upstream down'));
+    await expect(streams.subscribe('scoring', { tournamentId: '200' }, jest.fn())).rejects.toThrow('upstream down');
+    expect(streams.getStatus()).toEqual([]);
+  });
+
+  it('should poll each feed with its own params and reject unknown feeds', async () => {
+    dataGolfService.getBettingOdds = jest.fn().mockResolvedValue({ odds: [] });
+    const listener = jest.fn();
+
+    await streams.subscribe('odds', { market: 'win' }, listener);
+
+    expect(dataGolfService.getBettingOdds).toHaveBeenCalledWith({ market: 'win' });
+    expect(listener.mock.calls[0][0].data).toMatchObject({ market: 'win', odds: { odds: [] } });
+    await expect(streams.subscribe('odds', {}, jest.fn())).rejects.toThrow('market is required for the odds feed');
+    await expect(streams.subscribe('weather', {}, jest.fn())).rejects.toThrow('Unknown live feed: weather');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for Preference Service
+ * Stores typed and encrypted preferences in the user_preferences table of the in-memory SQLite database
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const dbManager = require('../../../src/database/manager');
+const PreferenceService = require('../../../src/services/preferenceService');
+
+describe('PreferenceService', () => {
+  let service;
+
+  beforeAll(async () => {
+    await dbManager.initialize();
+  });
+
+  beforeEach(async () => {
+    await dbManager.execute('DELETE FROM user_preferences');
+    service = new PreferenceService({ maxPreferences: 3, maxValueBytes: 64 });
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should infer types for new preferences and keep them on replacement', async () => {
+    const created = await service.setPreference('session-a', 'odds.format', { value: 'american' });
+    const replaced = await service.setPreference('session-a', 'odds.format', { value: 'decimal' });
+    const object = await service.setPreference('session-a', 'defaults', { value: { tour: 'pga' } });
+
+    expect(created).toMatchObject({ key: 'odds.format', value: 'american', type: 'string', encrypted: false, created: true });
+    expect(replaced).toMatchObject({ value: 'decimal', type: 'string', created: false });
+    expect(object).toMatchObject({ value: { tour: 'pga' }, type: 'object' });
+
+    await expect(service.setPreference('session-a', 'odds.format', { value: 3 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'value must be a string' });
+    expect(await service.getPreference('session-a', 'odds.format')).toMatchObject({ value: 'decimal' });
+  });
+
+  it('should validate keys, types, values and limits', async () => {
+    await expect(service.setPreference('session-a', 'bad key', { value: 1 })).rejects.toThrow('key must be');
+    await expect(service.setPreference('session-a', 'pageSize', {})).rejects.toThrow('value is required');
+    await expect(service.setPreference('session-a', 'pageSize', { value: 'ten', type: 'number' }))
+      .rejects.toThrow('value must be a number');
+    await expect(service.setPreference('session-a', 'pageSize', { value: 10, type: 'integer' }))
+      .rejects.toThrow('type must be one of: string, number, boolean, object');
+    await expect(service.setPreference('session-a', 'pageSize', { value: null })).rejects.toThrow('type must be one of');
+    await expect(service.setPreference('session-a', 'pageSize', { value: 10, encrypted: 'yes' }))
+      .rejects.toThrow('encrypted must be a boolean');
+    await expect(service.setPreference('session-a', 'notes', { value: 'x'.repeat(100) }))
+      .rejects.toThrow('value must be at most 64 bytes');
+
+    for (const key of ['a', 'b', 'c']) {
+      await service.setPreference('session-a', key, { value: true });
+    }
+    await expect(service.setPreference('session-a', 'd', { value: true })).rejects.toThrow('Preference limit of 3 reached');
+    await expect(service.setPreference('session-a', 'a', { value: false })).resolves.toMatchObject({ value: false });
+  });
+
+  it('should store encrypted preferences sealed and return them decrypted', async () => {
+    await service.setPreference('session-a', 'apiKey', { value: 'dg-secret-key', encrypted: true });
+
+    const row = await dbManager.queryOne(
+      "SELECT preference_value, is_encrypted FROM user_preferences WHERE preference_key = 'apiKey'"
+    );
+    expect(row.is_encrypted).toBe(1);
+    expect(row.preference_value).not.toContain('dg-secret-key');
+
+    expect(await service.getPreference('session-a', 'apiKey')).toMatchObject({
+      value: 'dg-secret-key',
+      type: 'string',
+      encrypted: true
+    });
+
+    await service.setPreference('session-a', 'apiKey', { value: 'rotated-key' });
+    expect(await service.getPreference('session-a', 'apiKey')).toMatchObject({ value: 'rotated-key', encrypted: true });
+  });
+
+  it('should keep preferences per session and delete them', async () => {
+    await service.setPreference('session-a', 'theme', { value: 'dark' });
+    await service.setPreference('session-b', 'theme', { value: 'light' });
+
+    expect((await service.listPreferences('session-b')).map(preference => preference.value)).toEqual(['light']);
+
+    await service.deletePreference('session-a', 'theme');
+    await expect(service.getPreference('session-a', 'theme')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.deletePreference('session-a', 'theme')).rejects.toThrow('Preference not found: theme');
+    expect(await service.getPreference('session-b', 'theme')).toMatchObject({ value: 'light' });
+  });
+});
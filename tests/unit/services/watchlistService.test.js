@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for Watchlist Service
+ * Manages watchlists and alert rules in the in-memory SQLite database and evaluates them
+ * against successive scoring and odds payloads
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const dbManager = require('../../../src/database/manager');
+const WatchlistService = require('../../../src/services/watchlistService');
+
+describe('WatchlistService', () => {
+  let service;
+  let dataGolfService;
+
+  const scoring = (positions, tournamentId = '100') => ({
+    cacheKey: `scoring:tournamentId:${tournamentId}`,
+    dataType: 'scoring',
+    tags: ['dataType:scoring', `tournamentId:${tournamentId}`],
+    params: { tournamentId },
+    data: {
+      scores: Object.entries(positions).map(([playerId, position]) => ({
+        playerId: Number(playerId),
+        playerName: `Player ${playerId}`,
+        position
+      }))
+    }
+  });
+
+  const odds = (rows, market = 'win', bookmaker) => ({
+    cacheKey: `betting-odds:market:${market}${bookmaker ? `:bookmaker:${bookmaker}` : ''}`,
+    dataType: 'bettingOdds',
+    tags: ['dataType:bettingOdds'],
+    params: bookmaker ? { market, bookmaker } : { market },
+    data: {
+      odds: rows.map(([playerId, bookmaker, decimal]) => ({
+        playerId,
+        playerName: `Player ${playerId}`,
+        bookmaker,
+        market: null,
+        odds: { decimal }
+      }))
+    }
+  });
+
+  beforeAll(async () => {
+    await dbManager.initialize();
+  });
+
+  beforeEach(async () => {
+    await dbManager.execute('DELETE FROM alerts');
+    await dbManager.execute('DELETE FROM watchlists');
+    dataGolfService = { onUpstreamData: jest.fn(() => jest.fn()) };
+    service = new WatchlistService(dataGolfService, { maxWatchlists: 2 });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should create, update and delete watchlists per session', async () => {
+    const created = await service.createWatchlist('session-a', { name: ' Majors ', playerIds: [18417, '18417', 'abc'] });
+
+    expect(created).toMatchObject({ name: 'Majors', playerIds: ['18417', 'abc'], rules: [] });
+    await expect(service.getWatchlist('session-b', created.id)).rejects.toThrow('Watchlist not found');
+    await expect(service.createWatchlist('session-a', { name: 'Majors' })).rejects.toThrow('Watchlist already exists');
+
+    const updated = await service.updateWatchlist('session-a', created.id, { name: 'Sunday', playerIds: ['1'] });
+    expect(updated).toMatchObject({ name: 'Sunday', playerIds: ['1'] });
+    expect(await service.listWatchlists('session-b')).toEqual([]);
+
+    await service.createWatchlist('session-a', { name: 'Second' });
+    await expect(service.createWatchlist('session-a', { name: 'Third' })).rejects.toThrow('Watchlist limit of 2 reached');
+
+    await service.deleteWatchlist('session-a', created.id);
+    expect((await service.listWatchlists('session-a')).map(watchlist => watchlist.name)).toEqual(['Second']);
+  });
+
+  it('should validate watchlists and alert rules', async () => {
+    await expect(service.createWatchlist('session-a', { name: '' })).rejects.toThrow('name must be');
+    await expect(service.createWatchlist('session-a', { name: 'Bad', playerIds: [{}] })).rejects.toThrow('playerIds must be');
+
+    const { id } = await service.createWatchlist('session-a', { name: 'Rules' });
+
+    await expect(service.createRule('session-a', id, { type: 'round_leader', threshold: 1 }))
+      .rejects.toThrow('Unsupported alert rule type: round_leader');
+    await expect(service.createRule('session-a', id, { type: 'position_within', threshold: 2.5 }))
+      .rejects.toThrow('threshold must be a position');
+    await expect(service.createRule('session-a', id, { type: 'odds_below', threshold: 1 }))
+      .rejects.toThrow('threshold must be decimal odds');
+    await expect(service.createRule('session-a', id, { type: 'position_within', threshold: 10, market: 'win' }))
+      .rejects.toThrow('market must be');
+
+    const rule = await service.createRule('session-a', id, { type: 'odds_below', threshold: 20 });
+    expect(rule).toMatchObject({ watchlistId: id, type: 'odds_below', threshold: 20, market: 'win', isActive: true });
+
+    await expect(service.deleteRule('session-b', id, rule.id)).rejects.toThrow('Watchlist not found');
+    await service.deleteRule('session-a', id, rule.id);
+    expect((await service.getWatchlist('session-a', id)).rules).toEqual([]);
+  });
+
+  it('should alert when a watched player moves inside a position', async () => {
+    const { id } = await service.createWatchlist('session-a', { name: 'Top 10', playerIds: ['1', '2'] });
+    await service.createRule('session-a', id, { type: 'position_within', threshold: 10 });
+
+    expect(await service.handleUpstreamData(scoring({ 1: '12', 2: 'T4', 3: '15' }))).toEqual([]);
+    const alerts = await service.handleUpstreamData(scoring({ 1: 'T8', 2: 'T3', 3: '1' }));
+
+    expect(alerts).toEqual([
+      expect.objectContaining({
+        watchlistId: id,
+        type: 'position_within',
+        playerId: '1',
+        playerName: 'Player 1',
+        message: 'Player 1 moved inside the top 10 (T8)',
+        data: { position: 8, displayPosition: 'T8', tournamentId: '100', threshold: 10 },
+        read: false
+      })
+    ]);
+
+    expect(await service.handleUpstreamData(scoring({ 1: '7', 2: '2' }))).toEqual([]);
+    await service.handleUpstreamData(scoring({ 1: '11', 2: '2' }));
+    expect((await service.handleUpstreamData(scoring({ 1: '9', 2: '2' }))).map(alert => alert.playerId)).toEqual(['1']);
+  });
+
+  it('should alert on the best price crossing an odds threshold in the rule market', async () => {
+    const { id } = await service.createWatchlist('session-a', { name: 'Odds', playerIds: ['1'] });
+    await service.createRule('session-a', id, { type: 'odds_below', threshold: 20 });
+    await service.createRule('session-a', id, { type: 'odds_above', threshold: 30, market: 'top_5' });
+
+    await service.handleUpstreamData(odds([[1, 'book_a', 22], [1, 'book_b', 19]]));
+    await service.handleUpstreamData(odds([[1, 'book_a', 25]], 'top_5'));
+
+    const shortened = await service.handleUpstreamData(odds([[1, 'book_a', 18.5], [1, 'book_b', 17]]));
+    const drifted = await service.handleUpstreamData(odds([[1, 'book_a', 34]], 'top_5'));
+
+    expect(shortened.map(alert => alert.message)).toEqual(['Player 1 shortened below 20 in the win market (18.5 at book_a)']);
+    expect(drifted.map(alert => alert.message)).toEqual(['Player 1 drifted above 30 in the top_5 market (34 at book_a)']);
+  });
+
+  it('should ignore odds filtered to one bookmaker', async () => {
+    const { id } = await service.createWatchlist('session-a', { name: 'Odds', playerIds: ['1'] });
+    await service.createRule('session-a', id, { type: 'odds_below', threshold: 20 });
+
+    await service.handleUpstreamData(odds([[1, 'book_a', 18], [1, 'book_b', 22]]));
+    expect(await service.handleUpstreamData(odds([[1, 'book_b', 22]], 'win', 'book_b'))).toEqual([]);
+    expect(await service.handleUpstreamData(odds([[1, 'book_a', 18], [1, 'book_b', 22]]))).toEqual([]);
+  });
+
+  it('should keep rule state separately for each tournament', async () => {
+    const { id } = await service.createWatchlist('session-a', { name: 'Top 10', playerIds: ['1'] });
+    await service.createRule('session-a', id, { type: 'position_within', threshold: 10 });
+
+    await service.handleUpstreamData(scoring({ 1: '15' }));
+    expect(await service.handleUpstreamData(scoring({ 1: '3' }, '200'))).toEqual([]);
+    await service.handleUpstreamData(scoring({ 1: '30' }, '200'));
+
+    const alerts = await service.handleUpstreamData(scoring({ 1: '8' }));
+    expect(alerts.map(alert => alert.data.tournamentId)).toEqual(['100']);
+  });
+
+  it('should list alerts per session and mark them read', async () => {
+    const { id } = await service.createWatchlist('session-a', { name: 'Top 5', playerIds: ['1'] });
+    await service.createRule('session-a', id, { type: 'position_within', threshold: 5 });
+
+    await service.handleUpstreamData(scoring({ 1: '6' }));
+    const [alert] = await service.handleUpstreamData(scoring({ 1: '5' }));
+
+    expect(await service.getAlerts('session-b')).toEqual([]);
+    await expect(service.markAlertRead('session-b', alert.id)).rejects.toThrow('Alert not found');
+
+    const read = await service.markAlertRead('session-a', alert.id);
+    expect(read.read).toBe(true);
+    expect(await service.getAlerts('session-a', { unread: true })).toEqual([]);
+
+    await service.deleteWatchlist('session-a', id);
+    expect(await service.getAlerts('session-a')).toEqual([
+      expect.objectContaining({ id: alert.id, watchlistId: null, ruleId: null })
+    ]);
+  });
+
+  it('should evaluate upstream data only while started', () => {
+    const unsubscribe = jest.fn();
+    dataGolfService.onUpstreamData.mockReturnValue(unsubscribe);
+
+    service.start();
+    expect(service.getStatus().running).toBe(true);
+    service.stop();
+
+    expect(unsubscribe).toHaveBeenCalled();
+    expect(service.getStatus().running).toBe(false);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for WebSocket Gateway
+ * Tests upgrade authentication, the subscribe/unsubscribe protocol, player topics and backpressure
+ * against a local HTTP server and a mocked LiveFeedService
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/middleware/sessionManager', () => ({
+  SESSION_HEADER: 'X-Session-ID',
+  SESSION_COOKIE: 'golf_session',
+  authenticateSessionToken: jest.fn(token => (token === 'valid-token' ? { id: 'session-1' } : null))
+}));
+
+const http = require('http');
+const WebSocket = require('ws');
+const WebSocketGateway = require('../../../src/services/webSocketGateway');
+
+describe('WebSocketGateway', () => {
+  let server;
+  let gateway;
+  let liveFeedService;
+  let listeners;
+  let sockets;
+
+  const start = async (options = {}) => {
+    server = http.createServer();
+    gateway = new WebSocketGateway(server, liveFeedService, { maxSubscriptions: 2, ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  };
+
+  const connect = (query = '?token=valid-token', headers = {}) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}/api/live${query}`, { headers });
+    socket.received = [];
+    socket.on('message', data => socket.received.push(JSON.parse(data.toString())));
+    sockets.push(socket);
+    return socket;
+  };
+
+  const opened = socket => new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  const waitFor = async (socket, count) => {
+    for (let attempt = 0; attempt < 100 && socket.received.length < count; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return socket.received;
+  };
+
+  beforeEach(() => {
+    listeners = new Map();
+    sockets = [];
+    liveFeedService = {
+      subscribe: jest.fn(async (feed, params, listener) => {
+        const key = `${feed}:${Object.values(params).join(':')}`;
+        listeners.set(key, listener);
+        listener({ id: 'e-0', type: 'snapshot', data: { ...params, [feed]: { predictions: [{ playerId: 1 }, { playerId: 2 }] } } });
+        return jest.fn(() => listeners.delete(key));
+      })
+    };
+  });
+
+  afterEach(async () => {
+    sockets.forEach(socket => socket.terminate());
+    await gateway.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should reject upgrades without a valid session token', async () => {
+    await start();
+
+    const statusOf = socket => new Promise((resolve) => {
+      socket.once('unexpected-response', (req, res) => resolve(res.statusCode));
+      socket.once('error', () => {});
+    });
+
+    expect(await statusOf(connect(''))).toBe(401);
+    expect(await statusOf(connect('?token=forged'))).toBe(401);
+
+    const viaHeader = connect('', { 'X-Session-ID': 'valid-token' });
+    await opened(viaHeader);
+    expect((await waitFor(viaHeader, 1))[0]).toMatchObject({ type: 'welcome', sessionId: 'session-1' });
+  });
+
+  it('should leave upgrades on other paths to other handlers', async () => {
+    await start();
+    server.on('upgrade', (req, socket) => {
+      socket.end('HTTP/1.1 418 I am a teapot\r\nConnection: close\r\n\r\n');
+    });
+
+    const other = new WebSocket(`ws://127.0.0.1:${server.address().port}/elsewhere?token=valid-token`);
+    sockets.push(other);
+    const status = await new Promise((resolve) => {
+      other.once('unexpected-response', (req, res) => resolve(res.statusCode));
+      other.once('error', () => {});
+    });
+
+    expect(status).toBe(418);
+  });
+
+  it('should accept the session cookie from allowed origins', async () => {
+    await start({ allowedOrigins: ['http://localhost:3000'] });
+
+    const viaCookie = connect('', { Cookie: 'theme=dark; golf_session=valid-token', Origin: 'http://localhost:3000' });
+    await opened(viaCookie);
+    expect((await waitFor(viaCookie, 1))[0]).toMatchObject({ type: 'welcome', sessionId: 'session-1' });
+
+    const crossSite = connect('', { Cookie: 'golf_session=valid-token', Origin: 'https://elsewhere.example' });
+    const status = await new Promise((resolve) => {
+      crossSite.once('unexpected-response', (req, res) => resolve(res.statusCode));
+      crossSite.once('error', () => {});
+    });
+    expect(status).toBe(403);
+  });
+
+  it('should acknowledge subscriptions before their snapshot and release them on unsubscribe', async () => {
+    await start();
+    const socket = connect();
+    await opened(socket);
+
+    socket.send(JSON.stringify({ action: 'subscribe', topic: 'scoring:100', lastEventId: 'e-3' }));
+    const received = await waitFor(socket, 3);
+
+    expect(liveFeedService.subscribe).toHaveBeenCalledWith('scoring', { tournamentId: '100' }, expect.any(Function), 'e-3');
+    expect(received.slice(1).map(message => [message.type, message.topic])).toEqual([
+      ['subscribed', 'scoring:100'],
+      ['snapshot', 'scoring:100']
+    ]);
+
+    listeners.get('scoring:100')({ id: 'e-1', type: 'delta', data: { changes: [{ playerId: 1 }] } });
+    listeners.get('scoring:100')({ id: null, type: 'heartbeat', data: {} });
+    expect((await waitFor(socket, 4))[3]).toMatchObject({ type: 'delta', topic: 'scoring:100', id: 'e-1' });
+
+    socket.send(JSON.stringify({ action: 'unsubscribe', topic: 'scoring:100' }));
+    expect((await waitFor(socket, 5))[4]).toEqual({ type: 'unsubscribed', topic: 'scoring:100' });
+    expect(listeners.has('scoring:100')).toBe(false);
+    expect(gateway.getStatus()).toMatchObject({ connections: 1, subscriptions: 0 });
+  });
+
+  it('should report protocol errors and enforce the subscription limit', async () => {
+    await start();
+    const socket = connect();
+    await opened(socket);
+
+    socket.send('not json');
+    socket.send(JSON.stringify({ action: 'subscribe', topic: 'scoring' }));
+    socket.send(JSON.stringify({ action: 'subscribe', topic: 'odds:win' }));
+    socket.send(JSON.stringify({ action: 'subscribe', topic: 'odds:win' }));
+    socket.send(JSON.stringify({ action: 'subscribe', topic: 'scoring:100' }));
+    socket.send(JSON.stringify({ action: 'subscribe', topic: 'scoring:200' }));
+
+    const errors = (await waitFor(socket, 10)).filter(message => message.type === 'error').map(message => message.message);
+    expect(errors).toEqual([
+      'Messages must be JSON',
+      'Invalid topic: scoring',
+      'Already subscribed: odds:win',
+      'Subscription limit of 2 reached'
+    ]);
+  });
+
+  it('should narrow player topics to that player', async () => {
+    await start();
+    const socket = connect();
+    await opened(socket);
+
+    socket.send(JSON.stringify({ action: 'subscribe', topic: 'predictions:100:2' }));
+    const snapshot = (await waitFor(socket, 3))[2];
+
+    expect(liveFeedService.subscribe).toHaveBeenCalledWith('predictions', { tournamentId: '100' }, expect.any(Function), undefined);
+    expect(snapshot.data.predictions.predictions).toEqual([{ playerId: 2 }]);
+
+    const listener = listeners.get('predictions:100');
+    listener({ id: 'e-1', type: 'delta', data: { changes: [{ playerId: 1 }] } });
+    listener({ id: 'e-2', type: 'delta', data: { changes: [{ playerId: 1 }, { playerId: 2 }] } });
+
+    const deltas = (await waitFor(socket, 4)).filter(message => message.type === 'delta');
+    expect(deltas).toEqual([{ type: 'delta', topic: 'predictions:100:2', id: 'e-2', data: { changes: [{ playerId: 2 }] } }]);
+  });
+
+  it('should terminate connections that exceed the backpressure limit', async () => {
+    await start({ maxBufferedBytes: -1 });
+    const socket = connect();
+
+    const code = await new Promise(resolve => socket.once('close', resolve));
+    for (let attempt = 0; attempt < 100 && gateway.getStatus().connections > 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    expect(code).toBe(1006);
+    expect(gateway.getStatus().connections).toBe(0);
+  });
+});
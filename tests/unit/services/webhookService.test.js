@@ -0,0 +1,310 @@
+/**
+ * Unit Tests for Webhook Service
+ * Registers webhooks in the in-memory SQLite database, detects events from successive payloads
+ * and delivers them to receivers stubbed with nock
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const nock = require('nock');
+const dbManager = require('../../../src/database/manager');
+const WebhookService = require('../../../src/services/webhookService');
+
+const RECEIVER = 'http://hooks.example.test';
+
+describe('WebhookService', () => {
+  let service;
+  let dataGolfService;
+
+  const player = (playerId, position, totalScore, overrides = {}) => ({
+    playerId,
+    playerName: `Player ${playerId}`,
+    position,
+    totalScore,
+    currentRound: 2,
+    holesCompleted: 9,
+    status: 'active',
+    ...overrides
+  });
+
+  const scoringUpdate = (scores) => ({
+    cacheKey: 'scoring:tournamentId:100',
+    dataType: 'scoring',
+    tags: ['dataType:scoring', 'tournamentId:100'],
+    data: { scores }
+  });
+
+  const oddsRow = (playerId, bookmaker, decimal) => ({
+    playerId,
+    playerName: `Player ${playerId}`,
+    bookmaker,
+    market: 'win',
+    odds: { decimal }
+  });
+
+  const oddsUpdate = (odds) => ({
+    cacheKey: 'betting-odds:market:win',
+    dataType: 'bettingOdds',
+    tags: ['dataType:bettingOdds'],
+    data: { odds }
+  });
+
+  const deliveriesFor = async (id) => service.getDeliveries(id);
+
+  beforeAll(async () => {
+    await dbManager.initialize();
+    nock.disableNetConnect();
+  });
+
+  beforeEach(async () => {
+    await dbManager.execute('DELETE FROM webhooks');
+    dataGolfService = { onUpstreamData: jest.fn(() => jest.fn()) };
+    service = new WebhookService(dataGolfService, { cutRank: 2, retryBaseDelay: 0, maxAttempts: 2 });
+    jest.spyOn(service, '_kickQueue').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    service.stop();
+    nock.cleanAll();
+  });
+
+  afterAll(async () => {
+    nock.enableNetConnect();
+    await dbManager.close();
+  });
+
+  it('should register, update and delete webhooks without exposing their secrets', async () => {
+    const created = await service.createWebhook({ url: `${RECEIVER}/golf`, events: ['leader.changed'], tournamentId: 100 });
+
+    expect(created.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(created).toMatchObject({ url: `${RECEIVER}/golf`, events: ['leader.changed'], tournamentId: '100', isActive: true });
+
+    const updated = await service.updateWebhook(created.id, { events: ['odds.moved'], oddsMoveThreshold: 5, isActive: false });
+    expect(updated).toMatchObject({ events: ['odds.moved'], oddsMoveThreshold: 5, isActive: false });
+    expect(updated.secret).toBeUndefined();
+    expect((await service.listWebhooks()).map(webhook => webhook.id)).toEqual([created.id]);
+
+    await service.deleteWebhook(created.id);
+    await expect(service.getWebhook(created.id)).rejects.toThrow('Webhook not found');
+  });
+
+  it('should reject invalid webhook definitions', async () => {
+    await expect(service.createWebhook({ url: 'ftp://hooks.example.test', events: ['leader.changed'] }))
+      .rejects.toThrow('url must be a valid HTTP or HTTPS URL');
+    await expect(service.createWebhook({ url: RECEIVER, events: [] }))
+      .rejects.toThrow('events must be a non-empty list');
+    await expect(service.createWebhook({ url: RECEIVER, events: ['round.paused'] }))
+      .rejects.toThrow('Unsupported webhook event: round.paused');
+    await expect(service.createWebhook({ url: RECEIVER, events: ['odds.moved'], oddsMoveThreshold: -1 }))
+      .rejects.toThrow('oddsMoveThreshold must be a positive number');
+    await expect(service.createWebhook({ url: RECEIVER, events: ['odds.moved'], secret: 'short' }))
+      .rejects.toThrow('secret must be a string of at least 16 characters');
+    await expect(service.updateWebhook(999, {})).rejects.toThrow('No webhook changes provided');
+  });
+
+  it('should refuse local and private receivers unless their host is allowed', async () => {
+    const hosts = [
+      'http://localhost:8080/hook',
+      'http://127.0.0.1/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://10.1.2.3/hook',
+      'https://192.168.0.10/hook',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://2130706433/hook'
+    ];
+
+    for (const url of hosts) {
+      await expect(service.createWebhook({ url, events: ['leader.changed'] }))
+        .rejects.toThrow('url must be a public address');
+    }
+
+    const allowing = new WebhookService(dataGolfService, { allowedHosts: ['localhost', '10.1.2.3'] });
+    await expect(allowing.createWebhook({ url: 'http://localhost:8080/hook', events: ['leader.changed'] }))
+      .resolves.toMatchObject({ url: 'http://localhost:8080/hook' });
+    await expect(allowing.createWebhook({ url: 'http://127.0.0.1/hook', events: ['leader.changed'] }))
+      .rejects.toThrow('url must be a public address');
+  });
+
+  it('should not deliver to hostnames that resolve to private addresses', (done) => {
+    const { lookup } = WebhookService.PUBLIC_AGENTS.httpAgent.options;
+
+    lookup('localhost', { all: true }, (error) => {
+      expect(error.message).toMatch(/resolves to a private address/);
+      done();
+    });
+  });
+
+  it('should detect round, leader and cut line events between scoring payloads', async () => {
+    const first = [player(1, '1', -6), player(2, '2', -4), player(3, '3', -2)];
+    const second = [
+      player(1, 'T2', -6, { holesCompleted: 18 }),
+      player(2, '1', -8, { holesCompleted: 18 }),
+      player(3, 'T2', -6, { holesCompleted: 18 })
+    ];
+
+    expect(await service.handleUpstreamData(scoringUpdate(first))).toEqual([]);
+    const events = await service.handleUpstreamData(scoringUpdate(second));
+
+    expect(events.map(event => event.type)).toEqual(['round.completed', 'leader.changed', 'cut_line.changed']);
+    expect(events[1].data).toMatchObject({
+      tournamentId: '100',
+      previousLeaders: [{ playerId: 1, totalScore: -6 }],
+      leaders: [{ playerId: 2, totalScore: -8 }]
+    });
+    expect(events[2].data).toMatchObject({ round: 2, previousCutLine: -4, cutLine: -6, cutRank: 2 });
+
+    const third = second.map(row => ({ ...row, currentRound: 3, holesCompleted: 2 }));
+    expect((await service.handleUpstreamData(scoringUpdate(third))).map(event => event.type)).toEqual(['round.started']);
+  });
+
+  it('should detect withdrawals by status and by removal from the field', async () => {
+    const update = (field) => ({
+      cacheKey: 'field:tournamentId:100',
+      dataType: 'field',
+      tags: ['dataType:field', 'tournamentId:100'],
+      data: { field }
+    });
+    const entry = (playerId, status = 'active') => ({ playerId, playerName: `Player ${playerId}`, status });
+
+    await service.handleUpstreamData(update([entry(1), entry(2), entry(3, 'WD')]));
+    const events = await service.handleUpstreamData(update([entry(1, 'Withdrawn'), entry(3, 'WD')]));
+
+    expect(events.map(event => [event.type, event.data.playerId, event.data.reason])).toEqual([
+      ['field.withdrawal', 1, 'status'],
+      ['field.withdrawal', 2, 'removed_from_field']
+    ]);
+  });
+
+  it('should queue odds moves per webhook threshold and skip other subscriptions', async () => {
+    const strict = await service.createWebhook({ url: `${RECEIVER}/strict`, events: ['odds.moved'], oddsMoveThreshold: 20 });
+    const loose = await service.createWebhook({ url: `${RECEIVER}/loose`, events: ['odds.moved'], oddsMoveThreshold: 5 });
+    const other = await service.createWebhook({ url: `${RECEIVER}/leader`, events: ['leader.changed'] });
+
+    await service.handleUpstreamData(oddsUpdate([oddsRow(1, 'book_a', 10), oddsRow(2, 'book_a', 20)]));
+    await service.handleUpstreamData(oddsUpdate([oddsRow(1, 'book_a', 7.5), oddsRow(2, 'book_a', 21.5)]));
+
+    const [strictDelivery] = await deliveriesFor(strict.id);
+    const [looseDelivery] = await deliveriesFor(loose.id);
+
+    expect(strictDelivery.payload.data.moves).toEqual([
+      expect.objectContaining({ playerId: 1, bookmaker: 'book_a', from: 10, to: 7.5, changePercent: -25 })
+    ]);
+    expect(looseDelivery.payload.data.moves.map(move => move.changePercent)).toEqual([-25, 7.5]);
+    expect(looseDelivery.payload.id).toBe(strictDelivery.payload.id);
+    expect(await deliveriesFor(other.id)).toEqual([]);
+  });
+
+  it('should deliver signed payloads and log the outcome', async () => {
+    const webhook = await service.createWebhook({
+      url: `${RECEIVER}/golf`,
+      events: ['leader.changed'],
+      secret: 'receiver-shared-secret'
+    });
+
+    let received;
+    const receiver = nock(RECEIVER)
+      .post('/golf')
+      .reply(function (uri, body) {
+        received = { headers: this.req.headers, body: JSON.stringify(body) };
+        return [204];
+      });
+
+    await service.publish([{ type: 'leader.changed', tournamentId: '100', data: { tournamentId: '100' } }]);
+    expect(await service.processQueue()).toBe(1);
+
+    expect(receiver.isDone()).toBe(true);
+    expect(received.headers['x-webhook-event']).toBe('leader.changed');
+    expect(received.headers['x-webhook-signature']).toBe(
+      WebhookService.signPayload('receiver-shared-secret', received.headers['x-webhook-timestamp'], received.body)
+    );
+
+    const [delivery] = await deliveriesFor(webhook.id);
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 204, lastError: null });
+    expect(JSON.parse(received.body)).toEqual(delivery.payload);
+  });
+
+  it('should retry failed deliveries with backoff and give up after the last attempt', async () => {
+    const webhook = await service.createWebhook({ url: `${RECEIVER}/golf`, events: ['round.started'] });
+    nock(RECEIVER).post('/golf').times(2).reply(503);
+
+    expect(service._retryDelay(1)).toBe(0);
+    expect(new WebhookService(dataGolfService)._retryDelay(3)).toBe(120);
+    expect(new WebhookService(dataGolfService)._retryDelay(10)).toBe(3600);
+
+    await service.publish([{ type: 'round.started', tournamentId: '100', data: { tournamentId: '100', round: 1 } }]);
+    expect(await service.processQueue()).toBe(2);
+
+    const [delivery] = await deliveriesFor(webhook.id);
+    expect(delivery).toMatchObject({
+      status: 'failed',
+      attempts: 2,
+      nextAttemptAt: null,
+      lastStatusCode: 503,
+      lastError: 'Receiver responded with 503'
+    });
+
+    nock(RECEIVER).post('/golf').reply(200);
+    await service.retryDelivery(delivery.id);
+    await service.processQueue();
+
+    expect((await deliveriesFor(webhook.id))[0]).toMatchObject({ status: 'delivered', attempts: 1 });
+  });
+
+  it('should deliver to different webhooks concurrently and to each webhook in order', async () => {
+    const slow = await service.createWebhook({ url: `${RECEIVER}/slow`, events: ['round.started'] });
+    await service.createWebhook({ url: `${RECEIVER}/fast`, events: ['round.started'] });
+    const finished = [];
+    const deliver = service._deliver.bind(service);
+    jest.spyOn(service, '_deliver').mockImplementation(async (row) => {
+      await deliver(row);
+      finished.push([row.url.slice(RECEIVER.length + 1), JSON.parse(row.payload).data.round]);
+    });
+
+    nock(RECEIVER).post('/slow').times(2).delay(50).reply(204);
+    nock(RECEIVER).post('/fast').times(2).reply(204);
+
+    await service.publish([
+      { type: 'round.started', tournamentId: '100', data: { tournamentId: '100', round: 1 } },
+      { type: 'round.started', tournamentId: '100', data: { tournamentId: '100', round: 2 } }
+    ]);
+    expect(await service.processQueue()).toBe(4);
+
+    expect(finished).toEqual([['fast', 1], ['fast', 2], ['slow', 1], ['slow', 2]]);
+    expect((await deliveriesFor(slow.id)).map(delivery => delivery.status)).toEqual(['delivered', 'delivered']);
+  });
+
+  it('should prune delivered and failed deliveries past the retention period', async () => {
+    const webhook = await service.createWebhook({ url: `${RECEIVER}/golf`, events: ['round.started'] });
+    const event = round => ({ type: 'round.started', tournamentId: '100', data: { tournamentId: '100', round } });
+
+    await service.publish([event(1), event(2), event(3), event(4)]);
+    const [recent, pending, failed, delivered] = await deliveriesFor(webhook.id);
+
+    await dbManager.execute("UPDATE webhook_deliveries SET status = 'failed' WHERE id = ?", [failed.id]);
+    await dbManager.execute("UPDATE webhook_deliveries SET status = 'delivered' WHERE id IN (?, ?)", [delivered.id, recent.id]);
+    await dbManager.execute(
+      "UPDATE webhook_deliveries SET created_at = datetime('now', '-31 days') WHERE id IN (?, ?, ?)",
+      [pending.id, failed.id, delivered.id]
+    );
+
+    expect(await service.pruneDeliveries()).toBe(2);
+    expect((await deliveriesFor(webhook.id)).map(delivery => delivery.id)).toEqual([recent.id, pending.id]);
+  });
+
+  it('should watch upstream data only while started', () => {
+    const unsubscribe = jest.fn();
+    dataGolfService.onUpstreamData.mockReturnValue(unsubscribe);
+
+    service.start();
+    service.stop();
+
+    expect(dataGolfService.onUpstreamData).toHaveBeenCalledWith(expect.any(Function));
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for Delta Utilities
+ * Tests player-level diffs between payload versions and merging of consecutive diffs
+ */
+
+const { isDiffable, diffPayloads, mergeDiffs } = require('../../../src/utils/delta');
+
+const scoring = (...scores) => ({
+  scores: scores.map(([playerId, position, totalScore]) => ({
+    playerId,
+    playerName: `Player ${playerId}`,
+    position,
+    totalScore
+  }))
+});
+
+describe('Delta Utilities', () => {
+  it('should only diff supported data types', () => {
+    expect(isDiffable('scoring')).toBe(true);
+    expect(isDiffable('bettingOdds')).toBe(true);
+    expect(isDiffable('rankings')).toBe(false);
+    expect(() => diffPayloads('rankings', {}, {})).toThrow('Unsupported diff data type: rankings');
+  });
+
+  it('should list changed, added and removed players', () => {
+    const changes = diffPayloads(
+      'scoring',
+      scoring([1, '1', -6], [2, 'T2', -4], [3, 'T2', -4]),
+      scoring([1, '1', -7], [2, 'T2', -4], [4, '3', -3])
+    );
+
+    expect(changes.map(({ key, ...change }) => change)).toEqual([
+      { playerId: 1, playerName: 'Player 1', type: 'changed', fields: { totalScore: { from: -6, to: -7 } } },
+      {
+        playerId: 4,
+        playerName: 'Player 4',
+        type: 'added',
+        fields: { position: { from: null, to: '3' }, totalScore: { from: null, to: -3 } }
+      },
+      {
+        playerId: 3,
+        playerName: 'Player 3',
+        type: 'removed',
+        fields: { position: { from: 'T2', to: null }, totalScore: { from: -4, to: null } }
+      }
+    ]);
+  });
+
+  it('should diff odds per player, bookmaker and market', () => {
+    const odds = (decimal) => ({
+      odds: [
+        { playerId: 1, playerName: 'Player 1', bookmaker: 'bet365', market: 'win', odds: { decimal } },
+        { playerId: 1, playerName: 'Player 1', bookmaker: 'fanduel', market: 'win', odds: { decimal: 5 } }
+      ]
+    });
+
+    const [change, ...rest] = diffPayloads('bettingOdds', odds(4.5), odds(4));
+
+    expect(rest).toEqual([]);
+    expect(change).toMatchObject({
+      playerId: 1,
+      bookmaker: 'bet365',
+      market: 'win',
+      type: 'changed',
+      fields: { odds: { from: 4.5, to: 4 } }
+    });
+  });
+
+  it('should merge consecutive diffs into net changes', () => {
+    const v1 = scoring([1, '1', -6], [2, 'T2', -4]);
+    const v2 = scoring([1, 'T1', -6], [2, 'T2', -5], [3, '3', -3]);
+    const v3 = scoring([1, '1', -6], [2, '1', -7]);
+
+    const merged = mergeDiffs([diffPayloads('scoring', v1, v2), diffPayloads('scoring', v2, v3)]);
+
+    expect(merged).toEqual([
+      {
+        playerId: 2,
+        playerName: 'Player 2',
+        type: 'changed',
+        fields: { position: { from: 'T2', to: '1' }, totalScore: { from: -4, to: -7 } }
+      }
+    ]);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Odds Utilities
+ * Tests format conversion, implied probability and bookmaker margin removal
+ */
+
+const {
+  decimalFromAmerican,
+  decimalFromFractional,
+  americanFromDecimal,
+  fractionalFromDecimal,
+  normalizeOdds,
+  impliedProbability,
+  getMarketTarget,
+  removeVig
+} = require('../../../src/utils/odds');
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('Odds Utilities', () => {
+  describe('format conversion', () => {
+    it('should convert between decimal, American and fractional odds', () => {
+      expect(decimalFromAmerican(250)).toBe(3.5);
+      expect(decimalFromAmerican('-150')).toBeCloseTo(1.6667, 4);
+      expect(decimalFromFractional('7/2')).toBe(4.5);
+      expect(americanFromDecimal(3.5)).toBe(250);
+      expect(americanFromDecimal(1.5)).toBe(-200);
+      expect(fractionalFromDecimal(4.5)).toBe('7/2');
+      expect(fractionalFromDecimal(1.9091)).toBe('10/11');
+    });
+
+    it('should reject invalid values', () => {
+      expect(decimalFromAmerican(50)).toBeNull();
+      expect(decimalFromFractional('abc')).toBeNull();
+      expect(americanFromDecimal(1)).toBeNull();
+    });
+  });
+
+  describe('normalizeOdds', () => {
+    it('should fill every format from whichever one is present', () => {
+      expect(normalizeOdds({ american: 400 })).toEqual({ decimal: 5, american: 400, fractional: '4/1' });
+      expect(normalizeOdds({ fractional: '1/2' })).toEqual({ decimal: 1.5, american: -200, fractional: '1/2' });
+      expect(normalizeOdds({})).toEqual({ decimal: null, american: null, fractional: null });
+    });
+  });
+
+  describe('impliedProbability', () => {
+    it('should invert decimal odds', () => {
+      expect(impliedProbability(4)).toBe(0.25);
+      expect(impliedProbability(null)).toBeNull();
+    });
+  });
+
+  describe('removeVig', () => {
+    const overround = [1 / 1.8, 1 / 2.1];
+
+    it.each(['multiplicative', 'additive', 'shin', 'power'])('should remove the margin with the %s method', (method) => {
+      const fair = removeVig(overround, { method });
+
+      expect(sum(fair)).toBeCloseTo(1, 4);
+      expect(fair[0]).toBeGreaterThan(fair[1]);
+      expect(fair[0]).toBeLessThan(overround[0]);
+    });
+
+    it('should favour longshots less under shin and power than multiplicative', () => {
+      const prices = [1 / 1.4, 1 / 3.8, 1 / 12];
+      const multiplicative = removeVig(prices, { method: 'multiplicative' });
+
+      expect(removeVig(prices, { method: 'shin' })[2]).toBeLessThan(multiplicative[2]);
+      expect(removeVig(prices, { method: 'power' })[2]).toBeLessThan(multiplicative[2]);
+    });
+
+    it('should normalize multi-winner markets to their number of winners', () => {
+      const prices = Array(20).fill(0.3);
+      const fair = removeVig(prices, { method: 'multiplicative', target: getMarketTarget('top_5') });
+
+      expect(sum(fair)).toBeCloseTo(5, 4);
+    });
+
+    it('should leave incomplete or underround markets unchanged', () => {
+      expect(removeVig([0.4, null])).toEqual([0.4, null]);
+      expect(removeVig([0.4, 0.5])).toEqual([0.4, 0.5]);
+    });
+
+    it('should reject unknown methods', () => {
+      expect(() => removeVig(overround, { method: 'magic' })).toThrow('Unknown vig removal method');
+    });
+  });
+});
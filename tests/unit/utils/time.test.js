@@ -0,0 +1,51 @@
+/**
+ * Unit Tests for Time Zone Utilities
+ * Tests local/UTC conversion across standard and daylight saving time
+ */
+
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  parseLocalTime
+} = require('../../../src/utils/time');
+
+describe('Time Zone Utilities', () => {
+  describe('isValidTimeZone', () => {
+    it('should accept IANA zones and reject unknown values', () => {
+      expect(isValidTimeZone('America/New_York')).toBe(true);
+      expect(isValidTimeZone('Europe/London')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimeZone(null)).toBe(false);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('should apply standard and daylight saving offsets', () => {
+      expect(zonedTimeToUtc({ year: 2024, month: 1, day: 15, hour: 7, minute: 45 }, 'America/New_York').toISOString())
+        .toBe('2024-01-15T12:45:00.000Z');
+      expect(zonedTimeToUtc({ year: 2024, month: 7, day: 18, hour: 6, minute: 35 }, 'Europe/London').toISOString())
+        .toBe('2024-07-18T05:35:00.000Z');
+    });
+  });
+
+  describe('formatInTimeZone', () => {
+    it('should format local time with its offset', () => {
+      expect(formatInTimeZone(new Date('2024-04-11T12:00:00Z'), 'America/New_York'))
+        .toBe('2024-04-11T08:00:00-04:00');
+    });
+  });
+
+  describe('parseLocalTime', () => {
+    it('should parse offset, local and clock-only formats', () => {
+      expect(parseLocalTime('2024-01-15T07:45:00-05:00', 'UTC').toISOString()).toBe('2024-01-15T12:45:00.000Z');
+      expect(parseLocalTime('2024-01-15 07:45', 'America/New_York').toISOString()).toBe('2024-01-15T12:45:00.000Z');
+      expect(parseLocalTime('1:10pm', 'America/Chicago', '2024-01-15').toISOString()).toBe('2024-01-15T19:10:00.000Z');
+    });
+
+    it('should return null for unparseable values', () => {
+      expect(parseLocalTime('soon', 'UTC')).toBeNull();
+      expect(parseLocalTime('7:45am', 'UTC')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Unit tests for watchlist routes
+ * @module tests/unit/watchlists
+ */
+
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const dbManager = require('../../src/database/manager');
+const { getConfig } = require('../../src/config/environment');
+const { decryptSessionData, SESSION_HEADER } = require('../../src/middleware/sessionManager');
+
+const app = createApp();
+
+/**
+ * Start a session and return its token
+ * @returns {Promise<string>} Session token
+ */
+async function startSession() {
+  const response = await request(app).get('/api/watchlists').expect(200);
+  return response.headers[SESSION_HEADER.toLowerCase()];
+}
+
+describe('Watchlist Routes', () => {
+  let token;
+
+  beforeAll(async () => {
+    await dbManager.initialize();
+  });
+
+  beforeEach(async () => {
+    await dbManager.execute('DELETE FROM alerts');
+    await dbManager.execute('DELETE FROM watchlists');
+    token = await startSession();
+  });
+
+  afterAll(async () => {
+    await dbManager.close();
+  });
+
+  it('should create, update and delete a watchlist with its alert rules', async () => {
+    const created = await request(app)
+      .post('/api/watchlists')
+      .set(SESSION_HEADER, token)
+      .send({ name: 'Majors', playerIds: [18417, '10091'] })
+      .expect(201);
+
+    expect(created.body).toMatchObject({ name: 'Majors', playerIds: ['18417', '10091'], rules: [] });
+    const { id } = created.body;
+
+    const renamed = await request(app)
+      .patch(`/api/watchlists/${id}`)
+      .set(SESSION_HEADER, token)
+      .send({ name: 'Contenders' })
+      .expect(200);
+    expect(renamed.body.name).toBe('Contenders');
+
+    const rule = await request(app)
+      .post(`/api/watchlists/${id}/rules`)
+      .set(SESSION_HEADER, token)
+      .send({ type: 'odds_below', threshold: 20, market: 'win' })
+      .expect(201);
+    expect(rule.body).toMatchObject({ type: 'odds_below', threshold: 20, market: 'win' });
+
+    const listed = await request(app).get('/api/watchlists').set(SESSION_HEADER, token).expect(200);
+    expect(listed.body.watchlists.map(watchlist => watchlist.rules.length)).toEqual([1]);
+    expect(listed.body.ruleTypes).toEqual(['position_within', 'odds_below', 'odds_above']);
+
+    await request(app).delete(`/api/watchlists/${id}/rules/${rule.body.id}`).set(SESSION_HEADER, token).expect(204);
+    await request(app).delete(`/api/watchlists/${id}`).set(SESSION_HEADER, token).expect(204);
+    await request(app).get(`/api/watchlists/${id}`).set(SESSION_HEADER, token).expect(404);
+  });
+
+  it('should keep watchlists to the session that created them', async () => {
+    const created = await request(app)
+      .post('/api/watchlists')
+      .set(SESSION_HEADER, token)
+      .send({ name: 'Majors' })
+      .expect(201);
+
+    const other = await startSession();
+    await request(app).get(`/api/watchlists/${created.body.id}`).set(SESSION_HEADER, other).expect(404);
+    await request(app).delete(`/api/watchlists/${created.body.id}`).set(SESSION_HEADER, other).expect(404);
+
+    const listed = await request(app).get('/api/watchlists').set(SESSION_HEADER, other).expect(200);
+    expect(listed.body.watchlists).toEqual([]);
+  });
+
+  it('should reject invalid requests with 400 and duplicate names with 409', async () => {
+    await request(app).post('/api/watchlists').set(SESSION_HEADER, token).send({ name: 'Majors' }).expect(201);
+
+    await request(app).post('/api/watchlists').set(SESSION_HEADER, token).send({ name: 'Majors' }).expect(409);
+    await request(app).post('/api/watchlists').set(SESSION_HEADER, token).send({ name: '' }).expect(400);
+    await request(app).get('/api/watchlists/first').set(SESSION_HEADER, token).expect(400);
+    await request(app).get('/api/watchlists/alerts?limit=0').set(SESSION_HEADER, token).expect(400);
+
+    const { id } = (await request(app).get('/api/watchlists').set(SESSION_HEADER, token)).body.watchlists[0];
+    const invalidRule = await request(app)
+      .post(`/api/watchlists/${id}/rules`)
+      .set(SESSION_HEADER, token)
+      .send({ type: 'round_leader', threshold: 1 })
+      .expect(400);
+    expect(invalidRule.body).toMatchObject({ message: 'Unsupported alert rule type: round_leader', field: 'type' });
+  });
+
+  it('should list alerts and mark them read', async () => {
+    const created = await request(app)
+      .post('/api/watchlists')
+      .set(SESSION_HEADER, token)
+      .send({ name: 'Majors', playerIds: [18417] })
+      .expect(201);
+
+    const { id: sessionId } = decryptSessionData(token, getConfig().security.encryptionKey);
+    await dbManager.execute(
+      `INSERT INTO alerts (session_id, watchlist_id, rule_type, player_id, message)
+       VALUES (?, ?, 'position_within', '18417', 'Player 18417 moved inside the top 10 (T4)')`,
+      [sessionId, created.body.id]
+    );
+
+    const unread = await request(app)
+      .get(`/api/watchlists/alerts?unread=true&watchlistId=${created.body.id}`)
+      .set(SESSION_HEADER, token)
+      .expect(200);
+    expect(unread.body.alerts).toEqual([expect.objectContaining({ playerId: '18417', readAt: null })]);
+
+    const alertId = unread.body.alerts[0].id;
+    const read = await request(app).post(`/api/watchlists/alerts/${alertId}/read`).set(SESSION_HEADER, token).expect(200);
+    expect(read.body.readAt).toEqual(expect.any(String));
+
+    const remaining = await request(app).get('/api/watchlists/alerts?unread=true').set(SESSION_HEADER, token).expect(200);
+    expect(remaining.body.alerts).toEqual([]);
+
+    await request(app).post(`/api/watchlists/alerts/${alertId}/read`).set(SESSION_HEADER, await startSession()).expect(404);
+  });
+});